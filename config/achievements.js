@@ -0,0 +1,81 @@
+// config/achievements.js
+
+module.exports = {
+  // Achievement definitions. Each one is checked on the events it lists
+  // (query: a playground execute or evaluate; mission: a mission attempt)
+  // and unlocks once its metric reaches the threshold. Metrics:
+  // successfulQueries      - queries that ran without errors, anywhere
+  // dayStreak              - consecutive days, up to today, with a successful query
+  // missionsCompleted      - missions with every objective completed
+  // flawlessMissions       - completed missions without a single failed attempt
+  // missionsUsingConstruct - missions with a successful attempt using `construct`
+  // labSheetsCompleted     - lab sheets whose missions are all completed
+  // level                  - player level
+  ACHIEVEMENTS: [
+    {
+      id: 'first-query',
+      title: 'Hello, Database',
+      description: 'Run your first successful query',
+      events: ['query', 'mission'],
+      metric: 'successfulQueries',
+      threshold: 1
+    },
+    {
+      id: 'query-centurion',
+      title: 'Centurion',
+      description: 'Run 100 successful queries',
+      events: ['query', 'mission'],
+      metric: 'successfulQueries',
+      threshold: 100
+    },
+    {
+      id: 'ten-day-streak',
+      title: 'Creature of Habit',
+      description: 'Run a successful query on 10 days in a row',
+      events: ['query', 'mission'],
+      metric: 'dayStreak',
+      threshold: 10
+    },
+    {
+      id: 'first-mission',
+      title: 'Agent in the Field',
+      description: 'Complete your first mission',
+      events: ['mission'],
+      metric: 'missionsCompleted',
+      threshold: 1
+    },
+    {
+      id: 'flawless-mission',
+      title: 'Flawless',
+      description: 'Complete a mission without a single failed query',
+      events: ['mission'],
+      metric: 'flawlessMissions',
+      threshold: 1
+    },
+    {
+      id: 'deref-specialist',
+      title: 'Pointer Chaser',
+      description: 'Use DEREF in 5 different missions',
+      events: ['mission'],
+      metric: 'missionsUsingConstruct',
+      construct: 'DEREF',
+      threshold: 5
+    },
+    {
+      id: 'lab-sheet-cleared',
+      title: 'Lab Cleared',
+      description: 'Finish all missions of a lab sheet',
+      events: ['mission'],
+      metric: 'labSheetsCompleted',
+      threshold: 1
+    },
+    {
+      id: 'level-five',
+      title: 'Senior Agent',
+      description: 'Reach level 5',
+      events: ['mission'],
+      metric: 'level',
+      threshold: 5
+    }
+  ]
+};
@@ -7,5 +7,20 @@ module.exports = {
   ORACLE_CONNECT_STRING: process.env.ORACLE_CONNECT_STRING || 'localhost:1521/XE',
   ORACLE_POOL_MIN: parseInt(process.env.ORACLE_POOL_MIN || '2'),
   ORACLE_POOL_MAX: parseInt(process.env.ORACLE_POOL_MAX || '5'),
-  ORACLE_POOL_INCREMENT: parseInt(process.env.ORACLE_POOL_INCREMENT || '1')
+  ORACLE_POOL_INCREMENT: parseInt(process.env.ORACLE_POOL_INCREMENT || '1'),
+  MYSQL_HOST: process.env.MYSQL_HOST || 'localhost',
+  MYSQL_PORT: parseInt(process.env.MYSQL_PORT || '3306'),
+  MYSQL_USER: process.env.MYSQL_USER || 'root',
+  MYSQL_PASSWORD: process.env.MYSQL_PASSWORD || '',
+  MYSQL_POOL_MAX: parseInt(process.env.MYSQL_POOL_MAX || '5'),
+  SQL_ENGINE: process.env.SQL_ENGINE || 'oracle',
+  SQL_ENGINES: ['oracle', 'mysql', 'sqlite'],
+  SQL_MAX_ROWS: parseInt(process.env.SQL_MAX_ROWS || '500'),
+  SQL_CALL_TIMEOUT_MS: parseInt(process.env.SQL_CALL_TIMEOUT_MS || '10000'),
+  SQL_MAX_OUTPUT_BYTES: parseInt(process.env.SQL_MAX_OUTPUT_BYTES || '1048576'),
+  SANDBOX_SCHEMA_PREFIX: process.env.SANDBOX_SCHEMA_PREFIX || 'SBX_',
+  SANDBOX_TABLESPACE: process.env.SANDBOX_TABLESPACE || 'USERS',
+  SANDBOX_QUOTA: process.env.SANDBOX_QUOTA || '20M',
+  SANDBOX_TTL_MINUTES: parseInt(process.env.SANDBOX_TTL_MINUTES || '120'),
+  SANDBOX_REAP_INTERVAL_MINUTES: parseInt(process.env.SANDBOX_REAP_INTERVAL_MINUTES || '10')
 };
\ No newline at end of file
@@ -0,0 +1,14 @@
+// config/progression.js
+require('dotenv').config();
+
+module.exports = {
+  // Reaching level n takes LEVEL_BASE_XP * (n - 1) ^ LEVEL_EXPONENT XP in total,
+  // so every level needs a little more XP than the one before
+  LEVEL_BASE_XP: parseInt(process.env.LEVEL_BASE_XP || '500'),
+  LEVEL_EXPONENT: parseFloat(process.env.LEVEL_EXPONENT || '1.5'),
+  MAX_LEVEL: parseInt(process.env.MAX_LEVEL || '50'),
+
+  // Best playground score on a learning goal that counts as mastering it,
+  // which unlocks the missions depending on that goal's mission
+  MASTERY_THRESHOLD: parseFloat(process.env.MASTERY_THRESHOLD || '0.8')
+};
@@ -0,0 +1,45 @@
+// config/scoring.js
+
+module.exports = {
+  // Criteria a rubric can weigh:
+  // executes           - the script runs without errors
+  // correctColumns     - the final result has the expected columns
+  // correctRowCount    - the final result has the expected number of rows
+  // correctOrdering    - the rows come back in the expected order
+  // correctResult      - the result matches on the sample data and every test dataset
+  // schemaChecks       - share of expected-schema checks that pass (DDL exercises)
+  // usesConstruct      - the script uses a required construct, e.g. DEREF or DOT NOTATION
+  // performance        - the optimizer cost of the final statement stays under maxCost
+  RUBRIC_CRITERIA: [
+    'executes', 'correctColumns', 'correctRowCount', 'correctOrdering',
+    'correctResult', 'schemaChecks', 'usesConstruct', 'performance'
+  ],
+
+  // Rubrics used when an exercise doesn't define its own
+  DEFAULT_RUBRICS: {
+    query: [
+      { criterion: 'executes', weight: 20 },
+      { criterion: 'correctColumns', weight: 20 },
+      { criterion: 'correctRowCount', weight: 20 },
+      { criterion: 'correctResult', weight: 40 }
+    ],
+    schema: [
+      { criterion: 'executes', weight: 20 },
+      { criterion: 'schemaChecks', weight: 80 }
+    ]
+  },
+
+  // Points a fully correct answer earns in the playground
+  DEFAULT_POINTS: {
+    practice: 5,
+    challenge: 10
+  },
+
+  // XP a fully correct answer earns in a mission
+  DEFAULT_XP: {
+    practice: 150,
+    challenge: 200,
+    // Missions whose goal has no practice or challenge exercise
+    fallback: 100
+  }
+};
@@ -0,0 +1,47 @@
+// config/sql-policy.js
+require('dotenv').config();
+
+module.exports = {
+  // Policy applied to every student statement. Learning goals and missions
+  // can narrow or extend it with their own sqlPolicy.
+  DEFAULT_POLICY: {
+    allowKinds: ['query', 'dml', 'ddl', 'plsql', 'transaction'],
+    denyKinds: ['admin'],
+    allowCommands: [],
+    denyCommands: ['CREATE MATERIALIZED VIEW', 'CREATE DIRECTORY', 'CREATE JAVA'],
+    deniedIdentifiers: [
+      'EXECUTE IMMEDIATE', 'DBMS_SQL', 'DBMS_SYS_SQL', 'DBMS_SCHEDULER', 'DBMS_JOB',
+      'DBMS_JAVA', 'DBMS_PIPE', 'DBMS_LOCK', 'UTL_FILE', 'UTL_HTTP', 'UTL_TCP', 'UTL_SMTP',
+      'UTL_INADDR', 'HTTPURITYPE',
+      // MySQL and SQLite file access
+      'OUTFILE', 'DUMPFILE', 'LOAD_FILE', 'LOAD_EXTENSION'
+    ],
+    deniedIdentifierPrefixes: ['DBA_', 'CDB_', 'V$', 'GV$', 'X$']
+  },
+
+  // Commands no learning goal or mission can allow
+  ALWAYS_DENIED_COMMANDS: [
+    'GRANT', 'REVOKE', 'AUDIT', 'NOAUDIT', 'ADMINISTER', 'SHUTDOWN', 'STARTUP',
+    'ALTER SYSTEM', 'ALTER DATABASE', 'ALTER SESSION', 'ALTER USER', 'ALTER PROFILE',
+    'ALTER ROLE', 'ALTER TABLESPACE', 'ALTER PLUGGABLE DATABASE',
+    'CREATE USER', 'CREATE ROLE', 'CREATE PROFILE', 'CREATE TABLESPACE', 'CREATE DATABASE',
+    'CREATE PUBLIC', 'CREATE SHARED', 'CREATE PLUGGABLE DATABASE', 'CREATE CONTEXT',
+    'CREATE LIBRARY', 'CREATE SCHEMA', 'ALTER SCHEMA', 'DROP SCHEMA',
+    'DROP USER', 'DROP ROLE', 'DROP PROFILE', 'DROP TABLESPACE', 'DROP DATABASE',
+    'DROP PUBLIC', 'DROP PLUGGABLE DATABASE', 'DROP CONTEXT', 'DROP DIRECTORY',
+    'SET ROLE',
+    // MySQL statements that reveal other sessions or server settings
+    'SHOW DATABASES', 'SHOW SCHEMAS', 'SHOW PROCESSLIST', 'SHOW FULL', 'SHOW GRANTS',
+    'SHOW GLOBAL', 'SHOW VARIABLES', 'SHOW ENGINE', 'SHOW BINARY', 'SHOW MASTER',
+    'SHOW REPLICA', 'SHOW SLAVE'
+  ],
+
+  // Schemas that student statements may reference explicitly
+  ALLOWED_SCHEMAS: (process.env.SQL_POLICY_ALLOWED_SCHEMAS || 'PUBLIC')
+    .split(',')
+    .map(schema => schema.trim().toUpperCase())
+    .filter(Boolean),
+
+  // Objects in otherwise protected schemas that students may still use
+  ALLOWED_QUALIFIED_OBJECTS: ['SYS.DUAL', 'SYS.STANDARD', 'SYS.DBMS_OUTPUT', 'SYS.DBMS_XPLAN']
+};
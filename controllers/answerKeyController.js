@@ -0,0 +1,171 @@
+// controllers/answerKeyController.js
+const LearningGoal = require('../models/LearningGoal');
+const { ANSWER_KEY_EXERCISES, verifyAnswerKey } = require('../services/answer-key');
+
+/**
+ * Get the reference solutions and expected results of a learning goal
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getAnswerKey = async (req, res) => {
+  try {
+    const goal = await LearningGoal.findById(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      goalId: goal._id,
+      title: goal.title,
+      engine: goal.engine,
+      practice: goal.learningPath.practice,
+      challenge: goal.learningPath.challenge,
+      answerKey: goal.learningPath.answerKey || {}
+    });
+  } catch (error) {
+    console.error('Error retrieving answer key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving answer key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit the reference solution of a practice or challenge exercise and re-verify it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateAnswerKey = async (req, res) => {
+  try {
+    const { goalId, exercise } = req.params;
+    const { solution, setupScript, comparison, expectedSchema, datasets, rubric } = req.body;
+
+    if (!ANSWER_KEY_EXERCISES.includes(exercise)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid exercise, expected one of: ${ANSWER_KEY_EXERCISES.join(', ')}`
+      });
+    }
+
+    const goal = await LearningGoal.findById(goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning goal not found'
+      });
+    }
+
+    const answerKey = goal.learningPath.answerKey ? goal.learningPath.answerKey.toObject() : {};
+    const entry = answerKey[exercise] || {};
+
+    if (solution !== undefined) entry.solution = solution;
+    if (setupScript !== undefined) entry.setupScript = setupScript || undefined;
+    if (comparison !== undefined) entry.comparison = comparison;
+    if (expectedSchema !== undefined) entry.expectedSchema = expectedSchema || undefined;
+    if (datasets !== undefined) entry.datasets = datasets || [];
+    if (rubric !== undefined) entry.rubric = rubric || undefined;
+
+    const hasSolution = typeof entry.solution === 'string' && entry.solution.trim() !== '';
+    if (!hasSolution && !entry.expectedSchema) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reference solution or an expected schema is required'
+      });
+    }
+
+    // The old snapshot no longer describes the edited solution
+    entry.expected = undefined;
+    entry.verifiedAt = undefined;
+    entry.verificationError = undefined;
+
+    goal.learningPath.answerKey = { ...answerKey, [exercise]: entry };
+    await goal.validate();
+
+    // Only a solution can be run; an expected schema alone is saved as it is
+    const results = await verifyAnswerKey(goal, [exercise]);
+    const verification = results[exercise] || null;
+
+    let message = 'Expected schema saved';
+    if (verification) {
+      message = verification.verified ?
+        'Reference solution saved and verified' :
+        'Reference solution saved, but verification failed';
+    }
+
+    res.status(200).json({
+      success: verification ? verification.verified : true,
+      message,
+      answerKey: goal.learningPath.answerKey[exercise],
+      verification
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid answer key',
+        error: error.message
+      });
+    }
+    console.error('Error updating answer key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating answer key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-run every reference solution of a learning goal and refresh the expected results
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const reverifyAnswerKey = async (req, res) => {
+  try {
+    const goal = await LearningGoal.findById(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning goal not found'
+      });
+    }
+
+    const results = await verifyAnswerKey(goal);
+    const exercises = Object.keys(results);
+
+    if (exercises.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This learning goal has no reference solutions to verify'
+      });
+    }
+
+    res.status(200).json({
+      success: exercises.every(exercise => results[exercise].verified),
+      answerKey: goal.learningPath.answerKey,
+      verification: results
+    });
+  } catch (error) {
+    console.error('Error verifying answer key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying answer key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAnswerKey,
+  updateAnswerKey,
+  reverifyAnswerKey
+};
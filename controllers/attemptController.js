@@ -0,0 +1,119 @@
+// controllers/attemptController.js
+const mongoose = require('mongoose');
+const QueryAttempt = require('../models/QueryAttempt');
+const { hasInstructorKey } = require('../middleware/requireInstructor');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ATTEMPT_SOURCES = ['execute', 'evaluate', 'mission'];
+
+/**
+ * Parse a date filter from the query string
+ * @param {string} value - Date as sent by the client
+ * @returns {Date|null|undefined} - Parsed date, undefined if not given, null if invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * List query attempts, newest first. Students see their own attempts;
+ * instructors can see anyone's and filter by user.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listAttempts = async (req, res) => {
+  try {
+    const { goalId, missionId, source, successful, from, to } = req.query;
+    const isInstructor = hasInstructorKey(req);
+    const userId = req.userId || 'anonymous'; // Would come from auth middleware
+
+    const filter = {};
+    if (!isInstructor) {
+      filter.userId = userId;
+    } else if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    for (const [name, value] of [['goalId', goalId], ['missionId', missionId]]) {
+      if (value === undefined) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`
+        });
+      }
+      filter[name] = value;
+    }
+
+    if (source !== undefined) {
+      if (!ATTEMPT_SOURCES.includes(source)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid source, expected one of: ${ATTEMPT_SOURCES.join(', ')}`
+        });
+      }
+      filter.source = source;
+    }
+
+    if (successful !== undefined) {
+      if (successful !== 'true' && successful !== 'false') {
+        return res.status(400).json({
+          success: false,
+          message: 'successful must be true or false'
+        });
+      }
+      filter.isSuccessful = successful === 'true';
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [attempts, total] = await Promise.all([
+      QueryAttempt.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QueryAttempt.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      attempts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing query attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing query attempts',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listAttempts
+};
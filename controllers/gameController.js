@@ -1,8 +1,40 @@
 // controllers/gameController.js
+const mongoose = require('mongoose');
 const GameMission = require('../models/GameMission');
-const PlayerProfile = require('../models/PlayerProfile');
 const LearningGoal = require('../models/LearningGoal');
 const { executeQuery } = require('../services/sql-execution');
+const { checkSessionAccess } = require('../services/sandbox-registry');
+const { resolvePolicy } = require('../services/sql-policy');
+const { buildMission, linkMissionPrerequisites, objectiveExercise } = require('../services/mission-generator');
+const { gradeWithDatasets } = require('../services/grading');
+const { gradableReference } = require('../services/answer-key');
+const { gradeSchemaSubmission } = require('../services/schema-grading');
+const { scoreGrade } = require('../services/scoring');
+const { DEFAULT_XP } = require('../config/scoring');
+const { executionOutcome, recordAttempt } = require('../services/attempt-recorder');
+const { ensureProfile, levelProgress, awardObjective } = require('../services/progression');
+const { evaluateAchievements, describeAchievements } = require('../services/achievements');
+const { findLabSheetMissions, missionStates, checkMissionUnlocked } = require('../services/mission-unlocks');
+const {
+  getProgress,
+  currentObjective,
+  checkObjectiveAccess,
+  recordObjectiveAttempt,
+  revealHint,
+  describeProgress
+} = require('../services/mission-progress');
+
+/**
+ * Find a mission and the requesting player's progress through it
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} - mission (null if not found) and progress
+ */
+const loadMissionProgress = async (req) => {
+  const userId = req.userId || 'anonymous';
+  const mission = await GameMission.findById(req.params.missionId);
+  const progress = mission ? await getProgress(userId, mission) : null;
+  return { mission, progress };
+};
 
 /**
  * Generate missions for a lab sheet
@@ -33,20 +65,15 @@ const generateMissions = async (req, res) => {
       const goal = learningGoals[i];
       
       // Create mission with basic info
-      const mission = new GameMission({
-        learningGoalId: goal._id,
-        title: `Mission ${i+1}: ${goal.title.substring(0, 30)}...`,
-        narrative: generateMissionNarrative(goal),
-        difficulty: getDifficultyFromGoal(goal),
-        objectives: generateObjectives(goal),
-        totalXP: 350, // Default XP value
-        unlockedAt: Date.now()
-      });
+      const mission = buildMission(goal, i);
       
       await mission.save();
       missions.push(mission);
     }
     
+    // Missions unlock in the order of their goals' prerequisites
+    await linkMissionPrerequisites(missions, learningGoals);
+    
     res.status(200).json({
       success: true,
       message: `${missions.length} missions generated successfully`,
@@ -54,7 +81,8 @@ const generateMissions = async (req, res) => {
         id: m._id,
         title: m.title,
         difficulty: m.difficulty,
-        totalXP: m.totalXP
+        totalXP: m.totalXP,
+        prerequisiteMissionIds: m.prerequisiteMissionIds
       }))
     });
   } catch (error) {
@@ -68,66 +96,56 @@ const generateMissions = async (req, res) => {
 };
 
 /**
- * Generate a mission narrative
+ * List a lab sheet's missions as an unlock graph, with the requesting
+ * player's state of each mission
  */
-const generateMissionNarrative = (goal) => {
-  const concepts = goal.keyConcepts.join(', ');
-  return `[TERMINAL ACCESS: GRANTED]
-  
-MISSION BRIEF: SYNTAX Corp Security Breach
-  
-Your objective: Infiltrate the database system using ${concepts}.
-  
-The system uses Oracle database architecture. Craft your SQL queries carefully - each error creates system alerts!
-  
-Good luck, agent. The data center awaits.`;
-};
-
-/**
- * Get difficulty from goal type
- */
-const getDifficultyFromGoal = (goal) => {
-  const title = goal.title.toLowerCase();
-  if (title.includes('advanced')) return 'master';
-  if (title.includes('query')) return 'agent';
-  return 'rookie';
-};
-
-/**
- * Generate objectives from learning goal
- */
-const generateObjectives = (goal) => {
-  const objectives = [];
-  
-  if (goal.learningPath && goal.learningPath.practice) {
-    objectives.push({
-      title: "Primary Objective",
-      description: goal.learningPath.practice.replace(/#|Practice Exercise|Hint:.+$/g, '').trim(),
-      xpReward: 150,
-      hints: ["Try using the example from the learning materials", "Focus on the syntax"]
-    });
-  }
-  
-  if (goal.learningPath && goal.learningPath.challenge) {
-    objectives.push({
-      title: "Bonus Objective",
-      description: goal.learningPath.challenge.replace(/#|Challenge|This will test.+$/g, '').trim(),
-      xpReward: 200,
-      hints: ["This is more advanced", "Think about how to extend the basic solution"]
+const getMissions = async (req, res) => {
+  try {
+    const { labSheetId } = req.query;
+    const userId = req.userId || 'anonymous';
+    
+    if (!labSheetId || !mongoose.isValidObjectId(labSheetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid labSheetId is required'
+      });
+    }
+    
+    const missions = await findLabSheetMissions(labSheetId);
+    const states = await missionStates(userId, missions);
+    
+    // Missions in the order of their learning goals
+    const goals = await LearningGoal.find({ _id: { $in: missions.map(mission => mission.learningGoalId) } }, { order: 1 }).lean();
+    const goalOrder = new Map(goals.map(goal => [String(goal._id), goal.order || 0]));
+    const order = (mission) => goalOrder.get(String(mission.learningGoalId)) || 0;
+    missions.sort((a, b) => order(a) - order(b));
+    
+    res.status(200).json({
+      success: true,
+      labSheetId,
+      missions: missions.map(mission => ({
+        id: mission._id,
+        learningGoalId: mission.learningGoalId,
+        title: mission.title,
+        difficulty: mission.difficulty,
+        totalXP: mission.totalXP,
+        order: order(mission),
+        prerequisites: mission.prerequisiteMissionIds,
+        ...states.get(String(mission._id))
+      })),
+      edges: missions.flatMap(mission => (mission.prerequisiteMissionIds || []).map(prerequisite => ({
+        from: prerequisite,
+        to: mission._id
+      })))
     });
-  }
-  
-  // Ensure we have at least one objective
-  if (objectives.length === 0) {
-    objectives.push({
-      title: "Database Objective",
-      description: "Complete the tasks related to this learning goal.",
-      xpReward: 100,
-      hints: ["Review the examples in the learning materials"]
+  } catch (error) {
+    console.error('Error listing missions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing missions',
+      error: error.message
     });
   }
-  
-  return objectives;
 };
 
 /**
@@ -164,7 +182,14 @@ const getMissionDetails = async (req, res) => {
         title: mission.title,
         narrative: mission.narrative,
         difficulty: mission.difficulty,
-        objectives: mission.objectives,
+        // Hints are revealed one at a time through the hint endpoint
+        objectives: mission.objectives.map(objective => ({
+          title: objective.title,
+          description: objective.description,
+          exercise: objective.exercise,
+          xpReward: objective.xpReward,
+          hintCount: (objective.hints || []).length
+        })),
         totalXP: mission.totalXP
       },
       learningGoal: {
@@ -188,9 +213,11 @@ const getMissionDetails = async (req, res) => {
  */
 const executeMissionQuery = async (req, res) => {
   try {
-    const { missionId, objectiveIndex = 0 } = req.params;
+    const { missionId, objectiveIndex } = req.params;
     const { query } = req.body;
     const userId = req.userId || 'anonymous';
+    const defaultSessionId = `${userId}_${missionId}`;
+    const sessionId = req.body.sessionId || defaultSessionId;
     
     if (!query) {
       return res.status(400).json({
@@ -199,6 +226,14 @@ const executeMissionQuery = async (req, res) => {
       });
     }
     
+    const sessionAccess = await checkSessionAccess(sessionId, userId, defaultSessionId);
+    if (!sessionAccess.allowed) {
+      return res.status(sessionAccess.status).json({
+        success: false,
+        message: sessionAccess.reason
+      });
+    }
+    
     // Get mission
     const mission = await GameMission.findById(missionId);
     
@@ -209,30 +244,154 @@ const executeMissionQuery = async (req, res) => {
       });
     }
     
-    // Execute the query
-    const result = await executeQuery(query);
+    // Missions open up as their prerequisites are completed or mastered
+    const unlock = await checkMissionUnlocked(userId, mission);
+    if (!unlock.unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: `Mission is locked. Complete ${unlock.unmetPrerequisites.map(prerequisite => prerequisite.title).join(', ')} first.`,
+        unmetPrerequisites: unlock.unmetPrerequisites
+      });
+    }
+    
+    // Without an objective in the URL, carry on with the one the player is on
+    const progress = await getProgress(userId, mission);
+    const current = currentObjective(progress);
+    const index = objectiveIndex !== undefined ? parseInt(objectiveIndex) : (current !== null ? current : 0);
+    
+    if (!Number.isInteger(index) || !mission.objectives[index]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid objective index, mission has ${mission.objectives.length} objectives`
+      });
+    }
+    
+    // Objectives are played in order
+    const access = checkObjectiveAccess(progress, index);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: access.reason,
+        currentObjective: current
+      });
+    }
+    
+    // Mission policy narrows the learning goal's policy
+    const learningGoal = await LearningGoal.findById(mission.learningGoalId);
+    const policy = resolvePolicy(learningGoal && learningGoal.sqlPolicy, mission.sqlPolicy);
+    const executionOptions = {
+      ...(learningGoal && learningGoal.executionLimits ? learningGoal.executionLimits.toObject() : {}),
+      engine: learningGoal && learningGoal.engine,
+      policy,
+      executionId: req.body.executionId,
+      userId
+    };
+    
+    const objective = mission.objectives[index];
+    const exercise = objectiveExercise(mission, index, learningGoal);
+    const reference = learningGoal && gradableReference(learningGoal.learningPath.answerKey, exercise);
+    
+    // With a gradable answer key the objective is graded and its XP scaled by
+    // the rubric score. Without one the query still runs, but a script that
+    // merely runs proves nothing, so the attempt is ungraded and earns nothing.
+    const graded = Boolean(reference);
+    let result;
+    let completed = false;
+    let scoring = null;
+    if (graded) {
+      const grade = reference.expectedSchema ?
+        await gradeSchemaSubmission(learningGoal, reference.toObject(), query, executionOptions) :
+        await gradeWithDatasets(learningGoal, reference.toObject(), query, executionOptions);
+      scoring = await scoreGrade(reference.toObject(), exercise, grade, query, sessionId, executionOptions);
+      result = grade.executionResult;
+      completed = grade.correct;
+    } else {
+      // Execute the query in the player's mission sandbox
+      result = await executeQuery(query, [], sessionId, executionOptions);
+    }
+    
+    // Only improvements on the player's best result for the objective add XP
+    let award = null;
+    if (graded) {
+      const xpReward = objective && objective.xpReward !== undefined ? objective.xpReward : DEFAULT_XP.fallback;
+      award = await awardObjective(userId, mission, index, {
+        xp: Math.round(xpReward * scoring.score),
+        score: scoring.score,
+        completed
+      });
+    }
+    const xpGained = award ? award.xpAwarded : 0;
+    
+    const updatedProgress = await recordObjectiveAttempt(progress, index, {
+      successful: result.success,
+      completed,
+      score: scoring ? scoring.score : 0
+    });
+    
+    const playerStatus = award || {
+      ...levelProgress((await ensureProfile(userId)).xp),
+      levelUp: null,
+      mission: { completed: Boolean(updatedProgress.completedAt), score: null }
+    };
+    
+    await recordAttempt({
+      userId,
+      source: 'mission',
+      goalId: mission.learningGoalId,
+      missionId: mission._id,
+      objectiveIndex: index,
+      sessionId,
+      query,
+      ...executionOutcome(result),
+      isSuccessful: completed,
+      isChallenge: exercise === 'challenge',
+      points: scoring ? scoring.points : 0,
+      maxPoints: scoring ? scoring.maxPoints : undefined,
+      score: scoring ? scoring.score : undefined,
+      scoreBreakdown: scoring ? scoring.breakdown : undefined,
+      xpGained
+    });
+    
+    // Achievements are checked once the attempt, XP and progress are stored
+    const achievements = result.success ? await evaluateAchievements(userId, 'mission') : [];
     
     // Create a themed response
     res.status(200).json({
       terminalOutput: {
         success: result.success,
+        executionId: result.executionId,
         message: result.success ? 
           "ACCESS GRANTED: Query executed successfully." : 
           "ACCESS DENIED: Security system detected an error.",
-        xpGained: result.success ? mission.objectives[objectiveIndex]?.xpReward || 100 : 0,
+        xpGained,
+        score: scoring ? scoring.score : null,
+        scoreBreakdown: scoring ? scoring.breakdown : null,
         securityLevel: result.success ? "BYPASSED" : "ALERTED",
         results: result.results,
         errors: result.success ? [] : [{
-          code: "SECURITY_BREACH",
+          code: result.errorCode === 'POLICY_VIOLATION' ? "ACCESS_RESTRICTED" :
+            result.timedOut ? "TIMEOUT" : "SECURITY_BREACH",
           message: result.error || "Unknown error",
-          trace: "FIREWALL_BLOCKED"
+          trace: "FIREWALL_BLOCKED",
+          // Same plain-language explanation the playground returns
+          diagnosis: result.diagnosis || null
         }]
       },
       missionStatus: {
-        completed: result.success,
-        nextObjective: result.success && parseInt(objectiveIndex) < mission.objectives.length - 1 ? 
-          parseInt(objectiveIndex) + 1 : null
-      }
+        completed,
+        graded,
+        feedback: graded ? null : 'This objective has no verified answer yet, so it can\'t be completed or earn XP.',
+        nextObjective: completed ? currentObjective(updatedProgress) : null,
+        missionCompleted: playerStatus.mission.completed,
+        missionScore: playerStatus.mission.score
+      },
+      playerStatus: {
+        level: playerStatus.level,
+        xp: playerStatus.xp,
+        nextLevelXp: playerStatus.nextLevelXp,
+        levelUp: playerStatus.levelUp
+      },
+      achievements
     });
   } catch (error) {
     console.error('Error executing mission query:', error);
@@ -250,6 +409,90 @@ const executeMissionQuery = async (req, res) => {
   }
 };
 
+/**
+ * Get the requesting player's progress through a mission
+ */
+const getMissionProgress = async (req, res) => {
+  try {
+    const { mission, progress } = await loadMissionProgress(req);
+    
+    if (!mission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mission not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      progress: describeProgress(progress, mission)
+    });
+  } catch (error) {
+    console.error('Error getting mission progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting mission progress',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reveal the next hint of a mission objective
+ */
+const getObjectiveHint = async (req, res) => {
+  try {
+    const { mission, progress } = await loadMissionProgress(req);
+    const index = parseInt(req.params.objectiveIndex);
+    
+    if (!mission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mission not found'
+      });
+    }
+    
+    if (!Number.isInteger(index) || !mission.objectives[index]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid objective index, mission has ${mission.objectives.length} objectives`
+      });
+    }
+    
+    const unlock = await checkMissionUnlocked(req.userId || 'anonymous', mission);
+    if (!unlock.unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'Mission is locked',
+        unmetPrerequisites: unlock.unmetPrerequisites
+      });
+    }
+    
+    const access = checkObjectiveAccess(progress, index);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: access.reason,
+        currentObjective: currentObjective(progress)
+      });
+    }
+    
+    const hint = await revealHint(progress, mission, index);
+    
+    res.status(200).json({
+      success: true,
+      ...hint
+    });
+  } catch (error) {
+    console.error('Error revealing hint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revealing hint',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get player profile
  */
@@ -258,34 +501,21 @@ const getPlayerProfile = async (req, res) => {
     const userId = req.userId || 'anonymous';
     
     // Find or create player profile
-    let playerProfile = await PlayerProfile.findOne({ userId });
-    
-    if (!playerProfile) {
-      playerProfile = new PlayerProfile({
-        userId,
-        level: 1,
-        xp: 0,
-        skills: [{ name: "SQL", level: 1, xp: 0 }],
-        completedMissions: [],
-        achievements: [],
-        stats: {
-          queriesExecuted: 0,
-          successRate: 0,
-          optimizationScore: 0
-        }
-      });
-      
-      await playerProfile.save();
-    }
+    const playerProfile = await ensureProfile(userId);
+    const progress = levelProgress(playerProfile.xp);
     
     res.status(200).json({
       success: true,
       playerProfile: {
         level: playerProfile.level,
         xp: playerProfile.xp,
+        currentLevelXp: progress.currentLevelXp,
+        nextLevelXp: progress.nextLevelXp,
         skills: playerProfile.skills,
         stats: playerProfile.stats,
-        completedMissions: playerProfile.completedMissions
+        completedMissions: playerProfile.completedMissions,
+        achievements: describeAchievements(playerProfile),
+        leaderboardOptOut: playerProfile.leaderboardOptOut
       }
     });
   } catch (error) {
@@ -300,7 +530,10 @@ const getPlayerProfile = async (req, res) => {
 
 module.exports = {
   generateMissions,
+  getMissions,
   getMissionDetails,
   executeMissionQuery,
+  getMissionProgress,
+  getObjectiveHint,
   getPlayerProfile
 };
\ No newline at end of file
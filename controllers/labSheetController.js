@@ -11,6 +11,8 @@ const {
 } = require('../services/ai-analysis');
 const LabSheet = require('../models/LabSheet');
 const LearningGoal = require('../models/LearningGoal');
+const { verifyAnswerKey } = require('../services/answer-key');
+const config = require('../config/db-config');
 /**
  * Upload and process a lab sheet
  * @param {object} req - Express request object
@@ -24,6 +26,14 @@ const uploadLabSheet = async (req, res) => {
 
     const filePath = req.file.path;
     
+    // Database engine the lab's exercises are written for
+    const engine = req.body.engine || config.SQL_ENGINE;
+    if (!config.SQL_ENGINES.includes(engine)) {
+      return res.status(400).json({
+        message: `Invalid engine, expected one of: ${config.SQL_ENGINES.join(', ')}`
+      });
+    }
+    
     // Extract content from the PDF
     const pdfData = await extractPdfContent(filePath);
     
@@ -36,7 +46,8 @@ const uploadLabSheet = async (req, res) => {
       title: processedData.title,
       exercises: processedData.exercises, // Use the exercises directly
       originalText: processedData.rawText,
-      filePath: filePath
+      filePath: filePath,
+      engine
     });
     
     // Save to the database
@@ -48,6 +59,7 @@ const uploadLabSheet = async (req, res) => {
         id: labSheet._id,
         labNumber: labSheet.labNumber,
         title: labSheet.title,
+        engine: labSheet.engine,
         exercises: labSheet.exercises
       }
     });
@@ -136,10 +148,18 @@ const analyzeLabSheet = async (req, res) => {
           exercises: fullGoal.exercises || [],
           prerequisites: fullGoal.prerequisites || [],
           learningPath: fullGoal.learningPath,
-          order: i
+          order: i,
+          engine: labSheet.engine
         });
         
         await learningGoal.save();
+        
+        // Capture what the reference solutions return, so grading has an answer key
+        try {
+          await verifyAnswerKey(learningGoal);
+        } catch (error) {
+          console.error(`Error verifying answer key of goal ${learningGoal._id}:`, error);
+        }
         createdGoals.push(learningGoal);
 
         await generateMissionsFromLearningGoals(labSheet._id);
@@ -172,7 +192,8 @@ const analyzeLabSheet = async (req, res) => {
   const getLabSheetLearningGoals = async (req, res) => {
     try {
       const labSheetId = req.params.id;
-      const goals = await LearningGoal.find({ labSheetId }).sort('order');
+      // Reference solutions stay hidden from students
+      const goals = await LearningGoal.find({ labSheetId }).select('-learningPath.answerKey').sort('order');
       
       if (!goals || goals.length === 0) {
         return res.status(404).json({ message: 'No learning goals found for this lab sheet' });
@@ -193,7 +214,7 @@ const analyzeLabSheet = async (req, res) => {
   const getLearningGoal = async (req, res) => {
     try {
       const goalId = req.params.goalId;
-      const goal = await LearningGoal.findById(goalId);
+      const goal = await LearningGoal.findById(goalId).select('-learningPath.answerKey');
       
       if (!goal) {
         return res.status(404).json({ message: 'Learning goal not found' });
@@ -0,0 +1,108 @@
+// controllers/leaderboardController.js
+const mongoose = require('mongoose');
+const LabSheet = require('../models/LabSheet');
+const PlayerProfile = require('../models/PlayerProfile');
+const { LEADERBOARD_WINDOWS, buildLeaderboard } = require('../services/leaderboard');
+const { ensureProfile } = require('../services/progression');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Rank players globally, or within one lab sheet, for all time or the
+ * current week or month
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getLeaderboard = async (req, res) => {
+  try {
+    const { labSheetId } = req.params;
+    const { window = 'all' } = req.query;
+    const userId = req.userId || 'anonymous'; // Would come from auth middleware
+
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid window, expected one of: ${LEADERBOARD_WINDOWS.join(', ')}`
+      });
+    }
+
+    if (labSheetId !== undefined) {
+      if (!mongoose.isValidObjectId(labSheetId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid labSheetId'
+        });
+      }
+      if (!(await LabSheet.exists({ _id: labSheetId }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab sheet not found'
+        });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const leaderboard = await buildLeaderboard({
+      labSheetId: labSheetId ? new mongoose.Types.ObjectId(labSheetId) : null,
+      window,
+      page,
+      limit,
+      userId
+    });
+
+    res.status(200).json({
+      success: true,
+      scope: labSheetId ? 'labSheet' : 'global',
+      ...leaderboard
+    });
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building leaderboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Opt the requesting player out of leaderboards, or back in
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const setLeaderboardOptOut = async (req, res) => {
+  try {
+    const { optOut } = req.body;
+    const userId = req.userId || 'anonymous';
+
+    if (typeof optOut !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'optOut must be true or false'
+      });
+    }
+
+    await ensureProfile(userId);
+    await PlayerProfile.updateOne({ userId }, { $set: { leaderboardOptOut: optOut } });
+
+    res.status(200).json({
+      success: true,
+      leaderboardOptOut: optOut
+    });
+  } catch (error) {
+    console.error('Error updating leaderboard preference:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating leaderboard preference',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getLeaderboard,
+  setLeaderboardOptOut
+};
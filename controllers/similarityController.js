@@ -0,0 +1,64 @@
+// controllers/similarityController.js
+const LearningGoal = require('../models/LearningGoal');
+const { DEFAULT_THRESHOLD, findSimilarSubmissions } = require('../services/similarity');
+const { ANSWER_KEY_EXERCISES } = require('../services/answer-key');
+
+/**
+ * Report students whose final submissions to a learning goal are suspiciously similar
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getSimilarityReport = async (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const { exercise } = req.query;
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_THRESHOLD;
+
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a number between 0 and 1'
+      });
+    }
+
+    if (exercise !== undefined && !ANSWER_KEY_EXERCISES.includes(exercise)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid exercise, expected one of: ${ANSWER_KEY_EXERCISES.join(', ')}`
+      });
+    }
+
+    const goal = await LearningGoal.findById(goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning goal not found'
+      });
+    }
+
+    const report = await findSimilarSubmissions(goal, {
+      threshold,
+      exercises: exercise ? [exercise] : ANSWER_KEY_EXERCISES
+    });
+
+    res.status(200).json({
+      success: true,
+      goalId: goal._id,
+      title: goal.title,
+      threshold,
+      exercises: report
+    });
+  } catch (error) {
+    console.error('Error building similarity report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building similarity report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSimilarityReport
+};
@@ -1,7 +1,77 @@
 // controllers/sqlPlaygroundController.js
-const { executeQuery, validateQuery, resetEnvironment } = require('../services/sql-execution');
+const {
+  executeQuery,
+  validateQuery,
+  explainQuery,
+  describeSchema,
+  resetEnvironment,
+  cancelExecution,
+  EXECUTION_MODES
+} = require('../services/sql-execution');
 const LearningGoal = require('../models/LearningGoal');
-const { generateSetupScripts } = require('../services/schema-generation');
+const PlayerProfile = require('../models/PlayerProfile');
+const { generateSetupScripts, selectSetupScript, adaptSetupScript } = require('../services/schema-generation');
+const { registerSession, getSession, isSessionOwner, checkSessionAccess } = require('../services/sandbox-registry');
+const { destroySession, resetSession } = require('../services/sandbox-lifecycle');
+const { resolvePolicy } = require('../services/sql-policy');
+const { normalizeBinds } = require('../services/sql-binds');
+const { gradeWithDatasets } = require('../services/grading');
+const { gradeSchemaSubmission } = require('../services/schema-grading');
+const { scoreGrade } = require('../services/scoring');
+const { generateFeedback } = require('../services/ai-feedback');
+const { executionOutcome, recordAttempt } = require('../services/attempt-recorder');
+const { lintSql } = require('../services/sql-lint');
+const { gradableReference } = require('../services/answer-key');
+const { evaluateAchievements } = require('../services/achievements');
+const { ENGINE_NAMES, getEngine } = require('../services/engines');
+const config = require('../config/db-config');
+
+/**
+ * Get the playground session a request runs in.
+ * Clients send back the sessionId returned by the setup endpoints; without
+ * one the user works in their own default sandbox. Other users' sessions
+ * and IDs the server never issued are refused.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} userId - Requesting user
+ * @returns {Promise<string|null>} - Session ID, or null once a response has been sent
+ */
+const resolveSessionId = async (req, res, userId) => {
+  const sessionId = (req.body && req.body.sessionId) || req.query.sessionId || userId;
+  const access = await checkSessionAccess(sessionId, userId);
+  
+  if (!access.allowed) {
+    res.status(access.status).json({
+      success: false,
+      message: access.reason
+    });
+    return null;
+  }
+  
+  return sessionId;
+};
+
+/**
+ * Get the database engine a request runs on: the goal's engine, else the
+ * engine the client asks for, else the engine the session was set up on
+ * @param {object} req - Express request object
+ * @param {string} sessionId - Session ID
+ * @param {object} goal - Learning goal, if the request is for one
+ * @returns {Promise<string>} - Engine name
+ */
+const resolveEngine = async (req, sessionId, goal = null) => {
+  if (goal && goal.engine) {
+    return goal.engine;
+  }
+  
+  const requested = (req.body && req.body.engine) || req.query.engine;
+  if (requested) {
+    return requested;
+  }
+  
+  const session = await getSession(sessionId);
+  return session && session.engine ? session.engine : config.SQL_ENGINE;
+};
 
 /**
  * Execute a SQL query for a specific learning goal
@@ -10,9 +80,10 @@ const { generateSetupScripts } = require('../services/schema-generation');
  */
 const executeUserQuery = async (req, res) => {
   try {
-    const { query, goalId } = req.body;
+    const { query, goalId, mode = 'autocommit', undoLast = false, binds } = req.body;
     const userId = req.userId || 'anonymous'; // Would come from auth middleware
-    const sessionId = `${userId}_${Date.now()}`;
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
     
     if (!query) {
       return res.status(400).json({
@@ -21,16 +92,64 @@ const executeUserQuery = async (req, res) => {
       });
     }
     
-    // Execute the query
-    const result = await executeQuery(query, [], sessionId);
+    if (!EXECUTION_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode, expected one of: ${EXECUTION_MODES.join(', ')}`
+      });
+    }
     
-    // Record the attempt if goalId is provided
-    if (goalId) {
-      // TODO: Store the attempt in a QueryAttempt model
-      console.log(`Query attempt for goal ${goalId} by ${userId}`);
+    if (undoLast && mode !== 'transaction') {
+      return res.status(400).json({
+        success: false,
+        message: 'undoLast is only available in transaction mode'
+      });
     }
     
-    res.status(200).json(result);
+    const { error: bindError } = normalizeBinds(binds);
+    if (bindError) {
+      return res.status(400).json({
+        success: false,
+        message: bindError
+      });
+    }
+    
+    // Student statements are checked against the goal's statement policy
+    const goal = goalId ? await LearningGoal.findById(goalId) : null;
+    const policy = resolvePolicy(goal && goal.sqlPolicy);
+    
+    const engine = await resolveEngine(req, sessionId, goal);
+    if (!ENGINE_NAMES.includes(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    
+    // Execute the query within the goal's time, row and output limits
+    const result = await executeQuery(query, binds, sessionId, {
+      ...(goal && goal.executionLimits ? goal.executionLimits.toObject() : {}),
+      engine,
+      policy,
+      mode,
+      undoLast,
+      executionId: req.body.executionId,
+      userId
+    });
+    
+    await recordAttempt({
+      userId,
+      source: 'execute',
+      goalId: goal ? goal._id : undefined,
+      sessionId,
+      query,
+      ...executionOutcome(result)
+    });
+    
+    // Announce achievements the query earned
+    const achievements = result.success ? await evaluateAchievements(userId, 'query') : [];
+    
+    res.status(200).json({ ...result, achievements });
   } catch (error) {
     console.error('Error executing query:', error);
     res.status(500).json({
@@ -48,7 +167,10 @@ const executeUserQuery = async (req, res) => {
  */
 const validateUserQuery = async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, goalId } = req.body;
+    const userId = req.userId || 'anonymous';
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
     
     if (!query) {
       return res.status(400).json({
@@ -57,7 +179,18 @@ const validateUserQuery = async (req, res) => {
       });
     }
     
-    const result = await validateQuery(query);
+    const goal = goalId ? await LearningGoal.findById(goalId) : null;
+    const policy = resolvePolicy(goal && goal.sqlPolicy);
+    
+    const engine = await resolveEngine(req, sessionId, goal);
+    if (!ENGINE_NAMES.includes(engine)) {
+      return res.status(400).json({
+        valid: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    
+    const result = await validateQuery(query, sessionId, { policy, engine });
     res.status(200).json(result);
   } catch (error) {
     console.error('Error validating query:', error);
@@ -69,6 +202,156 @@ const validateUserQuery = async (req, res) => {
   }
 };
 
+/**
+ * Lint a SQL query without running it, reporting habits that give wrong or
+ * slow results even when the statement parses
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const lintUserQuery = async (req, res) => {
+  try {
+    const { query, goalId, exercise } = req.body;
+    const userId = req.userId || 'anonymous';
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'No query provided'
+      });
+    }
+    
+    const goal = goalId ? await LearningGoal.findById(goalId) : null;
+    
+    const engine = await resolveEngine(req, sessionId, goal);
+    if (!ENGINE_NAMES.includes(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    
+    // NOT NULL and index facts come from the script the sandbox was built with
+    const session = await getSession(sessionId);
+    let setupScript = session && session.setupScript;
+    if (!setupScript && goal) {
+      const answerKey = goal.learningPath.answerKey;
+      const reference = answerKey && answerKey[exercise === 'challenge' ? 'challenge' : 'practice'];
+      setupScript = (reference && reference.setupScript) || selectSetupScript(goal);
+    }
+    
+    // Answers to a learning goal are graded unless the client says otherwise
+    const graded = req.body.graded !== undefined ? Boolean(req.body.graded) : Boolean(goal);
+    
+    const result = lintSql(query, {
+      dialect: getEngine(engine).dialect,
+      graded,
+      setupScript
+    });
+    
+    res.status(200).json({
+      success: true,
+      engine,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error linting query:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error linting query',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Explain the execution plan of a SQL query
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const explainUserQuery = async (req, res) => {
+  try {
+    const { query, goalId } = req.body;
+    const userId = req.userId || 'anonymous';
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'No query provided'
+      });
+    }
+    
+    const goal = goalId ? await LearningGoal.findById(goalId) : null;
+    const policy = resolvePolicy(goal && goal.sqlPolicy);
+    
+    const engine = await resolveEngine(req, sessionId, goal);
+    if (!ENGINE_NAMES.includes(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    
+    const result = await explainQuery(query, sessionId, { policy, engine });
+    
+    // Fold the plan score into the player's running optimization score
+    if (result.success) {
+      const profile = await PlayerProfile.findOne({ userId });
+      if (profile) {
+        const previous = profile.stats && profile.stats.optimizationScore;
+        profile.set('stats.optimizationScore', typeof previous === 'number' ?
+          Math.round(previous * 0.8 + result.analysis.score * 0.2) :
+          result.analysis.score);
+        await profile.save();
+      }
+    }
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error explaining query:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error explaining query',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Describe the tables and views in the caller's sandbox
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getSessionSchema = async (req, res) => {
+  try {
+    const userId = req.userId || 'anonymous';
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
+    const goal = req.query.goalId ? await LearningGoal.findById(req.query.goalId) : null;
+    
+    const engine = await resolveEngine(req, sessionId, goal);
+    if (!ENGINE_NAMES.includes(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    
+    const result = await describeSchema(sessionId, { engine });
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Error describing schema:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error describing schema',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Setup the playground environment for a specific learning goal
  * @param {object} req - Express request object
@@ -79,7 +362,6 @@ const setupEnvironment = async (req, res) => {
     const { goalId } = req.params;
     const userId = req.userId || 'anonymous';
     const sessionId = `${userId}_${Date.now()}`;
-    const safeSessionId = sessionId.replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 20);
     
     // Get the learning goal details
     const goal = await LearningGoal.findById(goalId);
@@ -91,129 +373,34 @@ const setupEnvironment = async (req, res) => {
       });
     }
     
-    // Create a hardcoded script based on the goal type
-    let script = '';
-    
-    // Check goal keywords to determine appropriate script
-    const goalTitle = goal.title.toLowerCase();
-    const goalConcepts = goal.keyConcepts.map(c => c.toLowerCase());
-    
-    if (goalTitle.includes('schema') || 
-        goalConcepts.includes('object types') || 
-        goalConcepts.includes('object tables')) {
-      // Script for object-relational schema 
-      script = `
-CREATE TABLE ${safeSessionId}_departments (
-  deptno VARCHAR2(3) PRIMARY KEY,
-  deptname VARCHAR2(36),
-  mgrno VARCHAR2(6),
-  admrdept VARCHAR2(3)
-);
-
-CREATE TABLE ${safeSessionId}_employees (
-  empno VARCHAR2(6) PRIMARY KEY,
-  firstname VARCHAR2(12),
-  lastname VARCHAR2(15),
-  workdept VARCHAR2(3),
-  sex CHAR(1),
-  birthdate DATE,
-  salary NUMBER(8,2),
-  CONSTRAINT fk_workdept FOREIGN KEY (workdept) REFERENCES ${safeSessionId}_departments(deptno)
-);
-
-INSERT INTO ${safeSessionId}_departments VALUES ('A00', 'SPIFFY COMPUTER SERVICE DIV.', '000010', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('B01', 'PLANNING', '000020', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('C01', 'INFORMATION CENTRE', '000030', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('D01', 'DEVELOPMENT CENTRE', '000060', 'C01');
-
-INSERT INTO ${safeSessionId}_employees VALUES ('000010', 'CHRISTINE', 'HAAS', 'A00', 'F', TO_DATE('14-AUG-1953', 'DD-MON-YYYY'), 72750);
-INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 'B01', 'M', TO_DATE('02-FEB-1968', 'DD-MON-YYYY'), 61250);
-INSERT INTO ${safeSessionId}_employees VALUES ('000030', 'SALLY', 'KWAN', 'C01', 'F', TO_DATE('11-MAY-1971', 'DD-MON-YYYY'), 58250);
-INSERT INTO ${safeSessionId}_employees VALUES ('000060', 'IRVING', 'STERN', 'D01', 'M', TO_DATE('07-JUL-1965', 'DD-MON-YYYY'), 55555);
-
-CREATE VIEW ${safeSessionId}_dept_emp AS
-SELECT d.deptno, d.deptname, e.empno, e.firstname, e.lastname, e.salary
-FROM ${safeSessionId}_departments d
-JOIN ${safeSessionId}_employees e ON d.deptno = e.workdept;
-      `;
-    } else if (goalTitle.includes('queries') || 
-               goalConcepts.includes('sql queries') || 
-               goalConcepts.includes('object relational queries')) {
-      // Script for query exercises
-      script = `
-CREATE TABLE ${safeSessionId}_departments (
-  deptno VARCHAR2(3) PRIMARY KEY,
-  deptname VARCHAR2(36),
-  mgrno VARCHAR2(6),
-  admrdept VARCHAR2(3)
-);
-
-CREATE TABLE ${safeSessionId}_employees (
-  empno VARCHAR2(6) PRIMARY KEY,
-  firstname VARCHAR2(12),
-  lastname VARCHAR2(15),
-  workdept VARCHAR2(3),
-  sex CHAR(1),
-  birthdate DATE,
-  salary NUMBER(8,2),
-  CONSTRAINT fk_workdept FOREIGN KEY (workdept) REFERENCES ${safeSessionId}_departments(deptno)
-);
-
-INSERT INTO ${safeSessionId}_departments VALUES ('A00', 'SPIFFY COMPUTER SERVICE DIV.', '000010', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('B01', 'PLANNING', '000020', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('C01', 'INFORMATION CENTRE', '000030', 'A00');
-INSERT INTO ${safeSessionId}_departments VALUES ('D01', 'DEVELOPMENT CENTRE', '000060', 'C01');
-
-INSERT INTO ${safeSessionId}_employees VALUES ('000010', 'CHRISTINE', 'HAAS', 'A00', 'F', TO_DATE('14-AUG-1953', 'DD-MON-YYYY'), 72750);
-INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 'B01', 'M', TO_DATE('02-FEB-1968', 'DD-MON-YYYY'), 61250);
-INSERT INTO ${safeSessionId}_employees VALUES ('000030', 'SALLY', 'KWAN', 'C01', 'F', TO_DATE('11-MAY-1971', 'DD-MON-YYYY'), 58250);
-INSERT INTO ${safeSessionId}_employees VALUES ('000060', 'IRVING', 'STERN', 'D01', 'M', TO_DATE('07-JUL-1965', 'DD-MON-YYYY'), 55555);
-INSERT INTO ${safeSessionId}_employees VALUES ('000050', 'JOHN', 'GEYER', 'C01', 'M', TO_DATE('15-SEP-1955', 'DD-MON-YYYY'), 60175);
-INSERT INTO ${safeSessionId}_employees VALUES ('000070', 'EVA', 'PULASKI', 'D01', 'F', TO_DATE('26-MAY-1973', 'DD-MON-YYYY'), 56170);
-
-CREATE VIEW ${safeSessionId}_dept_emp AS
-SELECT d.deptno, d.deptname, e.empno, e.firstname, e.lastname, e.salary
-FROM ${safeSessionId}_departments d
-JOIN ${safeSessionId}_employees e ON d.deptno = e.workdept;
-
-CREATE VIEW ${safeSessionId}_dept_hierarchy AS
-SELECT d.deptno, d.deptname, d.admrdept, ad.deptname as admin_deptname
-FROM ${safeSessionId}_departments d
-JOIN ${safeSessionId}_departments ad ON d.admrdept = ad.deptno;
-
-CREATE VIEW ${safeSessionId}_dept_stats AS
-SELECT d.deptno, d.deptname, 
-       COUNT(e.empno) as emp_count,
-       AVG(e.salary) as avg_salary,
-       MAX(e.salary) as max_salary,
-       MIN(e.salary) as min_salary
-FROM ${safeSessionId}_departments d
-JOIN ${safeSessionId}_employees e ON d.deptno = e.workdept
-GROUP BY d.deptno, d.deptname;
-      `;
-    } else {
-      // Default script for other goals
-      script = `
-CREATE TABLE ${safeSessionId}_employees (
-  empno VARCHAR2(6) PRIMARY KEY,
-  firstname VARCHAR2(12),
-  lastname VARCHAR2(15),
-  salary NUMBER(8,2)
-);
-
-INSERT INTO ${safeSessionId}_employees VALUES ('000010', 'CHRISTINE', 'HAAS', 72750);
-INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 61250);
-      `;
-    }
+    // The answer key's setup script, or a sample schema that fits the goal
+    const exercise = req.query.exercise === 'challenge' ? 'challenge' : 'practice';
+    const answerKey = goal.learningPath.answerKey;
+    let script = (answerKey && answerKey[exercise] && answerKey[exercise].setupScript) || selectSetupScript(goal);
     
-    // Execute the script using our working executeQuery function
-    const result = await executeQuery(script);
+    // The sample scripts are written for Oracle
+    const engine = getEngine(goal.engine);
+    script = adaptSetupScript(script, engine.name);
+    
+    // Register the session so its sandbox can be reset and cleaned up later
+    await registerSession({
+      sessionId,
+      userId,
+      goalId: goal._id,
+      setupScript: script,
+      engine: engine.name,
+      schemaName: engine.getSandboxName(sessionId)
+    });
+    
+    // Execute the script inside the new session's sandbox
+    const result = await executeQuery(script, [], sessionId, { engine: engine.name, userId });
     
     res.status(200).json({
       success: result.success,
       message: result.success ? 'Environment setup successful' : 'Environment setup failed',
       results: result.results || [],
-      sessionId: safeSessionId,
+      sessionId,
+      engine: engine.name,
       goal: {
         id: goal._id,
         title: goal.title,
@@ -238,8 +425,25 @@ INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON',
 const evaluateSolution = async (req, res) => {
   try {
     const { goalId } = req.params;
-    const { query, isChallenge } = req.body;
+    const { query, isChallenge, binds } = req.body;
     const userId = req.userId || 'anonymous'; // Would come from auth middleware
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'No query provided'
+      });
+    }
+    
+    const { error: bindError } = normalizeBinds(binds);
+    if (bindError) {
+      return res.status(400).json({
+        success: false,
+        message: bindError
+      });
+    }
     
     // Get the learning goal details
     const goal = await LearningGoal.findById(goalId);
@@ -251,17 +455,99 @@ const evaluateSolution = async (req, res) => {
       });
     }
     
-    // Execute the user's query
-    const result = await executeQuery(query);
+    const executionOptions = {
+      ...(goal.executionLimits ? goal.executionLimits.toObject() : {}),
+      engine: goal.engine,
+      policy: resolvePolicy(goal.sqlPolicy),
+      executionId: req.body.executionId,
+      userId
+    };
+    
+    const exercise = isChallenge ? 'challenge' : 'practice';
+    const reference = gradableReference(goal.learningPath.answerKey, exercise);
+    
+    // Without a verified reference solution the query can run, but it can't be marked correct
+    if (!reference) {
+      const result = await executeQuery(query, binds, sessionId, { ...executionOptions, mode: 'preview' });
+      const feedback = result.success ?
+        'Your solution executed, but this exercise has no verified reference solution to check it against yet.' :
+        `There was an error: ${result.error || 'Unknown error'}`;
+      
+      await recordAttempt({
+        userId,
+        source: 'evaluate',
+        goalId: goal._id,
+        sessionId,
+        query,
+        ...executionOutcome(result),
+        isSuccessful: false,
+        isChallenge: Boolean(isChallenge),
+        feedback,
+        points: 0
+      });
+      
+      // A failed script still gets hints on its error
+      const hints = result.success ? null :
+        await generateFeedback({ goal, exercise, query, grade: { executionResult: result }, reference: null });
+      
+      return res.status(200).json({
+        correct: false,
+        graded: false,
+        feedback,
+        hints: hints ? hints.hints : [],
+        hintSource: hints ? hints.source : null,
+        points: 0,
+        executionResult: result,
+        diff: null
+      });
+    }
+    
+    // DDL exercises are checked against the schema they should leave behind,
+    // the rest by comparing the user's result with the reference solution's
+    const grade = reference.expectedSchema ?
+      await gradeSchemaSubmission(goal, reference.toObject(), query, executionOptions, binds) :
+      await gradeWithDatasets(goal, reference.toObject(), query, executionOptions, binds);
+    
+    // Partial credit from the exercise's rubric
+    const scoring = await scoreGrade(reference.toObject(), exercise, grade, query, sessionId, executionOptions);
+    
+    // Hints towards the fix, without the answer
+    const hints = grade.correct ? null :
+      await generateFeedback({ goal, exercise, query, grade, scoring, reference: reference.toObject() });
+    
+    await recordAttempt({
+      userId,
+      source: 'evaluate',
+      goalId: goal._id,
+      sessionId,
+      query,
+      ...executionOutcome(grade.executionResult),
+      isSuccessful: grade.correct,
+      isChallenge: Boolean(isChallenge),
+      feedback: grade.feedback,
+      points: scoring.points,
+      maxPoints: scoring.maxPoints,
+      score: scoring.score,
+      scoreBreakdown: scoring.breakdown
+    });
+    
+    const achievements = grade.correct ? await evaluateAchievements(userId, 'query') : [];
     
-    // For now, simple evaluation - we'll just check if the query executed successfully
     const evaluation = {
-      correct: result.success,
-      feedback: result.success ? 
-        'Your solution executed successfully!' : 
-        `There was an error: ${result.error || 'Unknown error'}`,
-      points: result.success ? (isChallenge ? 10 : 5) : 0,
-      executionResult: result
+      correct: grade.correct,
+      graded: true,
+      feedback: grade.feedback,
+      hints: hints ? hints.hints : [],
+      hintSource: hints ? hints.source : null,
+      points: scoring.points,
+      maxPoints: scoring.maxPoints,
+      score: scoring.score,
+      scoreBreakdown: scoring.breakdown,
+      executionResult: grade.executionResult,
+      diff: grade.diff || null,
+      cases: grade.cases || null,
+      schemaChecks: grade.schemaChecks || null,
+      achievements
     };
     
     res.status(200).json(evaluation);
@@ -284,29 +570,47 @@ const setupTestEnvironment = async (req, res) => {
   try {
     const userId = req.userId || 'anonymous';
     const sessionId = `${userId}_${Date.now()}`;
-    const safeSessionId = sessionId.replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 20);
+    
+    const engineName = req.query.engine || config.SQL_ENGINE;
+    if (!ENGINE_NAMES.includes(engineName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid engine, expected one of: ${ENGINE_NAMES.join(', ')}`
+      });
+    }
+    const engine = getEngine(engineName);
     
     // Simple Oracle script that should definitely work
-    const setupScript = `
-CREATE TABLE ${safeSessionId}_employees (
+    const oracleScript = `
+CREATE TABLE employees (
   empno VARCHAR2(6) PRIMARY KEY,
   firstname VARCHAR2(12),
   lastname VARCHAR2(15),
   salary NUMBER(8,2)
 );
 
-INSERT INTO ${safeSessionId}_employees VALUES ('000010', 'CHRISTINE', 'HAAS', 72750);
-INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 61250);
+INSERT INTO employees VALUES ('000010', 'CHRISTINE', 'HAAS', 72750);
+INSERT INTO employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 61250);
     `;
+    const setupScript = adaptSetupScript(oracleScript, engine.name);
+    
+    await registerSession({
+      sessionId,
+      userId,
+      setupScript,
+      engine: engine.name,
+      schemaName: engine.getSandboxName(sessionId)
+    });
     
-    // Execute using the raw query function
-    const result = await executeQuery(setupScript);
+    // Execute inside the new session's sandbox
+    const result = await executeQuery(setupScript, [], sessionId, { engine: engine.name, userId });
     
     res.status(200).json({
       success: result.success,
       message: result.success ? 'Test environment setup successful' : 'Test environment setup failed',
       result,
-      sessionId: safeSessionId
+      sessionId,
+      engine: engine.name
     });
   } catch (error) {
     console.error('Error setting up test environment:', error);
@@ -318,10 +622,152 @@ INSERT INTO ${safeSessionId}_employees VALUES ('000020', 'MICHAEL', 'THOMPSON',
   }
 };
 
+/**
+ * Look up a session and check it belongs to the requesting user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {Promise<object|null>} - Session record, or null once a response has been sent
+ */
+const findOwnedSession = async (req, res) => {
+  const { sessionId } = req.params;
+  const userId = req.userId || 'anonymous';
+  const session = await getSession(sessionId);
+  
+  if (!session || session.status !== 'active') {
+    res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+    return null;
+  }
+  
+  if (!isSessionOwner(session, userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Session belongs to another user'
+    });
+    return null;
+  }
+  
+  return session;
+};
+
+/**
+ * Drop a playground session and all objects in its sandbox
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, res);
+    if (!session) return;
+    
+    const result = await destroySession(session.sessionId);
+    
+    res.status(200).json({
+      success: result.errors.length === 0,
+      message: 'Session deleted',
+      sessionId: result.sessionId,
+      dropped: result.dropped,
+      errors: result.errors
+    });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Drop a session's objects and rebuild its starting environment
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const resetSessionEnvironment = async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, res);
+    if (!session) return;
+    
+    const result = await resetSession(session.sessionId);
+    const setupSucceeded = !result.setup || result.setup.success;
+    
+    res.status(200).json({
+      success: result.errors.length === 0 && setupSucceeded,
+      message: setupSucceeded ? 'Session reset successful' : 'Session reset failed',
+      sessionId: result.sessionId,
+      dropped: result.dropped,
+      errors: result.errors,
+      results: result.setup ? result.setup.results || [] : []
+    });
+  } catch (error) {
+    console.error('Error resetting session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a running query execution
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const cancelQuery = async (req, res) => {
+  try {
+    const { executionId } = req.params;
+    const userId = req.userId;
+    
+    // Unauthenticated callers all share one identity, so none may cancel
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Only signed-in users can cancel executions'
+      });
+    }
+    
+    // Executions are found in the session they were started in
+    const sessionId = await resolveSessionId(req, res, userId);
+    if (!sessionId) return;
+    
+    const result = await cancelExecution(executionId, userId, sessionId);
+    
+    if (!result.cancelled) {
+      return res.status(result.forbidden ? 403 : 404).json({
+        success: false,
+        message: result.reason
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Execution cancelled',
+      executionId
+    });
+  } catch (error) {
+    console.error('Error cancelling query:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling query',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   executeUserQuery,
   validateUserQuery,
+  lintUserQuery,
+  explainUserQuery,
+  getSessionSchema,
   setupEnvironment,
   evaluateSolution,
-  setupTestEnvironment
+  setupTestEnvironment,
+  deleteSession,
+  resetSessionEnvironment,
+  cancelQuery
 };
\ No newline at end of file
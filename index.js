@@ -7,6 +7,7 @@ const labSheetRoutes = require('./routes/labSheetRoutes');
 const sqlPlaygroundRoutes = require('./routes/sqlPlaygroundRoutes');
 const path = require('path');
 const gameRoutes = require('./routes/gameRoutes');
+const { startSandboxReaper } = require('./services/sandbox-lifecycle');
 
 // Initialize Express App
 const app = express();
@@ -20,6 +21,9 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Connect to MongoDB
 connectDB();
 
+// Periodically drop expired playground sandboxes
+startSandboxReaper();
+
 // Routes
 app.use('/api/lab-sheets', labSheetRoutes);
 app.use('/api/sql-playground', sqlPlaygroundRoutes);
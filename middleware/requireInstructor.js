@@ -0,0 +1,45 @@
+// middleware/requireInstructor.js
+const crypto = require('crypto');
+
+/**
+ * Check whether a request carries the instructor key in the x-instructor-key header
+ * @param {object} req - Express request object
+ * @returns {boolean} - Whether the key matches INSTRUCTOR_API_KEY
+ */
+const hasInstructorKey = (req) => {
+  const expected = process.env.INSTRUCTOR_API_KEY;
+  const provided = req.get('x-instructor-key');
+
+  return Boolean(expected) && typeof provided === 'string' &&
+    Buffer.byteLength(provided) === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+};
+
+/**
+ * Only let requests through that carry the instructor key in the x-instructor-key header.
+ * Without INSTRUCTOR_API_KEY set, instructor routes are closed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireInstructor = (req, res, next) => {
+  if (!process.env.INSTRUCTOR_API_KEY) {
+    return res.status(403).json({
+      success: false,
+      message: 'Instructor access is not configured'
+    });
+  }
+
+  if (!hasInstructorKey(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Instructor key required'
+    });
+  }
+
+  req.isInstructor = true;
+  next();
+};
+
+module.exports = requireInstructor;
+module.exports.hasInstructorKey = hasInstructorKey;
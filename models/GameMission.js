@@ -1,9 +1,16 @@
 // models/GameMission.js
 const mongoose = require('mongoose');
+const sqlPolicySchema = require('./sqlPolicySchema');
 
 const objectiveSchema = new mongoose.Schema({
   title: String,
   description: String,
+  // Answer key exercise the objective is graded against
+  exercise: {
+    type: String,
+    enum: ['practice', 'challenge']
+  },
+  // XP for a full score; partial scores earn a share of it
   xpReward: Number,
   hints: [String]
 });
@@ -14,6 +21,11 @@ const gameMissionSchema = new mongoose.Schema({
     ref: 'LearningGoal',
     required: true
   },
+  labSheetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabSheet',
+    index: true
+  },
   title: String,
   narrative: String,
   difficulty: {
@@ -23,10 +35,14 @@ const gameMissionSchema = new mongoose.Schema({
   },
   objectives: [objectiveSchema],
   totalXP: Number,
-  unlockedAt: {
-    type: Date,
-    default: Date.now
-  }
+  sqlPolicy: {
+    type: sqlPolicySchema
+  },
+  // Missions that unlock this one once completed (or their goals mastered)
+  prerequisiteMissionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameMission'
+  }]
 });
 
 const GameMission = mongoose.model('GameMission', gameMissionSchema);
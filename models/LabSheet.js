@@ -1,5 +1,6 @@
 // models/LabSheet.js
 const mongoose = require('mongoose');
+const config = require('../config/db-config');
 
 const exerciseSchema = new mongoose.Schema({
   number: {
@@ -29,6 +30,11 @@ const labSheetSchema = new mongoose.Schema({
       type: String,
       default: 'Database Systems'
     },
+    engine: {
+      type: String,
+      enum: config.SQL_ENGINES,
+      default: config.SQL_ENGINE
+    },
     exercises: [exerciseSchema],
     originalText: {
       type: String,
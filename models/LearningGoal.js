@@ -1,5 +1,171 @@
 // models/LearningGoal.js
 const mongoose = require('mongoose');
+const sqlPolicySchema = require('./sqlPolicySchema');
+const config = require('../config/db-config');
+const { RUBRIC_CRITERIA } = require('../config/scoring');
+
+// How a student's result set is matched against the reference solution's
+const comparisonSchema = new mongoose.Schema({
+  ordered: {
+    type: Boolean,
+    default: false
+  },
+  ignoreColumnNames: {
+    type: Boolean,
+    default: false
+  },
+  numericTolerance: {
+    type: Number,
+    default: 0
+  },
+  nullsEqual: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Declarative description of the schema a DDL exercise should leave behind
+const memberSpecSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // e.g. VARCHAR2(36), NUMBER or REF dept_t; without a length any length matches
+  type: String,
+  nullable: Boolean
+}, { _id: false });
+
+const expectedSchemaSchema = new mongoose.Schema({
+  types: [new mongoose.Schema({
+    name: {
+      type: String,
+      required: true
+    },
+    attributes: [memberSpecSchema]
+  }, { _id: false })],
+  tables: [new mongoose.Schema({
+    name: {
+      type: String,
+      required: true
+    },
+    ofType: String,
+    columns: [memberSpecSchema]
+  }, { _id: false })],
+  constraints: [new mongoose.Schema({
+    table: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['PRIMARY KEY', 'FOREIGN KEY', 'UNIQUE', 'CHECK'],
+      required: true
+    },
+    columns: [String],
+    references: String
+  }, { _id: false })],
+  views: [new mongoose.Schema({
+    name: {
+      type: String,
+      required: true
+    },
+    columns: [String]
+  }, { _id: false })]
+}, { _id: false });
+
+// Other data the student's query must also get right, so answers can't hard-code the sample rows
+const datasetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Replaces the setup script for this case
+  seedScript: String,
+  // Runs after the setup or seed script, e.g. INSERT, UPDATE or DELETE statements
+  mutation: String,
+  // Students see the diff of visible cases; hidden cases only report pass or fail
+  visible: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// What the reference solution returned when it was last verified
+const expectedResultSchema = new mongoose.Schema({
+  columns: mongoose.Schema.Types.Mixed,
+  rows: mongoose.Schema.Types.Mixed,
+  rowCount: Number,
+  affectedRows: Number,
+  outBinds: mongoose.Schema.Types.Mixed,
+  truncated: Boolean
+}, { _id: false });
+
+// Weighted criteria that earn partial credit; see config/scoring.js
+const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    enum: RUBRIC_CRITERIA,
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // usesConstruct: keyword or phrase (e.g. DEREF, GROUP BY) or DOT NOTATION
+  construct: String,
+  // performance: highest optimizer cost that still earns the weight
+  maxCost: Number
+}, { _id: false });
+
+const rubricSchema = new mongoose.Schema({
+  // Points in the playground and XP in missions for a full score
+  maxPoints: {
+    type: Number,
+    min: 0
+  },
+  maxXp: {
+    type: Number,
+    min: 0
+  },
+  criteria: [rubricCriterionSchema]
+}, { _id: false });
+
+const referenceSolutionSchema = new mongoose.Schema({
+  solution: {
+    type: String
+  },
+  // Schema and data the solution runs against (Oracle syntax)
+  setupScript: {
+    type: String
+  },
+  comparison: {
+    type: comparisonSchema,
+    default: () => ({})
+  },
+  datasets: [datasetSchema],
+  rubric: {
+    type: rubricSchema
+  },
+  // Set for DDL exercises, which are graded by the schema they leave behind
+  expectedSchema: {
+    type: expectedSchemaSchema
+  },
+  expected: {
+    type: expectedResultSchema
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verificationError: {
+    type: String
+  }
+}, { _id: false });
+
+const answerKeySchema = new mongoose.Schema({
+  practice: referenceSolutionSchema,
+  challenge: referenceSolutionSchema
+}, { _id: false });
 
 const learningPathSchema = new mongoose.Schema({
   concept: {
@@ -17,9 +183,18 @@ const learningPathSchema = new mongoose.Schema({
   challenge: {
     type: String,
     required: true
+  },
+  answerKey: {
+    type: answerKeySchema
   }
 });
 
+const executionLimitsSchema = new mongoose.Schema({
+  callTimeoutMs: Number,
+  maxRows: Number,
+  maxOutputBytes: Number
+}, { _id: false });
+
 const learningGoalSchema = new mongoose.Schema({
   labSheetId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -47,6 +222,17 @@ const learningGoalSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  engine: {
+    type: String,
+    enum: config.SQL_ENGINES,
+    default: config.SQL_ENGINE
+  },
+  sqlPolicy: {
+    type: sqlPolicySchema
+  },
+  executionLimits: {
+    type: executionLimitsSchema
+  },
   createdAt: {
     type: Date,
     default: Date.now
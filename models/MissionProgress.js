@@ -0,0 +1,76 @@
+// models/MissionProgress.js
+const mongoose = require('mongoose');
+
+// Objectives are played in order: the first starts active, and completing
+// one makes the next one active
+const OBJECTIVE_STATES = ['locked', 'active', 'completed'];
+
+const objectiveProgressSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: OBJECTIVE_STATES,
+    default: 'locked'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Attempts whose script failed to run
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  hintsUsed: {
+    type: Number,
+    default: 0
+  },
+  bestScore: {
+    type: Number
+  },
+  unlockedAt: {
+    type: Date
+  },
+  firstAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const missionProgressSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  missionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameMission',
+    required: true
+  },
+  objectives: [objectiveProgressSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+missionProgressSchema.index({ userId: 1, missionId: 1 }, { unique: true });
+
+const MissionProgress = mongoose.model('MissionProgress', missionProgressSchema);
+
+module.exports = MissionProgress;
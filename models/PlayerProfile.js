@@ -16,6 +16,42 @@ const completedMissionSchema = new mongoose.Schema({
   score: Number
 });
 
+// Best result a player has had on one mission objective. XP is only ever
+// awarded for improving on it, so repeating a solved query earns nothing.
+const objectiveAwardSchema = new mongoose.Schema({
+  missionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameMission',
+    required: true
+  },
+  objectiveIndex: {
+    type: Number,
+    required: true
+  },
+  xp: {
+    type: Number,
+    default: 0
+  },
+  score: Number,
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  awardedAt: Date
+}, { _id: false });
+
+// Achievement from config/achievements.js and when the player earned it
+const achievementSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const playerProfileSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -32,7 +68,13 @@ const playerProfileSchema = new mongoose.Schema({
   },
   skills: [skillSchema],
   completedMissions: [completedMissionSchema],
-  achievements: [String],
+  objectiveAwards: [objectiveAwardSchema],
+  achievements: [achievementSchema],
+  // Hides the player from leaderboards
+  leaderboardOptOut: {
+    type: Boolean,
+    default: false
+  },
   stats: {
     queriesExecuted: Number,
     successRate: Number,
@@ -6,10 +6,31 @@ const queryAttemptSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Where the attempt was made: a playground execute or evaluate, or a mission
+  source: {
+    type: String,
+    enum: ['execute', 'evaluate', 'mission'],
+    required: true
+  },
   goalId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'LearningGoal',
-    required: true
+    ref: 'LearningGoal'
+  },
+  missionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameMission'
+  },
+  objectiveIndex: {
+    type: Number
+  },
+  sessionId: {
+    type: String
+  },
+  engine: {
+    type: String
+  },
+  mode: {
+    type: String
   },
   query: {
     type: String,
@@ -29,6 +50,13 @@ const queryAttemptSchema = new mongoose.Schema({
   error: {
     type: String
   },
+  errorNum: {
+    type: Number
+  },
+  // Set when the script was rejected before it ran, e.g. POLICY_VIOLATION
+  errorCode: {
+    type: String
+  },
   feedback: {
     type: String
   },
@@ -36,12 +64,36 @@ const queryAttemptSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  maxPoints: {
+    type: Number
+  },
+  // Share of the rubric the attempt met, from 0 to 1
+  score: {
+    type: Number
+  },
+  // XP a mission attempt earned
+  xpGained: {
+    type: Number
+  },
+  scoreBreakdown: [{
+    _id: false,
+    criterion: String,
+    construct: String,
+    weight: Number,
+    passed: Boolean,
+    earned: Number,
+    detail: String
+  }],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Attempt history is listed per user or goal, newest first
+queryAttemptSchema.index({ userId: 1, createdAt: -1 });
+queryAttemptSchema.index({ goalId: 1, createdAt: -1 });
+
 const QueryAttempt = mongoose.model('QueryAttempt', queryAttemptSchema);
 
 module.exports = QueryAttempt;
\ No newline at end of file
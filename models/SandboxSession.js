@@ -0,0 +1,61 @@
+// models/SandboxSession.js
+const mongoose = require('mongoose');
+const config = require('../config/db-config');
+
+const sandboxObjectSchema = new mongoose.Schema({
+  name: String,
+  type: String,
+  createdAt: Date
+}, { _id: false });
+
+const sandboxSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String
+  },
+  engine: {
+    type: String,
+    enum: config.SQL_ENGINES,
+    default: config.SQL_ENGINE
+  },
+  schemaName: {
+    type: String,
+    required: true
+  },
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningGoal'
+  },
+  setupScript: {
+    type: String
+  },
+  objects: [sandboxObjectSchema],
+  status: {
+    type: String,
+    enum: ['active', 'dropped'],
+    default: 'active'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+  droppedAt: {
+    type: Date
+  }
+});
+
+const SandboxSession = mongoose.model('SandboxSession', sandboxSessionSchema);
+
+module.exports = SandboxSession;
@@ -0,0 +1,20 @@
+// models/sqlPolicySchema.js
+const mongoose = require('mongoose');
+
+// Statement policy overrides shared by learning goals and missions.
+// See services/sql-policy.js for how the layers are combined.
+const sqlPolicySchema = new mongoose.Schema({
+  allowKinds: [{
+    type: String,
+    enum: ['query', 'dml', 'ddl', 'plsql', 'transaction', 'admin', 'other']
+  }],
+  denyKinds: [{
+    type: String,
+    enum: ['query', 'dml', 'ddl', 'plsql', 'transaction', 'admin', 'other']
+  }],
+  allowCommands: [String],
+  denyCommands: [String],
+  deniedIdentifiers: [String]
+}, { _id: false });
+
+module.exports = sqlPolicySchema;
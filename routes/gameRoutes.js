@@ -3,21 +3,41 @@ const express = require('express');
 const router = express.Router();
 const {
   generateMissions,
+  getMissions,
   getMissionDetails,
   executeMissionQuery,
+  getMissionProgress,
+  getObjectiveHint,
   getPlayerProfile
 } = require('../controllers/gameController');
+const { getLeaderboard, setLeaderboardOptOut } = require('../controllers/leaderboardController');
 
 // Generate missions for a lab sheet
 router.post('/generate/:labSheetId', generateMissions);
 
+// List a lab sheet's missions as an unlock graph (?labSheetId=)
+router.get('/missions', getMissions);
+
 // Get mission details
 router.get('/mission/:missionId', getMissionDetails);
 
 // Execute a mission query
 router.post('/mission/:missionId/execute/:objectiveIndex?', executeMissionQuery);
 
+// Get the player's progress through a mission
+router.get('/mission/:missionId/progress', getMissionProgress);
+
+// Reveal the next hint of an objective
+router.post('/mission/:missionId/objective/:objectiveIndex/hint', getObjectiveHint);
+
 // Get player profile
 router.get('/player', getPlayerProfile);
 
+// Opt out of leaderboards, or back in
+router.put('/player/leaderboard-opt-out', setLeaderboardOptOut);
+
+// Leaderboards: global, or per lab sheet (?window=all|week|month&page=&limit=)
+router.get('/leaderboard', getLeaderboard);
+router.get('/leaderboard/lab-sheets/:labSheetId', getLeaderboard);
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/fileUpload');
+const requireInstructor = require('../middleware/requireInstructor');
 const { 
   uploadLabSheet, 
   getAllLabSheets, 
@@ -10,6 +11,12 @@ const {
   getLabSheetLearningGoals,
   getLearningGoal
 } = require('../controllers/labSheetController');
+const {
+  getAnswerKey,
+  updateAnswerKey,
+  reverifyAnswerKey
+} = require('../controllers/answerKeyController');
+const { getSimilarityReport } = require('../controllers/similarityController');
 
 // Upload a lab sheet
 router.post('/upload', upload.single('labSheet'), uploadLabSheet);
@@ -29,4 +36,16 @@ router.get('/:id/learning-goals', getLabSheetLearningGoals);
 // Get a specific learning goal
 router.get('/learning-goals/:goalId', getLearningGoal);
 
+// Review a learning goal's reference solutions (instructors only)
+router.get('/learning-goals/:goalId/answer-key', requireInstructor, getAnswerKey);
+
+// Edit and re-verify the practice or challenge reference solution (instructors only)
+router.put('/learning-goals/:goalId/answer-key/:exercise', requireInstructor, updateAnswerKey);
+
+// Re-run every reference solution and refresh the expected results (instructors only)
+router.post('/learning-goals/:goalId/answer-key/verify', requireInstructor, reverifyAnswerKey);
+
+// Pairs and groups of suspiciously similar final submissions (instructors only)
+router.get('/learning-goals/:goalId/similarity', requireInstructor, getSimilarityReport);
+
 module.exports = router;
\ No newline at end of file
@@ -4,24 +4,52 @@ const router = express.Router();
 const {
   executeUserQuery,
   validateUserQuery,
+  lintUserQuery,
+  explainUserQuery,
+  getSessionSchema,
   setupEnvironment,
   evaluateSolution,
-  setupTestEnvironment
+  setupTestEnvironment,
+  deleteSession,
+  resetSessionEnvironment,
+  cancelQuery
 } = require('../controllers/sqlPlaygroundController');
+const { listAttempts } = require('../controllers/attemptController');
 
 // Execute a SQL query
 router.post('/execute', executeUserQuery);
 
+// Cancel a running execution
+router.post('/cancel/:executionId', cancelQuery);
+
 // Validate a SQL query
 router.post('/validate', validateUserQuery);
 
+// Lint a SQL query without running it
+router.post('/lint', lintUserQuery);
+
+// Explain a SQL query's execution plan
+router.post('/explain', explainUserQuery);
+
+// Describe the tables in the caller's sandbox
+router.get('/schema', getSessionSchema);
+
 // Setup environment for a specific learning goal
 router.get('/setup/:goalId', setupEnvironment);
 
 // Evaluate a solution
 router.post('/evaluate/:goalId', evaluateSolution);
 
+// Attempt history: the caller's own, or anyone's with the instructor key
+router.get('/attempts', listAttempts);
+
 // Setup test environment
 router.get('/setup-test', setupTestEnvironment);
 
+// Drop a session and its sandbox objects
+router.delete('/session/:sessionId', deleteSession);
+
+// Reset a session's sandbox to its starting environment
+router.post('/session/:sessionId/reset', resetSessionEnvironment);
+
 module.exports = router;
\ No newline at end of file
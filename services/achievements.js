@@ -0,0 +1,184 @@
+// services/achievements.js
+const PlayerProfile = require('../models/PlayerProfile');
+const QueryAttempt = require('../models/QueryAttempt');
+const MissionProgress = require('../models/MissionProgress');
+const GameMission = require('../models/GameMission');
+const LearningGoal = require('../models/LearningGoal');
+const { ensureProfile } = require('./progression');
+const { usesConstruct } = require('./scoring');
+const { ACHIEVEMENTS } = require('../config/achievements');
+
+// Furthest back a streak is counted
+const STREAK_WINDOW_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count the consecutive days, ending today or yesterday, with a successful query
+ * @param {string} userId - Player's user ID
+ * @returns {Promise<number>} - Streak length in days
+ */
+const dayStreak = async (userId) => {
+  const days = await QueryAttempt.aggregate([
+    { $match: { userId, isSuccessful: true, createdAt: { $gte: new Date(Date.now() - STREAK_WINDOW_DAYS * DAY_MS) } } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } }
+  ]);
+  const active = new Set(days.map(day => day._id));
+
+  // A streak isn't broken until a whole day passes without a query
+  const dayKey = (offset) => new Date(Date.now() - offset * DAY_MS).toISOString().substring(0, 10);
+  let offset = active.has(dayKey(0)) ? 0 : 1;
+  let streak = 0;
+  while (active.has(dayKey(offset))) {
+    streak++;
+    offset++;
+  }
+  return streak;
+};
+
+/**
+ * Count the missions with a successful attempt that uses a construct
+ * @param {string} userId - Player's user ID
+ * @param {string} construct - Construct such as DEREF
+ * @returns {Promise<number>} - Number of missions
+ */
+const missionsUsingConstruct = async (userId, construct) => {
+  const attempts = await QueryAttempt.find(
+    { userId, source: 'mission', isSuccessful: true },
+    { missionId: 1, query: 1 }
+  ).lean();
+  const missions = new Set(attempts
+    .filter(attempt => attempt.missionId && usesConstruct(attempt.query, construct))
+    .map(attempt => String(attempt.missionId)));
+  return missions.size;
+};
+
+/**
+ * Count the lab sheets whose missions the player has all completed
+ * @param {string} userId - Player's user ID
+ * @returns {Promise<number>} - Number of lab sheets
+ */
+const labSheetsCompleted = async (userId) => {
+  const completed = new Set((await MissionProgress.find(
+    { userId, completedAt: { $ne: null } },
+    { missionId: 1 }
+  ).lean()).map(progress => String(progress.missionId)));
+  if (completed.size === 0) return 0;
+
+  // Lab sheets the completed missions belong to, through their learning goals
+  const completedMissions = await GameMission.find({ _id: { $in: [...completed] } }, { learningGoalId: 1 }).lean();
+  const labSheetIds = await LearningGoal.distinct('labSheetId', {
+    _id: { $in: completedMissions.map(mission => mission.learningGoalId) }
+  });
+
+  let count = 0;
+  for (const labSheetId of labSheetIds) {
+    const goalIds = await LearningGoal.distinct('_id', { labSheetId });
+    const missionIds = await GameMission.distinct('_id', { learningGoalId: { $in: goalIds } });
+    if (missionIds.length > 0 && missionIds.every(id => completed.has(String(id)))) {
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Measure one achievement metric for a player
+ * @param {string} userId - Player's user ID
+ * @param {object} definition - Achievement definition
+ * @param {object} profile - Player profile
+ * @returns {Promise<number>} - Metric value
+ */
+const measureMetric = async (userId, definition, profile) => {
+  switch (definition.metric) {
+    case 'successfulQueries':
+      return QueryAttempt.countDocuments({ userId, isSuccessful: true });
+    case 'dayStreak':
+      return dayStreak(userId);
+    case 'missionsCompleted':
+      return MissionProgress.countDocuments({ userId, completedAt: { $ne: null } });
+    case 'flawlessMissions':
+      // No objective of the mission has a failed attempt
+      return MissionProgress.countDocuments({
+        userId,
+        completedAt: { $ne: null },
+        'objectives.failedAttempts': { $not: { $gt: 0 } }
+      });
+    case 'missionsUsingConstruct':
+      return missionsUsingConstruct(userId, definition.construct);
+    case 'labSheetsCompleted':
+      return labSheetsCompleted(userId);
+    case 'level':
+      return profile.level || 1;
+    default:
+      throw new Error(`Unknown achievement metric ${definition.metric}`);
+  }
+};
+
+/**
+ * Check the achievements a player hasn't earned yet after an event, and
+ * store the ones they now meet. Never throws: a failed check mustn't fail
+ * the request that triggered it.
+ * @param {string} userId - Player's user ID
+ * @param {string} event - query or mission
+ * @returns {Promise<Array<object>>} - Newly unlocked achievements
+ */
+const evaluateAchievements = async (userId, event) => {
+  try {
+    const profile = await ensureProfile(userId);
+    const earned = new Set(profile.achievements.map(achievement => achievement.id));
+    const candidates = ACHIEVEMENTS.filter(definition =>
+      definition.events.includes(event) && !earned.has(definition.id));
+
+    // Definitions sharing a metric are measured once
+    const measured = new Map();
+    const unlocked = [];
+    for (const definition of candidates) {
+      const key = `${definition.metric}:${definition.construct || ''}`;
+      if (!measured.has(key)) {
+        measured.set(key, await measureMetric(userId, definition, profile));
+      }
+      if (measured.get(key) < definition.threshold) continue;
+
+      // Conditional on the achievement not being stored yet, so it unlocks once
+      const unlockedAt = new Date();
+      const stored = await PlayerProfile.updateOne(
+        { userId, 'achievements.id': { $ne: definition.id } },
+        { $push: { achievements: { id: definition.id, unlockedAt } } }
+      );
+      if (stored.modifiedCount > 0) {
+        unlocked.push({
+          id: definition.id,
+          title: definition.title,
+          description: definition.description,
+          unlockedAt
+        });
+      }
+    }
+    return unlocked;
+  } catch (error) {
+    console.error('Error evaluating achievements:', error);
+    return [];
+  }
+};
+
+/**
+ * Describe a player's achievements for the API
+ * @param {object} profile - Player profile
+ * @returns {Array<object>} - Every achievement with unlocked and unlockedAt
+ */
+const describeAchievements = (profile) => {
+  const earned = new Map((profile.achievements || []).map(achievement => [achievement.id, achievement.unlockedAt]));
+  return ACHIEVEMENTS.map(definition => ({
+    id: definition.id,
+    title: definition.title,
+    description: definition.description,
+    unlocked: earned.has(definition.id),
+    unlockedAt: earned.get(definition.id) || null
+  }));
+};
+
+module.exports = {
+  evaluateAchievements,
+  describeAchievements
+};
@@ -2,9 +2,17 @@
 const natural = require('natural');
 const createOpenAIClient = require('../utils/openaiConfig');
 const { OpenAI } = require('openai');
+const { SQL_ENGINE } = require('../config/db-config');
 const tokenizer = new natural.WordTokenizer();
 require('dotenv').config();
 
+// SQL dialect the generated solutions are written in, by engine
+const DIALECT_NAMES = {
+  oracle: 'Oracle SQL',
+  mysql: 'MySQL',
+  sqlite: 'SQLite'
+};
+
 // Initialize OpenAI API
 const openai = createOpenAIClient();
 
@@ -209,6 +217,22 @@ const fallbackLearningGoals = (labSheet) => {
   });
 };
 
+/**
+ * Build the answer key from the reference solutions in a learning path response
+ * @param {object} content - Parsed learning path response
+ * @returns {object|undefined} - Answer key with practice and challenge solutions
+ */
+const buildAnswerKey = (content) => {
+  const answerKey = {};
+  if (typeof content.practiceSolution === 'string' && content.practiceSolution.trim()) {
+    answerKey.practice = { solution: content.practiceSolution.trim() };
+  }
+  if (typeof content.challengeSolution === 'string' && content.challengeSolution.trim()) {
+    answerKey.challenge = { solution: content.challengeSolution.trim() };
+  }
+  return Object.keys(answerKey).length > 0 ? answerKey : undefined;
+};
+
 /**
  * Generate learning path for each learning goal
  * @param {object} learningGoal - The learning goal
@@ -217,6 +241,9 @@ const fallbackLearningGoals = (labSheet) => {
  */
 const generateLearningPath = async (learningGoal, labSheet) => {
   try {
+    // The answer key is verified on the lab sheet's engine, so write for its dialect
+    const dialect = DIALECT_NAMES[labSheet.engine || SQL_ENGINE];
+
     // Create a more focused prompt for database learning content
     const prompt = `
     You are a database education expert creating a microlearning path for database students.
@@ -230,9 +257,15 @@ const generateLearningPath = async (learningGoal, labSheet) => {
     Generate the following components:
     
     1. CONCEPT: A clear, concise explanation of the database concepts (200-300 words)
-    2. EXAMPLE: A practical SQL/Oracle code example demonstrating these concepts
+    2. EXAMPLE: A practical ${dialect} code example demonstrating these concepts
     3. PRACTICE: An interactive SQL exercise with clear instructions for students to implement
     4. CHALLENGE: A more difficult database task to test mastery of the concept
+    5. PRACTICE SOLUTION: A ${dialect} script that correctly solves the practice exercise
+    6. CHALLENGE SOLUTION: A ${dialect} script that correctly solves the challenge
+    
+    Respond with a JSON object with the keys concept, example, practice, challenge,
+    practiceSolution and challengeSolution. The solutions must be plain ${dialect}
+    without markdown fences, and must run against the tables used in the example.
     
     Relevant lab sheet content:
     ${labSheet.exercises
@@ -265,7 +298,8 @@ const generateLearningPath = async (learningGoal, labSheet) => {
           concept: content.concept || generateFallbackConcept(learningGoal),
           example: content.example || generateFallbackExample(learningGoal),
           practice: content.practice || generateFallbackPractice(learningGoal),
-          challenge: content.challenge || generateFallbackChallenge(learningGoal)
+          challenge: content.challenge || generateFallbackChallenge(learningGoal),
+          answerKey: buildAnswerKey(content)
         }
       };
     } catch (parseError) {
@@ -0,0 +1,213 @@
+// services/ai-feedback.js
+const createOpenAIClient = require('../utils/openaiConfig');
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+require('dotenv').config();
+
+// Created on first use, so hints still work from the rules without an API key
+let openai = null;
+
+// Students are waiting on the answer, so don't sit through the client's long retries
+const REQUEST_OPTIONS = { timeout: 15000, maxRetries: 1 };
+
+// Most hints a student gets for one attempt
+const MAX_HINTS = 3;
+
+// A hint that repeats this many tokens of the reference solution in a row gives it away
+const REVEALING_RUN = 5;
+
+/**
+ * Check whether a hint repeats a stretch of the reference solution
+ * @param {string} hint - Hint text
+ * @param {string} solution - Reference solution
+ * @returns {boolean} - Whether the hint gives the solution away
+ */
+const revealsSolution = (hint, solution) => {
+  if (!solution) return false;
+  const words = (text) => tokenize(text).filter(isSignificant).map(token => token.value.toUpperCase());
+  const solutionWords = words(solution);
+  const hintWords = words(hint).join(' ');
+
+  for (let start = 0; start + REVEALING_RUN <= solutionWords.length; start++) {
+    if (hintWords.includes(solutionWords.slice(start, start + REVEALING_RUN).join(' '))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Describe what went wrong with an attempt, for the prompt
+ * @param {object} grade - Result of the grader
+ * @returns {string} - What the grader found
+ */
+const describeOutcome = (grade) => {
+  const execution = grade.executionResult || {};
+  if (!execution.success) {
+    return `The script failed with: ${execution.error || 'an unknown error'}`;
+  }
+
+  const lines = [grade.feedback];
+  if (grade.diff) {
+    const { missingRows, extraRows, ...summary } = grade.diff;
+    lines.push(`Differences from the expected result: ${JSON.stringify(summary)}`);
+  }
+  const failedChecks = (grade.schemaChecks || []).filter(check => !check.passed);
+  if (failedChecks.length > 0) {
+    lines.push(`Failed schema checks: ${failedChecks.map(check => check.check).join('; ')}`);
+  }
+  return lines.filter(Boolean).join('\n');
+};
+
+/**
+ * Generate deterministic hints from the grader's findings
+ * @param {object} input - goal, exercise, grade, scoring and reference
+ * @returns {Array<string>} - Hints
+ */
+const fallbackHints = ({ grade, scoring }) => {
+  const hints = [];
+  const execution = grade.executionResult || {};
+
+  if (!execution.success) {
+    const diagnosis = execution.diagnosis;
+    if (execution.errorCode === 'POLICY_VIOLATION') {
+      hints.push(`${execution.error}. Which other statement could do the same job within the exercise's rules?`);
+    } else if (diagnosis) {
+      const where = diagnosis.location ?
+        ` Look at line ${diagnosis.location.line}${diagnosis.location.token ? ` near '${diagnosis.location.token}'` : ''}.` : '';
+      hints.push(`${diagnosis.title}: ${diagnosis.explanation}${where}`);
+      diagnosis.causes.slice(0, MAX_HINTS - 1).forEach(cause => hints.push(`Could this be the cause? ${cause}.`));
+    } else {
+      hints.push('Read the error message carefully. Which statement failed, and what is the database telling you about it?');
+    }
+    return hints;
+  }
+
+  const diff = grade.diff || {};
+  if (diff.missingColumns && diff.missingColumns.length > 0) {
+    hints.push(`Your result has no ${diff.missingColumns.join(', ')} column. Which expression in your SELECT list should produce it, and is it named the way the task asks?`);
+  }
+  if (diff.extraColumns && diff.extraColumns.length > 0) {
+    hints.push(`Your result also returns ${diff.extraColumns.join(', ')}. Does the task ask for these columns?`);
+  }
+  if (diff.expectedRowCount !== undefined && diff.actualRowCount > diff.expectedRowCount) {
+    hints.push(`Your query returns ${diff.actualRowCount} rows, but ${diff.expectedRowCount} are expected. Which condition would leave out the extra rows? Could a join be repeating rows?`);
+  } else if (diff.expectedRowCount !== undefined && diff.actualRowCount < diff.expectedRowCount) {
+    hints.push(`Your query returns ${diff.actualRowCount} rows, but ${diff.expectedRowCount} are expected. Is a condition too strict, or does an inner join drop rows without a match?`);
+  } else if (diff.wrongColumns && diff.wrongColumns.length > 0) {
+    hints.push(`You return the right number of rows, but the values of ${diff.wrongColumns.map(col => col.actual).join(', ')} differ. How is that column calculated, and from which table?`);
+  }
+  if (diff.orderMismatch) {
+    hints.push('Your rows are right but in a different order. What order does the task ask for?');
+  }
+  if (diff.wrongOutBinds && diff.wrongOutBinds.length > 0) {
+    hints.push(`The OUT bind(s) ${diff.wrongOutBinds.map(bind => bind.bind).join(', ')} end up with other values than expected. Where in your code is each one assigned?`);
+  }
+  if (diff.expectedAffectedRows !== undefined && diff.expectedAffectedRows !== diff.actualAffectedRows) {
+    hints.push(`Your statement changed ${diff.actualAffectedRows} rows, but ${diff.expectedAffectedRows} should change. Does your WHERE clause pick exactly the rows the task describes?`);
+  }
+
+  (grade.schemaChecks || []).filter(check => !check.passed).forEach(check => {
+    hints.push(`Look again at this part of the specification: ${check.check}. What does your script create instead?`);
+  });
+
+  const hiddenFailures = (grade.cases || []).filter(testCase => !testCase.passed && !testCase.visible).length;
+  if (hiddenFailures > 0 && (grade.cases || [])[0] && grade.cases[0].passed) {
+    hints.push('Your query works on the sample data but not on other data. Does it depend on specific values, such as IDs or names from the sample rows?');
+  }
+
+  const missedConstructs = ((scoring && scoring.breakdown) || [])
+    .filter(item => item.criterion === 'usesConstruct' && item.passed === false)
+    .map(item => item.construct);
+  if (missedConstructs.length > 0) {
+    hints.push(`This exercise is about ${missedConstructs.join(' and ')}. Where in your query could you use it?`);
+  }
+
+  if (hints.length === 0) {
+    hints.push('Compare your result with what the task asks for, one column and one condition at a time. Which part of the task does your query not cover yet?');
+  }
+  return hints.slice(0, MAX_HINTS);
+};
+
+/**
+ * Generate Socratic hints for an incorrect solution. The hints point at what
+ * to look at without giving the answer away; when the LLM is unavailable,
+ * they come from the grader's findings instead.
+ * @param {object} input - Attempt to give feedback on
+ * @param {object} input.goal - Learning goal
+ * @param {string} input.exercise - practice or challenge
+ * @param {string} input.query - Student's script
+ * @param {object} input.grade - Result of the grader
+ * @param {object} input.scoring - Rubric score, if any
+ * @param {object} input.reference - Answer key entry, if any
+ * @returns {Promise<object>} - hints and their source (ai or rules)
+ */
+const generateFeedback = async (input) => {
+  const { goal, exercise, query, grade, reference } = input;
+  const solution = reference && reference.solution;
+
+  if (!process.env.OPENAI_API_KEY) {
+    return { hints: fallbackHints(input), source: 'rules' };
+  }
+
+  try {
+    if (!openai) {
+      openai = createOpenAIClient();
+    }
+    
+    const prompt = `
+    A database student submitted a solution that is not correct yet.
+
+    LEARNING GOAL: ${goal.title}
+    KEY CONCEPTS: ${(goal.keyConcepts || []).join(', ')}
+    EXERCISE: ${goal.learningPath[exercise] || ''}
+
+    STUDENT'S SOLUTION:
+    ${query.substring(0, 3000)}
+
+    WHAT WENT WRONG:
+    ${describeOutcome(grade).substring(0, 3000)}
+
+    REFERENCE SOLUTION (never show or paraphrase it):
+    ${(solution || 'none').substring(0, 3000)}
+
+    Write up to ${MAX_HINTS} short Socratic hints that lead the student towards the fix.
+    Ask questions and point at the part of their solution to look at. Never give the
+    corrected SQL, the reference solution or any part of it.
+
+    Return ONLY a JSON object with a "hints" array of strings.
+    `;
+
+    const response = await openai.chat.completions.create({
+      model: "gpt-3.5-turbo",
+      messages: [
+        {
+          role: "system",
+          content: "You are a patient database tutor who guides students with questions instead of answers."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      response_format: { type: "json_object" }
+    }, REQUEST_OPTIONS);
+
+    const hints = (JSON.parse(response.choices[0].message.content).hints || [])
+      .filter(hint => typeof hint === 'string' && hint.trim() !== '')
+      .filter(hint => !revealsSolution(hint, solution))
+      .slice(0, MAX_HINTS);
+
+    return hints.length > 0 ?
+      { hints, source: 'ai' } :
+      { hints: fallbackHints(input), source: 'rules' };
+  } catch (error) {
+    console.error('Error generating feedback:', error.message);
+    // Fallback to rule-based hints if OpenAI fails
+    return { hints: fallbackHints(input), source: 'rules' };
+  }
+};
+
+module.exports = {
+  generateFeedback,
+  fallbackHints
+};
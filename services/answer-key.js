@@ -0,0 +1,149 @@
+// services/answer-key.js
+const { executeQuery, inspectSchemaState } = require('./sql-execution');
+const { withScratchSandbox } = require('./sandbox-lifecycle');
+const { finalResultSet, totalAffectedRows, datasetSetupScripts } = require('./grading');
+const { checkSchemaState } = require('./schema-grading');
+const { getEngine } = require('./engines');
+
+// Parts of a learning path that can carry a reference solution
+const ANSWER_KEY_EXERCISES = ['practice', 'challenge'];
+
+/**
+ * Run a reference solution on prepared data and check what it leaves behind
+ * @param {object} entry - Answer key entry
+ * @param {string} sessionId - Scratch session with the exercise's data
+ * @param {string} engineName - Database engine
+ * @returns {Promise<object>} - verified, and the expected result or the error
+ */
+const runReferenceSolution = async (entry, sessionId, engineName) => {
+  // Reference solutions are trusted, so no statement policy applies; the sandbox
+  // is thrown away afterwards, so DDL can commit
+  const execution = await executeQuery(entry.solution, [], sessionId, { engine: engineName });
+  if (!execution.success) {
+    const failed = (execution.results || []).find(result => !result.success);
+    return { verified: false, error: `Reference solution failed: ${(failed && failed.error) || execution.error}` };
+  }
+
+  // A DDL solution must also pass its own schema checks
+  if (entry.expectedSchema) {
+    const state = await inspectSchemaState(sessionId, { engine: engineName });
+    if (!state.success) {
+      return { verified: false, error: state.error };
+    }
+    const failed = checkSchemaState(state, entry.expectedSchema).filter(check => !check.passed);
+    if (failed.length > 0) {
+      return { verified: false, error: `Reference solution fails schema checks: ${failed.map(check => check.check).join('; ')}` };
+    }
+  }
+
+  const resultSet = finalResultSet(execution);
+  return {
+    verified: true,
+    expected: {
+      columns: resultSet ? resultSet.columns : null,
+      rows: resultSet ? resultSet.rows : null,
+      rowCount: resultSet ? resultSet.rowCount : 0,
+      affectedRows: totalAffectedRows(execution),
+      outBinds: execution.outBinds || null,
+      truncated: resultSet ? resultSet.truncated : false
+    }
+  };
+};
+
+/**
+ * Run a reference solution in throwaway sandboxes and capture what it returns.
+ * It must also run on every test dataset of the exercise.
+ * @param {object} goal - Learning goal document
+ * @param {string} exercise - practice or challenge
+ * @returns {Promise<object>} - verified, and the expected result or the error
+ */
+const captureExpectedResult = async (goal, exercise) => {
+  const entry = goal.learningPath.answerKey[exercise];
+  const engine = getEngine(goal.engine);
+  const sandbox = { label: `answerkey_${goal._id}_${exercise}`, engine: engine.name, userId: 'answer-key', goalId: goal._id };
+
+  const outcome = await withScratchSandbox(
+    { ...sandbox, scripts: datasetSetupScripts(goal, entry, null, engine.name) },
+    sessionId => runReferenceSolution(entry, sessionId, engine.name)
+  );
+  if (outcome.setupError) {
+    return { verified: false, error: `Setup script failed: ${outcome.setupError}` };
+  }
+  if (!outcome.result.verified) {
+    return outcome.result;
+  }
+
+  for (const dataset of entry.datasets || []) {
+    const datasetOutcome = await withScratchSandbox(
+      { ...sandbox, scripts: datasetSetupScripts(goal, entry, dataset, engine.name) },
+      sessionId => runReferenceSolution(entry, sessionId, engine.name)
+    );
+    const error = datasetOutcome.setupError ? `Setup script failed: ${datasetOutcome.setupError}` :
+      (!datasetOutcome.result.verified && datasetOutcome.result.error);
+    if (error) {
+      return { verified: false, error: `Dataset '${dataset.name}': ${error}` };
+    }
+  }
+
+  return outcome.result;
+};
+
+/**
+ * Re-run the reference solutions of a goal and store their expected results.
+ * The goal is saved; exercises without a solution are skipped.
+ * @param {object} goal - Learning goal document
+ * @param {Array<string>} exercises - Exercises to verify (defaults to all)
+ * @returns {Promise<object>} - Verification result per exercise
+ */
+const verifyAnswerKey = async (goal, exercises = ANSWER_KEY_EXERCISES) => {
+  const answerKey = goal.learningPath.answerKey;
+  const results = {};
+
+  for (const exercise of exercises) {
+    const entry = answerKey && answerKey[exercise];
+    if (!entry || !entry.solution) continue;
+
+    let result;
+    try {
+      result = await captureExpectedResult(goal, exercise);
+    } catch (error) {
+      console.error(`Error verifying ${exercise} solution of goal ${goal._id}:`, error);
+      result = { verified: false, error: error.message };
+    }
+
+    entry.expected = result.verified ? result.expected : undefined;
+    entry.verifiedAt = result.verified ? new Date() : undefined;
+    entry.verificationError = result.verified ? undefined : result.error;
+    results[exercise] = result;
+  }
+
+  goal.markModified('learningPath.answerKey');
+  await goal.save();
+  return results;
+};
+
+/**
+ * Get the answer key entry an exercise can be graded against. Solutions only
+ * count once they passed verification: one that failed would make every
+ * submission fail with the reference's own error. An expected schema without
+ * a solution has nothing to run, so it is graded by the schema checks alone.
+ * @param {object} answerKey - Learning path answer key
+ * @param {string} exercise - practice or challenge
+ * @returns {object|null} - Answer key entry, or null when the exercise can't be graded
+ */
+const gradableReference = (answerKey, exercise) => {
+  const entry = answerKey && exercise && answerKey[exercise];
+  if (!entry) return null;
+
+  const hasSolution = typeof entry.solution === 'string' && entry.solution.trim() !== '';
+  if (!hasSolution) {
+    return entry.expectedSchema ? entry : null;
+  }
+  return entry.verifiedAt && !entry.verificationError ? entry : null;
+};
+
+module.exports = {
+  ANSWER_KEY_EXERCISES,
+  verifyAnswerKey,
+  gradableReference
+};
@@ -0,0 +1,42 @@
+// services/attempt-recorder.js
+const QueryAttempt = require('../models/QueryAttempt');
+
+/**
+ * Get the outcome fields of an attempt from an execution result
+ * @param {object} execution - Result of executeQuery
+ * @returns {object} - isSuccessful, error, errorNum, errorCode and executionTime
+ */
+const executionOutcome = (execution) => {
+  if (!execution) {
+    return { isSuccessful: false };
+  }
+  return {
+    isSuccessful: Boolean(execution.success),
+    error: execution.success ? undefined : execution.error,
+    errorNum: execution.success ? undefined : execution.errorNum,
+    errorCode: execution.errorCode,
+    executionTime: execution.executionTime,
+    engine: execution.engine,
+    mode: execution.mode
+  };
+};
+
+/**
+ * Store a query attempt. A failure to record is logged rather than thrown,
+ * so it never costs the student their result.
+ * @param {object} attempt - Attempt fields (see models/QueryAttempt.js)
+ * @returns {Promise<object|null>} - Saved attempt, or null if it couldn't be saved
+ */
+const recordAttempt = async (attempt) => {
+  try {
+    return await QueryAttempt.create(attempt);
+  } catch (error) {
+    console.error('Error recording query attempt:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  executionOutcome,
+  recordAttempt
+};
@@ -0,0 +1,46 @@
+// services/engines/index.js
+const config = require('../../config/db-config');
+const oracle = require('./oracle');
+const mysql = require('./mysql');
+const sqlite = require('./sqlite');
+
+// Every engine adapter provides the same interface:
+//   pool        - initializePool, isInitialized, getConnection, releaseConnection
+//   execute     - executeStatement, beginTransaction, savepoint, rollbackToSavepoint,
+//                 commit, rollback, breakExecution, isTimeoutError, isCancelError, getErrorNumber
+//   validate    - validateStatement
+//   explain     - explainStatement (PLAN_TABLE style rows plus plan text)
+//   introspect  - introspect, listObjects, listSchemaNames, getSandboxName and
+//                 optionally readSchemaState (data dictionary for schema-state grading)
+//   sandboxes   - clearSandbox, dropSandbox and optionally reapOrphanSandboxes
+// plus name, dialect (for the statement splitter), transactionalDdl and supportsOutBinds.
+const ENGINES = { oracle, mysql, sqlite };
+
+const ENGINE_NAMES = Object.keys(ENGINES);
+
+/**
+ * Get the adapter for a database engine
+ * @param {string} name - Engine name (defaults to the configured engine)
+ * @returns {object} - Engine adapter
+ */
+const getEngine = (name = null) => {
+  const engine = ENGINES[name || config.SQL_ENGINE];
+  if (!engine) {
+    throw new Error(`Unknown database engine '${name || config.SQL_ENGINE}', expected one of ${ENGINE_NAMES.join(', ')}`);
+  }
+  return engine;
+};
+
+/**
+ * Get the adapters that have been used since the process started
+ * @returns {Array<object>} - Initialized engine adapters
+ */
+const getActiveEngines = () => {
+  return Object.values(ENGINES).filter(engine => engine.isInitialized());
+};
+
+module.exports = {
+  ENGINE_NAMES,
+  getEngine,
+  getActiveEngines
+};
@@ -0,0 +1,499 @@
+// services/engines/mysql.js
+const mysql = require('mysql2/promise');
+const config = require('../../config/db-config');
+const { getSandboxSchema } = require('../sandbox-manager');
+
+// Initialize MySQL connection pool
+let pool = null;
+
+// Sandbox databases already known to exist
+const knownDatabases = new Set();
+
+// Cached list of every database on the server, used by the statement policy
+const SCHEMA_LIST_TTL_MS = 5 * 60 * 1000;
+let schemaListCache = { names: [], loadedAt: 0 };
+
+// ER_QUERY_TIMEOUT (max_execution_time) and mysql2's own client-side timeout
+const TIMEOUT_ERRORS = [3024];
+const CLIENT_TIMEOUT_CODE = 'PROTOCOL_SEQUENCE_TIMEOUT';
+const CANCELLED_ERROR = 1317; // ER_QUERY_INTERRUPTED
+const UNSUPPORTED_PREPARE_ERROR = 1295; // ER_UNSUPPORTED_PS
+
+// The client-side timeout only backs up max_execution_time, which covers SELECT only
+const CLIENT_TIMEOUT_GRACE_MS = 1000;
+
+const NOT_NULL_FLAG = 1;
+
+// Column type names by mysql2 type code
+const TYPE_NAMES = Object.fromEntries(
+  Object.entries(mysql.Types).map(([name, code]) => [code, name])
+);
+
+// EXPLAIN access types expressed as Oracle style plan operations, so plans from
+// every engine can be scored the same way
+const ACCESS_TYPES = {
+  ALL: ['TABLE ACCESS', 'FULL'],
+  index: ['INDEX', 'FULL SCAN'],
+  range: ['INDEX', 'RANGE SCAN'],
+  index_merge: ['INDEX', 'RANGE SCAN'],
+  ref: ['INDEX', 'RANGE SCAN'],
+  ref_or_null: ['INDEX', 'RANGE SCAN'],
+  fulltext: ['INDEX', 'RANGE SCAN'],
+  eq_ref: ['INDEX', 'UNIQUE SCAN'],
+  const: ['INDEX', 'UNIQUE SCAN'],
+  system: ['TABLE ACCESS', 'BY INDEX ROWID']
+};
+
+/**
+ * Initialize the MySQL connection pool
+ */
+const initializePool = async () => {
+  try {
+    pool = mysql.createPool({
+      host: config.MYSQL_HOST,
+      port: config.MYSQL_PORT,
+      user: config.MYSQL_USER,
+      password: config.MYSQL_PASSWORD,
+      connectionLimit: config.MYSQL_POOL_MAX,
+      // Keep DATE and DATETIME values as the wall clock text MySQL stores
+      dateStrings: true,
+      supportBigNumbers: true,
+      bigNumberStrings: true
+    });
+
+    console.log('MySQL connection pool initialized successfully');
+    return true;
+  } catch (error) {
+    console.error('Failed to initialize MySQL connection pool:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether the pool has been created
+ * @returns {boolean} - Whether the engine is in use
+ */
+const isInitialized = () => pool !== null;
+
+/**
+ * Get the sandbox database name of a session
+ * @param {string} sessionId - User session ID
+ * @returns {string} - Database name
+ */
+const getSandboxName = (sessionId) => getSandboxSchema(sessionId).toLowerCase();
+
+/**
+ * Borrow a connection from the pool, switched into the session's sandbox database
+ * @param {string} sessionId - User session ID (null for no default database)
+ * @returns {Promise<object>} - MySQL connection
+ */
+const getConnection = async (sessionId = null) => {
+  if (!pool) {
+    await initializePool();
+  }
+
+  const connection = await pool.getConnection();
+  if (sessionId) {
+    const database = getSandboxName(sessionId);
+    try {
+      if (!knownDatabases.has(database)) {
+        await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\``);
+        knownDatabases.add(database);
+      }
+      await connection.query(`USE \`${database}\``);
+    } catch (error) {
+      connection.release();
+      throw error;
+    }
+  }
+
+  return connection;
+};
+
+/**
+ * Return a connection to the pool.
+ * The default database stays selected; every borrower either selects its own
+ * sandbox or qualifies the names it uses.
+ * @param {object} connection - MySQL connection
+ * @param {string} sessionId - User session ID the connection was borrowed for
+ * @param {object} options - Release options
+ * @param {boolean} options.drop - Close the connection for good (e.g. after an interrupted call)
+ */
+const releaseConnection = async (connection, sessionId = null, options = {}) => {
+  if (!connection) return;
+
+  if (options.drop) {
+    connection.destroy();
+    return;
+  }
+
+  try {
+    await connection.query('SET SESSION sql_select_limit = DEFAULT, max_execution_time = DEFAULT');
+    connection.release();
+  } catch (err) {
+    console.error("Error releasing connection:", err);
+    connection.destroy();
+  }
+};
+
+/**
+ * List the names of all databases on the server (cached for a few minutes)
+ * @param {object} connection - MySQL connection
+ * @returns {Promise<Array<string>>} - Database names, upper-cased like Oracle schema names
+ */
+const listSchemaNames = async (connection) => {
+  if (Date.now() - schemaListCache.loadedAt < SCHEMA_LIST_TTL_MS) {
+    return schemaListCache.names;
+  }
+
+  const [rows] = await connection.query('SHOW DATABASES');
+  schemaListCache = {
+    names: rows.map(row => Object.values(row)[0].toUpperCase()),
+    loadedAt: Date.now()
+  };
+  return schemaListCache.names;
+};
+
+/**
+ * Stop the statement running on a connection.
+ * KILL QUERY has to come from another connection, and a fresh one is used
+ * so it cannot wait behind a busy pool.
+ * @param {object} connection - MySQL connection running the statement
+ */
+const breakExecution = async (connection) => {
+  const killer = await mysql.createConnection({
+    host: config.MYSQL_HOST,
+    port: config.MYSQL_PORT,
+    user: config.MYSQL_USER,
+    password: config.MYSQL_PASSWORD
+  });
+  try {
+    await killer.query('KILL QUERY ?', [connection.threadId]);
+  } finally {
+    await killer.end();
+  }
+};
+
+/**
+ * Convert a fetched column value into a JSON friendly value
+ * @param {*} value - Value returned by mysql2
+ * @returns {*} - Serializable value
+ */
+const serializeValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex').toUpperCase();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Convert bind specs into mysql2 values.
+ * MySQL has no OUT binds on the client side; sql-execution rejects them first.
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @returns {object|Array} - Values by name, or in position order
+ */
+const toMysqlValues = (bindParams) => {
+  if (Array.isArray(bindParams)) {
+    return bindParams.map(spec => spec.value);
+  }
+  return Object.fromEntries(Object.entries(bindParams || {}).map(([name, spec]) => [name, spec.value]));
+};
+
+/**
+ * Execute a single statement.
+ * MySQL commits on its own outside START TRANSACTION, so autoCommit is
+ * decided by whether beginTransaction was called.
+ * @param {object} connection - MySQL connection
+ * @param {string} stmt - Statement to execute
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @param {object} options - maxRows and timeoutMs
+ * @returns {Promise<object>} - Affected rows, or columns and serialized rows for queries
+ */
+const executeStatement = async (connection, stmt, bindParams, options) => {
+  await connection.query('SET SESSION sql_select_limit = ?, max_execution_time = ?', [
+    options.maxRows + 1,
+    options.timeoutMs || 0
+  ]);
+
+  const query = { sql: stmt, rowsAsArray: true };
+  if (options.timeoutMs) {
+    query.timeout = options.timeoutMs + CLIENT_TIMEOUT_GRACE_MS;
+  }
+  const hasBinds = Array.isArray(bindParams) ? bindParams.length > 0 : Object.keys(bindParams || {}).length > 0;
+  if (hasBinds) {
+    query.values = toMysqlValues(bindParams);
+    query.namedPlaceholders = !Array.isArray(bindParams);
+  }
+
+  let result;
+  let fields;
+  try {
+    [result, fields] = await connection.query(query);
+  } catch (err) {
+    // The client gave up waiting, but the server is still running the statement
+    if (err.code === CLIENT_TIMEOUT_CODE) {
+      await breakExecution(connection).catch(killErr => {
+        console.error("Error killing timed out query:", killErr.message);
+      });
+    }
+    throw err;
+  }
+
+  // CALL returns one result per result set; show the first one
+  if (Array.isArray(fields) && Array.isArray(fields[0])) {
+    fields = fields[0];
+    result = result[0];
+  }
+
+  if (!fields) {
+    return {
+      affectedRows: result.affectedRows || 0
+    };
+  }
+
+  return {
+    columns: fields.map(field => ({
+      name: field.name,
+      type: TYPE_NAMES[field.columnType] || null,
+      nullable: !(field.flags & NOT_NULL_FLAG)
+    })),
+    rows: result.map(row => row.map(serializeValue))
+  };
+};
+
+/**
+ * Start an explicit transaction
+ * @param {object} connection - MySQL connection
+ */
+const beginTransaction = async (connection) => {
+  await connection.query('START TRANSACTION');
+};
+
+/**
+ * Set a savepoint in the current transaction
+ * @param {object} connection - MySQL connection
+ * @param {string} name - Savepoint name
+ */
+const savepoint = async (connection, name) => {
+  await connection.query(`SAVEPOINT ${name}`);
+};
+
+/**
+ * Undo everything after a savepoint
+ * @param {object} connection - MySQL connection
+ * @param {string} name - Savepoint name
+ */
+const rollbackToSavepoint = async (connection, name) => {
+  await connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+};
+
+/**
+ * Commit the current transaction
+ * @param {object} connection - MySQL connection
+ */
+const commit = async (connection) => {
+  await connection.commit();
+};
+
+/**
+ * Roll back the current transaction
+ * @param {object} connection - MySQL connection
+ */
+const rollback = async (connection) => {
+  await connection.rollback();
+};
+
+/**
+ * Check whether an error comes from a time limit
+ * @param {Error} error - Error thrown by mysql2
+ * @returns {boolean} - Whether the statement timed out
+ */
+const isTimeoutError = (error) => error.code === CLIENT_TIMEOUT_CODE || TIMEOUT_ERRORS.includes(error.errno);
+
+/**
+ * Check whether an error comes from KILL QUERY
+ * @param {Error} error - Error thrown by mysql2
+ * @returns {boolean} - Whether the statement was cancelled
+ */
+const isCancelError = (error) => error.errno === CANCELLED_ERROR;
+
+/**
+ * Get the database error number of an error
+ * @param {Error} error - Error thrown by mysql2
+ * @returns {number|undefined} - MySQL error number
+ */
+const getErrorNumber = (error) => error.errno;
+
+/**
+ * Check a statement by preparing it on the server without executing it
+ * @param {object} connection - MySQL connection
+ * @param {string} stmt - Statement to check
+ * @returns {Promise<object>} - valid flag and error
+ */
+const validateStatement = async (connection, stmt) => {
+  try {
+    const prepared = await connection.prepare(stmt);
+    await prepared.close();
+    return { valid: true, error: null };
+  } catch (error) {
+    // Some statements (e.g. most ALTERs) cannot be prepared and so cannot be checked
+    if (error.errno === UNSUPPORTED_PREPARE_ERROR) {
+      return { valid: true, error: null };
+    }
+    return { valid: false, error: error.message, errorNum: error.errno };
+  }
+};
+
+/**
+ * Run EXPLAIN for a statement and express it as PLAN_TABLE style rows
+ * @param {object} connection - MySQL connection
+ * @param {string} stmt - Statement to explain
+ * @returns {Promise<object>} - Plan rows and plan text
+ */
+const explainStatement = async (connection, stmt) => {
+  const [explained] = await connection.query(`EXPLAIN ${stmt}`);
+
+  const rows = [{ ID: 0, PARENT_ID: null, OPERATION: `${stmt.trim().split(/\s+/)[0].toUpperCase()} STATEMENT` }];
+  explained.forEach((row, index) => {
+    const [operation, options] = ACCESS_TYPES[row.type] || ['TABLE ACCESS', row.type ? row.type.toUpperCase() : null];
+    rows.push({
+      ID: index + 1,
+      PARENT_ID: 0,
+      OPERATION: operation,
+      OPTIONS: options,
+      OBJECT_NAME: operation === 'INDEX' && row.key ? `${row.table}.${row.key}` : row.table,
+      CARDINALITY: row.rows,
+      FILTER_PREDICATES: row.Extra || null
+    });
+  });
+
+  let planText;
+  try {
+    const [tree] = await connection.query(`EXPLAIN FORMAT=TREE ${stmt}`);
+    planText = Object.values(tree[0])[0];
+  } catch (error) {
+    // FORMAT=TREE needs MySQL 8.0.16 or later
+    planText = explained
+      .map(row => `${row.id}  ${row.select_type}  ${row.table || ''}  ${row.type || ''}  ${row.key || ''}  rows=${row.rows}  ${row.Extra || ''}`)
+      .join('\n');
+  }
+
+  return { rows, planText };
+};
+
+/**
+ * Describe the tables and views in a session's sandbox
+ * @param {object} connection - MySQL connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Array<object>>} - Tables with their columns
+ */
+const introspect = async (connection, sessionId) => {
+  const [rows] = await connection.query(
+    `SELECT t.table_name AS tableName, t.table_type AS tableType,
+            c.column_name AS columnName, c.column_type AS columnType, c.is_nullable AS isNullable
+       FROM information_schema.tables t
+       LEFT JOIN information_schema.columns c
+         ON c.table_schema = t.table_schema AND c.table_name = t.table_name
+      WHERE t.table_schema = ?
+      ORDER BY t.table_name, c.ordinal_position`,
+    [getSandboxName(sessionId)]
+  );
+
+  const tables = new Map();
+  for (const row of rows) {
+    if (!tables.has(row.tableName)) {
+      tables.set(row.tableName, {
+        name: row.tableName,
+        type: row.tableType === 'VIEW' ? 'VIEW' : 'TABLE',
+        columns: []
+      });
+    }
+    if (row.columnName) {
+      tables.get(row.tableName).columns.push({
+        name: row.columnName,
+        type: row.columnType,
+        nullable: row.isNullable === 'YES'
+      });
+    }
+  }
+
+  return [...tables.values()];
+};
+
+/**
+ * List the objects in a session's sandbox database
+ * @param {object} connection - MySQL connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Array<object>>} - Objects with name, type and creation time
+ */
+const listObjects = async (connection, sessionId) => {
+  const database = getSandboxName(sessionId);
+  const [rows] = await connection.query(
+    `SELECT table_name AS name, IF(table_type = 'VIEW', 'VIEW', 'TABLE') AS type, create_time AS createdAt
+       FROM information_schema.tables WHERE table_schema = ?
+     UNION ALL
+     SELECT routine_name, routine_type, created
+       FROM information_schema.routines WHERE routine_schema = ?
+     UNION ALL
+     SELECT trigger_name, 'TRIGGER', created
+       FROM information_schema.triggers WHERE trigger_schema = ?
+     ORDER BY createdAt`,
+    [database, database, database]
+  );
+  return rows.map(row => ({ name: row.name, type: row.type, createdAt: row.createdAt }));
+};
+
+/**
+ * Drop a session's sandbox database
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const dropSandbox = async (sessionId) => {
+  const database = getSandboxName(sessionId);
+  let connection;
+  try {
+    connection = await getConnection();
+    const objects = await listObjects(connection, sessionId);
+    await connection.query(`DROP DATABASE IF EXISTS \`${database}\``);
+    knownDatabases.delete(database);
+    return { dropped: objects, errors: [] };
+  } finally {
+    await releaseConnection(connection);
+  }
+};
+
+module.exports = {
+  name: 'mysql',
+  dialect: 'mysql',
+  transactionalDdl: false,
+  supportsOutBinds: false,
+  initializePool,
+  isInitialized,
+  getConnection,
+  releaseConnection,
+  getSandboxName,
+  listSchemaNames,
+  executeStatement,
+  beginTransaction,
+  savepoint,
+  rollbackToSavepoint,
+  commit,
+  rollback,
+  breakExecution,
+  isTimeoutError,
+  isCancelError,
+  getErrorNumber,
+  validateStatement,
+  explainStatement,
+  introspect,
+  listObjects,
+  // The database is recreated empty the next time the session uses it
+  clearSandbox: dropSandbox,
+  dropSandbox
+};
@@ -0,0 +1,868 @@
+// services/engines/oracle.js
+const oracledb = require('oracledb');
+const config = require('../../config/db-config');
+const {
+  enterSandbox,
+  leaveSandbox,
+  getSandboxSchema,
+  listSandboxObjects,
+  dropSandboxObjects,
+  listSandboxSchemas,
+  listSchemaNames,
+  dropSandboxSchema
+} = require('../sandbox-manager');
+const { tokenize, isSignificant } = require('../sql-tokenizer');
+
+// Initialize Oracle connection pool
+let pool = null;
+
+// Errors raised when a call is interrupted by callTimeout or connection.break()
+const TIMEOUT_ERRORS = ['NJS-123', 'DPI-1067'];
+const CANCELLED_ERROR = 1013; // ORA-01013: user requested cancel of current operation
+
+// Column types that need special handling when serializing fetched rows
+const DBMS_SQL_REF_TYPE = 111;
+const UNSUPPORTED_TYPE_ERRORS = ['NJS-010', 'DPI-1007'];
+
+// Objects whose CREATE statement succeeds even when their source doesn't compile
+const COMPILED_UNITS = ['PROCEDURE', 'FUNCTION', 'PACKAGE', 'TRIGGER', 'TYPE'];
+const CREATE_MODIFIERS = ['OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE'];
+
+// Driver types and directions for bind specs from sql-binds
+const BIND_TYPES = {
+  NUMBER: oracledb.NUMBER,
+  VARCHAR2: oracledb.STRING,
+  DATE: oracledb.DATE,
+  CLOB: oracledb.CLOB
+};
+const BIND_DIRECTIONS = {
+  IN: oracledb.BIND_IN,
+  OUT: oracledb.BIND_OUT,
+  INOUT: oracledb.BIND_INOUT
+};
+
+/**
+ * Initialize the Oracle connection pool
+ */
+const initializePool = async () => {
+  try {
+    // Set Oracle connection mode to OBJECT
+    oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT;
+
+    // Create a connection pool
+    pool = await oracledb.createPool({
+      user: config.ORACLE_USER,
+      password: config.ORACLE_PASSWORD,
+      connectString: config.ORACLE_CONNECT_STRING,
+      poolMin: config.ORACLE_POOL_MIN,
+      poolMax: config.ORACLE_POOL_MAX,
+      poolIncrement: config.ORACLE_POOL_INCREMENT
+    });
+
+    console.log('Oracle connection pool initialized successfully');
+    return true;
+  } catch (error) {
+    console.error('Failed to initialize Oracle connection pool:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether the pool has been created
+ * @returns {boolean} - Whether the engine is in use
+ */
+const isInitialized = () => pool !== null;
+
+/**
+ * Borrow a connection from the pool, switched into the session's sandbox
+ * @param {string} sessionId - User session ID (null for the pool user's own schema)
+ * @returns {Promise<object>} - Oracle connection
+ */
+const getConnection = async (sessionId = null) => {
+  if (!pool) {
+    await initializePool();
+  }
+
+  const connection = await pool.getConnection();
+  if (sessionId) {
+    try {
+      await enterSandbox(connection, sessionId);
+    } catch (error) {
+      await connection.close();
+      throw error;
+    }
+  }
+
+  return connection;
+};
+
+/**
+ * Return a connection to the pool, leaving the sandbox first so the next
+ * borrower does not inherit it
+ * @param {object} connection - Oracle connection
+ * @param {string} sessionId - User session ID the connection was borrowed for
+ * @param {object} options - Release options
+ * @param {boolean} options.drop - Close the connection for good (e.g. after an interrupted call)
+ */
+const releaseConnection = async (connection, sessionId = null, options = {}) => {
+  if (!connection) return;
+
+  if (options.drop) {
+    try {
+      await connection.close({ drop: true });
+    } catch (err) {
+      console.error("Error dropping connection:", err);
+    }
+    return;
+  }
+
+  try {
+    connection.callTimeout = 0;
+    if (sessionId) {
+      await leaveSandbox(connection);
+    }
+    await connection.close();
+  } catch (err) {
+    console.error("Error closing connection:", err);
+    // Make sure a connection in an unknown state is not reused
+    try {
+      await connection.close({ drop: true });
+    } catch (dropErr) {
+      // Already closed
+    }
+  }
+};
+
+/**
+ * Fetch LOB columns as plain values so rows can be serialized directly
+ * @param {object} metaData - Column metadata supplied by oracledb
+ * @returns {object|undefined} - Fetch type override
+ */
+const fetchTypeHandler = (metaData) => {
+  if (metaData.dbType === oracledb.DB_TYPE_CLOB || metaData.dbType === oracledb.DB_TYPE_NCLOB) {
+    return { type: oracledb.STRING };
+  }
+  if (metaData.dbType === oracledb.DB_TYPE_BLOB) {
+    return { type: oracledb.BUFFER };
+  }
+  return undefined;
+};
+
+/**
+ * Format a date the way Oracle stores it (wall clock time, no time zone)
+ * @param {Date} date - Date fetched by oracledb
+ * @returns {string} - Formatted date
+ */
+const formatOracleDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Convert a fetched column value into a JSON friendly value
+ * @param {*} value - Value returned by oracledb
+ * @param {string} type - Oracle type name of the column
+ * @returns {*} - Serializable value
+ */
+const serializeValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (type === 'REF') {
+    return { ref: String(value) };
+  }
+
+  if (value instanceof Date) {
+    if (type === 'DATE' || type === 'TIMESTAMP') {
+      return formatOracleDate(value);
+    }
+    return value.toISOString();
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex').toUpperCase();
+  }
+
+  if (value instanceof oracledb.Lob) {
+    // LOB attributes nested inside objects are not fetched inline
+    return `(${type || 'LOB'})`;
+  }
+
+  if (value instanceof oracledb.BaseDbObject) {
+    if (value.isCollection) {
+      return value.getValues().map(element => serializeValue(element));
+    }
+
+    const object = { _type: value.fqn };
+    for (const name of Object.keys(value.attributes)) {
+      const attribute = value.attributes[name];
+      object[name] = serializeValue(value[name], attribute.typeName);
+    }
+    return object;
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  return value;
+};
+
+/**
+ * Describe the columns of a query without fetching it
+ * @param {object} connection - Oracle connection
+ * @param {string} stmt - Query to describe
+ * @returns {Promise<Array<object>>} - Column names and DBMS_SQL type codes
+ */
+const describeColumns = async (connection, stmt) => {
+  const result = await connection.execute(
+    `DECLARE
+       c INTEGER;
+       n INTEGER;
+       d DBMS_SQL.DESC_TAB3;
+       r VARCHAR2(32767);
+     BEGIN
+       c := DBMS_SQL.OPEN_CURSOR;
+       DBMS_SQL.PARSE(c, :sql_text, DBMS_SQL.NATIVE);
+       DBMS_SQL.DESCRIBE_COLUMNS3(c, n, d);
+       FOR i IN 1 .. n LOOP
+         r := r || d(i).col_name || CHR(31) || d(i).col_type || CHR(30);
+       END LOOP;
+       DBMS_SQL.CLOSE_CURSOR(c);
+       :columns := r;
+     END;`,
+    {
+      sql_text: stmt,
+      columns: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 32767 }
+    }
+  );
+
+  return (result.outBinds.columns || '')
+    .split(String.fromCharCode(30))
+    .filter(Boolean)
+    .map(entry => {
+      const [name, type] = entry.split(String.fromCharCode(31));
+      return { name, type: parseInt(type) };
+    });
+};
+
+/**
+ * Rewrite a query so REF columns are fetched as hex strings.
+ * oracledb cannot fetch REF values directly.
+ * @param {object} connection - Oracle connection
+ * @param {string} stmt - Query containing REF columns
+ * @returns {Promise<object|null>} - Rewritten query and REF column names
+ */
+const rewriteRefColumns = async (connection, stmt) => {
+  const columns = await describeColumns(connection, stmt);
+  const refColumns = columns.filter(col => col.type === DBMS_SQL_REF_TYPE).map(col => col.name);
+
+  if (refColumns.length === 0) {
+    return null;
+  }
+
+  const selectList = columns.map(col => {
+    const quoted = `"${col.name.replace(/"/g, '""')}"`;
+    return col.type === DBMS_SQL_REF_TYPE ? `REFTOHEX(q.${quoted}) AS ${quoted}` : `q.${quoted}`;
+  });
+
+  return {
+    sql: `SELECT ${selectList.join(', ')} FROM (${stmt}) q`,
+    refColumns
+  };
+};
+
+/**
+ * Convert bind specs into oracledb bind definitions
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @returns {object|Array} - oracledb binds
+ */
+const toOracleBinds = (bindParams) => {
+  const convert = (spec) => {
+    const bind = { type: BIND_TYPES[spec.type], dir: BIND_DIRECTIONS[spec.dir] };
+    if (spec.dir !== 'OUT') {
+      bind.val = spec.value;
+    }
+    if (spec.maxSize) {
+      bind.maxSize = spec.maxSize;
+    }
+    return bind;
+  };
+
+  if (Array.isArray(bindParams)) {
+    return bindParams.map(convert);
+  }
+  return Object.fromEntries(Object.entries(bindParams || {}).map(([name, spec]) => [name, convert(spec)]));
+};
+
+/**
+ * Read OUT bind values back in the shape the binds were given in.
+ * oracledb lists positional OUT values on their own, so they are put back
+ * at their positions with null for the IN binds.
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @param {object|Array} outBinds - outBinds of the oracledb result
+ * @returns {Promise<object|Array|null>} - OUT values, or null if there are none
+ */
+const readOutBinds = async (bindParams, outBinds) => {
+  if (!outBinds) {
+    return null;
+  }
+
+  const readValue = async (value) => {
+    if (value instanceof oracledb.Lob) {
+      const data = await value.getData();
+      value.destroy();
+      return data;
+    }
+    return serializeValue(value, 'DATE');
+  };
+
+  if (Array.isArray(bindParams)) {
+    const values = [...outBinds];
+    return Promise.all(bindParams.map(spec => (spec.dir === 'IN' ? null : readValue(values.shift()))));
+  }
+
+  const values = {};
+  for (const name of Object.keys(outBinds)) {
+    values[name] = await readValue(outBinds[name]);
+  }
+  return values;
+};
+
+/**
+ * Find the PL/SQL unit or type a CREATE statement compiles
+ * @param {string} stmt - Statement
+ * @returns {object|null} - type (as ALL_ERRORS names it) and name, or null for other statements
+ */
+const compiledUnit = (stmt) => {
+  const tokens = tokenize(stmt).filter(isSignificant);
+  if (tokens.length === 0 || tokens[0].value.toUpperCase() !== 'CREATE') return null;
+
+  let index = 1;
+  while (tokens[index] && CREATE_MODIFIERS.includes(tokens[index].value.toUpperCase())) index++;
+
+  let type = tokens[index] ? tokens[index].value.toUpperCase() : null;
+  if (!COMPILED_UNITS.includes(type)) return null;
+  index++;
+  if ((type === 'PACKAGE' || type === 'TYPE') && tokens[index] && tokens[index].value.toUpperCase() === 'BODY') {
+    type = `${type} BODY`;
+    index++;
+  }
+
+  // A schema-qualified name is looked up by its last part
+  if (tokens[index + 1] && tokens[index + 1].value === '.') index += 2;
+  const name = tokens[index];
+  if (!name) return null;
+
+  return {
+    type,
+    name: name.type === 'quoted' ? name.value.slice(1, -1) : name.value.toUpperCase()
+  };
+};
+
+/**
+ * Read the compilation errors of a unit in the current sandbox
+ * @param {object} connection - Oracle connection
+ * @param {object} unit - type and name from compiledUnit
+ * @returns {Promise<Array<object>>} - Errors with line, position and text
+ */
+const readCompileErrors = async (connection, unit) => {
+  const result = await connection.execute(
+    `SELECT line, position, text FROM all_errors
+      WHERE owner = SYS_CONTEXT('USERENV', 'CURRENT_SCHEMA') AND name = :name AND type = :type
+        AND attribute = 'ERROR'
+      ORDER BY sequence`,
+    { name: unit.name, type: unit.type },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows.map(row => ({ line: row.LINE, position: row.POSITION, text: row.TEXT.trim() }));
+};
+
+/**
+ * Execute a single statement
+ * @param {object} connection - Oracle connection
+ * @param {string} stmt - Statement to execute
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @param {object} options - autoCommit, maxRows and timeoutMs
+ * @returns {Promise<object>} - Affected rows and OUT binds, or columns and serialized rows for queries
+ */
+const executeStatement = async (connection, stmt, bindParams, options) => {
+  const executeOptions = {
+    autoCommit: options.autoCommit,
+    outFormat: oracledb.OUT_FORMAT_ARRAY,
+    maxRows: options.maxRows + 1,
+    fetchTypeHandler
+  };
+
+  connection.callTimeout = options.timeoutMs || 0;
+
+  const binds = toOracleBinds(bindParams);
+
+  let result;
+  let refColumns = [];
+  try {
+    result = await connection.execute(stmt, binds, executeOptions);
+  } catch (err) {
+    const unsupportedType = err.code && UNSUPPORTED_TYPE_ERRORS.includes(err.code);
+    const rewritten = unsupportedType ? await rewriteRefColumns(connection, stmt) : null;
+    if (!rewritten) {
+      throw err;
+    }
+    refColumns = rewritten.refColumns;
+    result = await connection.execute(rewritten.sql, binds, executeOptions);
+  }
+
+  // Oracle creates a unit that doesn't compile and only warns; report it as the error it is
+  if (result.warning) {
+    const unit = compiledUnit(stmt);
+    const compileErrors = unit ? await readCompileErrors(connection, unit) : [];
+    if (compileErrors.length > 0) {
+      const error = new Error(`${unit.type} ${unit.name} created with compilation errors:\n` +
+        compileErrors.map(compileError => `${compileError.line}/${compileError.position} ${compileError.text}`).join('\n'));
+      error.errorNum = 24344;
+      error.compileErrors = compileErrors;
+      throw error;
+    }
+  }
+
+  if (!result.metaData) {
+    return {
+      affectedRows: result.rowsAffected || 0,
+      outBinds: await readOutBinds(bindParams, result.outBinds)
+    };
+  }
+
+  const columns = result.metaData.map(col => ({
+    name: col.name,
+    type: refColumns.includes(col.name) ? 'REF' : col.dbTypeName,
+    nullable: col.nullable
+  }));
+
+  return {
+    columns,
+    rows: (result.rows || []).map(row => row.map((value, index) => serializeValue(value, columns[index].type)))
+  };
+};
+
+/**
+ * Start an explicit transaction
+ * @param {object} connection - Oracle connection
+ */
+const beginTransaction = async (connection) => {
+  await connection.execute("SET TRANSACTION READ WRITE");
+};
+
+/**
+ * Set a savepoint in the current transaction
+ * @param {object} connection - Oracle connection
+ * @param {string} name - Savepoint name
+ */
+const savepoint = async (connection, name) => {
+  await connection.execute(`SAVEPOINT ${name}`);
+};
+
+/**
+ * Undo everything after a savepoint
+ * @param {object} connection - Oracle connection
+ * @param {string} name - Savepoint name
+ */
+const rollbackToSavepoint = async (connection, name) => {
+  await connection.execute(`ROLLBACK TO SAVEPOINT ${name}`);
+};
+
+/**
+ * Commit the current transaction
+ * @param {object} connection - Oracle connection
+ */
+const commit = async (connection) => {
+  await connection.commit();
+};
+
+/**
+ * Roll back the current transaction
+ * @param {object} connection - Oracle connection
+ */
+const rollback = async (connection) => {
+  await connection.rollback();
+};
+
+/**
+ * Interrupt the call currently running on a connection
+ * @param {object} connection - Oracle connection
+ */
+const breakExecution = async (connection) => {
+  await connection.break();
+};
+
+/**
+ * Check whether an error comes from the call timeout
+ * @param {Error} error - Error thrown by oracledb
+ * @returns {boolean} - Whether the call timed out
+ */
+const isTimeoutError = (error) => TIMEOUT_ERRORS.includes(error.code);
+
+/**
+ * Check whether an error comes from a broken (cancelled) call
+ * @param {Error} error - Error thrown by oracledb
+ * @returns {boolean} - Whether the call was cancelled
+ */
+const isCancelError = (error) => error.errorNum === CANCELLED_ERROR;
+
+/**
+ * Get the database error number of an error
+ * @param {Error} error - Error thrown by oracledb
+ * @returns {number|undefined} - ORA error number
+ */
+const getErrorNumber = (error) => error.errorNum;
+
+/**
+ * Parse a statement without executing it
+ * @param {object} connection - Oracle connection
+ * @param {string} stmt - Statement to parse
+ * @returns {Promise<object>} - valid flag and parse error
+ */
+const validateStatement = async (connection, stmt) => {
+  const result = await connection.execute(
+    `BEGIN
+       DBMS_SQL.PARSE(:sql_text, DBMS_SQL.NATIVE);
+       :valid := 1;
+     EXCEPTION
+       WHEN OTHERS THEN
+         :valid := 0;
+         :error_msg := SQLERRM;
+     END;`,
+    {
+      sql_text: stmt,
+      valid: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+      error_msg: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 4000 }
+    }
+  );
+
+  return {
+    valid: result.outBinds.valid === 1,
+    error: result.outBinds.valid === 0 ? result.outBinds.error_msg : null
+  };
+};
+
+/**
+ * Run EXPLAIN PLAN for a statement and read the plan back.
+ * The PLAN_TABLE rows are left to the caller's rollback.
+ * @param {object} connection - Oracle connection
+ * @param {string} stmt - Statement to explain
+ * @param {string} statementId - Identifier for this plan in PLAN_TABLE
+ * @returns {Promise<object>} - PLAN_TABLE rows and DBMS_XPLAN text
+ */
+const explainStatement = async (connection, stmt, statementId) => {
+  // EXPLAIN PLAN does not take binds, so the statement ID is generated by the caller
+  await connection.execute(`EXPLAIN PLAN SET STATEMENT_ID = '${statementId}' FOR ${stmt}`);
+
+  const planRows = await connection.execute(
+    `SELECT id, parent_id, operation, options, object_owner, object_name, object_type,
+            cost, cardinality, bytes, cpu_cost, io_cost, access_predicates, filter_predicates
+       FROM plan_table
+      WHERE statement_id = :statementId
+      ORDER BY id`,
+    { statementId },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  const formatted = await connection.execute(
+    `SELECT plan_table_output FROM TABLE(DBMS_XPLAN.DISPLAY('PLAN_TABLE', :statementId, 'TYPICAL'))`,
+    { statementId },
+    { outFormat: oracledb.OUT_FORMAT_ARRAY }
+  );
+
+  return {
+    rows: planRows.rows || [],
+    planText: (formatted.rows || []).map(row => row[0]).join('\n')
+  };
+};
+
+/**
+ * Describe the tables and views in a session's sandbox
+ * @param {object} connection - Oracle connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Array<object>>} - Tables with their columns
+ */
+const introspect = async (connection, sessionId) => {
+  const result = await connection.execute(
+    `SELECT o.object_name, o.object_type, c.column_name, c.data_type, c.nullable
+       FROM all_objects o
+       LEFT JOIN all_tab_columns c
+         ON c.owner = o.owner AND c.table_name = o.object_name
+      WHERE o.owner = :schema
+        AND o.object_type IN ('TABLE', 'VIEW')
+        AND o.object_name NOT LIKE 'BIN$%'
+      ORDER BY o.object_name, c.column_id`,
+    { schema: getSandboxSchema(sessionId) },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  const tables = new Map();
+  for (const row of result.rows || []) {
+    if (!tables.has(row.OBJECT_NAME)) {
+      tables.set(row.OBJECT_NAME, { name: row.OBJECT_NAME, type: row.OBJECT_TYPE, columns: [] });
+    }
+    if (row.COLUMN_NAME) {
+      tables.get(row.OBJECT_NAME).columns.push({
+        name: row.COLUMN_NAME,
+        type: row.DATA_TYPE,
+        nullable: row.NULLABLE === 'Y'
+      });
+    }
+  }
+
+  return [...tables.values()];
+};
+
+/**
+ * Format a data dictionary type the way it is written in DDL, e.g. VARCHAR2(36) or REF DEPT_T
+ * @param {object} row - Row with type name, modifier, length, precision and scale
+ * @returns {string} - Type as written in DDL
+ */
+const formatDictionaryType = ({ typeName, typeMod, length, precision, scale }) => {
+  if (typeMod === 'REF') {
+    return `REF ${typeName}`;
+  }
+  if (['VARCHAR2', 'CHAR', 'NVARCHAR2', 'NCHAR', 'RAW'].includes(typeName) && length) {
+    return `${typeName}(${length})`;
+  }
+  if (typeName === 'NUMBER' && precision) {
+    return scale ? `NUMBER(${precision},${scale})` : `NUMBER(${precision})`;
+  }
+  return typeName;
+};
+
+/**
+ * Read the types, tables, constraints and views of a session's sandbox from the data dictionary.
+ * The sandbox is another user's schema, so the ALL_* views are read by owner
+ * instead of the USER_* views.
+ * @param {object} connection - Oracle connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - types, tables, constraints and views
+ */
+const readSchemaState = async (connection, sessionId) => {
+  const binds = { schema: getSandboxSchema(sessionId) };
+  const options = { outFormat: oracledb.OUT_FORMAT_OBJECT };
+
+  const [types, typeAttrs, tables, objectTables, columns, constraints, views] = await Promise.all([
+    connection.execute(
+      `SELECT type_name, typecode FROM all_types WHERE owner = :schema ORDER BY type_name`,
+      binds, options),
+    connection.execute(
+      `SELECT type_name, attr_name, attr_type_mod, attr_type_name, length, precision, scale
+         FROM all_type_attrs WHERE owner = :schema ORDER BY type_name, attr_no`,
+      binds, options),
+    connection.execute(
+      `SELECT table_name FROM all_tables
+        WHERE owner = :schema AND table_name NOT LIKE 'BIN$%' ORDER BY table_name`,
+      binds, options),
+    connection.execute(
+      `SELECT table_name, table_type FROM all_object_tables
+        WHERE owner = :schema AND table_name NOT LIKE 'BIN$%' ORDER BY table_name`,
+      binds, options),
+    connection.execute(
+      `SELECT table_name, column_name, data_type, data_type_mod, data_length, data_precision, data_scale, nullable
+         FROM all_tab_columns WHERE owner = :schema AND table_name NOT LIKE 'BIN$%'
+        ORDER BY table_name, column_id`,
+      binds, options),
+    connection.execute(
+      `SELECT c.constraint_name, c.constraint_type, c.table_name, cc.column_name, r.table_name AS r_table_name
+         FROM all_constraints c
+         LEFT JOIN all_cons_columns cc
+           ON cc.owner = c.owner AND cc.constraint_name = c.constraint_name
+         LEFT JOIN all_constraints r
+           ON r.owner = c.r_owner AND r.constraint_name = c.r_constraint_name
+        WHERE c.owner = :schema AND c.table_name NOT LIKE 'BIN$%'
+        ORDER BY c.table_name, c.constraint_name, cc.position`,
+      binds, options),
+    connection.execute(
+      `SELECT view_name FROM all_views WHERE owner = :schema ORDER BY view_name`,
+      binds, options)
+  ]);
+
+  const columnsByTable = new Map();
+  for (const row of columns.rows || []) {
+    if (!columnsByTable.has(row.TABLE_NAME)) {
+      columnsByTable.set(row.TABLE_NAME, []);
+    }
+    columnsByTable.get(row.TABLE_NAME).push({
+      name: row.COLUMN_NAME,
+      type: formatDictionaryType({
+        typeName: row.DATA_TYPE,
+        typeMod: row.DATA_TYPE_MOD,
+        length: row.DATA_LENGTH,
+        precision: row.DATA_PRECISION,
+        scale: row.DATA_SCALE
+      }),
+      nullable: row.NULLABLE === 'Y'
+    });
+  }
+
+  const objectTableTypes = new Map((objectTables.rows || []).map(row => [row.TABLE_NAME, row.TABLE_TYPE]));
+  const tableNames = [...new Set([
+    ...(tables.rows || []).map(row => row.TABLE_NAME),
+    ...objectTableTypes.keys()
+  ])];
+
+  const constraintsByName = new Map();
+  for (const row of constraints.rows || []) {
+    if (!constraintsByName.has(row.CONSTRAINT_NAME)) {
+      constraintsByName.set(row.CONSTRAINT_NAME, {
+        name: row.CONSTRAINT_NAME,
+        type: row.CONSTRAINT_TYPE,
+        table: row.TABLE_NAME,
+        columns: [],
+        references: row.R_TABLE_NAME || null
+      });
+    }
+    if (row.COLUMN_NAME) {
+      constraintsByName.get(row.CONSTRAINT_NAME).columns.push(row.COLUMN_NAME);
+    }
+  }
+
+  const attributesByType = new Map();
+  for (const row of typeAttrs.rows || []) {
+    if (!attributesByType.has(row.TYPE_NAME)) {
+      attributesByType.set(row.TYPE_NAME, []);
+    }
+    attributesByType.get(row.TYPE_NAME).push({
+      name: row.ATTR_NAME,
+      type: formatDictionaryType({
+        typeName: row.ATTR_TYPE_NAME,
+        typeMod: row.ATTR_TYPE_MOD,
+        length: row.LENGTH,
+        precision: row.PRECISION,
+        scale: row.SCALE
+      })
+    });
+  }
+
+  return {
+    types: (types.rows || []).map(row => ({
+      name: row.TYPE_NAME,
+      typecode: row.TYPECODE,
+      attributes: attributesByType.get(row.TYPE_NAME) || []
+    })),
+    tables: tableNames.map(name => ({
+      name,
+      ofType: objectTableTypes.get(name) || null,
+      columns: columnsByTable.get(name) || []
+    })),
+    constraints: [...constraintsByName.values()],
+    views: (views.rows || []).map(row => ({
+      name: row.VIEW_NAME,
+      columns: columnsByTable.get(row.VIEW_NAME) || []
+    }))
+  };
+};
+
+/**
+ * List the objects in a session's sandbox
+ * @param {object} connection - Oracle connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Array<object>>} - Objects with name, type and creation time
+ */
+const listObjects = async (connection, sessionId) => {
+  return listSandboxObjects(connection, getSandboxSchema(sessionId));
+};
+
+/**
+ * Drop every object in a session's sandbox, keeping the schema
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const clearSandbox = async (sessionId) => {
+  const schema = getSandboxSchema(sessionId);
+  let connection;
+  try {
+    connection = await getConnection();
+    const objects = await listSandboxObjects(connection, schema);
+    return await dropSandboxObjects(connection, schema, objects);
+  } finally {
+    await releaseConnection(connection);
+  }
+};
+
+/**
+ * Drop a session's sandbox schema and everything in it
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const dropSandbox = async (sessionId) => {
+  const schema = getSandboxSchema(sessionId);
+  let connection;
+  try {
+    connection = await getConnection();
+    const objects = await listSandboxObjects(connection, schema);
+    const result = await dropSandboxObjects(connection, schema, objects);
+    await dropSandboxSchema(connection, schema);
+    return result;
+  } finally {
+    await releaseConnection(connection);
+  }
+};
+
+/**
+ * Drop sandbox schemas that no active session owns
+ * @param {Array<string>} activeNames - Sandbox names of active sessions
+ * @param {number} olderThanMinutes - Only schemas created before this many minutes ago
+ * @returns {Promise<Array<string>>} - Dropped schema names
+ */
+const reapOrphanSandboxes = async (activeNames, olderThanMinutes) => {
+  const dropped = [];
+  let connection;
+  try {
+    connection = await getConnection();
+    const schemas = await listSandboxSchemas(connection, olderThanMinutes);
+
+    for (const schema of schemas) {
+      if (activeNames.includes(schema)) continue;
+      try {
+        const objects = await listSandboxObjects(connection, schema);
+        await dropSandboxObjects(connection, schema, objects);
+        await dropSandboxSchema(connection, schema);
+        dropped.push(schema);
+      } catch (error) {
+        console.error(`Error dropping orphaned sandbox ${schema}:`, error.message);
+      }
+    }
+  } finally {
+    await releaseConnection(connection);
+  }
+
+  return dropped;
+};
+
+module.exports = {
+  name: 'oracle',
+  dialect: 'oracle',
+  transactionalDdl: false,
+  supportsOutBinds: true,
+  initializePool,
+  isInitialized,
+  getConnection,
+  releaseConnection,
+  getSandboxName: getSandboxSchema,
+  listSchemaNames,
+  executeStatement,
+  beginTransaction,
+  savepoint,
+  rollbackToSavepoint,
+  commit,
+  rollback,
+  breakExecution,
+  isTimeoutError,
+  isCancelError,
+  getErrorNumber,
+  validateStatement,
+  explainStatement,
+  introspect,
+  readSchemaState,
+  listObjects,
+  clearSandbox,
+  dropSandbox,
+  reapOrphanSandboxes
+};
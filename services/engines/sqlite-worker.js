@@ -0,0 +1,102 @@
+// services/engines/sqlite-worker.js
+const { parentPort, workerData } = require('worker_threads');
+const initSqlJs = require('sql.js');
+
+// Runs one sandbox database on its own thread. sql.js can't interrupt a
+// running statement, so the engine stops a runaway one by terminating the
+// thread and starting a new one from the last checkpoint.
+let db = null;
+
+/**
+ * Read a single value from the database
+ * @param {string} sql - Query returning one row with one column
+ * @returns {*} - The value
+ */
+const scalar = (sql) => db.exec(sql)[0].values[0][0];
+
+// Schema version the last checkpoint was taken at
+let checkpointVersion = null;
+
+const ready = initSqlJs().then(SQL => {
+  db = new SQL.Database(workerData.snapshot || undefined);
+  checkpointVersion = scalar('PRAGMA schema_version');
+});
+
+/**
+ * Check whether the database is outside a transaction
+ * @returns {boolean} - Whether no transaction is open
+ */
+const isIdle = () => {
+  try {
+    db.run('BEGIN');
+  } catch (error) {
+    return false;
+  }
+  db.run('COMMIT');
+  return true;
+};
+
+const operations = {
+  /**
+   * Execute a single statement, fetching at most one row more than maxRows
+   */
+  execute: ({ stmt, binds, maxRows }) => {
+    const changesBefore = scalar('SELECT total_changes()');
+    const prepared = db.prepare(stmt);
+
+    try {
+      if (binds) {
+        prepared.bind(binds);
+      }
+
+      const names = prepared.getColumnNames();
+      if (names.length === 0) {
+        prepared.step();
+        return { affectedRows: scalar('SELECT total_changes()') - changesBefore };
+      }
+
+      const rows = [];
+      while (rows.length <= maxRows && prepared.step()) {
+        rows.push(prepared.get());
+      }
+      return { names, rows };
+    } finally {
+      prepared.free();
+    }
+  },
+
+  run: ({ sql }) => {
+    db.run(sql);
+  },
+
+  exec: ({ sql }) => db.exec(sql),
+
+  validate: ({ stmt }) => {
+    db.prepare(stmt).free();
+  },
+
+  /**
+   * Export the database if it changed since the last checkpoint. Exporting
+   * reopens the database, which would end an open transaction (and drops
+   * TEMP objects), so a busy database keeps its previous checkpoint.
+   * @returns {Uint8Array|null} - Database image, or null to keep the previous one
+   */
+  checkpoint: () => {
+    const changed = scalar('SELECT total_changes()') > 0 || scalar('PRAGMA schema_version') !== checkpointVersion;
+    if (!changed || !isIdle()) {
+      return null;
+    }
+    const snapshot = db.export();
+    checkpointVersion = scalar('PRAGMA schema_version');
+    return snapshot;
+  }
+};
+
+parentPort.on('message', async ({ id, operation, args }) => {
+  try {
+    await ready;
+    parentPort.postMessage({ id, result: operations[operation](args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
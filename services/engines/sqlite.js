@@ -0,0 +1,566 @@
+// services/engines/sqlite.js
+const path = require('path');
+const { Worker } = require('worker_threads');
+const initSqlJs = require('sql.js');
+const { getSandboxSchema } = require('../sandbox-manager');
+
+// sql.js runs SQLite in-process, so there is no server and nothing to configure.
+// Each session gets its own in-memory database; they are lost on restart.
+// A database lives on its own worker thread (sqlite-worker.js), because sql.js
+// can't interrupt a statement: a timed out or cancelled one is stopped by
+// terminating the thread, and the database restarts from the checkpoint taken
+// when the connection was acquired, undoing the interrupted call's changes.
+let initialized = false;
+
+// Databases by sandbox name: worker, pending calls, checkpoint and last use
+const databases = new Map();
+
+// Database used when no session is given
+const SHARED_DATABASE = 'SHARED';
+
+// Codes of the errors raised for interrupted calls
+const TIMEOUT_ERROR = 'ERR_SQLITE_TIMEOUT';
+const CANCELLED_ERROR = 'ERR_SQLITE_CANCELLED';
+
+/**
+ * Check that the SQLite WebAssembly module loads
+ */
+const initializePool = async () => {
+  try {
+    await initSqlJs();
+    initialized = true;
+    console.log('SQLite engine initialized successfully');
+    return true;
+  } catch (error) {
+    console.error('Failed to initialize SQLite engine:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether the engine has been loaded
+ * @returns {boolean} - Whether the engine is in use
+ */
+const isInitialized = () => initialized;
+
+/**
+ * Fail a database's pending calls
+ * @param {object} entry - Database entry
+ * @param {Error} error - Error to reject them with
+ */
+const rejectPending = (entry, error) => {
+  entry.pending.forEach(call => call.reject(error));
+  entry.pending.clear();
+};
+
+/**
+ * Start the worker thread of a database from its checkpoint
+ * @param {object} entry - Database entry
+ */
+const startWorker = (entry) => {
+  const worker = new Worker(path.join(__dirname, 'sqlite-worker.js'), {
+    workerData: { snapshot: entry.snapshot }
+  });
+  // Only calls in flight keep the process alive
+  worker.unref();
+
+  worker.on('message', ({ id, result, error }) => {
+    const call = entry.pending.get(id);
+    if (!call) return;
+    if (error) {
+      call.reject(new Error(error));
+    } else {
+      call.resolve(result);
+    }
+  });
+  worker.on('error', (error) => {
+    if (entry.worker !== worker) return;
+    console.error('SQLite worker failed:', error);
+    rejectPending(entry, error);
+    startWorker(entry);
+  });
+
+  entry.worker = worker;
+};
+
+/**
+ * Stop a database's worker, failing whatever it was running
+ * @param {object} entry - Database entry
+ * @param {Error} error - Error for the pending calls
+ */
+const stopWorker = (entry, error) => {
+  const { worker } = entry;
+  entry.worker = null;
+  rejectPending(entry, error);
+  worker.terminate().catch(err => {
+    console.error('Error terminating SQLite worker:', err);
+  });
+};
+
+/**
+ * Interrupt a database's running call by replacing its worker with one
+ * started from the last checkpoint
+ * @param {object} entry - Database entry
+ * @param {string} code - TIMEOUT_ERROR or CANCELLED_ERROR
+ * @param {string} message - Error message for the interrupted calls
+ */
+const interrupt = (entry, code, message) => {
+  if (!entry.worker) return;
+  stopWorker(entry, Object.assign(new Error(message), { code }));
+  startWorker(entry);
+};
+
+/**
+ * Run an operation on a database's worker
+ * @param {object} entry - Database entry
+ * @param {string} operation - Operation of sqlite-worker.js
+ * @param {object} args - Operation arguments
+ * @param {number} timeoutMs - Time limit (0 for none)
+ * @returns {Promise<*>} - Operation result
+ */
+const call = (entry, operation, args = {}, timeoutMs = 0) => new Promise((resolve, reject) => {
+  if (!entry.worker) {
+    reject(new Error('The sandbox database has been dropped'));
+    return;
+  }
+
+  const id = entry.nextId++;
+  const timer = timeoutMs > 0 ?
+    setTimeout(() => interrupt(entry, TIMEOUT_ERROR, `Statement interrupted after ${timeoutMs} ms`), timeoutMs) :
+    null;
+  const settle = (done) => (value) => {
+    clearTimeout(timer);
+    entry.pending.delete(id);
+    if (entry.pending.size === 0 && entry.worker) {
+      entry.worker.unref();
+    }
+    done(value);
+  };
+
+  entry.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+  entry.worker.ref();
+  entry.worker.postMessage({ id, operation, args });
+});
+
+/**
+ * Get the entry of a connection's database
+ * @param {object} connection - Database handle
+ * @returns {object} - Database entry
+ */
+const entryOf = (connection) => {
+  const entry = databases.get(connection.name);
+  if (!entry) {
+    throw new Error('The sandbox database has been dropped');
+  }
+  return entry;
+};
+
+/**
+ * Get the session's database, creating it on first use. Each connection
+ * checkpoints the database, which is what an interrupted call returns it to.
+ * @param {string} sessionId - User session ID (null for the shared database)
+ * @returns {Promise<object>} - Handle with the database name
+ */
+const getConnection = async (sessionId = null) => {
+  if (!initialized) {
+    await initializePool();
+  }
+
+  const name = sessionId ? getSandboxSchema(sessionId) : SHARED_DATABASE;
+  if (!databases.has(name)) {
+    const entry = { worker: null, pending: new Map(), nextId: 0, snapshot: null, lastUsedAt: Date.now() };
+    startWorker(entry);
+    databases.set(name, entry);
+  }
+
+  const entry = databases.get(name);
+  entry.lastUsedAt = Date.now();
+  const snapshot = await call(entry, 'checkpoint');
+  if (snapshot) {
+    entry.snapshot = snapshot;
+  }
+  return { name };
+};
+
+/**
+ * Nothing to return to a pool; the database stays with its session
+ * @param {object} connection - Database handle
+ */
+const releaseConnection = async (connection) => {
+  if (connection && databases.has(connection.name)) {
+    databases.get(connection.name).lastUsedAt = Date.now();
+  }
+};
+
+/**
+ * SQLite has no other schemas to protect
+ * @returns {Promise<Array<string>>} - Always empty
+ */
+const listSchemaNames = async () => [];
+
+/**
+ * Convert a bind value into one sql.js accepts.
+ * Dates are stored as ISO text, like the dates in adapted setup scripts.
+ * @param {object} spec - Bind spec from sql-binds
+ * @returns {*} - sql.js bind value
+ */
+const toSqliteValue = (spec) => {
+  const { value } = spec;
+  if (!(value instanceof Date)) {
+    return value;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  return time === '00:00:00' ? day : `${day} ${time}`;
+};
+
+/**
+ * Convert bind specs ({ name: spec }) into sql.js binds ({ ':name': value })
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @returns {object|Array|null} - sql.js bind parameters
+ */
+const toSqliteBinds = (bindParams) => {
+  if (Array.isArray(bindParams)) {
+    return bindParams.length > 0 ? bindParams.map(toSqliteValue) : null;
+  }
+  const names = Object.keys(bindParams || {});
+  if (names.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(names.map(name => [`:${name}`, toSqliteValue(bindParams[name])]));
+};
+
+/**
+ * Convert a fetched column value into a JSON friendly value
+ * @param {*} value - Value returned by sql.js
+ * @returns {*} - Serializable value
+ */
+const serializeValue = (value) => {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value).toString('hex').toUpperCase();
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Work out a column's storage class from the values fetched for it
+ * @param {Array<Array>} rows - Fetched rows
+ * @param {number} index - Column index
+ * @returns {string|null} - INTEGER, REAL, TEXT or BLOB
+ */
+const inferColumnType = (rows, index) => {
+  const sample = rows.map(row => row[index]).find(value => value !== null && value !== undefined);
+  if (sample === undefined) return null;
+  if (typeof sample === 'number') return Number.isInteger(sample) ? 'INTEGER' : 'REAL';
+  if (sample instanceof Uint8Array) return 'BLOB';
+  return 'TEXT';
+};
+
+/**
+ * Execute a single statement
+ * @param {object} connection - Database handle
+ * @param {string} stmt - Statement to execute
+ * @param {object|Array} bindParams - Bind specs from sql-binds
+ * @param {object} options - maxRows and timeoutMs
+ * @returns {Promise<object>} - Affected rows, or columns and serialized rows for queries
+ */
+const executeStatement = async (connection, stmt, bindParams, options) => {
+  const result = await call(entryOf(connection), 'execute', {
+    stmt,
+    binds: toSqliteBinds(bindParams),
+    maxRows: options.maxRows
+  }, options.timeoutMs);
+
+  if (!result.names) {
+    return {
+      affectedRows: result.affectedRows
+    };
+  }
+
+  return {
+    columns: result.names.map((name, index) => ({
+      name,
+      type: inferColumnType(result.rows, index),
+      nullable: true
+    })),
+    rows: result.rows.map(row => row.map(serializeValue))
+  };
+};
+
+/**
+ * Start an explicit transaction
+ * @param {object} connection - Database handle
+ */
+const beginTransaction = async (connection) => {
+  await call(entryOf(connection), 'run', { sql: 'BEGIN' });
+};
+
+/**
+ * Set a savepoint in the current transaction
+ * @param {object} connection - Database handle
+ * @param {string} name - Savepoint name
+ */
+const savepoint = async (connection, name) => {
+  await call(entryOf(connection), 'run', { sql: `SAVEPOINT ${name}` });
+};
+
+/**
+ * Undo everything after a savepoint
+ * @param {object} connection - Database handle
+ * @param {string} name - Savepoint name
+ */
+const rollbackToSavepoint = async (connection, name) => {
+  await call(entryOf(connection), 'run', { sql: `ROLLBACK TO SAVEPOINT ${name}` });
+};
+
+/**
+ * Run COMMIT or ROLLBACK, ignoring the error SQLite raises when no transaction is open
+ * @param {object} connection - Database handle
+ * @param {string} command - COMMIT or ROLLBACK
+ */
+const endTransaction = async (connection, command) => {
+  try {
+    await call(entryOf(connection), 'run', { sql: command });
+  } catch (error) {
+    if (!/no transaction is active/i.test(error.message)) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Commit the current transaction
+ * @param {object} connection - Database handle
+ */
+const commit = async (connection) => endTransaction(connection, 'COMMIT');
+
+/**
+ * Roll back the current transaction
+ * @param {object} connection - Database handle
+ */
+const rollback = async (connection) => endTransaction(connection, 'ROLLBACK');
+
+/**
+ * Cancel the statement running on a database
+ * @param {object} connection - Database handle
+ */
+const breakExecution = async (connection) => {
+  const entry = databases.get(connection.name);
+  if (entry && entry.pending.size > 0) {
+    interrupt(entry, CANCELLED_ERROR, 'Statement cancelled');
+  }
+};
+
+/**
+ * Check whether an error comes from the call time limit
+ * @param {Error} error - Error thrown by the engine
+ * @returns {boolean} - Whether the call timed out
+ */
+const isTimeoutError = (error) => error.code === TIMEOUT_ERROR;
+
+/**
+ * Check whether an error comes from a cancelled call
+ * @param {Error} error - Error thrown by the engine
+ * @returns {boolean} - Whether the call was cancelled
+ */
+const isCancelError = (error) => error.code === CANCELLED_ERROR;
+
+/**
+ * SQLite errors carry no error number through sql.js
+ * @returns {undefined} - No error number
+ */
+const getErrorNumber = () => undefined;
+
+/**
+ * Check a statement by compiling it without running it
+ * @param {object} connection - Database handle
+ * @param {string} stmt - Statement to check
+ * @returns {Promise<object>} - valid flag and error
+ */
+const validateStatement = async (connection, stmt) => {
+  try {
+    await call(entryOf(connection), 'validate', { stmt });
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+/**
+ * Express an EXPLAIN QUERY PLAN detail line as an Oracle style plan operation
+ * @param {string} detail - Detail text, e.g. "SEARCH emp USING INDEX emp_dept (dept_id=?)"
+ * @returns {object} - Operation, options and object name
+ */
+const describePlanDetail = (detail) => {
+  const scan = /^(SCAN|SEARCH)\s+(?:TABLE\s+)?(\S+)(.*)$/i.exec(detail);
+  if (!scan) {
+    if (/TEMP B-TREE/i.test(detail)) {
+      return { operation: 'SORT', options: /ORDER BY/i.test(detail) ? 'ORDER BY' : 'GROUP BY', object: null };
+    }
+    if (/CORRELATED/i.test(detail)) {
+      return { operation: 'FILTER', options: null, object: null };
+    }
+    return { operation: detail, options: null, object: null };
+  }
+
+  const [, verb, table, rest] = scan;
+  const index = /USING (?:COVERING )?INDEX (\S+)/i.exec(rest);
+  if (index) {
+    return {
+      operation: 'INDEX',
+      options: verb.toUpperCase() === 'SCAN' ? 'FULL SCAN' : 'RANGE SCAN',
+      object: `${table}.${index[1]}`
+    };
+  }
+  if (/PRIMARY KEY/i.test(rest)) {
+    return { operation: 'TABLE ACCESS', options: 'BY INDEX ROWID', object: table };
+  }
+  return { operation: 'TABLE ACCESS', options: 'FULL', object: table };
+};
+
+/**
+ * Run EXPLAIN QUERY PLAN for a statement and express it as PLAN_TABLE style rows
+ * @param {object} connection - Database handle
+ * @param {string} stmt - Statement to explain
+ * @returns {Promise<object>} - Plan rows and plan text
+ */
+const explainStatement = async (connection, stmt) => {
+  const [result] = await call(entryOf(connection), 'exec', { sql: `EXPLAIN QUERY PLAN ${stmt}` });
+  const planRows = result ? result.values : [];
+
+  const rows = [{ ID: 0, PARENT_ID: null, OPERATION: `${stmt.trim().split(/\s+/)[0].toUpperCase()} STATEMENT` }];
+  const depths = new Map([[0, 0]]);
+  const lines = [];
+
+  for (const [id, parent, , detail] of planRows) {
+    const { operation, options, object } = describePlanDetail(detail);
+    rows.push({
+      ID: id,
+      PARENT_ID: parent,
+      OPERATION: operation,
+      OPTIONS: options,
+      OBJECT_NAME: object
+    });
+
+    const depth = (depths.get(parent) || 0) + 1;
+    depths.set(id, depth);
+    lines.push(`${'  '.repeat(depth - 1)}${detail}`);
+  }
+
+  return { rows, planText: ['QUERY PLAN', ...lines].join('\n') };
+};
+
+/**
+ * Describe the tables and views in a session's database
+ * @param {object} connection - Database handle
+ * @returns {Promise<Array<object>>} - Tables with their columns
+ */
+const introspect = async (connection) => {
+  const entry = entryOf(connection);
+  const [result] = await call(entry, 'exec', {
+    sql: `SELECT name, type FROM sqlite_master
+      WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+      ORDER BY name`
+  });
+
+  return Promise.all((result ? result.values : []).map(async ([name, type]) => {
+    const [info] = await call(entry, 'exec', { sql: `PRAGMA table_info("${name.replace(/"/g, '""')}")` });
+    return {
+      name,
+      type: type.toUpperCase(),
+      columns: (info ? info.values : []).map(([, columnName, columnType, notNull]) => ({
+        name: columnName,
+        type: columnType || null,
+        nullable: notNull === 0
+      }))
+    };
+  }));
+};
+
+/**
+ * List the objects in a session's database
+ * @param {object} connection - Database handle
+ * @returns {Promise<Array<object>>} - Objects with name and type (SQLite keeps no creation time)
+ */
+const listObjects = async (connection) => {
+  const [result] = await call(entryOf(connection), 'exec', {
+    sql: `SELECT name, type FROM sqlite_master
+      WHERE name NOT LIKE 'sqlite_%'
+      ORDER BY rowid`
+  });
+  return (result ? result.values : []).map(([name, type]) => ({
+    name,
+    type: type.toUpperCase(),
+    createdAt: null
+  }));
+};
+
+/**
+ * Close a session's database and forget it
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const dropSandbox = async (sessionId) => {
+  const name = getSandboxSchema(sessionId);
+  const entry = databases.get(name);
+  if (!entry) {
+    return { dropped: [], errors: [] };
+  }
+
+  const dropped = await listObjects({ name });
+  databases.delete(name);
+  stopWorker(entry, new Error('The sandbox database has been dropped'));
+  return { dropped, errors: [] };
+};
+
+/**
+ * Close databases that no active session owns and that have been idle for a while
+ * @param {Array<string>} activeNames - Sandbox names of active sessions
+ * @param {number} olderThanMinutes - Idle time before a database is dropped
+ * @returns {Promise<Array<string>>} - Dropped database names
+ */
+const reapOrphanSandboxes = async (activeNames, olderThanMinutes) => {
+  const cutoff = Date.now() - olderThanMinutes * 60 * 1000;
+  const dropped = [];
+
+  for (const [name, entry] of databases) {
+    if (activeNames.includes(name) || entry.lastUsedAt > cutoff || entry.pending.size > 0) continue;
+    databases.delete(name);
+    stopWorker(entry, new Error('The sandbox database has been dropped'));
+    dropped.push(name);
+  }
+
+  return dropped;
+};
+
+module.exports = {
+  name: 'sqlite',
+  dialect: 'sqlite',
+  transactionalDdl: true,
+  supportsOutBinds: false,
+  initializePool,
+  isInitialized,
+  getConnection,
+  releaseConnection,
+  getSandboxName: getSandboxSchema,
+  listSchemaNames,
+  executeStatement,
+  beginTransaction,
+  savepoint,
+  rollbackToSavepoint,
+  commit,
+  rollback,
+  breakExecution,
+  isTimeoutError,
+  isCancelError,
+  getErrorNumber,
+  validateStatement,
+  explainStatement,
+  introspect,
+  listObjects,
+  // The database is recreated empty the next time the session uses it
+  clearSandbox: dropSandbox,
+  dropSandbox,
+  reapOrphanSandboxes
+};
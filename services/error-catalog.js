@@ -0,0 +1,555 @@
+// services/error-catalog.js
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+
+// Explanations for the errors students run into most, keyed by Oracle error code.
+// mysql lists the MySQL error numbers and sqlite matches the SQLite messages that
+// mean the same thing; token pulls the offending name out of the message.
+const ERROR_CATALOG = {
+  'ORA-00001': {
+    title: 'Unique constraint violated',
+    explanation: 'The row would repeat a value that a primary key or unique constraint says must be unique.',
+    causes: [
+      'Inserting a row whose key already exists, e.g. running the same INSERT twice',
+      'An UPDATE that sets a key column to a value another row already has'
+    ],
+    mysql: [1062],
+    sqlite: /UNIQUE constraint failed|PRIMARY KEY must be unique/i
+  },
+  'ORA-00900': {
+    title: 'Invalid SQL statement',
+    explanation: 'The statement does not start with a SQL command Oracle recognises.',
+    causes: [
+      'A misspelled command, e.g. SELET or CRATE',
+      'A SQL*Plus command or a fragment of PL/SQL run as a statement of its own'
+    ]
+  },
+  'ORA-00904': {
+    title: 'Invalid identifier',
+    explanation: 'A column, attribute or alias name in the statement does not exist where it is used.',
+    causes: [
+      'A misspelled column name',
+      'A column used through the wrong table alias, or an alias defined in SELECT used in WHERE',
+      'An object attribute accessed without a table alias, e.g. workdept.deptname instead of e.workdept.deptname'
+    ],
+    mysql: [1054],
+    sqlite: /no such column/i,
+    token: /([A-Za-z0-9_$#]+)"?: invalid identifier|Unknown column '(?:[^']*\.)?([^'.]+)'|no such column: (?:\S*\.)?(\S+)/
+  },
+  'ORA-00905': {
+    title: 'Missing keyword',
+    explanation: 'Oracle expected a keyword that is not there.',
+    causes: [
+      'An incomplete clause, e.g. CREATE TABLE t AS without SELECT, or a CASE without WHEN',
+      'A misspelled keyword'
+    ]
+  },
+  'ORA-00906': {
+    title: 'Missing left parenthesis',
+    explanation: 'Oracle expected an opening parenthesis.',
+    causes: [
+      'A column list of CREATE TABLE or CREATE TYPE without its parentheses',
+      'A data type such as VARCHAR2 without a length in parentheses'
+    ]
+  },
+  'ORA-00907': {
+    title: 'Missing right parenthesis',
+    explanation: 'A parenthesis is left open, or something Oracle did not expect appears inside the parentheses.',
+    causes: [
+      'Unbalanced parentheses',
+      'A misplaced comma or keyword inside a column definition or function call',
+      'An ORDER BY inside a subquery used in IN (...)'
+    ]
+  },
+  'ORA-00911': {
+    title: 'Invalid character',
+    explanation: 'The statement contains a character that is not allowed at that point.',
+    causes: [
+      'Typographic quotes pasted from a document instead of plain \' and "',
+      'A special character such as # or $ at the start of an unquoted name'
+    ]
+  },
+  'ORA-00913': {
+    title: 'Too many values',
+    explanation: 'More values are given than there are columns to receive them.',
+    causes: [
+      'An INSERT with more values than listed (or existing) columns',
+      'A subquery that returns more columns than the comparison needs'
+    ],
+    mysql: [1136],
+    sqlite: /values for \d+ columns/i
+  },
+  'ORA-00917': {
+    title: 'Missing comma',
+    explanation: 'Oracle expected a comma between two items of a list.',
+    causes: [
+      'Two values or columns in a list without a comma between them',
+      'An unquoted string value in a VALUES list'
+    ]
+  },
+  'ORA-00918': {
+    title: 'Column ambiguously defined',
+    explanation: 'A column name exists in more than one table of the query, so Oracle cannot tell which one is meant.',
+    causes: [
+      'A join where both tables have a column of that name and it is used without a table alias'
+    ],
+    mysql: [1052],
+    sqlite: /ambiguous column name/i,
+    token: /Column '([^']+)' in \S+ clause is ambiguous|ambiguous column name: (\S+)/
+  },
+  'ORA-00923': {
+    title: 'FROM keyword not found where expected',
+    explanation: 'Oracle reached something unexpected while reading the SELECT list and did not find FROM.',
+    causes: [
+      'A missing comma between two columns in the SELECT list',
+      'A column alias with spaces or a reserved word that is not in double quotes',
+      'A missing FROM clause; Oracle queries need FROM, use FROM dual for expressions'
+    ]
+  },
+  'ORA-00932': {
+    title: 'Inconsistent data types',
+    explanation: 'A value of one type is used where another type is required.',
+    causes: [
+      'Comparing a REF with a value or an object, e.g. workdept = \'A00\' instead of DEREF(workdept).deptno = \'A00\'',
+      'Comparing or combining a CLOB, object or collection with a scalar'
+    ]
+  },
+  'ORA-00933': {
+    title: 'SQL command not properly ended',
+    explanation: 'The statement continues after a point where Oracle expected it to end.',
+    causes: [
+      'A clause in the wrong order, e.g. ORDER BY before WHERE',
+      'AS between a table and its alias, which Oracle does not allow',
+      'Two statements without a semicolon between them'
+    ]
+  },
+  'ORA-00936': {
+    title: 'Missing expression',
+    explanation: 'Oracle expected a value, column or expression that is not there.',
+    causes: [
+      'A trailing comma at the end of the SELECT list',
+      'An empty clause, e.g. WHERE with no condition',
+      'A comparison with nothing on one side'
+    ]
+  },
+  'ORA-00937': {
+    title: 'Not a single-group group function',
+    explanation: 'The query mixes aggregate functions with plain columns without grouping by those columns.',
+    causes: [
+      'Selecting a column next to COUNT, SUM or AVG without listing it in GROUP BY'
+    ],
+    mysql: [1140]
+  },
+  'ORA-00942': {
+    title: 'Table or view does not exist',
+    explanation: 'The statement names a table or view that does not exist in your schema.',
+    causes: [
+      'A misspelled table name',
+      'The setup script has not been run, or the sandbox was reset',
+      'The table was created in a statement that failed or was rolled back'
+    ],
+    mysql: [1146],
+    sqlite: /no such table/i,
+    token: /Table '(?:[^']*\.)?([^'.]+)' doesn't exist|no such table: (?:\S*\.)?(\S+)/
+  },
+  'ORA-00947': {
+    title: 'Not enough values',
+    explanation: 'Fewer values are given than there are columns to fill.',
+    causes: [
+      'An INSERT without a column list that leaves out a column of the table',
+      'An object constructor called with too few attribute values'
+    ]
+  },
+  'ORA-00955': {
+    title: 'Name is already used by an existing object',
+    explanation: 'An object with this name already exists in your schema.',
+    causes: [
+      'Running a CREATE statement a second time',
+      'A table and a type (or another object) sharing one name'
+    ],
+    mysql: [1050],
+    sqlite: /already exists/i,
+    token: /Table '([^']+)' already exists|(?:table|index|view|trigger) (\S+) already exists/
+  },
+  'ORA-00979': {
+    title: 'Not a GROUP BY expression',
+    explanation: 'A column in the SELECT list or ORDER BY is neither grouped nor aggregated.',
+    causes: [
+      'A column missing from the GROUP BY clause',
+      'A GROUP BY that lists a different expression than the SELECT list'
+    ],
+    mysql: [1055]
+  },
+  'ORA-01400': {
+    title: 'Cannot insert NULL',
+    explanation: 'A NOT NULL column would be left without a value.',
+    causes: [
+      'An INSERT that leaves out a NOT NULL column',
+      'An explicit NULL for a primary key column'
+    ],
+    mysql: [1048, 1364],
+    sqlite: /NOT NULL constraint failed/i,
+    token: /\."([^"]+)"\)|Column '([^']+)' cannot be null|Field '([^']+)' doesn't have a default|NOT NULL constraint failed: (?:\S*\.)?(\S+)/
+  },
+  'ORA-01427': {
+    title: 'Single-row subquery returns more than one row',
+    explanation: 'A subquery used as a single value returned several rows.',
+    causes: [
+      'Comparing with = where IN is needed',
+      'A subquery whose WHERE clause is not selective enough'
+    ],
+    mysql: [1242]
+  },
+  'ORA-01722': {
+    title: 'Invalid number',
+    explanation: 'A string could not be converted to a number.',
+    causes: [
+      'Comparing a character column with a number, e.g. empno = 10 when empno holds \'000010\'',
+      'A numeric value inserted as text that contains letters or spaces'
+    ],
+    mysql: [1366]
+  },
+  'ORA-01843': {
+    title: 'Not a valid month',
+    explanation: 'A date string does not match the date format Oracle expects.',
+    causes: [
+      'A date literal such as \'2024-13-01\' or in a format other than the session\'s',
+      'Use DATE \'YYYY-MM-DD\' or TO_DATE with an explicit format'
+    ]
+  },
+  'ORA-01861': {
+    title: 'Literal does not match format string',
+    explanation: 'A date or number string does not match the format model it is converted with.',
+    causes: [
+      'A TO_DATE format that differs from the string, e.g. TO_DATE(\'2024-01-31\', \'DD-MM-YYYY\')',
+      'Relying on the session date format instead of DATE \'YYYY-MM-DD\''
+    ]
+  },
+  'ORA-02290': {
+    title: 'Check constraint violated',
+    explanation: 'A value breaks a CHECK constraint of the table.',
+    causes: [
+      'A value outside the allowed range or list of the constraint'
+    ],
+    mysql: [3819],
+    sqlite: /CHECK constraint failed/i
+  },
+  'ORA-02291': {
+    title: 'Parent key not found',
+    explanation: 'A foreign key value points at a row that does not exist in the referenced table.',
+    causes: [
+      'Inserting child rows before their parent rows',
+      'A misspelled or non-existent key value'
+    ],
+    mysql: [1452],
+    sqlite: /FOREIGN KEY constraint failed/i
+  },
+  'ORA-02292': {
+    title: 'Child record found',
+    explanation: 'The row cannot be deleted or its key changed because other rows still reference it.',
+    causes: [
+      'Deleting a parent row before its child rows',
+      'A foreign key without ON DELETE CASCADE'
+    ],
+    mysql: [1451]
+  },
+  'ORA-02303': {
+    title: 'Cannot drop or replace a type with dependents',
+    explanation: 'The type is used by another type or a table, so it cannot be dropped or replaced as it is.',
+    causes: [
+      'CREATE OR REPLACE TYPE on a type that a table or another type already uses',
+      'Dropping types in the wrong order; drop tables and dependent types first, or use DROP TYPE ... FORCE'
+    ]
+  },
+  'ORA-04043': {
+    title: 'Object does not exist',
+    explanation: 'The object named in the statement does not exist in your schema.',
+    causes: [
+      'A misspelled type or object name',
+      'Dropping an object that was already dropped'
+    ]
+  },
+  'ORA-06502': {
+    title: 'Numeric or value error',
+    explanation: 'A PL/SQL variable received a value that does not fit it.',
+    causes: [
+      'A string longer than the variable\'s declared length',
+      'Converting text that is not a number into a NUMBER variable'
+    ]
+  },
+  'ORA-01403': {
+    title: 'No data found',
+    explanation: 'A SELECT INTO in PL/SQL returned no rows.',
+    causes: [
+      'A WHERE clause that matches no row',
+      'A missing exception handler for NO_DATA_FOUND'
+    ]
+  },
+  'ORA-01422': {
+    title: 'Exact fetch returns more than requested number of rows',
+    explanation: 'A SELECT INTO in PL/SQL returned more than one row.',
+    causes: [
+      'A WHERE clause that is not selective enough for SELECT INTO',
+      'Use a cursor loop when several rows are expected'
+    ]
+  },
+  'ORA-22806': {
+    title: 'Not an object or REF',
+    explanation: 'Dot notation was used on a value that is not an object or a REF.',
+    causes: [
+      'Navigating into a plain column, e.g. e.deptno.deptname',
+      'Using dot notation on a column of a relational table instead of an object table'
+    ]
+  },
+  'ORA-22979': {
+    title: 'Cannot INSERT object view REF or user-defined REF',
+    explanation: 'The REF stored in the column does not point at a row of an object table Oracle can reference.',
+    causes: [
+      'Building a REF from a row of an object view or with MAKE_REF instead of selecting REF(alias) from an object table',
+      'A REF column scoped to one table given a REF to a row of another table'
+    ]
+  },
+  'PLS-00103': {
+    title: 'Encountered an unexpected symbol',
+    explanation: 'The PL/SQL parser found a symbol it did not expect at this point.',
+    causes: [
+      'A missing semicolon at the end of the previous line',
+      'A missing END, THEN or LOOP keyword',
+      'Using := and = the wrong way round'
+    ],
+    token: /Encountered the symbol "([^"]+)"/
+  },
+  'PLS-00201': {
+    title: 'Identifier must be declared',
+    explanation: 'The PL/SQL code uses a name that is not declared and does not exist in the schema.',
+    causes: [
+      'A misspelled variable, procedure or table name',
+      'A variable used outside the block that declares it'
+    ],
+    token: /identifier '(?:[^']*\.)?([^'.]+)' must be declared/
+  },
+  'PLS-00302': {
+    title: 'Component must be declared',
+    explanation: 'The code refers to an attribute, field or package member that does not exist.',
+    causes: [
+      'A misspelled attribute or record field name',
+      'Accessing a member the type or package does not define'
+    ],
+    token: /component '([^']+)' must be declared/
+  },
+  'PLS-00306': {
+    title: 'Wrong number or types of arguments',
+    explanation: 'A procedure, function or constructor is called with arguments that do not match its declaration.',
+    causes: [
+      'Too many or too few arguments',
+      'An argument of the wrong type, e.g. a string where a number is expected'
+    ],
+    token: /in call to '([^']+)'/
+  },
+  'PLS-00382': {
+    title: 'Expression is of wrong type',
+    explanation: 'An expression\'s type does not match what the statement needs.',
+    causes: [
+      'Assigning a value of one type to a variable of another',
+      'Returning the wrong type from a function'
+    ]
+  },
+  'PLS-00428': {
+    title: 'An INTO clause is expected in this SELECT statement',
+    explanation: 'A SELECT inside PL/SQL must put its result somewhere.',
+    causes: [
+      'A SELECT without INTO in a block; use SELECT ... INTO variables, or a cursor loop for several rows'
+    ]
+  },
+  SYNTAX_ERROR: {
+    title: 'Syntax error',
+    explanation: 'The statement is not valid SQL at the marked point.',
+    causes: [
+      'A misspelled keyword or a missing comma or parenthesis',
+      'Oracle-specific syntax used on another database engine'
+    ],
+    mysql: [1064],
+    sqlite: /syntax error|incomplete input/i,
+    token: /near '([^\s']+)|near "([^"]+)": syntax error/
+  }
+};
+
+// An error in an anonymous block wraps the PL/SQL error that caused it
+const PLSQL_WRAPPER_CODES = ['ORA-06550', 'ORA-24344'];
+
+/**
+ * Find the catalog entry for an error
+ * @param {object} error - Driver error or { message, errorNum }
+ * @param {string} engineName - Engine that raised the error
+ * @returns {object} - code and catalog entry (null if the error isn't catalogued)
+ */
+const lookupError = (error, engineName) => {
+  const message = error.message || '';
+
+  if (engineName === 'mysql' && error.errorNum !== undefined) {
+    const code = Object.keys(ERROR_CATALOG).find(key => (ERROR_CATALOG[key].mysql || []).includes(error.errorNum));
+    return { code: code || `MySQL ${error.errorNum}`, entry: code ? ERROR_CATALOG[code] : null };
+  }
+
+  if (engineName === 'sqlite') {
+    const code = Object.keys(ERROR_CATALOG).find(key => ERROR_CATALOG[key].sqlite && ERROR_CATALOG[key].sqlite.test(message));
+    return { code: code || null, entry: code ? ERROR_CATALOG[code] : null };
+  }
+
+  // Oracle puts the code in front of the message; a wrapper points at the PL/SQL error inside it
+  const codes = message.match(/\b(?:ORA|PLS)-\d{5}\b/g) || [];
+  if (codes.length === 0 && error.errorNum) {
+    codes.push(`ORA-${String(error.errorNum).padStart(5, '0')}`);
+  }
+  const code = codes.find(candidate => !PLSQL_WRAPPER_CODES.includes(candidate) && ERROR_CATALOG[candidate]) ||
+    codes.find(candidate => !PLSQL_WRAPPER_CODES.includes(candidate)) || codes[0] || null;
+  return { code, entry: code ? ERROR_CATALOG[code] || null : null };
+};
+
+/**
+ * Pull the offending name out of an error message
+ * @param {object} entry - Catalog entry
+ * @param {string} message - Error message
+ * @returns {string|null} - Name, or null if the message doesn't give one
+ */
+const offendingToken = (entry, message) => {
+  const match = entry && entry.token ? entry.token.exec(message) : null;
+  return match ? match.slice(1).find(group => group !== undefined) || null : null;
+};
+
+/**
+ * Turn a position in a statement into a line and column of the whole script
+ * @param {object} context - script, statement and statementOffset
+ * @param {object} position - offset, or line and column, within the statement as it was run
+ * @returns {object} - line, column and the token found there
+ */
+const toScriptLocation = (context, position) => {
+  const script = context.script || context.statement;
+  const statement = context.statement;
+  // Statements are trimmed before they run
+  const start = (context.statementOffset || 0) + (statement.length - statement.trimStart().length);
+
+  let absolute;
+  if (position.offset !== undefined) {
+    absolute = start + position.offset;
+  } else {
+    const lines = statement.trimStart().split('\n');
+    const lineIndex = Math.min(Math.max(position.line, 1), lines.length) - 1;
+    const lineStart = lines.slice(0, lineIndex).reduce((total, text) => total + text.length + 1, 0);
+    absolute = start + lineStart + Math.max((position.column || 1) - 1, 0);
+  }
+  absolute = Math.min(Math.max(absolute, 0), script.length);
+
+  // The token the position falls in, or the next one after whitespace
+  const token = tokenize(script).find(candidate => candidate.end > absolute && isSignificant(candidate));
+  if (token && token.start < absolute) {
+    absolute = token.start;
+  }
+
+  const before = script.substring(0, absolute);
+  return {
+    line: before.split('\n').length,
+    column: absolute - before.lastIndexOf('\n'),
+    token: token ? token.value : null
+  };
+};
+
+/**
+ * Find where a name first appears in a statement
+ * @param {string} statement - Statement text
+ * @param {string} name - Name to look for
+ * @returns {number} - Offset in the trimmed statement, or -1
+ */
+const findToken = (statement, name) => {
+  const wanted = name.replace(/"/g, '').toUpperCase();
+  const tokens = tokenize(statement.trimStart());
+  const found = tokens.find(token =>
+    (token.type === 'word' && token.value.toUpperCase() === wanted) ||
+    (token.type === 'quoted' && token.value.replace(/"/g, '').toUpperCase() === wanted));
+  return found ? found.start : -1;
+};
+
+/**
+ * Work out where in the script an error points
+ * @param {object} error - Driver error
+ * @param {string} message - Error message
+ * @param {string} token - Offending name from the message
+ * @param {object} context - script, statement and statementOffset
+ * @returns {object|null} - line, column and token, or null if it can't be told
+ */
+const locateError = (error, message, token, context) => {
+  if (!context.statement) return null;
+
+  // Errors in a PL/SQL unit's body, read from the data dictionary
+  if (error.compileErrors && error.compileErrors.length > 0) {
+    const [first] = error.compileErrors;
+    return toScriptLocation(context, { line: first.line, column: first.position });
+  }
+
+  // Anonymous blocks and MySQL report a line (and column) within the statement
+  const lineMatch = /line (\d+), column (\d+)/.exec(message) || /at line (\d+)/.exec(message);
+  if (lineMatch) {
+    const location = toScriptLocation(context, { line: Number(lineMatch[1]), column: lineMatch[2] ? Number(lineMatch[2]) : 1 });
+    if (!lineMatch[2] && token) {
+      // MySQL only gives the line; the token says where on it
+      const offset = findToken(context.statement, token);
+      return offset === -1 ? location : toScriptLocation(context, { offset });
+    }
+    return location;
+  }
+
+  // The Oracle driver gives the parse position of SQL errors
+  if (typeof error.offset === 'number' && error.offset > 0) {
+    return toScriptLocation(context, { offset: error.offset });
+  }
+
+  if (token) {
+    const offset = findToken(context.statement, token);
+    if (offset !== -1) {
+      return toScriptLocation(context, { offset });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Explain a database error in plain language and point at where it happened
+ * @param {object} error - Driver error, or { message, errorNum, offset, compileErrors }
+ * @param {object} context - Where the error happened
+ * @param {string} context.engine - Engine that raised the error
+ * @param {string} context.script - The whole script
+ * @param {string} context.statement - The statement that failed, as split from the script
+ * @param {number} context.statementOffset - Where the statement starts in the script
+ * @returns {object} - code, title, explanation, causes, location and the original message
+ */
+const diagnoseError = (error, context = {}) => {
+  const message = (error && error.message) || String(error || 'Unknown error');
+  const { code, entry } = lookupError(error || {}, context.engine);
+
+  // Compilation errors carry the PL/SQL messages, which name the offending token
+  const details = error && error.compileErrors ? error.compileErrors.map(compileError => compileError.text).join('\n') : '';
+  const detailed = lookupError({ message: details }, 'oracle');
+  const diagnosis = detailed.entry ? detailed : { code, entry };
+  const token = offendingToken(diagnosis.entry, `${message}\n${details}`);
+
+  let location = null;
+  try {
+    location = locateError(error || {}, message, token, context);
+  } catch (err) {
+    console.error('Error locating database error:', err);
+  }
+
+  return {
+    code: diagnosis.code,
+    title: diagnosis.entry ? diagnosis.entry.title : 'Database error',
+    explanation: diagnosis.entry ? diagnosis.entry.explanation : 'The database rejected the statement. Read the message below for the details.',
+    causes: diagnosis.entry ? diagnosis.entry.causes : [],
+    location: location && token && !location.token ? { ...location, token } : location,
+    message
+  };
+};
+
+module.exports = {
+  ERROR_CATALOG,
+  diagnoseError
+};
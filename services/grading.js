@@ -0,0 +1,414 @@
+// services/grading.js
+const { executeQuery } = require('./sql-execution');
+const { withScratchSandbox } = require('./sandbox-lifecycle');
+const { selectSetupScript, adaptSetupScript } = require('./schema-generation');
+
+// How result sets are compared unless the answer key says otherwise
+const DEFAULT_COMPARISON = {
+  ordered: false,
+  ignoreColumnNames: false,
+  numericTolerance: 0,
+  nullsEqual: true
+};
+
+// Diff lists are cut down to this many entries; counts are always complete
+const MAX_DIFF_ROWS = 20;
+
+/**
+ * Compare two values the way the grader sees them
+ * @param {*} expected - Value from the reference result
+ * @param {*} actual - Value from the student's result
+ * @param {object} comparison - numericTolerance and nullsEqual
+ * @returns {boolean} - Whether the values match
+ */
+const valuesMatch = (expected, actual, comparison) => {
+  if (expected === null || actual === null) {
+    // With SQL semantics NULL equals nothing, not even NULL
+    return comparison.nullsEqual && expected === null && actual === null;
+  }
+
+  // Drivers return some numeric types (DECIMAL, large NUMBER) as strings
+  const expectedNumber = typeof expected === 'number' ? expected : Number(expected);
+  const actualNumber = typeof actual === 'number' ? actual : Number(actual);
+  const numeric = (typeof expected === 'number' || typeof actual === 'number') &&
+    Number.isFinite(expectedNumber) && Number.isFinite(actualNumber) &&
+    String(expected).trim() !== '' && String(actual).trim() !== '';
+  if (numeric) {
+    return Math.abs(expectedNumber - actualNumber) <= comparison.numericTolerance;
+  }
+
+  if (typeof expected === 'object' || typeof actual === 'object') {
+    return JSON.stringify(expected) === JSON.stringify(actual);
+  }
+
+  return String(expected) === String(actual);
+};
+
+/**
+ * Compare two rows cell by cell
+ * @param {Array} expected - Reference row
+ * @param {Array} actual - Student row
+ * @param {object} comparison - Comparison options
+ * @returns {boolean} - Whether every cell matches
+ */
+const rowsMatch = (expected, actual, comparison) => {
+  return expected.every((value, index) => valuesMatch(value, actual[index], comparison));
+};
+
+/**
+ * Pair the reference columns with the student's columns
+ * @param {Array<object>} expectedColumns - Reference columns
+ * @param {Array<object>} actualColumns - Student columns
+ * @param {boolean} ignoreColumnNames - Pair columns by position instead of name
+ * @returns {object} - pairs ([expectedIndex, actualIndex]), missingColumns and extraColumns
+ */
+const pairColumns = (expectedColumns, actualColumns, ignoreColumnNames) => {
+  if (ignoreColumnNames) {
+    const shared = Math.min(expectedColumns.length, actualColumns.length);
+    return {
+      pairs: Array.from({ length: shared }, (_, index) => [index, index]),
+      missingColumns: expectedColumns.slice(shared).map(col => col.name),
+      extraColumns: actualColumns.slice(shared).map(col => col.name)
+    };
+  }
+
+  const pairs = [];
+  const missingColumns = [];
+  const used = new Set();
+  expectedColumns.forEach((col, expectedIndex) => {
+    const actualIndex = actualColumns.findIndex((candidate, index) =>
+      !used.has(index) && candidate.name.toUpperCase() === col.name.toUpperCase());
+    if (actualIndex === -1) {
+      missingColumns.push(col.name);
+    } else {
+      used.add(actualIndex);
+      pairs.push([expectedIndex, actualIndex]);
+    }
+  });
+
+  return {
+    pairs,
+    missingColumns,
+    extraColumns: actualColumns.filter((_, index) => !used.has(index)).map(col => col.name)
+  };
+};
+
+/**
+ * Match rows as multisets: each reference row is paired with one equal student row
+ * @param {Array<Array>} expectedRows - Reference rows
+ * @param {Array<Array>} actualRows - Student rows
+ * @param {object} comparison - Comparison options
+ * @returns {object} - missing (reference rows left over) and extra (student rows left over) indexes
+ */
+const matchRows = (expectedRows, actualRows, comparison) => {
+  const unmatched = new Set(actualRows.keys());
+  const missing = [];
+
+  expectedRows.forEach((row, expectedIndex) => {
+    for (const actualIndex of unmatched) {
+      if (rowsMatch(row, actualRows[actualIndex], comparison)) {
+        unmatched.delete(actualIndex);
+        return;
+      }
+    }
+    missing.push(expectedIndex);
+  });
+
+  return { missing, extra: [...unmatched] };
+};
+
+/**
+ * Compare a student's result set with the reference result set
+ * @param {object} expected - Reference result ({ columns, rows })
+ * @param {object} actual - Student result ({ columns, rows })
+ * @param {object} options - ordered, ignoreColumnNames, numericTolerance and nullsEqual
+ * @returns {object} - match and a diff of missing rows, extra rows and wrong columns
+ */
+const compareResultSets = (expected, actual, options = {}) => {
+  const comparison = { ...DEFAULT_COMPARISON, ...options };
+  const { pairs, missingColumns, extraColumns } = pairColumns(expected.columns, actual.columns, comparison.ignoreColumnNames);
+
+  // Rows are compared on the shared columns, so one missing column doesn't hide every other difference
+  const expectedRows = expected.rows.map(row => pairs.map(([index]) => row[index]));
+  const actualRows = actual.rows.map(row => pairs.map(([, index]) => row[index]));
+  const { missing, extra } = matchRows(expectedRows, actualRows, comparison);
+
+  // A column is wrong when its values differ, whichever rows they sit in
+  const wrongColumns = [];
+  pairs.forEach(([expectedIndex, actualIndex], position) => {
+    const expectedValues = expectedRows.map(row => [row[position]]);
+    const actualValues = actualRows.map(row => [row[position]]);
+    const columnMatch = matchRows(expectedValues, actualValues, comparison);
+    if (columnMatch.missing.length > 0 || columnMatch.extra.length > 0) {
+      wrongColumns.push({
+        expected: expected.columns[expectedIndex].name,
+        actual: actual.columns[actualIndex].name,
+        mismatchedValues: Math.max(columnMatch.missing.length, columnMatch.extra.length)
+      });
+    }
+  });
+
+  const sameRows = missing.length === 0 && extra.length === 0;
+  const orderMismatch = comparison.ordered && sameRows &&
+    !expectedRows.every((row, index) => rowsMatch(row, actualRows[index], comparison));
+
+  return {
+    match: sameRows && !orderMismatch && missingColumns.length === 0 && extraColumns.length === 0,
+    diff: {
+      expectedRowCount: expected.rows.length,
+      actualRowCount: actual.rows.length,
+      missingRowCount: missing.length,
+      extraRowCount: extra.length,
+      missingRows: missing.slice(0, MAX_DIFF_ROWS).map(index => expected.rows[index]),
+      extraRows: extra.slice(0, MAX_DIFF_ROWS).map(index => actual.rows[index]),
+      missingColumns,
+      extraColumns,
+      wrongColumns,
+      orderMismatch
+    }
+  };
+};
+
+/**
+ * Compare OUT bind values of the student's and the reference execution
+ * @param {object|Array} expected - Reference OUT binds
+ * @param {object|Array} actual - Student OUT binds
+ * @param {object} comparison - Comparison options
+ * @returns {Array<object>} - Binds whose values differ
+ */
+const compareOutBinds = (expected, actual, comparison) => {
+  // An OUT bind left NULL by both is a match; positional IN binds show up as NULL too
+  const outComparison = { ...comparison, nullsEqual: true };
+  return Object.keys(expected)
+    .filter(key => !valuesMatch(expected[key], actual ? actual[key] : null, outComparison))
+    .map(key => ({
+      bind: Array.isArray(expected) ? Number(key) + 1 : key,
+      expected: expected[key],
+      actual: actual ? actual[key] : null
+    }));
+};
+
+/**
+ * Get the result set a script ends with: the last statement that returned rows
+ * @param {object} execution - Result of executeQuery
+ * @returns {object|null} - Result with columns and rows, or null if no statement returned rows
+ */
+const finalResultSet = (execution) => {
+  const queries = (execution.results || []).filter(result => result.success && result.columns);
+  return queries.length > 0 ? queries[queries.length - 1] : null;
+};
+
+/**
+ * Count the rows a script's DML statements changed
+ * @param {object} execution - Result of executeQuery
+ * @returns {number} - Total affected rows
+ */
+const totalAffectedRows = (execution) => {
+  return (execution.results || []).reduce((total, result) => total + (result.affectedRows || 0), 0);
+};
+
+/**
+ * Grade a submission by running it and the reference solution in the same
+ * sandbox and comparing what they return. Both run in preview mode, so
+ * neither leaves changes behind for the other.
+ * @param {string} query - Student's script
+ * @param {object} reference - { solution, comparison } from the goal's answer key
+ * @param {string} sessionId - Session whose sandbox both scripts run in
+ * @param {object} options - Execution options for the student's script (engine, policy, limits, userId, executionId)
+ * @param {object|Array} binds - Binds passed to both scripts
+ * @returns {Promise<object>} - correct, feedback, the student's execution and the diff
+ */
+const gradeSubmission = async (query, reference, sessionId, options = {}, binds = []) => {
+  const comparison = { ...DEFAULT_COMPARISON, ...(reference.comparison || {}) };
+
+  const execution = await executeQuery(query, binds, sessionId, { ...options, mode: 'preview' });
+  if (!execution.success) {
+    return {
+      correct: false,
+      feedback: `There was an error: ${execution.error || 'Unknown error'}`,
+      executionResult: execution,
+      diff: null
+    };
+  }
+
+  // The reference solution is trusted, so it runs without the student's policy
+  const { policy, executionId, ...referenceOptions } = options;
+  const expected = await executeQuery(reference.solution, binds, sessionId, { ...referenceOptions, mode: 'preview' });
+  if (!expected.success) {
+    console.error('Reference solution failed:', expected.error || expected.message);
+    throw new Error('The reference solution for this exercise failed to run');
+  }
+
+  const expectedSet = finalResultSet(expected);
+  const actualSet = finalResultSet(execution);
+  let correct = true;
+  let diff = null;
+  let feedback = 'Your solution returns the expected result!';
+
+  if (expectedSet) {
+    if (!actualSet) {
+      return {
+        correct: false,
+        feedback: 'Your solution should return rows, but no query in it did',
+        executionResult: execution,
+        diff: null
+      };
+    }
+
+    ({ match: correct, diff } = compareResultSets(expectedSet, actualSet, comparison));
+    diff.truncated = Boolean(expectedSet.truncated || actualSet.truncated);
+
+    // Rows past the row limit were never fetched, so matching the rest proves nothing
+    if (diff.truncated) {
+      return {
+        correct: false,
+        feedback: expectedSet.truncated ?
+          'The expected result is larger than the row limit, so this exercise can\'t be checked. Please tell your instructor.' :
+          'Your result was cut off at the row limit, so it can\'t be checked in full. Make sure it returns only the rows the exercise asks for.',
+        executionResult: execution,
+        diff
+      };
+    }
+  } else if (!expected.outBinds) {
+    // Nothing to compare but how many rows the DML changed
+    diff = {
+      expectedAffectedRows: totalAffectedRows(expected),
+      actualAffectedRows: totalAffectedRows(execution)
+    };
+    correct = diff.expectedAffectedRows === diff.actualAffectedRows;
+  }
+
+  if (expected.outBinds) {
+    const wrongOutBinds = compareOutBinds(expected.outBinds, execution.outBinds, comparison);
+    diff = { ...(diff || {}), wrongOutBinds };
+    correct = correct && wrongOutBinds.length === 0;
+  }
+
+  if (!correct) {
+    const problems = [];
+    if (diff.missingColumns && diff.missingColumns.length > 0) problems.push(`missing columns: ${diff.missingColumns.join(', ')}`);
+    if (diff.extraColumns && diff.extraColumns.length > 0) problems.push(`unexpected columns: ${diff.extraColumns.join(', ')}`);
+    if (diff.missingRowCount > 0) problems.push(`${diff.missingRowCount} expected row(s) missing`);
+    if (diff.extraRowCount > 0) problems.push(`${diff.extraRowCount} unexpected row(s)`);
+    if (diff.orderMismatch) problems.push('rows are in the wrong order');
+    if (diff.wrongOutBinds && diff.wrongOutBinds.length > 0) problems.push('wrong OUT bind values');
+    if (diff.expectedAffectedRows !== undefined) problems.push(`${diff.actualAffectedRows} row(s) changed, expected ${diff.expectedAffectedRows}`);
+    feedback = `Your solution runs but its result differs from the expected one: ${problems.join('; ')}`;
+  }
+
+  return {
+    correct,
+    feedback,
+    executionResult: execution,
+    diff
+  };
+};
+
+/**
+ * Get the scripts that build an exercise's data: the setup script (or the
+ * dataset's own seed script), then the dataset's mutation
+ * @param {object} goal - Learning goal
+ * @param {object} reference - Answer key entry
+ * @param {object} dataset - Test dataset, or null for the exercise's own data
+ * @param {string} engineName - Database engine the scripts are adapted to
+ * @returns {Array<string>} - Setup scripts in run order
+ */
+const datasetSetupScripts = (goal, reference, dataset, engineName) => {
+  const seed = (dataset && dataset.seedScript) || reference.setupScript || selectSetupScript(goal);
+  return [seed, dataset && dataset.mutation]
+    .filter(script => script && script.trim())
+    .map(script => adaptSetupScript(script, engineName));
+};
+
+/**
+ * Run gradeSubmission in a scratch sandbox holding an exercise's data
+ * @param {object} goal - Learning goal
+ * @param {object} reference - Answer key entry
+ * @param {object} dataset - Test dataset, or null for the exercise's own data
+ * @param {string} query - Student's script
+ * @param {object} options - Execution options for the student's script
+ * @param {object|Array} binds - Binds passed to both scripts
+ * @returns {Promise<object>} - Result of gradeSubmission
+ */
+const gradeInScratchSandbox = async (goal, reference, dataset, query, options, binds) => {
+  const outcome = await withScratchSandbox({
+    label: `grade_${goal._id}`,
+    engine: options.engine,
+    userId: options.userId || 'grader',
+    goalId: goal._id,
+    scripts: datasetSetupScripts(goal, reference, dataset, options.engine)
+  }, scratchSessionId => gradeSubmission(query, reference, scratchSessionId, { ...options, executionId: undefined }, binds));
+
+  if (outcome.setupError) {
+    const name = dataset ? `Test dataset '${dataset.name}'` : 'The exercise data';
+    throw new Error(`${name} could not be set up: ${outcome.setupError}`);
+  }
+  return outcome.result;
+};
+
+/**
+ * Grade a submission on the exercise's own data and then on every test
+ * dataset, each in a fresh sandbox built from the answer key, so nothing the
+ * student changed in their own sandbox affects the result. Passing needs
+ * every case to match; for hidden datasets the student only learns that the
+ * case failed.
+ * @param {object} goal - Learning goal
+ * @param {object} reference - Answer key entry with solution, comparison and datasets
+ * @param {string} query - Student's script
+ * @param {object} options - Execution options for the student's script
+ * @param {object|Array} binds - Binds passed to both scripts
+ * @returns {Promise<object>} - correct, feedback, the student's execution, the diff and the result per case
+ */
+const gradeWithDatasets = async (goal, reference, query, options = {}, binds = []) => {
+  const grade = await gradeInScratchSandbox(goal, reference, null, query, options, binds);
+  const cases = [{ name: 'Sample data', visible: true, passed: grade.correct }];
+
+  // Other data can't fix a script that fails on the sample data
+  if (!grade.executionResult.success) {
+    return { ...grade, cases };
+  }
+
+  for (const dataset of reference.datasets || []) {
+    const result = await gradeInScratchSandbox(goal, reference, dataset, query, options, binds);
+    cases.push(dataset.visible ? {
+      name: dataset.name,
+      visible: true,
+      passed: result.correct,
+      feedback: result.feedback,
+      diff: result.diff
+    } : {
+      name: dataset.name,
+      visible: false,
+      passed: result.correct
+    });
+  }
+
+  const failed = cases.filter(testCase => !testCase.passed);
+  if (failed.length === 0 || !grade.correct) {
+    return { ...grade, cases };
+  }
+
+  // The sample data matched, so say which other cases did not
+  const hidden = failed.filter(testCase => !testCase.visible).length;
+  const visible = failed.filter(testCase => testCase.visible).map(testCase => `'${testCase.name}'`);
+  const parts = [];
+  if (visible.length > 0) parts.push(`it fails on ${visible.join(', ')}`);
+  if (hidden > 0) parts.push(`${hidden} hidden test case(s) fail`);
+
+  return {
+    ...grade,
+    correct: false,
+    feedback: `Your solution matches the sample data, but ${parts.join(' and ')}. Make sure it doesn't depend on the specific rows in the sample.`,
+    cases
+  };
+};
+
+module.exports = {
+  DEFAULT_COMPARISON,
+  compareResultSets,
+  finalResultSet,
+  totalAffectedRows,
+  datasetSetupScripts,
+  gradeSubmission,
+  gradeWithDatasets
+};
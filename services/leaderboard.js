@@ -0,0 +1,143 @@
+// services/leaderboard.js
+const PlayerProfile = require('../models/PlayerProfile');
+const QueryAttempt = require('../models/QueryAttempt');
+const MissionProgress = require('../models/MissionProgress');
+const { findLabSheetMissions } = require('./mission-unlocks');
+
+const LEADERBOARD_WINDOWS = ['all', 'week', 'month'];
+
+/**
+ * Get the start of a leaderboard window. Weeks start on Monday and months
+ * on the 1st (UTC), so every player's board resets at the same moment.
+ * @param {string} window - all, week or month
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Start of the window, null for all time
+ */
+const windowStart = (window, now = new Date()) => {
+  if (window === 'week') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (window === 'month') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return null;
+};
+
+/**
+ * Order two leaderboard entries: more XP first, then more missions
+ * completed, then whoever got there first, then fewer errors
+ * @param {object} a - Entry
+ * @param {object} b - Entry
+ * @returns {number} - Sort order
+ */
+const compareEntries = (a, b) => {
+  if (b.xp !== a.xp) return b.xp - a.xp;
+  if (b.missionsCompleted !== a.missionsCompleted) return b.missionsCompleted - a.missionsCompleted;
+  const aTime = a.lastCompletedAt ? a.lastCompletedAt.getTime() : Infinity;
+  const bTime = b.lastCompletedAt ? b.lastCompletedAt.getTime() : Infinity;
+  if (aTime !== bTime) return aTime - bTime;
+  if (a.errors !== b.errors) return a.errors - b.errors;
+  return a.userId < b.userId ? -1 : (a.userId > b.userId ? 1 : 0);
+};
+
+/**
+ * Rank players by mission XP and completions. All-time global XP is the
+ * profile's total; windowed and per-lab-sheet XP is summed from mission
+ * attempts, which record the XP each one awarded.
+ * @param {object} options - Leaderboard options
+ * @param {string} options.labSheetId - Lab sheet to rank, or none for global
+ * @param {string} options.window - all, week or month
+ * @param {number} options.page - Page number, from 1
+ * @param {number} options.limit - Entries per page
+ * @param {string} options.userId - Requesting player, whose own rank is returned
+ * @returns {Promise<object>} - entries, pagination and the player's own entry
+ */
+const buildLeaderboard = async ({ labSheetId = null, window = 'all', page = 1, limit = 20, userId }) => {
+  const from = windowStart(window);
+
+  const attemptMatch = { source: 'mission' };
+  const progressMatch = { completedAt: { $ne: null } };
+  if (from) {
+    attemptMatch.createdAt = { $gte: from };
+    progressMatch.completedAt = { $gte: from };
+  }
+  if (labSheetId) {
+    const missionIds = (await findLabSheetMissions(labSheetId)).map(mission => mission._id);
+    attemptMatch.missionId = { $in: missionIds };
+    progressMatch.missionId = { $in: missionIds };
+  }
+
+  const [attemptTotals, completionTotals, optedOut] = await Promise.all([
+    QueryAttempt.aggregate([
+      { $match: attemptMatch },
+      {
+        $group: {
+          _id: '$userId',
+          xp: { $sum: { $ifNull: ['$xpGained', 0] } },
+          errors: { $sum: { $cond: [{ $gt: ['$error', null] }, 1, 0] } }
+        }
+      }
+    ]),
+    MissionProgress.aggregate([
+      { $match: progressMatch },
+      {
+        $group: {
+          _id: '$userId',
+          missionsCompleted: { $sum: 1 },
+          lastCompletedAt: { $max: '$completedAt' }
+        }
+      }
+    ]),
+    PlayerProfile.distinct('userId', { leaderboardOptOut: true })
+  ]);
+
+  const players = new Map();
+  const entryFor = (id) => {
+    if (!players.has(id)) {
+      players.set(id, { userId: id, xp: 0, missionsCompleted: 0, lastCompletedAt: null, errors: 0 });
+    }
+    return players.get(id);
+  };
+  attemptTotals.forEach(total => Object.assign(entryFor(total._id), { xp: total.xp, errors: total.errors }));
+  completionTotals.forEach(total => Object.assign(entryFor(total._id), {
+    missionsCompleted: total.missionsCompleted,
+    lastCompletedAt: total.lastCompletedAt
+  }));
+
+  if (!labSheetId && !from) {
+    const profiles = await PlayerProfile.find({ xp: { $gt: 0 } }, { userId: 1, xp: 1 }).lean();
+    profiles.forEach(profile => { entryFor(profile.userId).xp = profile.xp; });
+  }
+
+  const hidden = new Set(optedOut);
+  const ranked = [...players.values()]
+    .filter(entry => entry.xp > 0 || entry.missionsCompleted > 0)
+    .filter(entry => !hidden.has(entry.userId))
+    .sort(compareEntries)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  const own = ranked.find(entry => entry.userId === userId);
+  return {
+    window,
+    from,
+    labSheetId,
+    entries: ranked.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: ranked.length,
+      pages: Math.ceil(ranked.length / limit)
+    },
+    me: hidden.has(userId) ?
+      { userId, optedOut: true, rank: null } :
+      (own ? { ...own, optedOut: false } : { userId, optedOut: false, rank: null })
+  };
+};
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  windowStart,
+  buildLeaderboard
+};
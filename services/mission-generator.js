@@ -1,6 +1,8 @@
 // services/mission-generator.js
 const GameMission = require('../models/GameMission');
 const LearningGoal = require('../models/LearningGoal');
+const { resolveRubric } = require('./scoring');
+const { DEFAULT_XP } = require('../config/scoring');
 
 /**
  * Generate game missions from learning goals
@@ -32,20 +34,14 @@ const generateMissionsFromLearningGoals = async (labSheetId) => {
       }
       
       // Create mission
-      const mission = new GameMission({
-        learningGoalId: goal._id,
-        title: `Mission ${i+1}: ${goal.title.substring(0, 30)}...`,
-        narrative: generateMissionNarrative(goal),
-        difficulty: getDifficultyFromGoal(goal),
-        objectives: generateObjectives(goal),
-        totalXP: 350, // Default XP value
-        unlockedAt: Date.now()
-      });
+      const mission = buildMission(goal, i);
       
       await mission.save();
       missions.push(mission);
     }
     
+    await linkMissionPrerequisites(missions, learningGoals);
+    
     return missions;
   } catch (error) {
     console.error('Error generating missions:', error);
@@ -79,6 +75,15 @@ const getDifficultyFromGoal = (goal) => {
   return 'rookie';
 };
 
+/**
+ * Get the XP a fully correct answer to an exercise earns: the rubric's maxXp
+ * from the answer key, or the default for the exercise
+ */
+const exerciseXp = (goal, exercise) => {
+  const answerKey = goal.learningPath && goal.learningPath.answerKey;
+  return resolveRubric(answerKey && answerKey[exercise], exercise).maxXp;
+};
+
 /**
  * Generate objectives from learning goal
  */
@@ -89,7 +94,8 @@ const generateObjectives = (goal) => {
     objectives.push({
       title: "Primary Objective",
       description: goal.learningPath.practice.replace(/#|Practice Exercise|Hint:.+$/g, '').trim(),
-      xpReward: 150,
+      exercise: 'practice',
+      xpReward: exerciseXp(goal, 'practice'),
       hints: ["Try using the example from the learning materials", "Focus on the syntax"]
     });
   }
@@ -98,7 +104,8 @@ const generateObjectives = (goal) => {
     objectives.push({
       title: "Bonus Objective",
       description: goal.learningPath.challenge.replace(/#|Challenge|This will test.+$/g, '').trim(),
-      xpReward: 200,
+      exercise: 'challenge',
+      xpReward: exerciseXp(goal, 'challenge'),
       hints: ["This is more advanced", "Think about how to extend the basic solution"]
     });
   }
@@ -108,7 +115,7 @@ const generateObjectives = (goal) => {
     objectives.push({
       title: "Database Objective",
       description: "Complete the tasks related to this learning goal.",
-      xpReward: 100,
+      xpReward: DEFAULT_XP.fallback,
       hints: ["Review the examples in the learning materials"]
     });
   }
@@ -116,6 +123,87 @@ const generateObjectives = (goal) => {
   return objectives;
 };
 
+/**
+ * Get the answer key exercise a mission objective is graded against.
+ * Missions generated before objectives recorded it list practice before challenge.
+ */
+const objectiveExercise = (mission, objectiveIndex, goal) => {
+  const objective = mission.objectives[objectiveIndex];
+  if (!objective) return null;
+  if (objective.exercise) return objective.exercise;
+  
+  const exercises = ['practice', 'challenge'].filter(exercise => goal && goal.learningPath && goal.learningPath[exercise]);
+  return exercises[objectiveIndex] || null;
+};
+
+/**
+ * Build a new mission for a learning goal
+ */
+const buildMission = (goal, index) => {
+  const objectives = generateObjectives(goal);
+  return new GameMission({
+    learningGoalId: goal._id,
+    labSheetId: goal.labSheetId,
+    title: `Mission ${index+1}: ${goal.title.substring(0, 30)}...`,
+    narrative: generateMissionNarrative(goal),
+    difficulty: getDifficultyFromGoal(goal),
+    objectives,
+    totalXP: objectives.reduce((total, objective) => total + objective.xpReward, 0)
+  });
+};
+
+/**
+ * Check whether a goal's prerequisite text names another goal, by its title
+ * or one of its key concepts
+ * @param {string} prerequisite - Prerequisite as extracted from the lab sheet
+ * @param {object} goal - Candidate learning goal
+ * @returns {boolean} - Whether the prerequisite refers to the goal
+ */
+const namesGoal = (prerequisite, goal) => {
+  const text = prerequisite.trim().toLowerCase();
+  if (!text) return false;
+  const names = [goal.title, ...(goal.keyConcepts || [])].map(name => name.trim().toLowerCase()).filter(Boolean);
+  return names.some(name => name === text || new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+};
+
+/**
+ * Link a lab sheet's missions into an unlock graph. A mission depends on the
+ * missions of the earlier goals its goal's prerequisites name; a goal whose
+ * prerequisites name none depends on the goal before it in lab sheet order.
+ * Only earlier goals are candidates, so the graph has no cycles.
+ * @param {Array<object>} missions - The lab sheet's missions
+ * @param {Array<object>} goals - The lab sheet's learning goals
+ * @returns {Promise<Array<object>>} - The missions with prerequisiteMissionIds set
+ */
+const linkMissionPrerequisites = async (missions, goals) => {
+  const missionByGoal = new Map(missions.map(mission => [String(mission.learningGoalId), mission]));
+  const ordered = goals
+    .filter(goal => missionByGoal.has(String(goal._id)))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+  
+  for (let i = 0; i < ordered.length; i++) {
+    const goal = ordered[i];
+    const earlier = ordered.slice(0, i);
+    let prerequisites = earlier.filter(candidate =>
+      (goal.prerequisites || []).some(prerequisite => namesGoal(prerequisite, candidate)));
+    if (prerequisites.length === 0 && i > 0) {
+      prerequisites = [ordered[i - 1]];
+    }
+    
+    const mission = missionByGoal.get(String(goal._id));
+    mission.prerequisiteMissionIds = prerequisites.map(prerequisite => missionByGoal.get(String(prerequisite._id))._id);
+    await GameMission.updateOne(
+      { _id: mission._id },
+      { $set: { prerequisiteMissionIds: mission.prerequisiteMissionIds } }
+    );
+  }
+  
+  return missions;
+};
+
 module.exports = {
-  generateMissionsFromLearningGoals
+  generateMissionsFromLearningGoals,
+  buildMission,
+  linkMissionPrerequisites,
+  objectiveExercise
 };
\ No newline at end of file
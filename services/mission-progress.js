@@ -0,0 +1,189 @@
+// services/mission-progress.js
+const MissionProgress = require('../models/MissionProgress');
+
+/**
+ * Build the starting objective states of a mission: the first objective
+ * active, the rest locked
+ * @param {object} mission - Game mission
+ * @returns {Array<object>} - Objective progress entries
+ */
+const initialObjectives = (mission) => {
+  const now = new Date();
+  return mission.objectives.map((_, index) => ({
+    index,
+    state: index === 0 ? 'active' : 'locked',
+    attempts: 0,
+    failedAttempts: 0,
+    hintsUsed: 0,
+    unlockedAt: index === 0 ? now : undefined
+  }));
+};
+
+/**
+ * Find a player's progress through a mission, starting it on first use
+ * @param {string} userId - Player's user ID
+ * @param {object} mission - Game mission
+ * @returns {Promise<object>} - Mission progress document
+ */
+const getProgress = async (userId, mission) => {
+  try {
+    return await MissionProgress.findOneAndUpdate(
+      { userId, missionId: mission._id },
+      { $setOnInsert: { objectives: initialObjectives(mission), startedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first requests raced to start the mission; the other one won
+    if (error.code === 11000) {
+      return MissionProgress.findOne({ userId, missionId: mission._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the objective a player should work on next
+ * @param {object} progress - Mission progress
+ * @returns {number|null} - Index of the active objective, or null when all are completed
+ */
+const currentObjective = (progress) => {
+  const active = progress.objectives.find(objective => objective.state === 'active');
+  return active ? active.index : null;
+};
+
+/**
+ * Check whether a player may attempt an objective. Completed objectives
+ * can be replayed; locked ones can't be skipped to.
+ * @param {object} progress - Mission progress
+ * @param {number} index - Objective index
+ * @returns {object} - allowed, and the reason when not
+ */
+const checkObjectiveAccess = (progress, index) => {
+  const objective = progress.objectives[index];
+  if (!objective) {
+    return { allowed: false, reason: `Mission has no objective ${index}` };
+  }
+  if (objective.state === 'locked') {
+    const current = currentObjective(progress);
+    return {
+      allowed: false,
+      reason: `Objective ${index} is locked. Complete objective ${current} first.`
+    };
+  }
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Record an attempt at an objective. Completing the active objective
+ * unlocks the next one, and completing the last completes the mission.
+ * @param {object} progress - Mission progress
+ * @param {number} index - Objective index
+ * @param {object} outcome - successful (the script ran), completed and score (0 to 1)
+ * @returns {Promise<object>} - Updated mission progress
+ */
+const recordObjectiveAttempt = async (progress, index, outcome) => {
+  const now = new Date();
+  const path = `objectives.${index}`;
+
+  await MissionProgress.updateOne(
+    { _id: progress._id },
+    {
+      $inc: {
+        [`${path}.attempts`]: 1,
+        [`${path}.failedAttempts`]: outcome.successful ? 0 : 1
+      },
+      $min: { [`${path}.firstAttemptAt`]: now },
+      $max: { [`${path}.bestScore`]: outcome.score || 0 },
+      $set: { [`${path}.lastAttemptAt`]: now, updatedAt: now }
+    }
+  );
+
+  if (outcome.completed) {
+    // Conditional on the current state, so concurrent attempts complete it once
+    await MissionProgress.updateOne(
+      { _id: progress._id, [`${path}.state`]: 'active' },
+      { $set: { [`${path}.state`]: 'completed', [`${path}.completedAt`]: now } }
+    );
+    if (index + 1 < progress.objectives.length) {
+      await MissionProgress.updateOne(
+        { _id: progress._id, [`${path}.state`]: 'completed', [`objectives.${index + 1}.state`]: 'locked' },
+        { $set: { [`objectives.${index + 1}.state`]: 'active', [`objectives.${index + 1}.unlockedAt`]: now } }
+      );
+    }
+  }
+
+  const updated = await MissionProgress.findById(progress._id);
+  if (!updated.completedAt && updated.objectives.every(objective => objective.state === 'completed')) {
+    await MissionProgress.updateOne(
+      { _id: progress._id, completedAt: null },
+      { $set: { completedAt: now } }
+    );
+    updated.completedAt = now;
+  }
+  return updated;
+};
+
+/**
+ * Reveal the next hint of an objective, counting it against the player
+ * @param {object} progress - Mission progress
+ * @param {object} mission - Game mission
+ * @param {number} index - Objective index
+ * @returns {Promise<object>} - hint, hintsUsed, hintsTotal and every hint revealed so far
+ */
+const revealHint = async (progress, mission, index) => {
+  const hints = mission.objectives[index].hints || [];
+  const path = `objectives.${index}.hintsUsed`;
+
+  // Only counts up while there are hints left to reveal
+  const updated = await MissionProgress.findOneAndUpdate(
+    { _id: progress._id, [path]: { $lt: hints.length } },
+    { $inc: { [path]: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  const hintsUsed = updated ? updated.objectives[index].hintsUsed : Math.min(progress.objectives[index].hintsUsed, hints.length);
+  return {
+    hint: updated ? hints[hintsUsed - 1] : null,
+    hintsUsed,
+    hintsTotal: hints.length,
+    revealedHints: hints.slice(0, hintsUsed)
+  };
+};
+
+/**
+ * Describe a player's progress through a mission for the API
+ * @param {object} progress - Mission progress
+ * @param {object} mission - Game mission
+ * @returns {object} - Mission and objective states
+ */
+const describeProgress = (progress, mission) => {
+  return {
+    missionId: mission._id,
+    startedAt: progress.startedAt,
+    completedAt: progress.completedAt || null,
+    completed: Boolean(progress.completedAt),
+    currentObjective: currentObjective(progress),
+    objectives: progress.objectives.map(objective => ({
+      index: objective.index,
+      title: mission.objectives[objective.index] ? mission.objectives[objective.index].title : null,
+      state: objective.state,
+      attempts: objective.attempts,
+      failedAttempts: objective.failedAttempts,
+      hintsUsed: objective.hintsUsed,
+      bestScore: objective.bestScore !== undefined ? objective.bestScore : null,
+      unlockedAt: objective.unlockedAt || null,
+      firstAttemptAt: objective.firstAttemptAt || null,
+      lastAttemptAt: objective.lastAttemptAt || null,
+      completedAt: objective.completedAt || null
+    }))
+  };
+};
+
+module.exports = {
+  getProgress,
+  currentObjective,
+  checkObjectiveAccess,
+  recordObjectiveAttempt,
+  revealHint,
+  describeProgress
+};
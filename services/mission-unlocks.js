@@ -0,0 +1,98 @@
+// services/mission-unlocks.js
+const GameMission = require('../models/GameMission');
+const LearningGoal = require('../models/LearningGoal');
+const MissionProgress = require('../models/MissionProgress');
+const QueryAttempt = require('../models/QueryAttempt');
+const { MASTERY_THRESHOLD } = require('../config/progression');
+
+/**
+ * Find the missions of a lab sheet, including ones generated before
+ * missions recorded their lab sheet
+ * @param {string} labSheetId - Lab sheet ID
+ * @returns {Promise<Array<object>>} - Missions
+ */
+const findLabSheetMissions = async (labSheetId) => {
+  const goalIds = await LearningGoal.distinct('_id', { labSheetId });
+  return GameMission.find({
+    $or: [{ labSheetId }, { learningGoalId: { $in: goalIds } }]
+  });
+};
+
+/**
+ * Work out which missions a player has completed, unlocked or not reached.
+ * A mission is unlocked when each prerequisite mission is completed or its
+ * learning goal is mastered in the playground.
+ * @param {string} userId - Player's user ID
+ * @param {Array<object>} missions - Missions to check
+ * @returns {Promise<Map<string, object>>} - Mission ID to state (locked, unlocked, completed)
+ *   and the prerequisites still unmet
+ */
+const missionStates = async (userId, missions) => {
+  const prerequisiteIds = [...new Set(missions.flatMap(mission =>
+    (mission.prerequisiteMissionIds || []).map(String)))];
+  const prerequisites = await GameMission.find({ _id: { $in: prerequisiteIds } }, { learningGoalId: 1 }).lean();
+  const goalOf = new Map(prerequisites.map(mission => [String(mission._id), String(mission.learningGoalId)]));
+
+  const missionIds = [...new Set([...missions.map(mission => String(mission._id)), ...prerequisiteIds])];
+  const [completedProgress, mastery] = await Promise.all([
+    MissionProgress.find(
+      { userId, missionId: { $in: missionIds }, completedAt: { $ne: null } },
+      { missionId: 1 }
+    ).lean(),
+    // Best evaluated score per prerequisite goal; a correct answer counts as 1
+    QueryAttempt.aggregate([
+      {
+        $match: {
+          userId,
+          source: 'evaluate',
+          goalId: { $in: prerequisites.map(mission => mission.learningGoalId) }
+        }
+      },
+      {
+        $group: {
+          _id: '$goalId',
+          bestScore: { $max: { $cond: ['$isSuccessful', 1, { $ifNull: ['$score', 0] }] } }
+        }
+      }
+    ])
+  ]);
+  const completed = new Set(completedProgress.map(progress => String(progress.missionId)));
+  const mastered = new Set(mastery
+    .filter(goal => goal.bestScore >= MASTERY_THRESHOLD)
+    .map(goal => String(goal._id)));
+
+  const states = new Map();
+  missions.forEach(mission => {
+    // Prerequisites whose missions were deleted no longer hold anything back
+    const unmet = (mission.prerequisiteMissionIds || [])
+      .map(String)
+      .filter(id => goalOf.has(id) && !completed.has(id) && !mastered.has(goalOf.get(id)));
+    const state = completed.has(String(mission._id)) ? 'completed' : (unmet.length === 0 ? 'unlocked' : 'locked');
+    states.set(String(mission._id), { state, unmetPrerequisites: unmet });
+  });
+  return states;
+};
+
+/**
+ * Check whether a player may play a mission
+ * @param {string} userId - Player's user ID
+ * @param {object} mission - Game mission
+ * @returns {Promise<object>} - unlocked, and the prerequisite missions still unmet
+ */
+const checkMissionUnlocked = async (userId, mission) => {
+  const { state, unmetPrerequisites } = (await missionStates(userId, [mission])).get(String(mission._id));
+  if (state !== 'locked') {
+    return { unlocked: true, unmetPrerequisites: [] };
+  }
+  const unmet = await GameMission.find({ _id: { $in: unmetPrerequisites } }, { title: 1 }).lean();
+  return {
+    unlocked: false,
+    unmetPrerequisites: unmet.map(prerequisite => ({ id: prerequisite._id, title: prerequisite.title }))
+  };
+};
+
+module.exports = {
+  findLabSheetMissions,
+  missionStates,
+  checkMissionUnlocked
+};
@@ -0,0 +1,223 @@
+// services/progression.js
+const PlayerProfile = require('../models/PlayerProfile');
+const { LEVEL_BASE_XP, LEVEL_EXPONENT, MAX_LEVEL } = require('../config/progression');
+
+// Compare-and-set retries before giving up on a contended award
+const MAX_AWARD_RETRIES = 5;
+
+/**
+ * Get the total XP needed to reach a level
+ * @param {number} level - Level (1 or higher)
+ * @returns {number} - Total XP
+ */
+const xpForLevel = (level) => {
+  return Math.round(LEVEL_BASE_XP * Math.pow(Math.max(level, 1) - 1, LEVEL_EXPONENT));
+};
+
+/**
+ * Get the level a player with this much XP has reached
+ * @param {number} xp - Total XP
+ * @returns {number} - Level
+ */
+const levelForXp = (xp) => {
+  let level = 1;
+  while (level < MAX_LEVEL && xp >= xpForLevel(level + 1)) {
+    level++;
+  }
+  return level;
+};
+
+/**
+ * Describe how far a player is through their current level
+ * @param {number} xp - Total XP
+ * @returns {object} - level, xp, and the XP at which the current and next levels start
+ */
+const levelProgress = (xp) => {
+  const level = levelForXp(xp);
+  return {
+    level,
+    xp,
+    currentLevelXp: xpForLevel(level),
+    nextLevelXp: level < MAX_LEVEL ? xpForLevel(level + 1) : null
+  };
+};
+
+/**
+ * Find a player's profile, creating a fresh one on first use
+ * @param {string} userId - Player's user ID
+ * @returns {Promise<object>} - Player profile document
+ */
+const ensureProfile = async (userId) => {
+  const defaults = {
+    level: 1,
+    xp: 0,
+    skills: [{ name: 'SQL', level: 1, xp: 0 }],
+    completedMissions: [],
+    objectiveAwards: [],
+    achievements: [],
+    stats: {
+      queriesExecuted: 0,
+      successRate: 0,
+      optimizationScore: 0
+    }
+  };
+
+  try {
+    return await PlayerProfile.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: defaults },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first requests raced to create the profile; the other one won
+    if (error.code === 11000) {
+      return PlayerProfile.findOne({ userId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Credit the XP of an objective attempt to the best result recorded for it.
+ * Only the improvement on that result is added, with a compare-and-set on
+ * the recorded award so concurrent attempts can't both claim it.
+ * @param {string} userId - Player's user ID
+ * @param {object} award - missionId, objectiveIndex, xp, score and completed
+ * @returns {Promise<object>} - xpAwarded, the updated profile and whether the objective was completed before
+ */
+const creditObjective = async (userId, award) => {
+  const { missionId, objectiveIndex, xp, score, completed } = award;
+  const matchObjective = { missionId, objectiveIndex };
+
+  for (let attempt = 0; attempt < MAX_AWARD_RETRIES; attempt++) {
+    const current = await PlayerProfile.findOne(
+      { userId },
+      { xp: 1, level: 1, objectiveAwards: { $elemMatch: matchObjective } }
+    );
+    const previous = current.objectiveAwards && current.objectiveAwards[0];
+
+    if (!previous) {
+      const profile = await PlayerProfile.findOneAndUpdate(
+        { userId, objectiveAwards: { $not: { $elemMatch: matchObjective } } },
+        {
+          $inc: { xp },
+          $push: { objectiveAwards: { ...matchObjective, xp, score, completed, awardedAt: new Date() } }
+        },
+        { new: true }
+      );
+      if (profile) return { xpAwarded: xp, profile, wasCompleted: false };
+      continue;
+    }
+
+    const xpAwarded = Math.max(0, xp - previous.xp);
+    const nowCompleted = previous.completed || completed;
+    if (xpAwarded === 0 && nowCompleted === previous.completed) {
+      return { xpAwarded: 0, profile: await PlayerProfile.findOne({ userId }), wasCompleted: previous.completed };
+    }
+
+    const profile = await PlayerProfile.findOneAndUpdate(
+      {
+        userId,
+        objectiveAwards: { $elemMatch: { ...matchObjective, xp: previous.xp, completed: previous.completed } }
+      },
+      {
+        $inc: { xp: xpAwarded },
+        $set: {
+          'objectiveAwards.$.xp': previous.xp + xpAwarded,
+          'objectiveAwards.$.score': Math.max(score || 0, previous.score || 0),
+          'objectiveAwards.$.completed': nowCompleted,
+          'objectiveAwards.$.awardedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    if (profile) return { xpAwarded, profile, wasCompleted: previous.completed };
+  }
+
+  throw new Error(`Could not record XP for objective ${objectiveIndex} of mission ${missionId}`);
+};
+
+/**
+ * Record a mission as completed once all its objectives are, keeping the
+ * best mission score
+ * @param {object} profile - Player profile after the latest award
+ * @param {object} mission - Game mission
+ * @returns {Promise<object>} - completed, newlyCompleted and score (0 to 1)
+ */
+const recordMissionCompletion = async (profile, mission) => {
+  const awards = profile.objectiveAwards.filter(award => String(award.missionId) === String(mission._id));
+  const completedObjectives = new Set(awards.filter(award => award.completed).map(award => award.objectiveIndex));
+  const objectiveCount = mission.objectives.length;
+
+  if (objectiveCount === 0 || completedObjectives.size < objectiveCount) {
+    return { completed: false, newlyCompleted: false, score: null };
+  }
+
+  const totalScore = awards.reduce((sum, award) => sum + (award.score || 0), 0);
+  const score = Math.round((totalScore / objectiveCount) * 1000) / 1000;
+
+  const pushed = await PlayerProfile.updateOne(
+    { userId: profile.userId, 'completedMissions.missionId': { $ne: mission._id } },
+    { $push: { completedMissions: { missionId: mission._id, completedAt: new Date(), score } } }
+  );
+  if (pushed.modifiedCount === 0) {
+    await PlayerProfile.updateOne(
+      { userId: profile.userId, 'completedMissions.missionId': mission._id },
+      { $max: { 'completedMissions.$.score': score } }
+    );
+  }
+
+  return { completed: true, newlyCompleted: pushed.modifiedCount > 0, score };
+};
+
+/**
+ * Award the XP a mission objective attempt earned. XP is idempotent per
+ * objective: a player earns at most the objective's reward in total, however
+ * often they run it. The mission is recorded as completed when its last
+ * objective is, and the player's level follows the XP curve.
+ * @param {string} userId - Player's user ID
+ * @param {object} mission - Game mission
+ * @param {number} objectiveIndex - Objective the attempt was for
+ * @param {object} outcome - xp (earned by this attempt), score (0 to 1) and completed
+ * @returns {Promise<object>} - xpAwarded, totals, level-up and mission completion
+ */
+const awardObjective = async (userId, mission, objectiveIndex, outcome) => {
+  await ensureProfile(userId);
+
+  const { xpAwarded, profile } = await creditObjective(userId, {
+    missionId: mission._id,
+    objectiveIndex,
+    xp: Math.max(0, Math.round(outcome.xp || 0)),
+    score: outcome.score,
+    completed: Boolean(outcome.completed)
+  });
+
+  // Only raise the level, so a slower concurrent request can't lower it
+  const progress = levelProgress(profile.xp);
+  const previousLevel = profile.level || 1;
+  let leveledUp = false;
+  if (progress.level > previousLevel) {
+    const raised = await PlayerProfile.updateOne(
+      { userId, level: { $lt: progress.level } },
+      { $set: { level: progress.level } }
+    );
+    leveledUp = raised.modifiedCount > 0;
+  }
+
+  const missionCompletion = await recordMissionCompletion(profile, mission);
+
+  return {
+    xpAwarded,
+    ...progress,
+    levelUp: leveledUp ? { from: previousLevel, to: progress.level } : null,
+    mission: missionCompletion
+  };
+};
+
+module.exports = {
+  xpForLevel,
+  levelForXp,
+  levelProgress,
+  ensureProfile,
+  awardObjective
+};
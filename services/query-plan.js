@@ -0,0 +1,117 @@
+// services/query-plan.js
+
+// Plan operations that usually point at a missing index or join condition,
+// with the score penalty each occurrence costs
+const PLAN_FINDINGS = [
+  {
+    match: (step) => step.operation === 'MERGE JOIN' && step.options === 'CARTESIAN',
+    penalty: 40,
+    message: 'Cartesian join: two row sources are joined without a join condition'
+  },
+  {
+    match: (step) => step.operation === 'TABLE ACCESS' && step.options === 'FULL',
+    penalty: 15,
+    message: (step) => `Full table scan on ${step.object}`
+  },
+  {
+    match: (step) => step.operation === 'INDEX' && step.options === 'FULL SCAN',
+    penalty: 5,
+    message: (step) => `Full index scan on ${step.object}`
+  },
+  {
+    match: (step) => step.operation === 'INDEX' && step.options === 'SKIP SCAN',
+    penalty: 5,
+    message: (step) => `Index skip scan on ${step.object}, the leading index column is not used`
+  },
+  {
+    match: (step) => step.operation === 'SORT' && step.options === 'ORDER BY' && step.cardinality > 10000,
+    penalty: 5,
+    message: 'Large sort for ORDER BY'
+  },
+  {
+    match: (step) => step.operation === 'FILTER' && step.children.length > 1,
+    penalty: 10,
+    message: 'Correlated subquery evaluated once per row'
+  }
+];
+
+// Small tables are cheap to scan whatever the plan looks like
+const SMALL_TABLE_ROWS = 100;
+
+/**
+ * Turn PLAN_TABLE rows into a tree of plan steps
+ * @param {Array<object>} rows - PLAN_TABLE rows ordered by id
+ * @returns {object|null} - Root plan step with nested children
+ */
+const buildPlanTree = (rows) => {
+  const steps = new Map();
+  let root = null;
+
+  for (const row of rows) {
+    const step = {
+      id: row.ID,
+      operation: row.OPERATION,
+      options: row.OPTIONS || null,
+      object: row.OBJECT_NAME
+        ? (row.OBJECT_OWNER ? `${row.OBJECT_OWNER}.${row.OBJECT_NAME}` : row.OBJECT_NAME)
+        : null,
+      objectType: row.OBJECT_TYPE || null,
+      cost: row.COST,
+      cardinality: row.CARDINALITY,
+      bytes: row.BYTES,
+      cpuCost: row.CPU_COST,
+      ioCost: row.IO_COST,
+      accessPredicates: row.ACCESS_PREDICATES || null,
+      filterPredicates: row.FILTER_PREDICATES || null,
+      children: []
+    };
+    steps.set(step.id, step);
+
+    const parent = row.PARENT_ID === null || row.PARENT_ID === undefined ? null : steps.get(row.PARENT_ID);
+    if (parent) {
+      parent.children.push(step);
+    } else if (!root) {
+      root = step;
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Score a plan from 0 to 100 and list what cost it points
+ * @param {object} plan - Root plan step from buildPlanTree
+ * @returns {object} - score, totalCost and findings
+ */
+const analyzePlan = (plan) => {
+  const findings = [];
+  const visit = (step) => {
+    for (const finding of PLAN_FINDINGS) {
+      if (!finding.match(step)) continue;
+      if (step.operation === 'TABLE ACCESS' && step.cardinality !== null && step.cardinality <= SMALL_TABLE_ROWS) continue;
+
+      findings.push({
+        stepId: step.id,
+        penalty: finding.penalty,
+        message: typeof finding.message === 'function' ? finding.message(step) : finding.message
+      });
+    }
+    step.children.forEach(visit);
+  };
+
+  if (plan) {
+    visit(plan);
+  }
+
+  const penalty = findings.reduce((sum, finding) => sum + finding.penalty, 0);
+  return {
+    score: Math.max(0, 100 - penalty),
+    totalCost: plan ? plan.cost : null,
+    findings
+  };
+};
+
+module.exports = {
+  buildPlanTree,
+  analyzePlan
+};
@@ -0,0 +1,173 @@
+// services/sandbox-lifecycle.js
+const config = require('../config/db-config');
+const { executeQuery } = require('./sql-execution');
+const { getEngine, getActiveEngines } = require('./engines');
+const {
+  registerSession,
+  getSession,
+  findExpiredSessions,
+  getActiveSchemas,
+  markSessionDropped,
+  touchSession
+} = require('./sandbox-registry');
+
+let reaperTimer = null;
+
+/**
+ * Drop everything a session created, then the sandbox itself
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const destroySession = async (sessionId) => {
+  const session = await getSession(sessionId);
+  const engine = getEngine(session && session.engine);
+  const schema = engine.getSandboxName(sessionId);
+
+  const { dropped, errors } = await engine.dropSandbox(sessionId);
+  await markSessionDropped(sessionId);
+
+  console.log(`Dropped ${engine.name} sandbox ${schema} (${dropped.length} objects) for session ${sessionId}`);
+  return { sessionId, schema, dropped, errors };
+};
+
+/**
+ * Drop a session's objects and rebuild its environment from the stored setup script
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object>} - Dropped objects and setup result
+ */
+const resetSession = async (sessionId) => {
+  const session = await getSession(sessionId);
+  const engine = getEngine(session && session.engine);
+  const schema = engine.getSandboxName(sessionId);
+
+  const dropResult = await engine.clearSandbox(sessionId);
+
+  let setup = null;
+  if (session && session.setupScript) {
+    setup = await executeQuery(session.setupScript, [], sessionId, { engine: engine.name, userId: session.userId });
+  } else {
+    await touchSession(sessionId, [], { userId: session && session.userId, engine: engine.name, schemaName: schema });
+  }
+
+  return {
+    sessionId,
+    schema,
+    dropped: dropResult.dropped,
+    errors: dropResult.errors,
+    setup
+  };
+};
+
+/**
+ * Drop expired sessions, and sandboxes that no active session owns
+ * @returns {Promise<object>} - Names of what was reaped
+ */
+const reapExpiredSessions = async () => {
+  const reaped = [];
+  const orphans = [];
+
+  const expired = await findExpiredSessions();
+  for (const session of expired) {
+    try {
+      await destroySession(session.sessionId);
+      reaped.push(session.sessionId);
+    } catch (error) {
+      console.error(`Error reaping sandbox session ${session.sessionId}:`, error.message);
+    }
+  }
+
+  // Sandboxes left behind by crashes or sessions that were never registered,
+  // on the engines this process has used
+  for (const engine of getActiveEngines()) {
+    if (!engine.reapOrphanSandboxes) continue;
+    try {
+      const activeSchemas = await getActiveSchemas(engine.name);
+      orphans.push(...await engine.reapOrphanSandboxes(activeSchemas, config.SANDBOX_TTL_MINUTES));
+    } catch (error) {
+      console.error(`Error dropping orphaned ${engine.name} sandboxes:`, error.message);
+    }
+  }
+
+  if (reaped.length || orphans.length) {
+    console.log(`Sandbox reaper dropped ${reaped.length} expired sessions and ${orphans.length} orphaned schemas`);
+  }
+
+  return { reaped, orphans };
+};
+
+/**
+ * Run work in a short-lived sandbox that is built from trusted setup scripts
+ * and dropped afterwards, e.g. to verify reference solutions or grade against other data
+ * @param {object} details - Sandbox details
+ * @param {string} details.label - Prefix of the generated session ID
+ * @param {string} details.engine - Database engine
+ * @param {string} details.userId - User the sandbox is recorded for
+ * @param {string} details.goalId - Learning goal the sandbox is for
+ * @param {Array<string>} details.scripts - Setup scripts, run in order
+ * @param {Function} work - Called with the session ID once setup succeeded
+ * @returns {Promise<object>} - { result } of the work, or { setupError } if a setup script failed
+ */
+const withScratchSandbox = async ({ label, engine: engineName, userId, goalId = null, scripts }, work) => {
+  const engine = getEngine(engineName);
+  const sessionId = `${label}_${Date.now()}_${Math.round(Math.random() * 1E6)}`;
+
+  await registerSession({
+    sessionId,
+    userId,
+    goalId,
+    setupScript: scripts.join('\n'),
+    engine: engine.name,
+    schemaName: engine.getSandboxName(sessionId)
+  });
+
+  try {
+    for (const script of scripts) {
+      const setup = await executeQuery(script, [], sessionId, { engine: engine.name });
+      if (!setup.success) {
+        const failed = (setup.results || []).find(result => !result.success);
+        return { setupError: (failed && failed.error) || setup.error };
+      }
+    }
+
+    return { result: await work(sessionId) };
+  } finally {
+    await destroySession(sessionId).catch(error => {
+      console.error('Error dropping scratch sandbox:', error.message);
+    });
+  }
+};
+
+/**
+ * Start the periodic sandbox reaper
+ */
+const startSandboxReaper = () => {
+  if (reaperTimer) return;
+
+  reaperTimer = setInterval(() => {
+    reapExpiredSessions().catch(error => {
+      console.error('Sandbox reaper failed:', error.message);
+    });
+  }, config.SANDBOX_REAP_INTERVAL_MINUTES * 60 * 1000);
+
+  // Don't keep the process alive just for the reaper
+  reaperTimer.unref();
+};
+
+/**
+ * Stop the periodic sandbox reaper
+ */
+const stopSandboxReaper = () => {
+  if (reaperTimer) {
+    clearInterval(reaperTimer);
+    reaperTimer = null;
+  }
+};
+
+module.exports = {
+  destroySession,
+  resetSession,
+  withScratchSandbox,
+  reapExpiredSessions,
+  startSandboxReaper,
+  stopSandboxReaper
+};
@@ -0,0 +1,252 @@
+// services/sandbox-manager.js
+const crypto = require('crypto');
+const oracledb = require('oracledb');
+const config = require('../config/db-config');
+
+// Schemas already known to exist, so we only check the dictionary once per process
+const knownSchemas = new Set();
+
+// Cached list of every schema in the database, used by the statement policy
+const SCHEMA_LIST_TTL_MS = 5 * 60 * 1000;
+let schemaListCache = { names: [], loadedAt: 0 };
+
+// ORA-01920: user name conflicts with another user or role name
+const USER_EXISTS_ERROR = 1920;
+
+// ORA-00942 / ORA-04043 / ORA-01918: object or user already gone
+const ALREADY_DROPPED_ERRORS = [942, 4043, 1918];
+
+// Object kinds tracked in a sandbox, in the order they are dropped.
+// Dependent objects go first; FORCE and CASCADE CONSTRAINTS take care of
+// references that remain (REF columns, foreign keys, type hierarchies).
+const DROP_ORDER = [
+  { type: 'VIEW', clause: '' },
+  { type: 'SYNONYM', clause: '' },
+  { type: 'TRIGGER', clause: '' },
+  { type: 'PACKAGE', clause: '' },
+  { type: 'PROCEDURE', clause: '' },
+  { type: 'FUNCTION', clause: '' },
+  { type: 'TABLE', clause: ' CASCADE CONSTRAINTS PURGE' },
+  { type: 'SEQUENCE', clause: '' },
+  { type: 'TYPE', clause: ' FORCE' }
+];
+
+/**
+ * Get the Oracle schema name that belongs to a playground session.
+ * The name is derived from a hash so any session ID maps to a valid identifier.
+ * @param {string} sessionId - User session ID
+ * @returns {string} - Sandbox schema name
+ */
+const getSandboxSchema = (sessionId) => {
+  const hash = crypto.createHash('sha1').update(String(sessionId)).digest('hex');
+  return `${config.SANDBOX_SCHEMA_PREFIX}${hash.substring(0, 20)}`.toUpperCase();
+};
+
+/**
+ * Check whether a schema name belongs to a playground sandbox
+ * @param {string} schema - Schema name
+ * @returns {boolean} - Whether the schema is a sandbox schema
+ */
+const isSandboxSchema = (schema) => {
+  return String(schema).toUpperCase().startsWith(config.SANDBOX_SCHEMA_PREFIX.toUpperCase());
+};
+
+/**
+ * Create the sandbox schema if it does not exist yet.
+ * The schema is a locked account: nobody logs in as it, the pool user
+ * works inside it through CURRENT_SCHEMA.
+ * @param {object} connection - Oracle connection
+ * @param {string} schema - Sandbox schema name
+ * @returns {Promise<boolean>} - True if the schema was created
+ */
+const ensureSandboxSchema = async (connection, schema) => {
+  if (knownSchemas.has(schema)) {
+    return false;
+  }
+
+  const existing = await connection.execute(
+    `SELECT username FROM all_users WHERE username = :schema`,
+    { schema }
+  );
+
+  if (existing.rows && existing.rows.length > 0) {
+    knownSchemas.add(schema);
+    return false;
+  }
+
+  const password = `P${crypto.randomBytes(12).toString('hex')}`;
+  try {
+    await connection.execute(
+      `CREATE USER ${schema} IDENTIFIED BY "${password}"
+         DEFAULT TABLESPACE ${config.SANDBOX_TABLESPACE}
+         QUOTA ${config.SANDBOX_QUOTA} ON ${config.SANDBOX_TABLESPACE}
+         ACCOUNT LOCK`
+    );
+    console.log(`Created sandbox schema ${schema}`);
+  } catch (error) {
+    // Another request for the same session may have created it first
+    if (error.errorNum !== USER_EXISTS_ERROR) {
+      throw error;
+    }
+  }
+
+  knownSchemas.add(schema);
+  return true;
+};
+
+/**
+ * Point a borrowed connection at the session's sandbox schema
+ * @param {object} connection - Oracle connection
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<string>} - Sandbox schema name
+ */
+const enterSandbox = async (connection, sessionId) => {
+  const schema = getSandboxSchema(sessionId);
+  await ensureSandboxSchema(connection, schema);
+  await connection.execute(`ALTER SESSION SET CURRENT_SCHEMA = ${schema}`);
+  return schema;
+};
+
+/**
+ * Point a connection back at the pool user's own schema before it is released
+ * @param {object} connection - Oracle connection
+ */
+const leaveSandbox = async (connection) => {
+  await connection.execute(`ALTER SESSION SET CURRENT_SCHEMA = ${config.ORACLE_USER}`);
+};
+
+/**
+ * List the objects currently owned by a sandbox schema
+ * @param {object} connection - Oracle connection
+ * @param {string} schema - Sandbox schema name
+ * @returns {Promise<Array<object>>} - Objects with name, type and creation time
+ */
+const listSandboxObjects = async (connection, schema) => {
+  const types = DROP_ORDER.map(entry => entry.type);
+  const result = await connection.execute(
+    `SELECT object_name, object_type, created
+       FROM all_objects
+      WHERE owner = :schema
+        AND object_type IN (${types.map(type => `'${type}'`).join(', ')})
+        AND object_name NOT LIKE 'BIN$%'
+      ORDER BY created, object_id`,
+    { schema },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  return (result.rows || []).map(row => ({
+    name: row.OBJECT_NAME,
+    type: row.OBJECT_TYPE,
+    createdAt: row.CREATED
+  }));
+};
+
+/**
+ * Drop sandbox objects in dependency order, keeping the schema itself
+ * @param {object} connection - Oracle connection
+ * @param {string} schema - Sandbox schema name
+ * @param {Array<object>} objects - Objects to drop (name and type)
+ * @returns {Promise<object>} - Dropped objects and any errors
+ */
+const dropSandboxObjects = async (connection, schema, objects) => {
+  const dropped = [];
+  const errors = [];
+
+  for (const { type, clause } of DROP_ORDER) {
+    // Newest first, so later objects built on earlier ones go before them
+    const ofType = objects.filter(obj => obj.type === type).reverse();
+
+    for (const obj of ofType) {
+      const name = `"${schema}"."${obj.name.replace(/"/g, '""')}"`;
+      try {
+        await connection.execute(`DROP ${type} ${name}${clause}`);
+        dropped.push(obj);
+      } catch (error) {
+        if (ALREADY_DROPPED_ERRORS.includes(error.errorNum)) {
+          dropped.push(obj);
+        } else {
+          errors.push({ object: obj.name, type, error: error.message });
+        }
+      }
+    }
+  }
+
+  return { dropped, errors };
+};
+
+/**
+ * List sandbox schemas that exist in the database
+ * @param {object} connection - Oracle connection
+ * @param {number} olderThanMinutes - Only schemas created before this many minutes ago
+ * @returns {Promise<Array<string>>} - Schema names
+ */
+const listSandboxSchemas = async (connection, olderThanMinutes = 0) => {
+  const result = await connection.execute(
+    `SELECT username FROM all_users
+      WHERE username LIKE :prefix ESCAPE '\\'
+        AND created < SYSDATE - :minutes / 1440`,
+    {
+      prefix: `${config.SANDBOX_SCHEMA_PREFIX.toUpperCase().replace(/_/g, '\\_')}%`,
+      minutes: olderThanMinutes
+    },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  return (result.rows || []).map(row => row.USERNAME);
+};
+
+/**
+ * List the names of all schemas in the database (cached for a few minutes)
+ * @param {object} connection - Oracle connection
+ * @returns {Promise<Array<string>>} - Schema names
+ */
+const listSchemaNames = async (connection) => {
+  if (Date.now() - schemaListCache.loadedAt < SCHEMA_LIST_TTL_MS) {
+    return schemaListCache.names;
+  }
+
+  const result = await connection.execute(
+    `SELECT username FROM all_users`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  schemaListCache = {
+    names: (result.rows || []).map(row => row.USERNAME),
+    loadedAt: Date.now()
+  };
+  return schemaListCache.names;
+};
+
+/**
+ * Drop a sandbox schema and everything in it
+ * @param {object} connection - Oracle connection
+ * @param {string} schema - Sandbox schema name
+ * @returns {Promise<string>} - Dropped schema name
+ */
+const dropSandboxSchema = async (connection, schema) => {
+  if (!isSandboxSchema(schema)) {
+    throw new Error(`Refusing to drop non-sandbox schema ${schema}`);
+  }
+
+  try {
+    await connection.execute(`DROP USER ${schema} CASCADE`);
+  } catch (error) {
+    if (!ALREADY_DROPPED_ERRORS.includes(error.errorNum)) {
+      throw error;
+    }
+  }
+  knownSchemas.delete(schema);
+  return schema;
+};
+
+module.exports = {
+  getSandboxSchema,
+  isSandboxSchema,
+  enterSandbox,
+  leaveSandbox,
+  listSandboxObjects,
+  dropSandboxObjects,
+  listSandboxSchemas,
+  listSchemaNames,
+  dropSandboxSchema
+};
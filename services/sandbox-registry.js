@@ -0,0 +1,168 @@
+// services/sandbox-registry.js
+const SandboxSession = require('../models/SandboxSession');
+const config = require('../config/db-config');
+const { getSandboxSchema } = require('./sandbox-manager');
+
+/**
+ * Work out when a session expires if it is not used again
+ * @param {Date} from - Time of last use
+ * @returns {Date} - Expiry time
+ */
+const getExpiry = (from = new Date()) => {
+  return new Date(from.getTime() + config.SANDBOX_TTL_MINUTES * 60 * 1000);
+};
+
+/**
+ * Register a playground session, e.g. when its environment is set up
+ * @param {object} details - Session details
+ * @param {string} details.sessionId - User session ID
+ * @param {string} details.userId - Owning user
+ * @param {string} details.goalId - Learning goal the session was set up for
+ * @param {string} details.setupScript - Script used to build the environment
+ * @param {string} details.engine - Database engine the session runs on
+ * @param {string} details.schemaName - Sandbox schema or database name
+ * @returns {Promise<object>} - Session record
+ */
+const registerSession = async ({ sessionId, userId, goalId = null, setupScript = null, engine = config.SQL_ENGINE, schemaName = null }) => {
+  const now = new Date();
+  return SandboxSession.findOneAndUpdate(
+    { sessionId },
+    {
+      $set: {
+        userId,
+        goalId,
+        setupScript,
+        engine,
+        schemaName: schemaName || getSandboxSchema(sessionId),
+        status: 'active',
+        lastUsedAt: now,
+        expiresAt: getExpiry(now)
+      },
+      $setOnInsert: {
+        createdAt: now
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Record that a session was used and which objects its sandbox now holds
+ * @param {string} sessionId - User session ID
+ * @param {Array<object>} objects - Objects currently in the sandbox schema
+ * @param {object} sandbox - userId, engine and schemaName, used when the session is not registered yet
+ * @returns {Promise<object>} - Session record
+ */
+const touchSession = async (sessionId, objects = null, sandbox = {}) => {
+  const now = new Date();
+  const update = {
+    $set: {
+      status: 'active',
+      lastUsedAt: now,
+      expiresAt: getExpiry(now)
+    },
+    $setOnInsert: {
+      userId: sandbox.userId,
+      engine: sandbox.engine || config.SQL_ENGINE,
+      schemaName: sandbox.schemaName || getSandboxSchema(sessionId),
+      createdAt: now
+    }
+  };
+
+  if (objects) {
+    update.$set.objects = objects;
+  }
+
+  return SandboxSession.findOneAndUpdate({ sessionId }, update, { upsert: true, new: true });
+};
+
+/**
+ * Get a session record
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object|null>} - Session record
+ */
+const getSession = async (sessionId) => {
+  return SandboxSession.findOne({ sessionId });
+};
+
+/**
+ * Check whether a session belongs to a user. Sessions recorded without an
+ * owner only belong to the user whose default sandbox they are.
+ * @param {object} session - Session record
+ * @param {string} userId - Requesting user
+ * @param {string} defaultSessionId - The user's default session ID for the request
+ * @returns {boolean} - Whether the user owns the session
+ */
+const isSessionOwner = (session, userId, defaultSessionId = userId) => {
+  return session.userId ? session.userId === userId : session.sessionId === defaultSessionId;
+};
+
+/**
+ * Check whether a user may run in a session. Registered sessions must belong
+ * to the user. A session that isn't registered yet is only accepted when it is
+ * the user's own default: running in it registers the user as its owner, so
+ * accepting any other ID would let users claim each other's sandboxes.
+ * @param {string} sessionId - Session ID the client asked for
+ * @param {string} userId - Requesting user
+ * @param {string} defaultSessionId - The user's default session ID for the request
+ * @returns {Promise<object>} - allowed, and the HTTP status and reason when not
+ */
+const checkSessionAccess = async (sessionId, userId, defaultSessionId = userId) => {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return sessionId === defaultSessionId ?
+      { allowed: true, status: null, reason: null } :
+      { allowed: false, status: 404, reason: 'Session not found' };
+  }
+  if (!isSessionOwner(session, userId, defaultSessionId)) {
+    return { allowed: false, status: 403, reason: 'Session belongs to another user' };
+  }
+  return { allowed: true, status: null, reason: null };
+};
+
+/**
+ * Find active sessions whose TTL has passed
+ * @returns {Promise<Array<object>>} - Expired session records
+ */
+const findExpiredSessions = async () => {
+  return SandboxSession.find({
+    status: 'active',
+    expiresAt: { $lt: new Date() }
+  });
+};
+
+/**
+ * Get the schema names of all sessions that are still active
+ * @param {string} engine - Only sessions on this engine
+ * @returns {Promise<Array<string>>} - Schema names
+ */
+const getActiveSchemas = async (engine = config.SQL_ENGINE) => {
+  // Sessions registered before other engines were supported have no engine and are Oracle
+  const engineFilter = engine === 'oracle' ? { $in: ['oracle', null] } : engine;
+  const sessions = await SandboxSession.find({ status: 'active', engine: engineFilter }, 'schemaName');
+  return sessions.map(session => session.schemaName);
+};
+
+/**
+ * Mark a session as dropped once its sandbox schema is gone
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object|null>} - Session record
+ */
+const markSessionDropped = async (sessionId) => {
+  return SandboxSession.findOneAndUpdate(
+    { sessionId },
+    { $set: { status: 'dropped', droppedAt: new Date(), objects: [] } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  registerSession,
+  touchSession,
+  getSession,
+  isSessionOwner,
+  checkSessionAccess,
+  findExpiredSessions,
+  getActiveSchemas,
+  markSessionDropped
+};
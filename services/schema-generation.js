@@ -144,6 +144,158 @@ const generateSetupScripts = async (goal) => {
     
     return scripts;
   };
+
+  /**
+   * Pick a sample Oracle schema for a learning goal from its title and concepts
+   * @param {object} goal - Learning goal object
+   * @returns {string} - Setup script
+   */
+  const selectSetupScript = (goal) => {
+    let script = '';
+    
+    // Check goal keywords to determine appropriate script
+    const goalTitle = goal.title.toLowerCase();
+    const goalConcepts = goal.keyConcepts.map(c => c.toLowerCase());
+    
+    if (goalTitle.includes('schema') || 
+        goalConcepts.includes('object types') || 
+        goalConcepts.includes('object tables')) {
+      // Script for object-relational schema 
+      script = `
+CREATE TABLE departments (
+  deptno VARCHAR2(3) PRIMARY KEY,
+  deptname VARCHAR2(36),
+  mgrno VARCHAR2(6),
+  admrdept VARCHAR2(3)
+);
+
+CREATE TABLE employees (
+  empno VARCHAR2(6) PRIMARY KEY,
+  firstname VARCHAR2(12),
+  lastname VARCHAR2(15),
+  workdept VARCHAR2(3),
+  sex CHAR(1),
+  birthdate DATE,
+  salary NUMBER(8,2),
+  CONSTRAINT fk_workdept FOREIGN KEY (workdept) REFERENCES departments(deptno)
+);
+
+INSERT INTO departments VALUES ('A00', 'SPIFFY COMPUTER SERVICE DIV.', '000010', 'A00');
+INSERT INTO departments VALUES ('B01', 'PLANNING', '000020', 'A00');
+INSERT INTO departments VALUES ('C01', 'INFORMATION CENTRE', '000030', 'A00');
+INSERT INTO departments VALUES ('D01', 'DEVELOPMENT CENTRE', '000060', 'C01');
+
+INSERT INTO employees VALUES ('000010', 'CHRISTINE', 'HAAS', 'A00', 'F', TO_DATE('14-AUG-1953', 'DD-MON-YYYY'), 72750);
+INSERT INTO employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 'B01', 'M', TO_DATE('02-FEB-1968', 'DD-MON-YYYY'), 61250);
+INSERT INTO employees VALUES ('000030', 'SALLY', 'KWAN', 'C01', 'F', TO_DATE('11-MAY-1971', 'DD-MON-YYYY'), 58250);
+INSERT INTO employees VALUES ('000060', 'IRVING', 'STERN', 'D01', 'M', TO_DATE('07-JUL-1965', 'DD-MON-YYYY'), 55555);
+
+CREATE VIEW dept_emp AS
+SELECT d.deptno, d.deptname, e.empno, e.firstname, e.lastname, e.salary
+FROM departments d
+JOIN employees e ON d.deptno = e.workdept;
+      `;
+    } else if (goalTitle.includes('queries') || 
+               goalConcepts.includes('sql queries') || 
+               goalConcepts.includes('object relational queries')) {
+      // Script for query exercises
+      script = `
+CREATE TABLE departments (
+  deptno VARCHAR2(3) PRIMARY KEY,
+  deptname VARCHAR2(36),
+  mgrno VARCHAR2(6),
+  admrdept VARCHAR2(3)
+);
+
+CREATE TABLE employees (
+  empno VARCHAR2(6) PRIMARY KEY,
+  firstname VARCHAR2(12),
+  lastname VARCHAR2(15),
+  workdept VARCHAR2(3),
+  sex CHAR(1),
+  birthdate DATE,
+  salary NUMBER(8,2),
+  CONSTRAINT fk_workdept FOREIGN KEY (workdept) REFERENCES departments(deptno)
+);
+
+INSERT INTO departments VALUES ('A00', 'SPIFFY COMPUTER SERVICE DIV.', '000010', 'A00');
+INSERT INTO departments VALUES ('B01', 'PLANNING', '000020', 'A00');
+INSERT INTO departments VALUES ('C01', 'INFORMATION CENTRE', '000030', 'A00');
+INSERT INTO departments VALUES ('D01', 'DEVELOPMENT CENTRE', '000060', 'C01');
+
+INSERT INTO employees VALUES ('000010', 'CHRISTINE', 'HAAS', 'A00', 'F', TO_DATE('14-AUG-1953', 'DD-MON-YYYY'), 72750);
+INSERT INTO employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 'B01', 'M', TO_DATE('02-FEB-1968', 'DD-MON-YYYY'), 61250);
+INSERT INTO employees VALUES ('000030', 'SALLY', 'KWAN', 'C01', 'F', TO_DATE('11-MAY-1971', 'DD-MON-YYYY'), 58250);
+INSERT INTO employees VALUES ('000060', 'IRVING', 'STERN', 'D01', 'M', TO_DATE('07-JUL-1965', 'DD-MON-YYYY'), 55555);
+INSERT INTO employees VALUES ('000050', 'JOHN', 'GEYER', 'C01', 'M', TO_DATE('15-SEP-1955', 'DD-MON-YYYY'), 60175);
+INSERT INTO employees VALUES ('000070', 'EVA', 'PULASKI', 'D01', 'F', TO_DATE('26-MAY-1973', 'DD-MON-YYYY'), 56170);
+
+CREATE VIEW dept_emp AS
+SELECT d.deptno, d.deptname, e.empno, e.firstname, e.lastname, e.salary
+FROM departments d
+JOIN employees e ON d.deptno = e.workdept;
+
+CREATE VIEW dept_hierarchy AS
+SELECT d.deptno, d.deptname, d.admrdept, ad.deptname as admin_deptname
+FROM departments d
+JOIN departments ad ON d.admrdept = ad.deptno;
+
+CREATE VIEW dept_stats AS
+SELECT d.deptno, d.deptname, 
+       COUNT(e.empno) as emp_count,
+       AVG(e.salary) as avg_salary,
+       MAX(e.salary) as max_salary,
+       MIN(e.salary) as min_salary
+FROM departments d
+JOIN employees e ON d.deptno = e.workdept
+GROUP BY d.deptno, d.deptname;
+      `;
+    } else {
+      // Default script for other goals
+      script = `
+CREATE TABLE employees (
+  empno VARCHAR2(6) PRIMARY KEY,
+  firstname VARCHAR2(12),
+  lastname VARCHAR2(15),
+  salary NUMBER(8,2)
+);
+
+INSERT INTO employees VALUES ('000010', 'CHRISTINE', 'HAAS', 72750);
+INSERT INTO employees VALUES ('000020', 'MICHAEL', 'THOMPSON', 61250);
+      `;
+    }
+    
+    return script;
+  };
+
+  // Month abbreviations used by Oracle's DD-MON-YYYY dates
+  const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  /**
+   * Adapt an Oracle setup script to another engine.
+   * Only covers what the built-in sample scripts use: VARCHAR2 and NUMBER
+   * columns and TO_DATE('DD-MON-YYYY') literals.
+   * @param {string} script - Oracle setup script
+   * @param {string} engine - Target engine (oracle, mysql or sqlite)
+   * @returns {string} - Script for the target engine
+   */
+  const adaptSetupScript = (script, engine) => {
+    if (!engine || engine === 'oracle') {
+      return script;
+    }
+
+    return script
+      .replace(/\bVARCHAR2\s*\(/gi, 'VARCHAR(')
+      .replace(/\bNUMBER\s*\(/gi, 'DECIMAL(')
+      .replace(/\bNUMBER\b/gi, 'DECIMAL')
+      .replace(/TO_DATE\(\s*'(\d{2})-([A-Z]{3})-(\d{4})'\s*,\s*'DD-MON-YYYY'\s*\)/gi, (match, day, month, year) => {
+        const monthNumber = MONTHS.indexOf(month.toUpperCase()) + 1;
+        return `'${year}-${String(monthNumber).padStart(2, '0')}-${day}'`;
+      });
+  };
+
   module.exports = {
-    generateSetupScripts
+    generateSetupScripts,
+    selectSetupScript,
+    adaptSetupScript
   };
\ No newline at end of file
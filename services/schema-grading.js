@@ -0,0 +1,200 @@
+// services/schema-grading.js
+const { executeQuery, inspectSchemaState } = require('./sql-execution');
+const { withScratchSandbox } = require('./sandbox-lifecycle');
+const { datasetSetupScripts } = require('./grading');
+const { getEngine } = require('./engines');
+
+// Oracle constraint type codes in ALL_CONSTRAINTS
+const CONSTRAINT_CODES = {
+  'PRIMARY KEY': 'P',
+  'FOREIGN KEY': 'R',
+  'UNIQUE': 'U',
+  'CHECK': 'C'
+};
+
+const sameName = (a, b) => String(a || '').toUpperCase() === String(b || '').toUpperCase();
+
+/**
+ * Normalize a type as written in a spec (e.g. "varchar2( 36 )", "ref dept_t")
+ * @param {string} type - Type from the spec
+ * @returns {string} - Upper case type without spaces around parentheses
+ */
+const normalizeType = (type) => String(type).toUpperCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').trim();
+
+/**
+ * Check whether an actual type satisfies the type a spec asks for.
+ * A spec type without a length (VARCHAR2) accepts any length.
+ * @param {string} expected - Type from the spec
+ * @param {string} actual - Type from the data dictionary
+ * @returns {boolean} - Whether the types match
+ */
+const typeMatches = (expected, actual) => {
+  const wanted = normalizeType(expected);
+  const found = normalizeType(actual);
+  return wanted.includes('(') ? wanted === found : wanted === found.replace(/\(.*\)$/, '');
+};
+
+/**
+ * Check the attributes or columns of a type, table or view against a spec
+ * @param {string} owner - Name of the type, table or view, for messages
+ * @param {Array<object>} expected - Attribute specs ({ name, type, nullable })
+ * @param {Array<object>} actual - Attributes or columns from the data dictionary
+ * @param {string} noun - attribute or column
+ * @returns {Array<object>} - Checks with check, passed and actual
+ */
+const checkMembers = (owner, expected = [], actual = [], noun) => {
+  const checks = [];
+  for (const spec of expected) {
+    const member = actual.find(candidate => sameName(candidate.name, spec.name));
+    if (!member) {
+      checks.push({ check: `${owner} should have ${noun} ${spec.name}`, passed: false, actual: null });
+      continue;
+    }
+    if (spec.type) {
+      checks.push({
+        check: `${owner}.${spec.name} should be ${spec.type.trim().replace(/\s+/g, ' ')}`,
+        passed: typeMatches(spec.type, member.type),
+        actual: member.type
+      });
+    } else {
+      checks.push({ check: `${owner} should have ${noun} ${spec.name}`, passed: true, actual: member.type });
+    }
+    if (spec.nullable !== undefined && spec.nullable !== null) {
+      checks.push({
+        check: `${owner}.${spec.name} should ${spec.nullable ? 'allow' : 'not allow'} NULL`,
+        passed: member.nullable === spec.nullable,
+        actual: member.nullable ? 'NULL' : 'NOT NULL'
+      });
+    }
+  }
+  return checks;
+};
+
+/**
+ * Check a sandbox's data dictionary against an expected-schema spec
+ * @param {object} state - types, tables, constraints and views from inspectSchemaState
+ * @param {object} spec - Expected types, tables, constraints and views
+ * @returns {Array<object>} - Checks with check, passed and actual
+ */
+const checkSchemaState = (state, spec) => {
+  const checks = [];
+
+  for (const typeSpec of spec.types || []) {
+    const type = state.types.find(candidate => sameName(candidate.name, typeSpec.name));
+    checks.push({ check: `Type ${typeSpec.name} should exist`, passed: Boolean(type), actual: type ? type.typecode : null });
+    if (type) {
+      checks.push(...checkMembers(typeSpec.name, typeSpec.attributes, type.attributes, 'attribute'));
+    }
+  }
+
+  for (const tableSpec of spec.tables || []) {
+    const table = state.tables.find(candidate => sameName(candidate.name, tableSpec.name));
+    checks.push({ check: `Table ${tableSpec.name} should exist`, passed: Boolean(table), actual: table ? table.name : null });
+    if (!table) continue;
+
+    if (tableSpec.ofType) {
+      checks.push({
+        check: `${tableSpec.name} should be an object table of ${tableSpec.ofType}`,
+        passed: sameName(table.ofType, tableSpec.ofType),
+        actual: table.ofType
+      });
+    }
+    checks.push(...checkMembers(tableSpec.name, tableSpec.columns, table.columns, 'column'));
+  }
+
+  for (const constraintSpec of spec.constraints || []) {
+    const columns = (constraintSpec.columns || []).map(column => column.toUpperCase());
+    const description = `${constraintSpec.table} should have a ${constraintSpec.type}` +
+      (columns.length > 0 ? ` on (${constraintSpec.columns.join(', ')})` : '') +
+      (constraintSpec.references ? ` referencing ${constraintSpec.references}` : '');
+
+    const candidates = state.constraints.filter(constraint =>
+      sameName(constraint.table, constraintSpec.table) && constraint.type === CONSTRAINT_CODES[constraintSpec.type]);
+    const found = candidates.find(constraint =>
+      (columns.length === 0 || (constraint.columns.length === columns.length && columns.every(column => constraint.columns.includes(column)))) &&
+      (!constraintSpec.references || sameName(constraint.references, constraintSpec.references)));
+
+    checks.push({
+      check: description,
+      passed: Boolean(found),
+      actual: found ? found.name : (candidates.map(constraint => `${constraint.name} (${constraint.columns.join(', ')})`).join('; ') || null)
+    });
+  }
+
+  for (const viewSpec of spec.views || []) {
+    const view = state.views.find(candidate => sameName(candidate.name, viewSpec.name));
+    checks.push({ check: `View ${viewSpec.name} should exist`, passed: Boolean(view), actual: view ? view.name : null });
+    if (view) {
+      const columns = (viewSpec.columns || []).map(name => ({ name }));
+      checks.push(...checkMembers(viewSpec.name, columns, view.columns, 'column'));
+    }
+  }
+
+  return checks;
+};
+
+/**
+ * Grade a DDL submission by the schema it leaves behind.
+ * The script runs in a scratch sandbox built from the same scripts the
+ * reference solution was verified on, so objects from earlier attempts can
+ * neither block it nor count towards the result, and the student's own
+ * sandbox is left as it is.
+ * @param {object} goal - Learning goal
+ * @param {object} reference - Answer key entry with expectedSchema
+ * @param {string} query - Student's script
+ * @param {object} options - Execution options for the student's script (engine, policy, limits, userId, executionId)
+ * @param {object|Array} binds - Binds for the student's script
+ * @returns {Promise<object>} - correct, feedback, the student's execution and the schema checks
+ */
+const gradeSchemaSubmission = async (goal, reference, query, options = {}, binds = []) => {
+  const engine = getEngine(options.engine);
+
+  const outcome = await withScratchSandbox({
+    label: `schema_${goal._id}`,
+    engine: engine.name,
+    userId: options.userId || 'grader',
+    goalId: goal._id,
+    scripts: datasetSetupScripts(goal, reference, null, engine.name)
+  }, async (scratchSessionId) => {
+    // Executions are cancelled in the session they were started in, which the client can't name here
+    const execution = await executeQuery(query, binds, scratchSessionId, {
+      ...options,
+      engine: engine.name,
+      mode: 'autocommit',
+      executionId: undefined
+    });
+    const state = await inspectSchemaState(scratchSessionId, { engine: engine.name });
+    return { execution, state };
+  });
+
+  if (outcome.setupError) {
+    throw new Error(`Exercise data could not be set up: ${outcome.setupError}`);
+  }
+
+  const { execution, state } = outcome.result;
+  if (!state.success) {
+    return {
+      correct: false,
+      feedback: state.error,
+      executionResult: execution,
+      schemaChecks: []
+    };
+  }
+
+  const schemaChecks = checkSchemaState(state, reference.expectedSchema);
+  const failed = schemaChecks.filter(check => !check.passed);
+
+  return {
+    correct: schemaChecks.length > 0 && failed.length === 0,
+    feedback: failed.length === 0 ?
+      'Your schema matches the specification!' :
+      `${failed.length} of ${schemaChecks.length} schema checks failed: ${failed.map(check => check.check).join('; ')}`,
+    executionResult: execution,
+    schemaChecks
+  };
+};
+
+module.exports = {
+  checkSchemaState,
+  gradeSchemaSubmission
+};
@@ -0,0 +1,210 @@
+// services/scoring.js
+const { explainQuery } = require('./sql-execution');
+const { splitStatementsWithPositions } = require('./sql-splitter');
+const { classifyStatement } = require('./sql-policy');
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+const { getEngine } = require('./engines');
+const { DEFAULT_RUBRICS, DEFAULT_POINTS, DEFAULT_XP } = require('../config/scoring');
+
+/**
+ * Check whether a script uses a construct: a keyword or phrase such as DEREF
+ * or ORDER BY, or DOT NOTATION for navigating object attributes (e.workdept.deptname)
+ * @param {string} query - Student's script
+ * @param {string} construct - Construct to look for
+ * @returns {boolean} - Whether the script uses it
+ */
+const usesConstruct = (query, construct) => {
+  const tokens = tokenize(query || '').filter(isSignificant);
+  const wanted = String(construct || '').trim().toUpperCase().split(/\s+/).filter(Boolean);
+  if (wanted.length === 0) return false;
+
+  if (wanted.join(' ') === 'DOT NOTATION') {
+    // alias.attribute.attribute: at least two dots in one path
+    return tokens.some((token, index) =>
+      token.type === 'word' &&
+      tokens[index + 1] && tokens[index + 1].value === '.' &&
+      tokens[index + 2] && tokens[index + 2].type === 'word' &&
+      tokens[index + 3] && tokens[index + 3].value === '.' &&
+      tokens[index + 4] && tokens[index + 4].type === 'word');
+  }
+
+  const values = tokens.map(token => token.value.toUpperCase());
+  return values.some((_, index) => wanted.every((word, offset) => values[index + offset] === word));
+};
+
+/**
+ * Measure the optimizer cost of a script's last query or DML statement
+ * @param {string} query - Student's script
+ * @param {string} sessionId - Session whose sandbox the plan is built in
+ * @param {object} options - engine and policy
+ * @returns {Promise<number|null>} - Plan cost, or null if it can't be measured
+ */
+const measureCost = async (query, sessionId, options = {}) => {
+  const engine = getEngine(options.engine);
+  const statements = splitStatementsWithPositions(query || '', { dialect: engine.dialect })
+    .filter(stmt => stmt.kind !== 'sqlplus')
+    .filter(stmt => ['query', 'dml'].includes(classifyStatement(stmt.text).kind));
+  if (statements.length === 0) return null;
+
+  const explained = await explainQuery(statements[statements.length - 1].text, sessionId, {
+    engine: engine.name,
+    policy: options.policy
+  });
+  if (!explained.success || !explained.analysis) return null;
+
+  const cost = Number(explained.analysis.totalCost);
+  return explained.analysis.totalCost === null || !Number.isFinite(cost) ? null : cost;
+};
+
+/**
+ * Get the rubric of an exercise, filling in the defaults
+ * @param {object} reference - Answer key entry, with an optional rubric
+ * @param {string} exercise - practice or challenge
+ * @returns {object} - maxPoints, maxXp and weighted criteria
+ */
+const resolveRubric = (reference, exercise) => {
+  const rubric = (reference && reference.rubric) || {};
+  const defaults = reference && reference.expectedSchema ? DEFAULT_RUBRICS.schema : DEFAULT_RUBRICS.query;
+  return {
+    maxPoints: rubric.maxPoints !== undefined && rubric.maxPoints !== null ? rubric.maxPoints : DEFAULT_POINTS[exercise],
+    maxXp: rubric.maxXp !== undefined && rubric.maxXp !== null ? rubric.maxXp : DEFAULT_XP[exercise],
+    criteria: rubric.criteria && rubric.criteria.length > 0 ? rubric.criteria : defaults
+  };
+};
+
+/**
+ * Work out how much of one criterion a graded submission earns
+ * @param {object} item - Rubric criterion (criterion, weight, construct, maxCost)
+ * @param {object} evidence - grade, query and cost of the submission
+ * @returns {object} - fraction earned (0 to 1), or skipped, and a detail message
+ */
+const evaluateCriterion = (item, { grade, query, cost }) => {
+  const diff = grade.diff || {};
+  const hasRows = diff.expectedRowCount !== undefined;
+
+  switch (item.criterion) {
+    case 'executes':
+      return { fraction: 1, detail: 'The script runs without errors' };
+    case 'correctColumns':
+      if (!hasRows) return { fraction: grade.correct ? 1 : 0, detail: 'No result set to check columns against' };
+      return diff.missingColumns.length === 0 && diff.extraColumns.length === 0 ?
+        { fraction: 1, detail: 'The result has the expected columns' } :
+        { fraction: 0, detail: `Missing: ${diff.missingColumns.join(', ') || 'none'}; unexpected: ${diff.extraColumns.join(', ') || 'none'}` };
+    case 'correctRowCount':
+      if (diff.expectedAffectedRows !== undefined) {
+        return {
+          fraction: diff.expectedAffectedRows === diff.actualAffectedRows ? 1 : 0,
+          detail: `${diff.actualAffectedRows} row(s) changed, expected ${diff.expectedAffectedRows}`
+        };
+      }
+      if (!hasRows) return { fraction: grade.correct ? 1 : 0, detail: 'No result set to count rows in' };
+      return {
+        fraction: diff.expectedRowCount === diff.actualRowCount ? 1 : 0,
+        detail: `${diff.actualRowCount} row(s) returned, expected ${diff.expectedRowCount}`
+      };
+    case 'correctOrdering':
+      if (!hasRows) return { fraction: grade.correct ? 1 : 0, detail: 'No result set to check the order of' };
+      return diff.missingRowCount === 0 && diff.extraRowCount === 0 && !diff.orderMismatch ?
+        { fraction: 1, detail: 'The rows are in the expected order' } :
+        { fraction: 0, detail: diff.orderMismatch ? 'The rows are in the wrong order' : 'The rows differ, so their order can\'t be right' };
+    case 'correctResult':
+      return { fraction: grade.correct ? 1 : 0, detail: grade.correct ? 'The result matches in every test case' : 'The result differs from the expected one' };
+    case 'schemaChecks': {
+      const checks = grade.schemaChecks || [];
+      const passed = checks.filter(check => check.passed).length;
+      return {
+        fraction: checks.length > 0 ? passed / checks.length : 0,
+        detail: `${passed} of ${checks.length} schema checks pass`
+      };
+    }
+    case 'usesConstruct':
+      return usesConstruct(query, item.construct) ?
+        { fraction: 1, detail: `Uses ${item.construct}` } :
+        { fraction: 0, detail: `Should use ${item.construct}` };
+    case 'performance':
+      // Engines without optimizer costs can't be held to a threshold
+      if (cost === null || cost === undefined) return { skipped: true, detail: 'The plan cost could not be measured' };
+      if (item.maxCost === undefined || item.maxCost === null) return { skipped: true, detail: 'No cost threshold is set' };
+      return {
+        fraction: cost <= item.maxCost ? 1 : 0,
+        detail: `Plan cost ${cost}, threshold ${item.maxCost}`
+      };
+    default:
+      return { skipped: true, detail: `Unknown criterion ${item.criterion}` };
+  }
+};
+
+/**
+ * Score a graded submission against a rubric. A script that fails to run
+ * earns nothing; otherwise every criterion adds its weight times the share
+ * of it the submission meets.
+ * @param {object} rubric - Resolved rubric (maxPoints, criteria)
+ * @param {object} evidence - grade (from the grader), query and cost (null if not measured)
+ * @returns {object} - score (0 to 1), points, maxPoints and the breakdown per criterion
+ */
+const scoreSubmission = (rubric, evidence) => {
+  const executed = Boolean(evidence.grade.executionResult && evidence.grade.executionResult.success);
+
+  const breakdown = rubric.criteria.map(item => {
+    const weight = item.weight !== undefined && item.weight !== null ? item.weight : 1;
+    const result = executed ? evaluateCriterion(item, evidence) :
+      { fraction: 0, detail: item.criterion === 'executes' ? 'The script failed to run' : 'Not checked, the script failed to run' };
+
+    return {
+      criterion: item.criterion,
+      ...(item.construct ? { construct: item.construct } : {}),
+      weight: result.skipped ? 0 : weight,
+      passed: result.skipped ? null : result.fraction === 1,
+      earned: result.skipped ? 0 : Math.round(weight * result.fraction * 100) / 100,
+      detail: result.detail
+    };
+  });
+
+  const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+  const earned = breakdown.reduce((sum, item) => sum + item.earned, 0);
+  const score = totalWeight > 0 ? earned / totalWeight : 0;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    points: Math.round(rubric.maxPoints * score * 100) / 100,
+    maxPoints: rubric.maxPoints,
+    breakdown
+  };
+};
+
+/**
+ * Score a graded submission with its exercise's rubric, measuring the plan
+ * cost when the rubric has a performance criterion
+ * @param {object} reference - Answer key entry
+ * @param {string} exercise - practice or challenge
+ * @param {object} grade - Result of the grader
+ * @param {string} query - Student's script
+ * @param {string} sessionId - Session whose sandbox the plan is built in
+ * @param {object} options - engine and policy
+ * @returns {Promise<object>} - score, points, maxPoints, maxXp and the breakdown
+ */
+const scoreGrade = async (reference, exercise, grade, query, sessionId, options = {}) => {
+  const rubric = resolveRubric(reference, exercise);
+
+  let cost = null;
+  const executed = grade.executionResult && grade.executionResult.success;
+  if (executed && rubric.criteria.some(item => item.criterion === 'performance')) {
+    try {
+      cost = await measureCost(query, sessionId, options);
+    } catch (error) {
+      console.error('Error measuring plan cost:', error);
+    }
+  }
+
+  return {
+    ...scoreSubmission(rubric, { grade, query, cost }),
+    maxXp: rubric.maxXp
+  };
+};
+
+module.exports = {
+  usesConstruct,
+  resolveRubric,
+  scoreSubmission,
+  scoreGrade
+};
@@ -0,0 +1,251 @@
+// services/similarity.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QueryAttempt = require('../models/QueryAttempt');
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+
+// Pairs at or above this similarity are reported unless the caller asks otherwise
+const DEFAULT_THRESHOLD = 0.8;
+
+// Shorter submissions look alike whoever writes them, so they aren't compared
+const MIN_TOKENS = 12;
+
+// Fingerprints hash runs of this many tokens and keep the smallest hash per window
+const GRAM_SIZE = 5;
+const WINDOW_SIZE = 4;
+
+// Words that can follow a table reference without being its alias
+const NOT_ALIASES = [
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ON', 'USING',
+  'GROUP', 'ORDER', 'HAVING', 'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'CONNECT', 'START', 'WITH',
+  'SELECT', 'FROM', 'AND', 'OR', 'NOT', 'SET', 'VALUES', 'INTO', 'LIMIT', 'FETCH', 'OFFSET', 'FOR',
+  'WHEN', 'THEN', 'ELSE', 'END', 'CASE', 'AS', 'BY', 'IS', 'NULL', 'IN', 'EXISTS', 'BETWEEN', 'LIKE',
+  'PARTITION', 'WINDOW', 'RETURNING', 'LOG'
+];
+
+// Words after which a table reference follows
+const TABLE_PREFIXES = ['FROM', 'JOIN', 'INTO', 'UPDATE'];
+
+/**
+ * Reduce a script to the tokens that carry its structure: identifiers in one
+ * case, literals masked, terminators dropped and aliases renamed in order of
+ * appearance, so cosmetic edits don't hide a copy
+ * @param {string} query - SQL script
+ * @returns {Array<string>} - Normalized tokens
+ */
+const normalizeSql = (query) => {
+  const tokens = tokenize(query || '').filter(isSignificant).map(token => {
+    if (token.type === 'string') return '?S';
+    if (token.type === 'number') return '?N';
+    if (token.type === 'bind') return '?B';
+    if (token.type === 'quoted') return token.value.slice(1, -1).toUpperCase();
+    return token.value.toUpperCase();
+  }).filter(value => value !== ';' && value !== '/');
+
+  const isName = (value) => /^[A-Z_][A-Z0-9_$#]*$/.test(value || '') && !NOT_ALIASES.includes(value);
+
+  // Aliases follow AS, or a table name in a FROM list or JOIN
+  const aliases = new Map();
+  let inTableList = false;
+  tokens.forEach((value, index) => {
+    if (TABLE_PREFIXES.includes(value)) {
+      inTableList = true;
+    } else if (NOT_ALIASES.includes(value) || value === '(' || value === ')') {
+      inTableList = false;
+    }
+
+    let alias = null;
+    if (value === 'AS' && isName(tokens[index + 1])) {
+      alias = tokens[index + 1];
+    } else if (inTableList && isName(value) && (TABLE_PREFIXES.includes(tokens[index - 1]) || tokens[index - 1] === ',')) {
+      // Skip over schema.table
+      const end = tokens[index + 1] === '.' ? index + 2 : index;
+      if (isName(tokens[end + 1])) {
+        alias = tokens[end + 1];
+      }
+    }
+    if (alias && !aliases.has(alias)) {
+      aliases.set(alias, `A${aliases.size + 1}`);
+    }
+  });
+
+  return tokens.map(value => aliases.get(value) || value);
+};
+
+/**
+ * Fingerprint normalized tokens by winnowing hashed token runs
+ * @param {Array<string>} tokens - Normalized tokens
+ * @returns {Set<string>} - Fingerprint hashes
+ */
+const fingerprint = (tokens) => {
+  const hashes = [];
+  for (let start = 0; start + GRAM_SIZE <= tokens.length; start++) {
+    const gram = tokens.slice(start, start + GRAM_SIZE).join(' ');
+    hashes.push(crypto.createHash('sha1').update(gram).digest('hex').substring(0, 12));
+  }
+  if (hashes.length <= WINDOW_SIZE) {
+    return new Set(hashes);
+  }
+
+  const selected = new Set();
+  for (let start = 0; start + WINDOW_SIZE <= hashes.length; start++) {
+    const window = hashes.slice(start, start + WINDOW_SIZE);
+    selected.add(window.reduce((min, hash) => (hash < min ? hash : min)));
+  }
+  return selected;
+};
+
+/**
+ * Compare two fingerprints
+ * @param {Set<string>} a - First fingerprint
+ * @param {Set<string>} b - Second fingerprint
+ * @returns {number} - Jaccard similarity from 0 to 1
+ */
+const fingerprintSimilarity = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const hash of a) {
+    if (b.has(hash)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Get every student's last evaluated submission for a goal, per exercise
+ * @param {string} goalId - Learning goal ID
+ * @returns {Promise<Array<object>>} - Submissions with userId, isChallenge, query and timestamps
+ */
+const finalSubmissions = async (goalId) => {
+  return QueryAttempt.aggregate([
+    { $match: { goalId: new mongoose.Types.ObjectId(goalId), source: 'evaluate' } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { userId: '$userId', isChallenge: '$isChallenge' },
+        attemptId: { $first: '$_id' },
+        query: { $first: '$query' },
+        isSuccessful: { $first: '$isSuccessful' },
+        submittedAt: { $first: '$createdAt' },
+        attempts: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+/**
+ * Find pairs and groups of suspiciously similar submissions to one exercise
+ * @param {Array<object>} submissions - Final submissions to the exercise
+ * @param {object} options - threshold and the reference solution
+ * @returns {object} - pairs, groups and how many submissions were left out
+ */
+const clusterSubmissions = (submissions, options) => {
+  const referenceTokens = options.referenceSolution ? normalizeSql(options.referenceSolution).join(' ') : null;
+
+  const compared = [];
+  let tooShort = 0;
+  let matchesReference = 0;
+  for (const submission of submissions) {
+    const tokens = normalizeSql(submission.query);
+    if (tokens.length < MIN_TOKENS) {
+      tooShort++;
+    } else if (referenceTokens && tokens.join(' ') === referenceTokens) {
+      // Everyone who gets it right the canonical way looks the same
+      matchesReference++;
+    } else {
+      compared.push({ ...submission, tokens, fingerprint: fingerprint(tokens) });
+    }
+  }
+
+  const describe = (submission) => ({
+    userId: submission._id.userId,
+    attemptId: submission.attemptId,
+    submittedAt: submission.submittedAt,
+    isSuccessful: submission.isSuccessful,
+    attempts: submission.attempts
+  });
+
+  const pairs = [];
+  for (let i = 0; i < compared.length; i++) {
+    for (let j = i + 1; j < compared.length; j++) {
+      const identical = compared[i].tokens.join(' ') === compared[j].tokens.join(' ');
+      const similarity = identical ? 1 : fingerprintSimilarity(compared[i].fingerprint, compared[j].fingerprint);
+      if (similarity >= options.threshold) {
+        pairs.push({ i, j, similarity: Math.round(similarity * 1000) / 1000, identical });
+      }
+    }
+  }
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  // Link submissions through their pairs (union-find)
+  const parent = compared.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  pairs.forEach(({ i, j }) => { parent[find(i)] = find(j); });
+
+  const members = new Map();
+  pairs.forEach(({ i, j, similarity }) => {
+    const root = find(i);
+    const group = members.get(root) || { indexes: new Set(), similarities: [] };
+    group.indexes.add(i).add(j);
+    group.similarities.push(similarity);
+    members.set(root, group);
+  });
+
+  const groups = [...members.values()]
+    .filter(group => group.indexes.size > 2)
+    .map(group => ({
+      size: group.indexes.size,
+      maxSimilarity: Math.max(...group.similarities),
+      minSimilarity: Math.min(...group.similarities),
+      submissions: [...group.indexes]
+        .map(index => describe(compared[index]))
+        .sort((a, b) => a.submittedAt - b.submittedAt)
+    }))
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    submissions: submissions.length,
+    compared: compared.length,
+    skipped: { tooShort, matchesReference },
+    pairs: pairs.map(({ i, j, similarity, identical }) => ({
+      similarity,
+      identical,
+      // Earlier submission first
+      submissions: [describe(compared[i]), describe(compared[j])].sort((a, b) => a.submittedAt - b.submittedAt)
+    })),
+    groups
+  };
+};
+
+/**
+ * Report suspiciously similar final submissions to a learning goal's exercises
+ * @param {object} goal - Learning goal document
+ * @param {object} options - Report options
+ * @param {number} options.threshold - Lowest similarity reported (0 to 1)
+ * @param {Array<string>} options.exercises - Exercises to check (practice, challenge)
+ * @returns {Promise<object>} - pairs and groups per exercise
+ */
+const findSimilarSubmissions = async (goal, options = {}) => {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const exercises = options.exercises || ['practice', 'challenge'];
+  const submissions = await finalSubmissions(goal._id);
+  const answerKey = goal.learningPath.answerKey;
+
+  const report = {};
+  for (const exercise of exercises) {
+    const reference = answerKey && answerKey[exercise];
+    report[exercise] = clusterSubmissions(
+      submissions.filter(submission => submission._id.isChallenge === (exercise === 'challenge')),
+      { threshold, referenceSolution: reference && reference.solution }
+    );
+  }
+  return report;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeSql,
+  fingerprint,
+  fingerprintSimilarity,
+  clusterSubmissions,
+  findSimilarSubmissions
+};
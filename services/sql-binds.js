@@ -0,0 +1,208 @@
+// services/sql-binds.js
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+const { classifyStatement } = require('./sql-policy');
+
+// Types a bind can be declared with, named after their Oracle types
+const BIND_TYPES = ['NUMBER', 'VARCHAR2', 'DATE', 'CLOB'];
+
+const BIND_DIRECTIONS = ['IN', 'OUT', 'INOUT'];
+
+// Buffer size for OUT and IN OUT VARCHAR2 binds when none is given
+const DEFAULT_MAX_SIZE = 4000;
+const MAX_MAX_SIZE = 32767;
+
+const BIND_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_$#]*$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Parse a YYYY-MM-DD or YYYY-MM-DD HH:MI[:SS] string as a local date
+ * @param {string} value - Date string
+ * @returns {Date|null} - Parsed date, or null if the string is not a valid date
+ */
+const parseDate = (value) => {
+  const match = DATE_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Turn one bind from a request into a bind spec
+ * @param {*} bind - Plain value, or { value, type, dir, maxSize }
+ * @param {string} label - Bind name or position, for error messages
+ * @returns {object} - { value, type, dir, maxSize }
+ */
+const normalizeBind = (bind, label) => {
+  const isSpec = bind !== null && typeof bind === 'object' && !(bind instanceof Date) && !Array.isArray(bind);
+  const spec = isSpec ? bind : { value: bind };
+
+  const dir = String(spec.dir || 'IN').toUpperCase().replace(/\s+/g, '');
+  if (!BIND_DIRECTIONS.includes(dir)) {
+    throw new Error(`Bind ${label} has an unknown direction '${spec.dir}', expected one of ${BIND_DIRECTIONS.join(', ')}`);
+  }
+
+  const value = dir === 'OUT' || spec.value === undefined ? null : spec.value;
+  const type = String(spec.type || (typeof value === 'number' ? 'NUMBER' : 'VARCHAR2')).toUpperCase();
+  if (!BIND_TYPES.includes(type)) {
+    throw new Error(`Bind ${label} has an unknown type '${spec.type}', expected one of ${BIND_TYPES.join(', ')}`);
+  }
+
+  let converted = value;
+  if (value !== null) {
+    if (type === 'NUMBER') {
+      converted = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      if (!Number.isFinite(converted)) {
+        throw new Error(`Bind ${label} is not a number: ${value}`);
+      }
+    } else if (type === 'DATE') {
+      converted = value instanceof Date ? value : parseDate(value);
+      if (!converted) {
+        throw new Error(`Bind ${label} is not a date, expected YYYY-MM-DD or YYYY-MM-DD HH:MI:SS: ${value}`);
+      }
+    } else if (typeof value === 'object') {
+      throw new Error(`Bind ${label} must be a ${type} value, not an object`);
+    } else {
+      converted = String(value);
+    }
+  }
+
+  let maxSize;
+  if (dir !== 'IN' && type === 'VARCHAR2') {
+    maxSize = spec.maxSize === undefined ? DEFAULT_MAX_SIZE : Number(spec.maxSize);
+    if (!Number.isInteger(maxSize) || maxSize < 1 || maxSize > MAX_MAX_SIZE) {
+      throw new Error(`Bind ${label} has an invalid maxSize, expected 1 to ${MAX_MAX_SIZE}`);
+    }
+  }
+
+  return { value: converted, type, dir, maxSize };
+};
+
+/**
+ * Check binds from a request and turn them into bind specs.
+ * Named binds are an object ({ deptno: 10 }), positional binds an array ([10]);
+ * each bind is a plain value or { value, type, dir, maxSize }.
+ * @param {object|Array} binds - Binds from the request
+ * @returns {object} - { binds } with the bind specs, or { error } if a bind is invalid
+ */
+const normalizeBinds = (binds) => {
+  if (binds === null || binds === undefined) {
+    return { binds: [] };
+  }
+
+  try {
+    if (Array.isArray(binds)) {
+      return { binds: binds.map((bind, index) => normalizeBind(bind, `#${index + 1}`)) };
+    }
+
+    if (typeof binds !== 'object') {
+      return { error: 'Binds must be an object of named binds or an array of positional binds' };
+    }
+
+    const normalized = {};
+    for (const [rawName, bind] of Object.entries(binds)) {
+      const name = rawName.replace(/^:/, '');
+      if (!BIND_NAME_PATTERN.test(name)) {
+        return { error: `Invalid bind name '${rawName}'` };
+      }
+      normalized[name] = normalizeBind(bind, `:${name}`);
+    }
+    return { binds: normalized };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Check whether any bind has an OUT direction
+ * @param {object|Array} binds - Bind specs from normalizeBinds
+ * @returns {boolean} - Whether an OUT or IN OUT bind is present
+ */
+const hasOutBinds = (binds) => Object.values(binds).some(bind => bind.dir !== 'IN');
+
+/**
+ * Check whether a statement can take binds. DDL can't, and inside
+ * CREATE TRIGGER bodies :NEW and :OLD only look like binds.
+ * @param {string} statement - Single SQL or PL/SQL statement
+ * @returns {boolean} - Whether binds are sent with the statement
+ */
+const acceptsBinds = (statement) => {
+  const { kind, command } = classifyStatement(statement);
+  return kind === 'query' || kind === 'dml' || command === 'PL/SQL BLOCK' || command === 'CALL';
+};
+
+/**
+ * Find the placeholders of a statement.
+ * Oracle binds SQL statements by occurrence and PL/SQL blocks by unique name;
+ * MySQL and SQLite use ? for positional and :name for named placeholders.
+ * @param {string} statement - Single SQL or PL/SQL statement
+ * @param {string} dialect - Splitter dialect of the engine
+ * @returns {object} - names (unique, as written) and positionalCount
+ */
+const findPlaceholders = (statement, dialect) => {
+  const tokens = tokenize(statement).filter(isSignificant);
+  const bindTokens = tokens.filter(token => token.type === 'bind');
+
+  const names = [];
+  for (const token of bindTokens) {
+    const name = token.value.substring(1);
+    if (!names.some(existing => existing.toUpperCase() === name.toUpperCase())) {
+      names.push(name);
+    }
+  }
+
+  let positionalCount;
+  if (dialect === 'oracle') {
+    positionalCount = classifyStatement(statement).kind === 'plsql' ? names.length : bindTokens.length;
+  } else {
+    positionalCount = tokens.filter(token => token.type === 'symbol' && token.value === '?').length;
+  }
+
+  return { names, positionalCount };
+};
+
+/**
+ * Pick the binds one statement of a script uses.
+ * Named binds are matched by name (case-insensitively), positional binds are
+ * handed out in order across the script's statements.
+ * @param {string} statement - Single SQL or PL/SQL statement
+ * @param {object|Array} binds - Bind specs from normalizeBinds
+ * @param {string} dialect - Splitter dialect of the engine
+ * @param {object} cursor - { position } of the next positional bind, advanced by this call
+ * @returns {object|Array} - Bind specs keyed by the names the statement uses, or in position order
+ */
+const bindsForStatement = (statement, binds, dialect, cursor) => {
+  const positional = Array.isArray(binds);
+  if ((positional ? binds.length : Object.keys(binds).length) === 0 || !acceptsBinds(statement)) {
+    return positional ? [] : {};
+  }
+
+  const { names, positionalCount } = findPlaceholders(statement, dialect);
+
+  if (positional) {
+    const picked = binds.slice(cursor.position, cursor.position + positionalCount);
+    cursor.position += positionalCount;
+    return picked;
+  }
+
+  // Names without a bind are left for the database to report
+  const picked = {};
+  for (const name of names) {
+    const key = Object.keys(binds).find(candidate => candidate.toUpperCase() === name.toUpperCase());
+    if (key) {
+      picked[name] = binds[key];
+    }
+  }
+  return picked;
+};
+
+module.exports = {
+  BIND_TYPES,
+  BIND_DIRECTIONS,
+  normalizeBinds,
+  hasOutBinds,
+  bindsForStatement
+};
@@ -1,139 +1,592 @@
 // services/sql-execution.js
-const oracledb = require('oracledb');
+const crypto = require('crypto');
 const config = require('../config/db-config');
+const { splitStatementsWithPositions } = require('./sql-splitter');
+const { checkStatement, classifyStatement } = require('./sql-policy');
+const { touchSession } = require('./sandbox-registry');
+const { buildPlanTree, analyzePlan } = require('./query-plan');
+const { normalizeBinds, hasOutBinds, bindsForStatement } = require('./sql-binds');
+const { diagnoseError } = require('./error-catalog');
+const { getEngine } = require('./engines');
 
-// Initialize Oracle connection pool
-let pool = null;
+// Executions currently running, by user, session and execution ID, so they can be cancelled
+const runningExecutions = new Map();
+
+// Statements EXPLAIN PLAN accepts
+const EXPLAINABLE_COMMANDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+
+// How a script's changes are kept:
+// autocommit  - every statement is committed as it runs
+// transaction - all statements commit together, or nothing does
+// preview     - statements run and are always rolled back
+const EXECUTION_MODES = ['autocommit', 'transaction', 'preview'];
+
+/**
+ * Initialize the connection pool of a database engine
+ * @param {string} engineName - Engine name (defaults to the configured engine)
+ */
+const initializePool = async (engineName = null) => {
+  return getEngine(engineName).initializePool();
+};
 
 /**
- * Initialize the Oracle connection pool
+ * Record the session's activity and the objects its sandbox now holds,
+ * so expired sandboxes can be cleaned up later
+ * @param {object} engine - Engine adapter
+ * @param {object} connection - Connection inside the sandbox
+ * @param {string} sessionId - User session ID
+ * @param {string} userId - User the session belongs to, recorded if it is not registered yet
  */
-const initializePool = async () => {
+const trackSessionObjects = async (engine, connection, sessionId, userId = null) => {
+  if (!sessionId) return;
+  
   try {
-    // Set Oracle connection mode to OBJECT
-    oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT;
-    
-    // Create a connection pool
-    pool = await oracledb.createPool({
-      user: config.ORACLE_USER,
-      password: config.ORACLE_PASSWORD,
-      connectString: config.ORACLE_CONNECT_STRING,
-      poolMin: config.ORACLE_POOL_MIN,
-      poolMax: config.ORACLE_POOL_MAX,
-      poolIncrement: config.ORACLE_POOL_INCREMENT
+    const objects = await engine.listObjects(connection, sessionId);
+    await touchSession(sessionId, objects, {
+      userId,
+      engine: engine.name,
+      schemaName: engine.getSandboxName(sessionId)
     });
-    
-    console.log('Oracle connection pool initialized successfully');
-    return true;
   } catch (error) {
-    console.error('Failed to initialize Oracle connection pool:', error);
-    throw error;
+    // Tracking must never fail the student's execution
+    console.error("Error recording sandbox objects:", error.message);
+  }
+};
+
+/**
+ * Combine per-goal execution limits with the configured defaults
+ * @param {object} overrides - callTimeoutMs, maxRows and maxOutputBytes (any may be omitted)
+ * @returns {object} - Effective limits
+ */
+const resolveExecutionLimits = (overrides = {}) => {
+  const limits = overrides || {};
+  return {
+    callTimeoutMs: limits.callTimeoutMs || config.SQL_CALL_TIMEOUT_MS,
+    maxRows: limits.maxRows || config.SQL_MAX_ROWS,
+    maxOutputBytes: limits.maxOutputBytes || config.SQL_MAX_OUTPUT_BYTES
+  };
+};
+
+/**
+ * Get the key a running execution is stored under. Execution IDs can come
+ * from the client, so they are only unique per user and session.
+ * @param {string} userId - User running the execution
+ * @param {string} sessionId - Session the execution runs in
+ * @param {string} executionId - Execution ID
+ * @returns {string} - Key into runningExecutions
+ */
+const executionKey = (userId, sessionId, executionId) => {
+  return JSON.stringify([userId || null, sessionId || null, executionId]);
+};
+
+/**
+ * Cancel a running execution by breaking its current database call
+ * @param {string} executionId - Execution ID returned by executeQuery
+ * @param {string} userId - Authenticated user asking for the cancellation
+ * @param {string} sessionId - Session the execution runs in
+ * @returns {Promise<object>} - Whether the execution was cancelled
+ */
+const cancelExecution = async (executionId, userId, sessionId) => {
+  if (!userId) {
+    return { cancelled: false, forbidden: true, reason: 'Only signed-in users can cancel executions' };
+  }
+  
+  // Another user's execution is never found, so its existence isn't revealed either
+  const execution = runningExecutions.get(executionKey(userId, sessionId, executionId));
+  
+  if (!execution) {
+    return { cancelled: false, reason: 'Execution not found or already finished' };
+  }
+  
+  execution.cancelled = true;
+  await execution.engine.breakExecution(execution.connection);
+  
+  return { cancelled: true };
+};
+
+/**
+ * Check whether a statement commits on its own.
+ * Oracle and MySQL commit before and after every DDL statement, whatever the client asks for.
+ * @param {object} engine - Engine adapter
+ * @param {object} classification - kind and command from classifyStatement
+ * @returns {boolean} - Whether the statement commits implicitly
+ */
+const commitsImplicitly = (engine, { kind, command }) => {
+  if (engine.transactionalDdl) return false;
+  return kind === 'ddl' || (kind === 'plsql' && command.startsWith('CREATE'));
+};
+
+/**
+ * Reject statements that would break the guarantees of the execution mode
+ * @param {object} engine - Engine adapter
+ * @param {Array<object>} statements - Statements from splitStatementsWithPositions
+ * @param {string} mode - Execution mode
+ * @returns {object|null} - Rejection result, or null when the script can run
+ */
+const checkExecutionMode = (engine, statements, mode) => {
+  if (mode === 'autocommit') return null;
+  
+  for (const { text, kind } of statements) {
+    if (kind === 'sqlplus') continue;
+    
+    const classification = classifyStatement(text);
+    let error = null;
+    
+    if (classification.kind === 'transaction') {
+      error = `${classification.command} cannot be used in ${mode} mode, the playground manages the transaction`;
+    } else if (mode === 'preview' && commitsImplicitly(engine, classification)) {
+      error = `${classification.command} commits implicitly and cannot be previewed, use autocommit or transaction mode`;
+    }
+    
+    if (error) {
+      return {
+        success: false,
+        error,
+        errorCode: 'MODE_NOT_SUPPORTED',
+        message: `Statement not supported in ${mode} mode, nothing was executed`,
+        results: [{
+          success: false,
+          error,
+          errorCode: 'MODE_NOT_SUPPORTED',
+          command: classification.command,
+          statement: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+        }]
+      };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Check every statement of a script against a statement policy
+ * @param {object} engine - Engine adapter
+ * @param {object} connection - Connection inside the sandbox
+ * @param {Array<object>} statements - Statements from splitStatementsWithPositions
+ * @param {object} policy - Effective policy from resolvePolicy
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<object|null>} - Rejection result, or null if everything is allowed
+ */
+const enforcePolicy = async (engine, connection, statements, policy, sessionId) => {
+  const context = {
+    ownSchema: sessionId ? engine.getSandboxName(sessionId) : null,
+    knownSchemas: await engine.listSchemaNames(connection)
+  };
+  
+  const results = statements
+    .filter(stmt => stmt.kind !== 'sqlplus')
+    .map(stmt => ({ stmt: stmt.text, check: checkStatement(stmt.text, policy, context) }));
+  const rejected = results.filter(({ check }) => !check.allowed);
+  
+  if (rejected.length === 0) {
+    return null;
+  }
+  
+  return {
+    success: false,
+    error: rejected[0].check.reason,
+    errorCode: 'POLICY_VIOLATION',
+    message: 'Statement rejected by policy, nothing was executed',
+    results: rejected.map(({ stmt, check }) => ({
+      success: false,
+      error: check.reason,
+      errorCode: 'POLICY_VIOLATION',
+      kind: check.kind,
+      command: check.command,
+      statement: stmt.substring(0, 50) + (stmt.length > 50 ? '...' : '')
+    }))
+  };
+};
+
+/**
+ * Execute a single statement and shape its result for the API
+ * @param {object} engine - Engine adapter
+ * @param {object} connection - Connection inside the sandbox
+ * @param {string} stmt - Statement to execute
+ * @param {object|Array} bindParams - Bind specs for this statement
+ * @param {object} options - Execution options (autoCommit, maxRows, timeoutMs, outputBudget)
+ * @returns {Promise<object>} - Affected rows and OUT binds, or columns and rows for queries
+ */
+const executeStatement = async (engine, connection, stmt, bindParams, options) => {
+  const result = await engine.executeStatement(connection, stmt, bindParams, options);
+  
+  if (!result.columns) {
+    return result.outBinds ? {
+      affectedRows: result.affectedRows,
+      outBinds: result.outBinds
+    } : {
+      affectedRows: result.affectedRows
+    };
+  }
+  
+  const rows = [];
+  let outputLimitReached = false;
+  
+  for (const row of result.rows.slice(0, options.maxRows)) {
+    // Stop once the response would grow past the output size limit
+    if (options.outputBudget) {
+      const size = Buffer.byteLength(JSON.stringify(row));
+      if (size > options.outputBudget.remaining) {
+        outputLimitReached = true;
+        break;
+      }
+      options.outputBudget.remaining -= size;
+    }
+    
+    rows.push(row);
+  }
+  
+  return {
+    affectedRows: 0,
+    columns: result.columns,
+    rows,
+    rowCount: rows.length,
+    truncated: outputLimitReached || result.rows.length > options.maxRows,
+    outputLimitReached
+  };
+};
+
+/**
+ * Collect the OUT values of a statement into the script's OUT binds,
+ * under the names or positions the binds were given with
+ * @param {object|Array} binds - Bind specs of the script
+ * @param {object|Array} statementBinds - Bind specs the statement was run with
+ * @param {object|Array} statementOut - OUT values returned for the statement
+ * @param {object|Array} collected - OUT values collected so far, updated in place
+ */
+const collectOutBinds = (binds, statementBinds, statementOut, collected) => {
+  if (Array.isArray(binds)) {
+    statementBinds.forEach((spec, index) => {
+      if (spec.dir !== 'IN') {
+        collected[binds.indexOf(spec)] = statementOut[index];
+      }
+    });
+    return;
+  }
+  
+  for (const [name, spec] of Object.entries(statementBinds)) {
+    if (spec.dir !== 'IN' && name in statementOut) {
+      collected[Object.keys(binds).find(key => binds[key] === spec)] = statementOut[name];
+    }
   }
 };
 
 /**
  * Execute a SQL query
  * @param {string} query - The SQL query to execute
- * @param {Array} bindParams - Query parameters
+ * @param {object|Array} bindParams - Named or positional binds, see normalizeBinds
  * @param {string} sessionId - User session ID for isolation
+ * @param {object} options - Execution options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @param {string} options.mode - autocommit (default), transaction or preview
+ * @param {boolean} options.undoLast - In transaction mode, roll back the last statement before committing
+ * @param {number} options.maxRows - Maximum rows returned per query statement
+ * @param {number} options.callTimeoutMs - Time budget for the whole script
+ * @param {number} options.maxOutputBytes - Maximum size of the returned rows
+ * @param {string} options.executionId - ID used to cancel the execution (generated if omitted)
+ * @param {string} options.userId - User running the execution
+ * @param {object} options.policy - Statement policy; omitted only for trusted setup scripts
  * @returns {Promise<object>} - Query results
  */
-const executeQuery = async (query, bindParams = {}, sessionId = null) => {
-  if (!pool) {
-    await initializePool();
-  }
-
+const executeQuery = async (query, bindParams = {}, sessionId = null, options = {}) => {
+  const limits = resolveExecutionLimits(options);
+  const executionId = options.executionId || crypto.randomUUID();
+  const mode = options.mode || 'autocommit';
+  const transactional = mode !== 'autocommit';
+  
   // Skip empty queries
   if (!query || !query.trim()) {
     return {
       success: false,
-      error: "Empty query"
+      error: "Empty query",
+      executionId
     };
   }
-
+  
+  if (!EXECUTION_MODES.includes(mode)) {
+    return {
+      success: false,
+      error: `Unknown execution mode '${mode}', expected one of ${EXECUTION_MODES.join(', ')}`,
+      executionId
+    };
+  }
+  
+  const key = executionKey(options.userId, sessionId, executionId);
+  if (runningExecutions.has(key)) {
+    return {
+      success: false,
+      error: "An execution with this ID is already running",
+      executionId
+    };
+  }
+  
+  const engine = getEngine(options.engine);
+  
+  const { binds, error: bindError } = normalizeBinds(bindParams);
+  if (bindError || (!engine.supportsOutBinds && hasOutBinds(binds))) {
+    return {
+      success: false,
+      error: bindError || `OUT binds are not supported by ${engine.name}`,
+      errorCode: bindError ? 'INVALID_BIND' : 'BIND_NOT_SUPPORTED',
+      engine: engine.name,
+      executionId
+    };
+  }
+  const outBinds = Array.isArray(binds) ? binds.map(() => null) : {};
+  const bindCursor = { position: 0 };
+  
   let connection;
+  let interrupted = false;
   try {
-    // Get connection from pool
-    connection = await pool.getConnection();
+    // Get connection from pool, inside the session's sandbox
+    connection = await engine.getConnection(sessionId);
     
-    console.log("Executing Oracle script with multiple statements");
+    const execution = { engine, connection, startedAt: new Date(), cancelled: false };
+    runningExecutions.set(key, execution);
+    
+    console.log(`Executing ${engine.name} script with multiple statements`);
     
     // Split into multiple statements
-    const statements = query.split(';').filter(stmt => stmt.trim());
+    const statements = splitStatementsWithPositions(query, { dialect: engine.dialect });
     const results = [];
     let allSuccessful = true;
+    let timedOut = false;
     
-    for (const stmt of statements) {
-      if (!stmt.trim()) continue;
+    // Reject the whole script before anything runs if a statement breaks the policy
+    if (options.policy) {
+      const rejection = await enforcePolicy(engine, connection, statements, options.policy, sessionId);
+      if (rejection) {
+        return { ...rejection, executionId, mode };
+      }
+    }
+    
+    const modeRejection = checkExecutionMode(engine, statements, mode);
+    if (modeRejection) {
+      return { ...modeRejection, executionId, mode };
+    }
+    
+    const deadline = Date.now() + limits.callTimeoutMs;
+    const outputBudget = { remaining: limits.maxOutputBytes };
+    
+    if (transactional) {
+      await engine.beginTransaction(connection);
+    }
+    
+    // Results of statements whose work is already committed, e.g. by DDL
+    let committedUpTo = -1;
+    
+    for (const { text: stmt, kind, offset } of statements) {
+      const summary = stmt.substring(0, 50) + (stmt.length > 50 ? '...' : '');
+      
+      // SQL*Plus client commands (SET ECHO, SPOOL, ...) never reach the database
+      if (kind === 'sqlplus') {
+        results.push({
+          success: true,
+          skipped: true,
+          statement: summary,
+          message: 'SQL*Plus command ignored'
+        });
+        continue;
+      }
+      
+      // Whatever is left after a cancel or timeout is not run, and an
+      // all-or-nothing script stops at its first failure
+      const remaining = deadline - Date.now();
+      if (execution.cancelled || timedOut || remaining <= 0 || (mode === 'transaction' && !allSuccessful)) {
+        timedOut = timedOut || (!execution.cancelled && remaining <= 0);
+        let error = 'Execution time limit exceeded';
+        if (execution.cancelled) {
+          error = 'Execution cancelled';
+        } else if (!timedOut) {
+          error = 'Skipped after an earlier statement failed';
+        }
+        results.push({
+          success: false,
+          skipped: true,
+          statement: summary,
+          error
+        });
+        allSuccessful = false;
+        continue;
+      }
+      
+      // A savepoint before each statement lets the last one be undone on its own
+      const savepoint = transactional ? `SP_STMT_${results.length + 1}` : undefined;
       
       try {
         // Log truncated statement for debugging
         console.log("Executing statement:", stmt.substring(0, 100) + (stmt.length > 100 ? '...' : ''));
         
-        // Execute with autoCommit for each statement
-        const result = await connection.execute(stmt.trim(), bindParams, { autoCommit: true });
+        if (savepoint) {
+          await engine.savepoint(connection, savepoint);
+        }
+        
+        // The whole script shares one time budget
+        const statementBinds = bindsForStatement(stmt, binds, engine.dialect, bindCursor);
+        const result = await executeStatement(engine, connection, stmt.trim(), statementBinds, {
+          autoCommit: !transactional,
+          maxRows: limits.maxRows,
+          timeoutMs: remaining,
+          outputBudget
+        });
+        
+        if (result.outBinds) {
+          collectOutBinds(binds, statementBinds, result.outBinds, outBinds);
+        }
+        
+        if (transactional && commitsImplicitly(engine, classifyStatement(stmt))) {
+          committedUpTo = results.length;
+          // The implicit commit ended the transaction, so start the next one
+          await engine.beginTransaction(connection);
+        }
         
         results.push({
           success: true,
-          statement: stmt.substring(0, 50) + (stmt.length > 50 ? '...' : ''),
-          affectedRows: result.rowsAffected || 0
+          statement: summary,
+          savepoint,
+          ...result
         });
       } catch (err) {
         console.error("Statement execution error:", err.message);
         
+        const isTimeout = engine.isTimeoutError(err);
+        const isCancel = execution.cancelled || engine.isCancelError(err);
+        if (isTimeout || isCancel) {
+          interrupted = true;
+          timedOut = timedOut || (isTimeout && !isCancel);
+        }
+        
+        const errorNum = engine.getErrorNumber(err);
         results.push({
           success: false,
-          error: err.message,
-          errorNum: err.errorNum,
-          statement: stmt.substring(0, 50) + (stmt.length > 50 ? '...' : '')
+          error: isTimeout ? `Execution time limit of ${limits.callTimeoutMs} ms exceeded` : err.message,
+          errorNum,
+          diagnosis: isTimeout || isCancel ? null : diagnoseError(
+            { message: err.message, errorNum, offset: err.offset, compileErrors: err.compileErrors },
+            { engine: engine.name, script: query, statement: stmt, statementOffset: offset }
+          ),
+          statement: summary,
+          savepoint
         });
         
         allSuccessful = false;
       }
     }
     
+    // Finish the transaction the way the mode asks for
+    let committed = !transactional;
+    let undone = null;
+    if (transactional && !interrupted) {
+      const executed = results.filter(result => result.success && !result.skipped);
+      const last = executed[executed.length - 1];
+      
+      if (mode === 'transaction' && allSuccessful) {
+        if (options.undoLast && last && results.indexOf(last) > committedUpTo) {
+          await engine.rollbackToSavepoint(connection, last.savepoint);
+          undone = last.savepoint;
+        }
+        await engine.commit(connection);
+        committed = true;
+      } else {
+        await engine.rollback(connection);
+      }
+    }
+    
+    // Say which statements' changes were kept
+    results.forEach((result, index) => {
+      if (result.skipped || !result.success) {
+        result.committed = false;
+      } else if (!transactional) {
+        result.committed = true;
+      } else {
+        result.committed = index <= committedUpTo || (committed && result.savepoint !== undone);
+        if (result.savepoint === undone) {
+          result.undone = true;
+        }
+      }
+    });
+    
+    if (!interrupted) {
+      await trackSessionObjects(engine, connection, sessionId, options.userId);
+    }
+    
+    let message = allSuccessful ? 'All statements executed successfully' : 'Some statements failed';
+    if (execution.cancelled) {
+      message = 'Execution cancelled';
+    } else if (timedOut) {
+      message = 'Execution time limit exceeded';
+    } else if (mode === 'preview') {
+      message = `${message}, changes rolled back (preview)`;
+    } else if (mode === 'transaction') {
+      message = committed ? `${message}, changes committed` : `${message}, all changes rolled back`;
+    }
+    
+    // The first failure is what the student needs to fix
+    const failure = results.find(result => !result.success && !result.skipped);
+    
     return {
       success: allSuccessful,
+      engine: engine.name,
+      executionId,
+      mode,
+      committed,
+      undone,
+      cancelled: execution.cancelled,
+      timedOut,
       results,
-      message: allSuccessful ? 'All statements executed successfully' : 'Some statements failed'
+      ...(hasOutBinds(binds) ? { outBinds } : {}),
+      ...(failure ? { error: failure.error, errorNum: failure.errorNum, diagnosis: failure.diagnosis } : {}),
+      executionTime: Date.now() - execution.startedAt.getTime(),
+      message
     };
   } catch (error) {
-    console.error("Oracle script execution error:", error.message);
+    console.error(`${engine.name} script execution error:`, error.message);
+    
+    // Don't leave half a transaction on a pooled connection
+    if (connection && transactional && !interrupted) {
+      try {
+        await engine.rollback(connection);
+      } catch (err) {
+        console.error("Error during rollback:", err);
+      }
+    }
+    
     return {
       success: false,
+      engine: engine.name,
+      executionId,
+      mode,
       error: error.message,
-      errorNum: error.errorNum,
+      errorNum: engine.getErrorNumber(error),
       query: query.substring(0, 100) + (query.length > 100 ? '...' : '')
     };
   } finally {
-    // Release connection back to the pool
-    if (connection) {
-      try {
-        await connection.close();
-      } catch (err) {
-        console.error("Error closing connection:", err);
-      }
-    }
+    runningExecutions.delete(key);
+    
+    // Release connection back to the pool; an interrupted call may leave it unusable
+    await engine.releaseConnection(connection, sessionId, { drop: interrupted });
   }
 };
+
 /**
  * Execute multiple statements with commit/rollback handling
- * @param {Array<string>} statements - Array of SQL statements
+ * @param {Array<string>} statements - SQL statements to execute
  * @param {string} sessionId - User session ID
+ * @param {object} options - Execution options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @param {string} options.userId - User the session belongs to
  * @returns {Promise<object>} - Execution results
  */
-const executeMultipleStatements = async (statements, sessionId = null) => {
-  if (!pool) {
-    await initializePool();
-  }
-
+const executeMultipleStatements = async (statements, sessionId = null, options = {}) => {
+  const engine = getEngine(options.engine);
+  
   let connection;
   try {
-    // Get connection from pool
-    connection = await pool.getConnection();
+    // Get connection from pool, inside the session's sandbox
+    connection = await engine.getConnection(sessionId);
     
     // Disable autocommit
-    await connection.execute("SET TRANSACTION READ WRITE");
+    await engine.beginTransaction(connection);
     
     const results = [];
     let successful = true;
@@ -143,17 +596,20 @@ const executeMultipleStatements = async (statements, sessionId = null) => {
       if (!stmt.trim()) continue;
       
       try {
-        const result = await connection.execute(stmt);
+        const result = await engine.executeStatement(connection, stmt, {}, {
+          autoCommit: false,
+          maxRows: config.SQL_MAX_ROWS
+        });
         results.push({
           success: true,
           statement: stmt.substring(0, 100) + (stmt.length > 100 ? '...' : ''),
-          affectedRows: result.rowsAffected || 0
+          affectedRows: result.affectedRows || 0
         });
       } catch (error) {
         results.push({
           success: false,
           error: error.message,
-          errorNum: error.errorNum,
+          errorNum: engine.getErrorNumber(error),
           statement: stmt.substring(0, 100) + (stmt.length > 100 ? '...' : '')
         });
         successful = false;
@@ -163,11 +619,13 @@ const executeMultipleStatements = async (statements, sessionId = null) => {
     
     // Commit or rollback based on success
     if (successful) {
-      await connection.commit();
+      await engine.commit(connection);
     } else {
-      await connection.rollback();
+      await engine.rollback(connection);
     }
     
+    await trackSessionObjects(engine, connection, sessionId, options.userId);
+    
     return {
       success: successful,
       message: successful ? 'All statements executed successfully' : 'Execution failed with errors',
@@ -177,7 +635,7 @@ const executeMultipleStatements = async (statements, sessionId = null) => {
     // Rollback on any error
     if (connection) {
       try {
-        await connection.rollback();
+        await engine.rollback(connection);
       } catch (err) {
         console.error("Error during rollback:", err);
       }
@@ -190,51 +648,60 @@ const executeMultipleStatements = async (statements, sessionId = null) => {
     };
   } finally {
     // Release connection back to the pool
-    if (connection) {
-      try {
-        await connection.close();
-      } catch (err) {
-        console.error("Error closing connection:", err);
-      }
-    }
+    await engine.releaseConnection(connection, sessionId);
   }
 };
 
 /**
- * Validate a SQL query without executing it
+ * Validate SQL syntax without executing
  * @param {string} query - The SQL query to validate
+ * @param {string} sessionId - User session ID
+ * @param {object} options - Validation options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @param {object} options.policy - Statement policy the query must also satisfy
  * @returns {Promise<object>} - Validation result
  */
-const validateQuery = async (query) => {
-  if (!pool) {
-    await initializePool();
-  }
-
+const validateQuery = async (query, sessionId = null, options = {}) => {
+  const engine = getEngine(options.engine);
+  const statements = splitStatementsWithPositions(query, { dialect: engine.dialect });
+  
   let connection;
   try {
-    // Get connection from pool
-    connection = await pool.getConnection();
-    
-    // Attempt to parse the query without executing
-    const result = await connection.execute(
-      `BEGIN
-         DBMS_SQL.PARSE(:sql_text, DBMS_SQL.NATIVE);
-         :valid := 1;
-       EXCEPTION
-         WHEN OTHERS THEN
-           :valid := 0;
-           :error_msg := SQLERRM;
-       END;`,
-      {
-        sql_text: query,
-        valid: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
-        error_msg: { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 4000 }
+    // Get connection from pool, inside the session's sandbox
+    connection = await engine.getConnection(sessionId);
+    
+    if (options.policy) {
+      const rejection = await enforcePolicy(engine, connection, statements, options.policy, sessionId);
+      if (rejection) {
+        return {
+          valid: false,
+          error: rejection.error,
+          errorCode: rejection.errorCode
+        };
       }
-    );
+    }
+    
+    // Attempt to parse each statement without executing it
+    for (const { text, kind, offset } of statements) {
+      if (kind === 'sqlplus') continue;
+      
+      const result = await engine.validateStatement(connection, text.trim());
+      if (!result.valid) {
+        return {
+          valid: false,
+          error: result.error,
+          diagnosis: diagnoseError(
+            { message: result.error, errorNum: result.errorNum },
+            { engine: engine.name, script: query, statement: text, statementOffset: offset }
+          ),
+          statement: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+        };
+      }
+    }
     
     return {
-      valid: result.outBinds.valid === 1,
-      error: result.outBinds.valid === 0 ? result.outBinds.error_msg : null
+      valid: true,
+      error: null
     };
   } catch (error) {
     return {
@@ -243,149 +710,195 @@ const validateQuery = async (query) => {
     };
   } finally {
     // Release connection back to the pool
+    await engine.releaseConnection(connection, sessionId);
+  }
+};
+
+/**
+ * Explain the execution plan of a single statement
+ * @param {string} query - The statement to explain
+ * @param {string} sessionId - User session ID for isolation
+ * @param {object} options - Explain options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @param {object} options.policy - Statement policy
+ * @returns {Promise<object>} - Plan tree, plan text and plan analysis
+ */
+const explainQuery = async (query, sessionId = null, options = {}) => {
+  const engine = getEngine(options.engine);
+  const statements = splitStatementsWithPositions(query || '', { dialect: engine.dialect })
+    .filter(stmt => stmt.kind !== 'sqlplus');
+  
+  if (statements.length !== 1) {
+    return {
+      success: false,
+      error: statements.length === 0 ? "Empty query" : "Only one statement can be explained at a time"
+    };
+  }
+  
+  const statement = statements[0].text.trim();
+  const { command } = classifyStatement(statement);
+  if (!EXPLAINABLE_COMMANDS.includes(command)) {
+    return {
+      success: false,
+      error: `${command || 'This'} statements cannot be explained, only ${EXPLAINABLE_COMMANDS.join(', ')}`
+    };
+  }
+  
+  let connection;
+  try {
+    // Get connection from pool, inside the session's sandbox
+    connection = await engine.getConnection(sessionId);
+    
+    if (options.policy) {
+      const rejection = await enforcePolicy(engine, connection, statements, options.policy, sessionId);
+      if (rejection) {
+        return rejection;
+      }
+    }
+    
+    const statementId = `EXPLAIN_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+    const explained = await engine.explainStatement(connection, statement, statementId);
+    const plan = buildPlanTree(explained.rows);
+    
+    return {
+      success: true,
+      engine: engine.name,
+      statement: statement.substring(0, 100) + (statement.length > 100 ? '...' : ''),
+      plan,
+      planText: explained.planText,
+      analysis: analyzePlan(plan)
+    };
+  } catch (error) {
+    console.error("Error explaining query:", error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorNum: engine.getErrorNumber(error)
+    };
+  } finally {
+    // Plan rows are never kept
     if (connection) {
       try {
-        await connection.close();
+        await engine.rollback(connection);
       } catch (err) {
-        console.error("Error closing connection:", err);
+        console.error("Error during rollback:", err);
       }
     }
+    await engine.releaseConnection(connection, sessionId);
   }
 };
 
 /**
- * Reset a user's session database environment
+ * Describe the tables and views in a session's sandbox
  * @param {string} sessionId - User session ID
- * @param {Array<string>} setupScripts - Scripts to initialize the environment
- * @returns {Promise<object>} - Reset result
+ * @param {object} options - Options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @returns {Promise<object>} - Tables with their columns
  */
-const resetEnvironment = async (sessionId, setupScripts = []) => {
-  if (!pool) {
-    await initializePool();
-  }
-
-  // Create a safe identifier prefix for the session
-  const safeSessionId = sessionId.replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 20);
+const describeSchema = async (sessionId, options = {}) => {
+  const engine = getEngine(options.engine);
   
-  // Filter and split scripts into statements
-  const statements = [];
-  for (const script of setupScripts) {
-    // Split script into separate statements
-    const individualStatements = splitOracleStatements(script);
+  let connection;
+  try {
+    connection = await engine.getConnection(sessionId);
+    const tables = await engine.introspect(connection, sessionId);
     
-    for (let stmt of individualStatements) {
-      if (!stmt.trim()) continue;
-      
-      // Replace generic table/type names with session-specific ones
-      stmt = stmt.replace(/CREATE\s+(OR\s+REPLACE\s+)?(TABLE|TYPE|VIEW)\s+(?!IF\s+NOT\s+EXISTS\s+)(\w+)/gi, 
-        `CREATE $1$2 ${safeSessionId}_$3`);
-        
-      // Also update references to these tables/types in other statements
-      stmt = stmt.replace(/\b(FROM|JOIN|INTO|TABLE\s+OF|REF)\s+(\w+)/gi, (match, keyword, name) => {
-        // Don't replace system table names or already prefixed names
-        if (name.startsWith(safeSessionId + '_') || 
-            ['dual', 'user_tables', 'all_tables', 'user_types', 'all_types'].includes(name.toLowerCase())) {
-          return match;
-        }
-        return `${keyword} ${safeSessionId}_${name}`;
-      });
-      
-      statements.push(stmt);
-    }
+    return {
+      success: true,
+      engine: engine.name,
+      sessionId,
+      tables
+    };
+  } catch (error) {
+    console.error("Error describing schema:", error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await engine.releaseConnection(connection, sessionId);
   }
-  
-  // Execute the statements
-  const result = await executeMultipleStatements(statements, sessionId);
-  
-  return {
-    ...result,
-    sessionId: safeSessionId
-  };
 };
 
 /**
- * Split Oracle SQL script into individual statements
- * @param {string} script - Oracle SQL script
- * @returns {Array<string>} - Individual statements
+ * Read the data dictionary of a session's sandbox for schema-state grading
+ * @param {string} sessionId - User session ID
+ * @param {object} options - Options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @returns {Promise<object>} - Types, tables, constraints and views
  */
-// In services/sql-execution.js
-const splitOracleStatements = (script) => {
-  // First, properly format the script by ensuring comments are properly marked
-  let cleanScript = script.replace(/^([A-Za-z].+)/gm, (match) => {
-    if (match.trim().startsWith('--')) return match;
-    if (match.trim().startsWith('/')) return match;
-    if (match.trim().startsWith('*')) return match;
-    return `-- ${match}`; // Convert unmarked comments to proper SQL comments
-  });
-  
-  const statements = [];
-  let currentStatement = '';
-  let inPLSQL = false;
-  let slashPending = false;
+const inspectSchemaState = async (sessionId, options = {}) => {
+  const engine = getEngine(options.engine);
   
-  const lines = cleanScript.split('\n');
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Skip empty lines
-    if (!line) continue;
-    
-    // Handle slash as statement terminator (for PL/SQL blocks)
-    if (line === '/' && slashPending) {
-      statements.push(currentStatement.trim());
-      currentStatement = '';
-      slashPending = false;
-      inPLSQL = false;
-      continue;
-    }
-    
-    // Check for PL/SQL blocks
-    if (!inPLSQL && (
-        line.toUpperCase().startsWith('BEGIN') || 
-        line.toUpperCase().startsWith('DECLARE') ||
-        line.toUpperCase().match(/^\s*CREATE\s+(OR\s+REPLACE\s+)?(PROCEDURE|FUNCTION|TRIGGER|PACKAGE|TYPE)/i))) {
-      inPLSQL = true;
-    }
-    
-    // Add line to current statement
-    if (line !== '/') { // Don't include the slash in the statement
-      currentStatement += line + '\n';
-    }
-    
-    // Check for statement end
-    if (line === '/') {
-      if (currentStatement.trim()) {
-        statements.push(currentStatement.trim());
-        currentStatement = '';
-      }
-      inPLSQL = false;
-    } else if (!inPLSQL && line.endsWith(';')) {
-      statements.push(currentStatement.trim());
-      currentStatement = '';
-    } else if (inPLSQL && line.toUpperCase().endsWith('END;')) {
-      slashPending = true;
-    }
+  if (!engine.readSchemaState) {
+    return {
+      success: false,
+      error: `Schema checks are not available for ${engine.name}`,
+      errorCode: 'NOT_SUPPORTED'
+    };
   }
   
-  // Add any remaining statement
-  if (currentStatement.trim()) {
-    statements.push(currentStatement.trim());
+  let connection;
+  try {
+    connection = await engine.getConnection(sessionId);
+    const state = await engine.readSchemaState(connection, sessionId);
+    
+    return {
+      success: true,
+      engine: engine.name,
+      sessionId,
+      ...state
+    };
+  } catch (error) {
+    console.error("Error reading schema state:", error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await engine.releaseConnection(connection, sessionId);
   }
+};
+
+/**
+ * Reset a user's session database environment
+ * @param {string} sessionId - User session ID
+ * @param {Array<string>} setupScripts - Scripts to initialize the environment
+ * @param {object} options - Options
+ * @param {string} options.engine - Database engine (defaults to the configured engine)
+ * @param {string} options.userId - User the session belongs to
+ * @returns {Promise<object>} - Reset result
+ */
+const resetEnvironment = async (sessionId, setupScripts = [], options = {}) => {
+  const engine = getEngine(options.engine);
   
-  return statements.filter(stmt => {
-    // Remove statements that are just comments
-    const nonCommentLines = stmt.split('\n')
-      .filter(line => !line.trim().startsWith('--'))
-      .filter(line => line.trim());
-    return nonCommentLines.length > 0;
+  // Objects are created with their plain names inside the session's sandbox
+  const statements = setupScripts.flatMap(script => {
+    return splitStatementsWithPositions(script, { dialect: engine.dialect })
+      .filter(stmt => stmt.kind !== 'sqlplus')
+      .map(stmt => stmt.text);
   });
+  
+  // Execute the statements
+  const result = await executeMultipleStatements(statements, sessionId, options);
+  
+  return {
+    ...result,
+    sessionId,
+    schema: engine.getSandboxName(sessionId)
+  };
 };
 
 module.exports = {
   initializePool,
+  EXECUTION_MODES,
+  resolveExecutionLimits,
   executeQuery,
+  cancelExecution,
   validateQuery,
+  explainQuery,
+  describeSchema,
+  inspectSchemaState,
   resetEnvironment,
   executeMultipleStatements
-};
\ No newline at end of file
+};
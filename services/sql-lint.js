@@ -0,0 +1,685 @@
+// services/sql-lint.js
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+const { splitStatementsWithPositions } = require('./sql-splitter');
+const { classifyStatement } = require('./sql-policy');
+
+// Rules the linter checks, with how much each one matters
+const LINT_RULES = {
+  'select-star': {
+    severity: 'warning',
+    title: 'SELECT * in a graded answer'
+  },
+  'implicit-cartesian-product': {
+    severity: 'error',
+    title: 'Implicit Cartesian product'
+  },
+  'missing-join-predicate': {
+    severity: 'error',
+    title: 'Missing join predicate'
+  },
+  'function-on-indexed-column': {
+    severity: 'warning',
+    title: 'Function on an indexed column'
+  },
+  'not-in-nullable-subquery': {
+    severity: 'warning',
+    title: 'NOT IN with a nullable subquery'
+  },
+  'unaliased-dot-navigation': {
+    severity: 'error',
+    title: 'Object attribute navigation without a table alias'
+  },
+  'non-ansi-outer-join': {
+    severity: 'warning',
+    title: 'Non-ANSI outer join'
+  }
+};
+
+// Words that are never column or table names
+const KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'CONNECT', 'START', 'WITH', 'PRIOR',
+  'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'ALL', 'DISTINCT', 'UNIQUE', 'AS', 'ON', 'USING',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN', 'LATERAL',
+  'AND', 'OR', 'NOT', 'IS', 'NULL', 'IN', 'LIKE', 'BETWEEN', 'EXISTS', 'ANY', 'SOME', 'ESCAPE',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'FETCH', 'NEXT',
+  'ROWS', 'ROW', 'ONLY', 'OFFSET', 'LIMIT', 'FOR', 'UPDATE', 'OF', 'NOWAIT', 'INTO', 'VALUES', 'SET',
+  'INSERT', 'DELETE', 'MERGE', 'TABLE', 'PARTITION', 'OVER', 'WINDOW', 'RETURNING', 'TRUE', 'FALSE',
+  'DATE', 'TIMESTAMP', 'INTERVAL', 'SYSDATE', 'SYSTIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIMESTAMP',
+  'ROWNUM', 'ROWID', 'LEVEL', 'USER', 'DUAL'
+];
+
+// Keywords that end the clause before them
+const CLAUSE_KEYWORDS = [
+  'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'CONNECT', 'START', 'FETCH', 'OFFSET', 'LIMIT',
+  'FOR', 'WINDOW', 'MODEL', 'INTO', 'SET', 'RETURNING'
+];
+
+// Keywords that end a query block at its own level
+const SET_OPERATORS = ['UNION', 'INTERSECT', 'MINUS', 'EXCEPT'];
+
+// Keywords that start a join in a FROM clause
+const JOIN_KEYWORDS = ['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN'];
+
+// Words followed by a parenthesis that aren't function calls
+const NOT_FUNCTIONS = ['IN', 'EXISTS', 'AND', 'OR', 'NOT', 'ANY', 'ALL', 'SOME', 'VALUES', 'OVER', 'AS', 'ON', 'USING'];
+
+/**
+ * Get the comparable text of a token: words in upper case, quoted identifiers unquoted
+ * @param {object} token - Token produced by tokenize
+ * @returns {string} - Normalized token value
+ */
+const tokenName = (token) => {
+  if (token.type === 'quoted') return token.value.slice(1, -1);
+  return token.type === 'word' ? token.value.toUpperCase() : token.value;
+};
+
+/**
+ * Prepare a statement's tokens for analysis: significant tokens with their
+ * normalized value, parenthesis depth and matching parenthesis
+ * @param {string} source - Statement text
+ * @param {number} offset - Position of the statement in the script
+ * @returns {Array<object>} - Tokens with name, depth and match
+ */
+const prepareTokens = (source, offset = 0) => {
+  const tokens = tokenize(source).filter(isSignificant).map(token => ({
+    ...token,
+    start: token.start + offset,
+    end: token.end + offset,
+    name: tokenName(token)
+  }));
+
+  const open = [];
+  tokens.forEach((token, index) => {
+    if (token.value === '(') {
+      token.depth = open.length;
+      open.push(index);
+    } else if (token.value === ')') {
+      const opening = open.pop();
+      token.depth = open.length;
+      if (opening !== undefined) {
+        token.match = opening;
+        tokens[opening].match = index;
+      }
+    } else {
+      token.depth = open.length;
+    }
+  });
+  return tokens;
+};
+
+const isName = (token) => Boolean(token) && (token.type === 'quoted' || (token.type === 'word' && !KEYWORDS.includes(token.name)));
+
+/**
+ * Read the tables, columns, NOT NULL columns and indexed columns a setup script creates
+ * @param {string} script - Setup script
+ * @returns {Map<string, object>} - Table name to columns, notNull and indexed (leading index columns)
+ */
+const readSchemaFacts = (script) => {
+  const types = new Map();
+  const tables = new Map();
+  const tableFacts = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, { columns: new Set(), notNull: new Set(), indexed: new Set() });
+    }
+    return tables.get(name);
+  };
+
+  // Names listed in parentheses, e.g. PRIMARY KEY (a, b)
+  const nameList = (tokens, openIndex) => {
+    const names = [];
+    if (!tokens[openIndex] || tokens[openIndex].value !== '(') return names;
+    for (let i = openIndex + 1; i < tokens[openIndex].match; i++) {
+      if (isName(tokens[i]) && ['(', ','].includes(tokens[i - 1].value) && [',', ')'].includes(tokens[i + 1].value)) {
+        names.push(tokens[i].name);
+      }
+    }
+    return names;
+  };
+
+  // Table constraint starting at index, e.g. CONSTRAINT pk PRIMARY KEY (a)
+  const readConstraint = (facts, tokens, index) => {
+    let i = tokens[index].name === 'CONSTRAINT' ? index + 2 : index;
+    if (tokens[i].name === 'PRIMARY' || tokens[i].name === 'UNIQUE') {
+      const isPrimary = tokens[i].name === 'PRIMARY';
+      i += isPrimary ? 2 : 1;
+      const columns = nameList(tokens, i);
+      if (columns.length > 0) facts.indexed.add(columns[0]);
+      if (isPrimary) columns.forEach(column => facts.notNull.add(column));
+    }
+  };
+
+  for (const statement of splitStatementsWithPositions(script || '')) {
+    const tokens = prepareTokens(statement.text);
+    const words = tokens.map(token => token.name);
+    const typeAt = words.indexOf('TYPE');
+    const tableAt = words.indexOf('TABLE');
+
+    if (words[0] === 'CREATE' && typeAt !== -1 && typeAt < 5 && words.includes('OBJECT')) {
+      // CREATE TYPE name AS OBJECT (attribute type, ...)
+      const open = tokens.findIndex(token => token.value === '(');
+      const attributes = [];
+      if (open !== -1) {
+        for (let i = open + 1; i < tokens[open].match; i++) {
+          if (tokens[i].depth === 1 && isName(tokens[i]) && ['(', ','].includes(tokens[i - 1].value)) {
+            attributes.push(tokens[i].name);
+          }
+        }
+      }
+      types.set(tokens[typeAt + 1].name, attributes);
+    } else if (words[0] === 'CREATE' && tableAt !== -1 && tableAt < 4 && tokens[tableAt + 1]) {
+      const facts = tableFacts(tokens[tableAt + 1].name);
+      let open = tableAt + 2;
+      if (words[open] === 'OF' && tokens[open + 1]) {
+        // Object table: its columns are the type's attributes
+        (types.get(tokens[open + 1].name) || []).forEach(attribute => facts.columns.add(attribute));
+        open += 2;
+      }
+      if (!tokens[open] || tokens[open].value !== '(') continue;
+
+      // Column definitions and table constraints, one per comma at the first level
+      let itemStart = open + 1;
+      for (let i = open + 1; i <= tokens[open].match; i++) {
+        const isEnd = i === tokens[open].match;
+        if (!isEnd && (tokens[i].depth !== 1 || tokens[i].value !== ',')) continue;
+        const item = words.slice(itemStart, i).join(' ');
+        if (['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK'].includes(words[itemStart])) {
+          readConstraint(facts, tokens, itemStart);
+        } else if (isName(tokens[itemStart])) {
+          const column = tokens[itemStart].name;
+          facts.columns.add(column);
+          if (/\bNOT NULL\b|\bPRIMARY KEY\b/.test(item)) facts.notNull.add(column);
+          if (/\bPRIMARY KEY\b|\bUNIQUE\b/.test(item)) facts.indexed.add(column);
+        }
+        itemStart = i + 1;
+      }
+    } else if (words[0] === 'CREATE' && words.includes('INDEX')) {
+      // CREATE [UNIQUE|BITMAP] INDEX name ON table (column, ...)
+      const on = words.indexOf('ON');
+      if (on !== -1 && tokens[on + 1]) {
+        const open = tokens[on + 2] && tokens[on + 2].value === '.' ? on + 4 : on + 2;
+        const table = tokens[open - 1].name;
+        const first = tokens[open + 1];
+        // Function-based indexes cover the function, not the bare column
+        if (tokens[open] && tokens[open].value === '(' && isName(first) && [',', ')'].includes(tokens[open + 2].value)) {
+          tableFacts(table).indexed.add(first.name);
+        }
+      }
+    } else if (words[0] === 'ALTER' && words[1] === 'TABLE' && tokens[2]) {
+      // ALTER TABLE name ADD [CONSTRAINT name] PRIMARY KEY (...)
+      const add = words.indexOf('ADD');
+      if (add !== -1 && tokens[add + 1]) {
+        readConstraint(tableFacts(tokens[2].name), tokens, tokens[add + 1].value === '(' ? add + 2 : add + 1);
+      }
+    }
+  }
+  return tables;
+};
+
+/**
+ * Find the query blocks of a statement: every SELECT with the ranges of its
+ * clauses, plus the target of an UPDATE or DELETE
+ * @param {Array<object>} tokens - Prepared statement tokens
+ * @returns {Array<object>} - Blocks with depth, selectList, from, where and having ranges
+ */
+const findBlocks = (tokens) => {
+  const blocks = [];
+
+  const clauseRanges = (start, end, depth) => {
+    const positions = [];
+    for (let i = start; i < end; i++) {
+      if (tokens[i].depth === depth && tokens[i].type === 'word' && CLAUSE_KEYWORDS.includes(tokens[i].name)) {
+        positions.push({ name: tokens[i].name, index: i });
+      }
+    }
+    const range = (name) => {
+      const at = positions.findIndex(position => position.name === name);
+      if (at === -1) return null;
+      const from = positions[at].index + (['GROUP', 'ORDER', 'CONNECT', 'START'].includes(name) ? 2 : 1);
+      return [from, at + 1 < positions.length ? positions[at + 1].index : end];
+    };
+    return { positions, range };
+  };
+
+  tokens.forEach((token, index) => {
+    const depth = token.depth;
+    const opener = (() => {
+      if (token.name === 'SELECT') return 'SELECT';
+      if (index === 0 && (token.name === 'UPDATE' || token.name === 'DELETE')) return token.name;
+      return null;
+    })();
+    if (!opener) return;
+
+    let end = index + 1;
+    while (end < tokens.length) {
+      const next = tokens[end];
+      if (next.depth < depth || (next.value === ')' && next.depth === depth - 1)) break;
+      if (next.depth === depth && (SET_OPERATORS.includes(next.name) || next.value === ';')) break;
+      end++;
+    }
+
+    const { positions, range } = clauseRanges(index + 1, end, depth);
+    const before = tokens[index - 1];
+    const block = {
+      start: index,
+      end,
+      depth,
+      // Subqueries of EXISTS only test for rows
+      inExists: Boolean(before && before.value === '(' && tokens[index - 2] && tokens[index - 2].name === 'EXISTS'),
+      selectList: null,
+      from: null,
+      where: range('WHERE'),
+      having: range('HAVING')
+    };
+
+    if (opener === 'SELECT') {
+      block.selectList = [index + 1, positions.length > 0 ? positions[0].index : end];
+      block.from = range('FROM');
+    } else if (opener === 'UPDATE') {
+      const set = positions.find(position => position.name === 'SET');
+      block.from = [index + 1, set ? set.index : end];
+    } else {
+      const from = tokens[index + 1] && tokens[index + 1].name === 'FROM' ? index + 2 : index + 1;
+      const where = positions.find(position => position.name === 'WHERE');
+      block.from = [from, where ? where.index : end];
+    }
+    blocks.push(block);
+  });
+  return blocks;
+};
+
+/**
+ * Read the table references of a FROM clause and how each is joined
+ * @param {Array<object>} tokens - Prepared statement tokens
+ * @param {Array<number>} range - Token range of the FROM clause
+ * @param {number} depth - Parenthesis depth of the query block
+ * @returns {Array<object>} - Items with table, schema, alias, token, join, on and using
+ */
+const readFromItems = (tokens, range, depth) => {
+  const items = [];
+  if (!range) return items;
+  const [start, end] = range;
+  const atLevel = (i) => tokens[i].depth === depth;
+  const endsItem = (i) => atLevel(i) && (tokens[i].value === ',' || JOIN_KEYWORDS.includes(tokens[i].name));
+
+  let join = 'first';
+  let i = start;
+  while (i < end) {
+    const item = { table: null, schema: null, alias: null, label: null, token: tokens[i], join, on: null, using: false, dependsOn: null };
+
+    let next = i;
+    if (tokens[i].value === '(' || ((tokens[i].name === 'TABLE' || tokens[i].name === 'LATERAL') && tokens[i + 1] && tokens[i + 1].value === '(')) {
+      // Inline view, or a collection such as TABLE(e.projects)
+      const open = tokens[i].value === '(' ? i : i + 1;
+      if (open !== i) item.dependsOn = [open + 1, tokens[open].match];
+      next = (tokens[open].match !== undefined ? tokens[open].match : end - 1) + 1;
+    } else if (isName(tokens[i])) {
+      if (tokens[i + 1] && tokens[i + 1].value === '.' && isName(tokens[i + 2])) {
+        item.schema = tokens[i].name;
+        item.table = tokens[i + 2].name;
+        item.token = tokens[i + 2];
+        next = i + 3;
+      } else {
+        item.table = tokens[i].name;
+        next = i + 1;
+      }
+    }
+
+    if (tokens[next] && tokens[next].name === 'AS') next++;
+    if (next < end && isName(tokens[next])) {
+      item.alias = tokens[next].name;
+      item.label = tokens[next].value;
+      next++;
+    } else {
+      item.label = item.table ? item.token.value : 'inline view';
+    }
+
+    // Anything else up to the next item: ON or USING for ANSI joins
+    let itemEnd = next;
+    while (itemEnd < end && !endsItem(itemEnd)) {
+      if (atLevel(itemEnd) && tokens[itemEnd].name === 'ON' && !item.on) {
+        item.on = [itemEnd + 1, end];
+      } else if (atLevel(itemEnd) && tokens[itemEnd].name === 'USING') {
+        item.using = true;
+      }
+      itemEnd++;
+    }
+    if (item.on) item.on[1] = itemEnd;
+    items.push(item);
+
+    if (itemEnd >= end) break;
+    if (tokens[itemEnd].value === ',') {
+      join = 'comma';
+      i = itemEnd + 1;
+    } else {
+      const modifiers = [];
+      while (itemEnd < end && tokens[itemEnd].name !== 'JOIN' && tokens[itemEnd].name !== 'STRAIGHT_JOIN') {
+        modifiers.push(tokens[itemEnd].name);
+        itemEnd++;
+      }
+      if (modifiers.includes('CROSS')) join = 'cross';
+      else if (modifiers.includes('NATURAL')) join = 'natural';
+      else join = 'join';
+      i = itemEnd + 1;
+    }
+  }
+  return items;
+};
+
+/**
+ * Find the column references in a token range, leaving out subqueries
+ * @param {Array<object>} tokens - Prepared statement tokens
+ * @param {Array<number>} range - Token range
+ * @returns {Array<object>} - References with their parts, text and first token
+ */
+const findReferences = (tokens, range) => {
+  const references = [];
+  if (!range) return references;
+  for (let i = range[0]; i < range[1]; i++) {
+    const token = tokens[i];
+    if (token.value === '(' && tokens[i + 1] && ['SELECT', 'WITH'].includes(tokens[i + 1].name)) {
+      i = token.match !== undefined ? token.match : range[1];
+      continue;
+    }
+    if (!isName(token) || (tokens[i - 1] && tokens[i - 1].value === '.')) continue;
+
+    const parts = [token.name];
+    let last = i;
+    while (tokens[last + 1] && tokens[last + 1].value === '.' && isName(tokens[last + 2])) {
+      parts.push(tokens[last + 2].name);
+      last += 2;
+    }
+    // Function and method calls, but not the column of an Oracle outer join: d.deptno(+)
+    const outerJoin = tokens[last + 2] && tokens[last + 2].value === '+' && tokens[last + 3] && tokens[last + 3].value === ')';
+    if (tokens[last + 1] && tokens[last + 1].value === '(' && !outerJoin) {
+      i = last;
+      continue;
+    }
+    references.push({
+      parts,
+      token,
+      index: i,
+      column: tokens[last].value,
+      text: tokens.slice(i, last + 1).map(part => part.value).join('')
+    });
+    i = last;
+  }
+  return references;
+};
+
+/**
+ * Work out which FROM item a column reference belongs to
+ * @param {object} reference - Column reference
+ * @param {Array<object>} items - FROM items of the query block
+ * @param {Map<string, object>} schema - Schema facts, empty if unknown
+ * @returns {object} - item and column, or outer (belongs to an enclosing query) or unresolved
+ */
+const resolveReference = (reference, items, schema) => {
+  const { parts } = reference;
+  if (parts.length > 1) {
+    const item = items.find(candidate => candidate.alias === parts[0]) ||
+      items.find(candidate => !candidate.alias && candidate.table === parts[0]);
+    return item ? { item, column: parts[1] } : { outer: true };
+  }
+
+  const column = parts[0];
+  if (schema.size === 0) {
+    return items.length === 1 ? { item: items[0], column } : { unresolved: true };
+  }
+  const owners = items.filter(item => item.table && schema.has(item.table) && schema.get(item.table).columns.has(column));
+  if (owners.length === 1) return { item: owners[0], column };
+  // Inline views and tables outside the setup script could own it too
+  const unknown = items.some(item => !item.table || !schema.has(item.table));
+  return owners.length === 0 && !unknown ? { outer: true } : { unresolved: true };
+};
+
+/**
+ * Split a condition into its AND/OR operands at the block's level
+ * @param {Array<object>} tokens - Prepared statement tokens
+ * @param {Array<number>} range - Token range of the condition
+ * @param {number} depth - Parenthesis depth of the condition
+ * @returns {Array<Array<number>>} - Token ranges of the operands
+ */
+const splitConditions = (tokens, range, depth) => {
+  const conditions = [];
+  if (!range) return conditions;
+  let start = range[0];
+  let between = false;
+  for (let i = range[0]; i < range[1]; i++) {
+    if (tokens[i].depth !== depth) continue;
+    if (tokens[i].name === 'BETWEEN') {
+      // x BETWEEN a AND b is one condition
+      between = true;
+    } else if (tokens[i].name === 'AND' && between) {
+      between = false;
+    } else if (tokens[i].name === 'AND' || tokens[i].name === 'OR') {
+      conditions.push([start, i]);
+      start = i + 1;
+    }
+  }
+  conditions.push([start, range[1]]);
+  return conditions.filter(([from, to]) => to > from);
+};
+
+/**
+ * Lint a SQL script without running it. The checks point at habits that
+ * produce wrong or slow results even when the statement parses.
+ * @param {string} script - SQL script
+ * @param {object} options - Lint options
+ * @param {string} options.dialect - oracle, mysql or sqlite
+ * @param {boolean} options.graded - Whether the script is an answer that gets graded
+ * @param {string} options.setupScript - Script that built the schema, used for NOT NULL and index facts
+ * @returns {object} - violations with rule, severity, message and location, a summary per
+ *   severity and whether the schema was known
+ */
+const lintSql = (script, options = {}) => {
+  const dialect = options.dialect || 'oracle';
+  const schema = readSchemaFacts(options.setupScript);
+  const violations = [];
+
+  const report = (rule, token, message, statement) => {
+    const lineStart = script.lastIndexOf('\n', token.start - 1) + 1;
+    violations.push({
+      rule,
+      severity: LINT_RULES[rule].severity,
+      title: LINT_RULES[rule].title,
+      message,
+      statement,
+      location: {
+        line: script.substring(0, token.start).split('\n').length,
+        column: token.start - lineStart + 1,
+        offset: token.start,
+        token: script.substring(token.start, token.end)
+      }
+    });
+  };
+
+  // Statements are numbered from 1 in script order; PL/SQL isn't linted
+  const statements = splitStatementsWithPositions(script, { dialect })
+    .map((stmt, index) => ({ ...stmt, number: index + 1 }))
+    .filter(stmt => stmt.kind !== 'sqlplus')
+    .filter(stmt => ['query', 'dml', 'ddl'].includes(classifyStatement(stmt.text).kind));
+
+  statements.forEach(stmt => {
+    const statement = stmt.number;
+    const tokens = prepareTokens(stmt.text, stmt.offset);
+    const blocks = findBlocks(tokens);
+    blocks.forEach(block => {
+      block.items = readFromItems(tokens, block.from, block.depth);
+    });
+    const aliases = new Set();
+    const schemas = new Set();
+    blocks.forEach(block => block.items.forEach(item => {
+      if (item.alias) aliases.add(item.alias);
+      if (item.schema) schemas.add(item.schema);
+    }));
+
+    // Ranges that hold table names rather than column references
+    const inFromName = (index) => blocks.some(block => block.items.some(item =>
+      item.token && index >= tokens.indexOf(item.token) - 2 && index <= tokens.indexOf(item.token)));
+
+    blocks.forEach(block => {
+      const { items, depth } = block;
+
+      // SELECT * hides which columns the answer depends on
+      if (options.graded && block.selectList && !block.inExists) {
+        for (let i = block.selectList[0]; i < block.selectList[1]; i++) {
+          const previous = tokens[i - 1];
+          if (tokens[i].value === '*' && tokens[i].depth === depth &&
+              ['SELECT', 'DISTINCT', 'ALL', 'UNIQUE', ',', '.'].includes(previous.name)) {
+            report('select-star', tokens[i],
+              'List the columns the task asks for instead of *. The answer then states what it returns, and keeps returning it if the table gains columns.',
+              statement);
+          }
+        }
+      }
+
+      // Joins: every table must be linked to the others by some condition
+      const tables = items.filter(item => item.table !== 'DUAL');
+      if (block.selectList && tables.length > 1) {
+        const parent = items.map((_, index) => index);
+        const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+        const link = (a, b) => { parent[find(a)] = find(b); };
+        let uncertain = false;
+        let predicates = 0;
+
+        const linkCondition = (range, conditionDepth) => {
+          splitConditions(tokens, range, conditionDepth).forEach(condition => {
+            const references = findReferences(tokens, condition);
+            const resolved = references.map(reference => resolveReference(reference, items, schema));
+            const owners = [...new Set(resolved.filter(result => result.item).map(result => items.indexOf(result.item)))];
+            if (references.length > 1 && resolved.some(result => result.unresolved)) uncertain = true;
+            if (owners.length > 1) {
+              predicates++;
+              owners.slice(1).forEach(owner => link(owners[0], owner));
+            }
+          });
+        };
+
+        items.forEach((item, index) => {
+          if (index === 0) return;
+          if (item.join === 'cross' || item.join === 'natural' || item.using) {
+            link(index, index - 1);
+          }
+          if (item.on) linkCondition(item.on, depth);
+          if (item.dependsOn) {
+            // A collection or lateral view is tied to the tables it reads from
+            findReferences(tokens, item.dependsOn).forEach(reference => {
+              const result = resolveReference(reference, items, schema);
+              if (result.item) link(index, items.indexOf(result.item));
+            });
+          }
+        });
+        linkCondition(block.where, depth);
+
+        const roots = new Set(tables.map(item => find(items.indexOf(item))));
+        if (!uncertain && roots.size > 1) {
+          const firstRoot = find(items.indexOf(tables[0]));
+          const detached = tables.filter(item => find(items.indexOf(item)) !== firstRoot);
+          const names = tables.map(item => item.label);
+          if (predicates === 0 && items.every(item => item.join === 'first' || item.join === 'comma')) {
+            report('implicit-cartesian-product', detached[0].token,
+              `${names.join(', ')} are listed without any join condition, so every row of one is paired with every row of the others. Add the conditions that link them in WHERE, or write CROSS JOIN if every combination is really wanted.`,
+              statement);
+          } else {
+            detached.forEach(item => {
+              report('missing-join-predicate', item.token,
+                `${item.label} isn't linked to the other tables by any condition, so its rows multiply the result. Which columns relate it to them?`,
+                statement);
+            });
+          }
+        }
+      }
+
+      // Functions wrapped around indexed columns in conditions
+      if (schema.size > 0) {
+        const conditionRanges = [block.where, ...items.map(item => item.on)].filter(Boolean);
+        conditionRanges.forEach(([start, end]) => {
+          for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            const open = tokens[i + 1];
+            if (token.type !== 'word' || NOT_FUNCTIONS.includes(token.name) || !open || open.value !== '(' ||
+                (tokens[i - 1] && tokens[i - 1].value === '.') || open.match === undefined) {
+              continue;
+            }
+            if (tokens[i + 2] && ['SELECT', 'WITH'].includes(tokens[i + 2].name)) continue;
+
+            const indexed = findReferences(tokens, [i + 2, open.match]).find(reference => {
+              const result = resolveReference(reference, items, schema);
+              return result.item && result.item.table && schema.has(result.item.table) &&
+                schema.get(result.item.table).indexed.has(result.column);
+            });
+            if (indexed) {
+              report('function-on-indexed-column', token,
+                `${token.value}(...) is applied to the indexed column ${indexed.column}, so the index on it can't be used to find rows. Can the condition be rewritten to compare the bare column, e.g. by applying the function to the other side?`,
+                statement);
+              // Functions nested inside this one are the same problem
+              i = open.match;
+            }
+          }
+        });
+      }
+    });
+
+    // NOT IN (SELECT col ...) finds nothing once col has a NULL
+    tokens.forEach((token, index) => {
+      if (token.name !== 'NOT' || !tokens[index + 1] || tokens[index + 1].name !== 'IN') return;
+      if (!tokens[index + 2] || tokens[index + 2].value !== '(' || !tokens[index + 3] || tokens[index + 3].name !== 'SELECT') return;
+      const subquery = blocks.find(block => block.start === index + 3);
+      if (!subquery) return;
+      const selected = findReferences(tokens, subquery.selectList);
+      const listTokens = subquery.selectList[1] - subquery.selectList[0];
+      if (selected.length !== 1 || listTokens !== selected[0].parts.length * 2 - 1) return;
+
+      const column = selected[0].parts[selected[0].parts.length - 1];
+      const result = resolveReference(selected[0], subquery.items, schema);
+      const notNull = result.item && result.item.table && schema.has(result.item.table) &&
+        schema.get(result.item.table).notNull.has(column);
+      const filtered = subquery.where && tokens.slice(subquery.where[0], subquery.where[1]).some((candidate, offset, where) =>
+        candidate.name === column && where[offset + 1] && where[offset + 1].name === 'IS' &&
+        where[offset + 2] && where[offset + 2].name === 'NOT' && where[offset + 3] && where[offset + 3].name === 'NULL');
+      if (!notNull && !filtered) {
+        report('not-in-nullable-subquery', token,
+          `If the subquery returns a NULL ${selected[0].column}, NOT IN is never true and the query returns no rows. Use NOT EXISTS, or add WHERE ${selected[0].column} IS NOT NULL to the subquery.`,
+          statement);
+      }
+    });
+
+    if (dialect === 'oracle') {
+      // Oracle only follows object attributes through a table alias
+      findReferences(tokens, [0, tokens.length])
+        .filter(reference => reference.parts.length > 2 && !aliases.has(reference.parts[0]) && !schemas.has(reference.parts[0]))
+        .filter(reference => !inFromName(reference.index))
+        .forEach(reference => {
+          report('unaliased-dot-navigation', reference.token,
+            `${reference.text} navigates object attributes without a table alias, which Oracle rejects. Give the table an alias in FROM (e.g. FROM ${reference.token.value} x) and start the path with it: x.${reference.text.substring(reference.token.value.length + 1)}.`,
+            statement);
+        });
+    }
+
+    // Oracle's (+) outer join notation
+    tokens.forEach((token, index) => {
+      if (token.value === '(' && tokens[index + 1] && tokens[index + 1].value === '+' &&
+          tokens[index + 2] && tokens[index + 2].value === ')') {
+        report('non-ansi-outer-join', token,
+          'Write the outer join as LEFT or RIGHT OUTER JOIN ... ON instead of (+). It is standard SQL, makes the table whose rows are kept obvious, and can\'t be lost from one condition by mistake.',
+          statement);
+      }
+    });
+  });
+
+  violations.sort((a, b) => a.location.offset - b.location.offset);
+  return {
+    violations,
+    summary: {
+      errors: violations.filter(violation => violation.severity === 'error').length,
+      warnings: violations.filter(violation => violation.severity === 'warning').length
+    },
+    schemaKnown: schema.size > 0
+  };
+};
+
+module.exports = {
+  LINT_RULES,
+  readSchemaFacts,
+  lintSql
+};
@@ -0,0 +1,322 @@
+// services/sql-policy.js
+const config = require('../config/db-config');
+const {
+  DEFAULT_POLICY,
+  ALWAYS_DENIED_COMMANDS,
+  ALLOWED_SCHEMAS,
+  ALLOWED_QUALIFIED_OBJECTS
+} = require('../config/sql-policy');
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+const { isSandboxSchema } = require('./sandbox-manager');
+
+// Words that can sit between CREATE/ALTER/DROP and the object kind
+const OBJECT_MODIFIERS = [
+  'OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE', 'EDITIONING', 'FORCE', 'NOFORCE', 'NO',
+  'GLOBAL', 'PRIVATE', 'TEMPORARY', 'UNIQUE', 'BITMAP', 'MULTIVALUE', 'IMMUTABLE', 'BLOCKCHAIN',
+  'SHARDED', 'DUPLICATED', 'IF', 'NOT', 'EXISTS'
+];
+
+// Object kinds written as more than one word
+const MULTI_WORD_OBJECTS = [
+  'DATABASE LINK', 'PUBLIC DATABASE LINK', 'SHARED PUBLIC DATABASE LINK', 'PUBLIC SYNONYM',
+  'MATERIALIZED VIEW', 'MATERIALIZED VIEW LOG', 'TYPE BODY', 'PACKAGE BODY', 'PLUGGABLE DATABASE',
+  'RESOURCE COST', 'ROLLBACK SEGMENT', 'JAVA SOURCE', 'JAVA CLASS'
+];
+
+// Schema objects that make a CREATE/ALTER/DROP administrative rather than DDL
+const ADMIN_OBJECTS = [
+  'USER', 'ROLE', 'PROFILE', 'TABLESPACE', 'DATABASE', 'SYSTEM', 'SESSION', 'DIRECTORY',
+  'CONTEXT', 'LIBRARY', 'PLUGGABLE', 'PUBLIC', 'SHARED', 'RESOURCE', 'ROLLBACK', 'AUDIT',
+  // A MySQL schema is a database
+  'SCHEMA'
+];
+
+// PL/SQL units: creating them compiles PL/SQL code
+const PLSQL_OBJECTS = ['PROCEDURE', 'FUNCTION', 'PACKAGE', 'PACKAGE BODY', 'TRIGGER', 'TYPE BODY'];
+
+const DDL_VERBS = ['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'PURGE', 'FLASHBACK', 'ANALYZE', 'ASSOCIATE', 'DISASSOCIATE'];
+const DML_VERBS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'LOCK', 'UPSERT'];
+const ADMIN_VERBS = ['GRANT', 'REVOKE', 'AUDIT', 'NOAUDIT', 'ADMINISTER', 'SHUTDOWN', 'STARTUP'];
+const TRANSACTION_VERBS = ['COMMIT', 'ROLLBACK', 'SAVEPOINT'];
+
+/**
+ * Get the significant upper-cased words of a statement
+ * @param {Array<object>} tokens - Statement tokens
+ * @returns {Array<string>} - Words and symbols, upper-cased
+ */
+const significantValues = (tokens) => {
+  return tokens.filter(isSignificant).map(token => token.value.toUpperCase());
+};
+
+/**
+ * Get the name a word or quoted identifier token refers to, upper-cased so
+ * "DBMS_SQL" and `dba_users` match the deny lists like their unquoted forms
+ * @param {object} token - Word or quoted identifier token
+ * @returns {string} - Upper-cased name without quotes
+ */
+const identifierName = (token) => {
+  if (token.type !== 'quoted') return token.value.toUpperCase();
+  const quote = token.value[0];
+  return token.value.slice(1, -1).split(quote + quote).join(quote).toUpperCase();
+};
+
+/**
+ * Work out the object kind named after CREATE/ALTER/DROP
+ * @param {Array<string>} words - Words following the verb
+ * @returns {string} - Object kind, e.g. TABLE or DATABASE LINK
+ */
+const readObjectKind = (words) => {
+  const rest = [];
+  for (const word of words) {
+    if (rest.length === 0 && OBJECT_MODIFIERS.includes(word)) continue;
+    rest.push(word);
+    if (rest.length === 4) break;
+  }
+
+  for (let length = 4; length > 1; length--) {
+    const candidate = rest.slice(0, length).join(' ');
+    if (MULTI_WORD_OBJECTS.includes(candidate)) {
+      return candidate;
+    }
+  }
+
+  return rest[0] || '';
+};
+
+/**
+ * Classify a statement by kind and command
+ * @param {string} statement - Single SQL or PL/SQL statement
+ * @returns {object} - kind (query, dml, ddl, plsql, transaction, admin, other) and command
+ */
+const classifyStatement = (statement) => {
+  const words = significantValues(tokenize(statement)).filter(word => word !== '(');
+  const [verb = '', second = ''] = words;
+
+  if (verb === 'SELECT' || verb === 'WITH' || verb === 'VALUES') {
+    return { kind: 'query', command: 'SELECT' };
+  }
+
+  // MySQL metadata statements (SQL*Plus handles these on the client for Oracle)
+  if (verb === 'SHOW') {
+    return { kind: 'query', command: `SHOW ${second}`.trim() };
+  }
+  if (verb === 'DESC' || verb === 'DESCRIBE') {
+    return { kind: 'query', command: 'DESCRIBE' };
+  }
+
+  if (DML_VERBS.includes(verb)) {
+    return { kind: 'dml', command: verb === 'LOCK' ? 'LOCK TABLE' : verb };
+  }
+
+  if (verb === 'BEGIN' || verb === 'DECLARE' || verb === '<<' || verb === 'CALL') {
+    return { kind: 'plsql', command: verb === 'CALL' ? 'CALL' : 'PL/SQL BLOCK' };
+  }
+
+  if (TRANSACTION_VERBS.includes(verb)) {
+    return { kind: 'transaction', command: verb };
+  }
+
+  if (verb === 'SET') {
+    if (second === 'TRANSACTION' || second === 'CONSTRAINT' || second === 'CONSTRAINTS') {
+      return { kind: 'transaction', command: `SET ${second === 'TRANSACTION' ? 'TRANSACTION' : 'CONSTRAINTS'}` };
+    }
+    return { kind: 'admin', command: `SET ${second}`.trim() };
+  }
+
+  if (ADMIN_VERBS.includes(verb)) {
+    return { kind: 'admin', command: verb };
+  }
+
+  if (DDL_VERBS.includes(verb)) {
+    if (!['CREATE', 'ALTER', 'DROP'].includes(verb)) {
+      return { kind: 'ddl', command: verb };
+    }
+
+    const objectKind = readObjectKind(words.slice(1));
+    const command = `${verb} ${objectKind}`.trim();
+
+    if (ADMIN_OBJECTS.includes(objectKind.split(' ')[0])) {
+      return { kind: 'admin', command };
+    }
+    if (verb === 'CREATE' && PLSQL_OBJECTS.includes(objectKind)) {
+      return { kind: 'plsql', command };
+    }
+    return { kind: 'ddl', command };
+  }
+
+  return { kind: 'other', command: verb };
+};
+
+/**
+ * Check whether a command matches a policy entry such as "ALTER SESSION"
+ * @param {string} command - Statement command
+ * @param {Array<string>} entries - Policy entries
+ * @returns {string|undefined} - Matching entry
+ */
+const matchCommand = (command, entries = []) => {
+  return entries.find(entry => {
+    const normalised = entry.toUpperCase();
+    return command === normalised || command.startsWith(`${normalised} `);
+  });
+};
+
+/**
+ * Combine the default policy with goal or mission overrides.
+ * allowKinds in a later layer replaces the earlier list; deny lists are merged.
+ * A later allowCommands entry lifts an earlier denyCommands entry and vice versa.
+ * @param {...object} layers - Policy overrides, most general first
+ * @returns {object} - Effective policy
+ */
+const resolvePolicy = (...layers) => {
+  const policy = {
+    allowKinds: [...DEFAULT_POLICY.allowKinds],
+    denyKinds: [...DEFAULT_POLICY.denyKinds],
+    allowCommands: [...DEFAULT_POLICY.allowCommands],
+    denyCommands: [...DEFAULT_POLICY.denyCommands],
+    deniedIdentifiers: [...DEFAULT_POLICY.deniedIdentifiers],
+    deniedIdentifierPrefixes: [...DEFAULT_POLICY.deniedIdentifierPrefixes]
+  };
+
+  for (const layer of layers) {
+    if (!layer) continue;
+    const upper = (list) => (list || []).map(item => item.toUpperCase());
+
+    if (layer.allowKinds && layer.allowKinds.length > 0) {
+      policy.allowKinds = [...layer.allowKinds];
+    }
+    if (layer.denyKinds) {
+      policy.denyKinds = [...new Set([...policy.denyKinds, ...layer.denyKinds])];
+      policy.allowKinds = policy.allowKinds.filter(kind => !layer.denyKinds.includes(kind));
+    }
+
+    const allowCommands = upper(layer.allowCommands);
+    const denyCommands = upper(layer.denyCommands);
+    policy.denyCommands = policy.denyCommands.filter(cmd => !allowCommands.includes(cmd.toUpperCase()));
+    policy.allowCommands = policy.allowCommands.filter(cmd => !denyCommands.includes(cmd.toUpperCase()));
+    policy.allowCommands = [...new Set([...policy.allowCommands, ...allowCommands])];
+    policy.denyCommands = [...new Set([...policy.denyCommands, ...denyCommands])];
+
+    if (layer.deniedIdentifiers) {
+      policy.deniedIdentifiers = [...new Set([...policy.deniedIdentifiers, ...upper(layer.deniedIdentifiers)])];
+    }
+  }
+
+  return policy;
+};
+
+/**
+ * Find references to objects outside the caller's sandbox
+ * @param {Array<object>} tokens - Statement tokens
+ * @param {object} context - ownSchema and knownSchemas
+ * @returns {string|null} - Reason for rejection
+ */
+const findForeignReference = (tokens, context) => {
+  const significant = tokens.filter(isSignificant);
+  const ownSchema = context.ownSchema ? context.ownSchema.toUpperCase() : null;
+  const protectedSchemas = new Set(['SYS', 'SYSTEM', config.ORACLE_USER.toUpperCase(), ...(context.knownSchemas || [])]);
+
+  // Compared case-insensitively: MySQL database names in backticks keep the
+  // case they were typed in, and a lower-case quoted Oracle schema can't exist
+  const nameOf = identifierName;
+
+  const isForeignSchema = (name) => name !== ownSchema && !ALLOWED_SCHEMAS.includes(name) &&
+    (isSandboxSchema(name) || protectedSchemas.has(name));
+
+  // MySQL SHOW statements name a database after FROM/IN or DATABASE/SCHEMA
+  if (significant[0] && significant[0].value.toUpperCase() === 'SHOW') {
+    for (let i = 1; i < significant.length - 1; i++) {
+      const keyword = significant[i].type === 'word' ? significant[i].value.toUpperCase() : '';
+      const target = significant[i + 1];
+      if (!['FROM', 'IN', 'DATABASE', 'SCHEMA'].includes(keyword)) continue;
+      if (target.type !== 'word' && target.type !== 'quoted') continue;
+      if (isForeignSchema(nameOf(target))) {
+        return `Access to database ${nameOf(target)} is outside your sandbox`;
+      }
+    }
+  }
+
+  for (let i = 0; i < significant.length; i++) {
+    const token = significant[i];
+
+    if (token.type === 'symbol' && token.value === '@') {
+      return 'Database links are not allowed in the playground';
+    }
+
+    if (token.type !== 'word' && token.type !== 'quoted') continue;
+    if (significant[i - 1] && significant[i - 1].value === '.') continue;
+    if (!significant[i + 1] || significant[i + 1].value !== '.') continue;
+    const next = significant[i + 2];
+    if (!next || (next.type !== 'word' && next.type !== 'quoted')) continue;
+
+    const owner = nameOf(token);
+    const object = nameOf(next);
+
+    if (owner === ownSchema || ALLOWED_SCHEMAS.includes(owner)) continue;
+    if (ALLOWED_QUALIFIED_OBJECTS.includes(`${owner}.${object}`)) continue;
+
+    if (isSandboxSchema(owner) || protectedSchemas.has(owner)) {
+      return `Access to ${owner}.${object} is outside your sandbox`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a single statement against a policy
+ * @param {string} statement - Statement text
+ * @param {object} policy - Effective policy from resolvePolicy
+ * @param {object} context - Caller context
+ * @param {string} context.ownSchema - The caller's sandbox schema
+ * @param {Array<string>} context.knownSchemas - Other schemas in the database
+ * @returns {object} - allowed, kind, command and reason
+ */
+const checkStatement = (statement, policy, context = {}) => {
+  const tokens = tokenize(statement);
+  const { kind, command } = classifyStatement(statement);
+  const reject = (reason) => ({ allowed: false, kind, command, reason });
+
+  if (matchCommand(command, ALWAYS_DENIED_COMMANDS)) {
+    return reject(`${command} statements are not allowed in the playground`);
+  }
+
+  if (matchCommand(command, policy.denyCommands)) {
+    return reject(`${command} statements are not allowed in this exercise`);
+  }
+
+  if (!matchCommand(command, policy.allowCommands)) {
+    if (policy.denyKinds.includes(kind) || !policy.allowKinds.includes(kind)) {
+      return reject(`${kind.toUpperCase()} statements (${command || 'unknown'}) are not allowed in this exercise`);
+    }
+  }
+
+  const values = tokens.filter(isSignificant).map(identifierName);
+  const text = values.join(' ');
+  const identifier = policy.deniedIdentifiers.find(name => {
+    return name.includes(' ') ? text.includes(name) : values.includes(name);
+  });
+  if (identifier) {
+    return reject(`${identifier} is not allowed in the playground`);
+  }
+
+  const prefixed = tokens
+    .filter(token => token.type === 'word' || token.type === 'quoted')
+    .map(identifierName)
+    .find(name => policy.deniedIdentifierPrefixes.some(prefix => name.startsWith(prefix)));
+  if (prefixed) {
+    return reject(`Administrative view ${prefixed} is not available in the playground`);
+  }
+
+  const foreignReference = findForeignReference(tokens, context);
+  if (foreignReference) {
+    return reject(foreignReference);
+  }
+
+  return { allowed: true, kind, command, reason: null };
+};
+
+module.exports = {
+  classifyStatement,
+  resolvePolicy,
+  checkStatement
+};
@@ -0,0 +1,293 @@
+// services/sql-splitter.js
+const { tokenize, isSignificant } = require('./sql-tokenizer');
+
+// SQL*Plus client commands that end at the end of the line and never reach the database
+const SQLPLUS_COMMANDS = [
+  'ACCEPT', 'BREAK', 'BTITLE', 'CLEAR', 'COL', 'COLUMN', 'COMPUTE', 'CONN', 'CONNECT',
+  'DEFINE', 'DESC', 'DESCRIBE', 'DISCONNECT', 'EXEC', 'EXECUTE', 'EXIT', 'HOST', 'PAUSE',
+  'PRINT', 'PROMPT', 'QUIT', 'REM', 'REMARK', 'SET', 'SHO', 'SHOW', 'SPO', 'SPOOL', 'START',
+  'TTITLE', 'UNDEFINE', 'VAR', 'VARIABLE', 'WHENEVER'
+];
+
+// SET commands that are real SQL rather than SQL*Plus settings
+const SQL_SET_COMMANDS = ['TRANSACTION', 'ROLE', 'CONSTRAINT', 'CONSTRAINTS'];
+
+// PL/SQL units that are compiled as a whole and terminated by "/"
+const PLSQL_UNITS = ['PROCEDURE', 'FUNCTION', 'PACKAGE', 'TRIGGER', 'LIBRARY'];
+
+// MySQL compound statements closed by END WHILE / END REPEAT
+const MYSQL_BLOCK_OPENERS = ['WHILE', 'REPEAT'];
+
+// Keywords that may appear between CREATE and the object kind
+const CREATE_MODIFIERS = ['OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE', 'EDITIONING'];
+
+/**
+ * Check whether a token is the only thing on its line
+ * @param {string} script - Full script
+ * @param {object} token - Token to check
+ * @returns {boolean} - Whether the token stands alone on its line
+ */
+const isAloneOnLine = (script, token) => {
+  const lineStart = script.lastIndexOf('\n', token.start - 1) + 1;
+  const lineEnd = script.indexOf('\n', token.end);
+  const before = script.substring(lineStart, token.start);
+  const after = script.substring(token.end, lineEnd === -1 ? script.length : lineEnd);
+  return !before.trim() && !after.trim();
+};
+
+/**
+ * Work out how a statement is terminated from its leading keywords
+ * @param {Array<string>} words - First upper-cased words of the statement
+ * @param {string} dialect - SQL dialect of the script
+ * @returns {object} - Statement kind and PL/SQL unit details
+ */
+const classifyStart = (words, dialect) => {
+  const [first, second] = words;
+
+  if (dialect === 'oracle' && (first === '@' || first === '@@' || first === '!' ||
+      (SQLPLUS_COMMANDS.includes(first) && !(first === 'SET' && SQL_SET_COMMANDS.includes(second))))) {
+    return { kind: 'sqlplus' };
+  }
+
+  if (dialect === 'oracle' && (first === 'DECLARE' || first === 'BEGIN' || first === '<<')) {
+    return { kind: 'plsql', unit: 'BLOCK' };
+  }
+
+  if (first === 'CREATE') {
+    const rest = words.slice(1).filter(word => !CREATE_MODIFIERS.includes(word));
+    if (rest[0] === 'TYPE' && rest[1] === 'BODY') {
+      return { kind: 'plsql', unit: 'TYPE BODY' };
+    }
+    if (rest[0] === 'TYPE') {
+      return { kind: 'type' };
+    }
+    if (rest[0] === 'PACKAGE') {
+      return { kind: 'plsql', unit: rest[1] === 'BODY' ? 'PACKAGE BODY' : 'PACKAGE' };
+    }
+    if (PLSQL_UNITS.includes(rest[0])) {
+      return { kind: 'plsql', unit: rest[0] };
+    }
+  }
+
+  return { kind: 'sql' };
+};
+
+/**
+ * Turn a SQL*Plus EXEC command into an anonymous block
+ * @param {string} text - SQL*Plus command text
+ * @returns {string|null} - Equivalent PL/SQL block or null for other commands
+ */
+const convertExecCommand = (text) => {
+  const match = /^\s*EXEC(?:UTE)?\s+([\s\S]+?)\s*;?\s*$/i.exec(text);
+  if (!match) return null;
+  return `BEGIN ${match[1]}; END;`;
+};
+
+/**
+ * Check whether an IF is the IF(condition, a, b) function rather than an IF
+ * statement. The function is followed by a parenthesis and its statement
+ * ends without a THEN; IF (condition) THEN still opens a block.
+ * @param {Array<object>} tokens - Script tokens
+ * @param {number} index - Index of the IF token
+ * @returns {boolean} - Whether the IF is a function call
+ */
+const isIfFunction = (tokens, index) => {
+  let i = index + 1;
+  while (i < tokens.length && !isSignificant(tokens[i])) i++;
+  if (i >= tokens.length || tokens[i].value !== '(') return false;
+
+  let parenDepth = 0;
+  for (; i < tokens.length; i++) {
+    if (!isSignificant(tokens[i])) continue;
+    const value = tokens[i].value.toUpperCase();
+    if (value === '(') parenDepth++;
+    if (value === ')') parenDepth--;
+    if (parenDepth > 0) continue;
+    if (value === 'THEN') return false;
+    if (value === ';') return true;
+  }
+  return true;
+};
+
+/**
+ * Split a script into statements, keeping track of where each one starts.
+ *
+ * Handles string and q-quoted literals, quoted identifiers, comments,
+ * SQL*Plus "/" terminators, SQL*Plus client commands and nested PL/SQL
+ * blocks. PL/SQL units keep their trailing semicolon; SQL statements and
+ * type specifications have it removed.
+ *
+ * MySQL and SQLite scripts have no SQL*Plus commands or "/" terminators;
+ * their stored programs and triggers end at the END matching their BEGIN,
+ * or at the first semicolon when they have no BEGIN at all.
+ *
+ * @param {string} script - SQL script
+ * @param {object} options - Split options
+ * @param {string} options.dialect - oracle (default), mysql or sqlite
+ * @returns {Array<object>} - Statements with text, kind, offset and line
+ */
+const splitStatementsWithPositions = (script, options = {}) => {
+  if (!script) return [];
+
+  const dialect = options.dialect || 'oracle';
+
+  const tokens = tokenize(script);
+  const statements = [];
+  let current = null;
+
+  const finish = (endToken, includeEnd) => {
+    if (!current) return;
+    const end = includeEnd ? endToken.end : (endToken ? endToken.start : script.length);
+    const text = script.substring(current.start, end).trim();
+    if (text) {
+      statements.push({
+        text,
+        kind: current.kind,
+        offset: current.start,
+        line: current.line
+      });
+    }
+    current = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const upper = token.value.toUpperCase();
+
+    // A "/" on its own line terminates whatever is in the buffer
+    if (dialect === 'oracle' && token.type === 'symbol' && token.value === '/' && isAloneOnLine(script, token)) {
+      finish(token, false);
+      continue;
+    }
+
+    if (!current) {
+      if (!isSignificant(token)) continue;
+      if (token.value === ';') continue;
+
+      const words = [];
+      for (let j = i; j < tokens.length && words.length < 6; j++) {
+        if (isSignificant(tokens[j])) words.push(tokens[j].value.toUpperCase());
+      }
+
+      current = {
+        start: token.start,
+        line: token.line,
+        ...classifyStart(words, dialect),
+        depth: 0,
+        parenDepth: 0,
+        openedBlock: false,
+        subprograms: [],
+        previousWord: null
+      };
+
+      if (current.kind === 'sqlplus') {
+        // SQL*Plus commands run to the end of the line
+        while (i + 1 < tokens.length && !(tokens[i + 1].type === 'whitespace' && tokens[i + 1].value.includes('\n'))) {
+          i++;
+        }
+        const text = script.substring(current.start, tokens[i].end).trim();
+        const block = convertExecCommand(text);
+        statements.push({
+          text: block || text,
+          kind: block ? 'plsql' : 'sqlplus',
+          offset: current.start,
+          line: current.line
+        });
+        current = null;
+        continue;
+      }
+    }
+
+    if (!isSignificant(token)) continue;
+
+    if (token.value === '(') current.parenDepth++;
+    if (token.value === ')') current.parenDepth--;
+
+    if (current.kind === 'sql') {
+      if (token.value === ';') finish(token, false);
+      continue;
+    }
+
+    if (current.kind === 'type') {
+      if (token.value === ';' && current.parenDepth <= 0) finish(token, false);
+      continue;
+    }
+
+    // PL/SQL: track block nesting so a unit without a "/" still ends at its final END;
+    if (token.type === 'word') {
+      const afterEnd = current.previousWord === 'END';
+
+      if (upper === 'PROCEDURE' || upper === 'FUNCTION') {
+        current.subprograms.push('declared');
+      } else if ((upper === 'IS' || upper === 'AS') && current.subprograms.length &&
+                 current.subprograms[current.subprograms.length - 1] === 'declared') {
+        current.subprograms[current.subprograms.length - 1] = 'body';
+      } else if ((upper === 'IS' || upper === 'AS') && current.depth === 0 &&
+                 ['PACKAGE', 'PACKAGE BODY', 'TYPE BODY'].includes(current.unit)) {
+        current.depth++;
+        current.openedBlock = true;
+      } else if (upper === 'BEGIN') {
+        const pending = current.subprograms[current.subprograms.length - 1];
+        if (pending === 'body') {
+          current.subprograms.pop();
+          current.depth++;
+        } else if (!(current.unit === 'PACKAGE BODY' && current.depth === 1)) {
+          // A BEGIN directly inside a package body starts its initialisation
+          // section, which shares the package's own END
+          current.depth++;
+        }
+        current.openedBlock = true;
+      } else if (upper === 'IF' && !afterEnd) {
+        // END IF closes the block its IF opened; the IF() function opens none
+        if (!isIfFunction(tokens, i)) current.depth++;
+      } else if ((upper === 'LOOP' || upper === 'CASE') && !afterEnd) {
+        current.depth++;
+      } else if (dialect === 'mysql' && MYSQL_BLOCK_OPENERS.includes(upper) && !afterEnd) {
+        current.depth++;
+      } else if (upper === 'END') {
+        current.depth--;
+      }
+
+      current.previousWord = upper;
+      continue;
+    }
+
+    if (token.value === ';') {
+      const pending = current.subprograms[current.subprograms.length - 1];
+      if (pending === 'declared' && current.parenDepth <= 0) {
+        // Forward declaration or specification without a body
+        current.subprograms.pop();
+      }
+      if (current.openedBlock && current.depth <= 0) {
+        finish(token, true);
+        continue;
+      }
+      if (dialect !== 'oracle' && !current.openedBlock && current.depth <= 0 && current.parenDepth <= 0) {
+        // A routine or trigger body made of a single statement
+        finish(token, true);
+        continue;
+      }
+    }
+
+    current.previousWord = null;
+  }
+
+  finish(null, false);
+  return statements;
+};
+
+/**
+ * Split an Oracle SQL script into executable statements
+ * @param {string} script - Oracle SQL script
+ * @returns {Array<string>} - Individual statements (SQL*Plus commands removed)
+ */
+const splitOracleStatements = (script) => {
+  return splitStatementsWithPositions(script)
+    .filter(stmt => stmt.kind !== 'sqlplus')
+    .map(stmt => stmt.text);
+};
+
+module.exports = {
+  splitStatementsWithPositions,
+  splitOracleStatements
+};
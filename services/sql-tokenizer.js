@@ -0,0 +1,153 @@
+// services/sql-tokenizer.js
+
+// Closing delimiters for Oracle alternative quoting, e.g. q'[...]'
+const Q_QUOTE_PAIRS = {
+  '[': ']',
+  '{': '}',
+  '(': ')',
+  '<': '>'
+};
+
+// Operators made of more than one character
+const MULTI_CHAR_SYMBOLS = [':=', '=>', '||', '<=', '>=', '<>', '!=', '^=', '~=', '..', '**', '<<', '>>'];
+
+const isWordStart = (ch) => /[A-Za-z_À-￿]/.test(ch);
+const isWordPart = (ch) => /[A-Za-z0-9_$#À-￿]/.test(ch);
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+
+/**
+ * Split SQL or PL/SQL source into tokens.
+ * Every character of the input belongs to exactly one token, so the
+ * original text can be rebuilt from the token values.
+ * @param {string} source - SQL source text
+ * @returns {Array<object>} - Tokens with type, value, start, end and line
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+
+  const push = (type, end) => {
+    const value = source.substring(pos, end);
+    tokens.push({ type, value, start: pos, end, line });
+    for (const ch of value) {
+      if (ch === '\n') line++;
+    }
+    pos = end;
+  };
+
+  // Find the end of a quoted run where the quote character is escaped by doubling it
+  const endOfQuoted = (from, quote) => {
+    let i = from;
+    while (i < source.length) {
+      if (source[i] === quote) {
+        if (source[i + 1] === quote) {
+          i += 2;
+          continue;
+        }
+        return i + 1;
+      }
+      i++;
+    }
+    return source.length;
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      let end = pos + 1;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      push('whitespace', end);
+      continue;
+    }
+
+    // Single line comment
+    if (ch === '-' && next === '-') {
+      const newline = source.indexOf('\n', pos);
+      push('comment', newline === -1 ? source.length : newline);
+      continue;
+    }
+
+    // Multi line comment
+    if (ch === '/' && next === '*') {
+      const close = source.indexOf('*/', pos + 2);
+      push('comment', close === -1 ? source.length : close + 2);
+      continue;
+    }
+
+    // Alternative quoting: q'[...]', nq'{...}'
+    const qMatch = /^(n?q)'/i.exec(source.substring(pos, pos + 3));
+    if (qMatch) {
+      const open = source[pos + qMatch[0].length];
+      if (open !== undefined && !/\s/.test(open)) {
+        const close = Q_QUOTE_PAIRS[open] || open;
+        const bodyStart = pos + qMatch[0].length + 1;
+        const closeAt = source.indexOf(close + "'", bodyStart);
+        push('string', closeAt === -1 ? source.length : closeAt + 2);
+        continue;
+      }
+    }
+
+    // National character literals: N'...'
+    if ((ch === 'n' || ch === 'N') && next === "'") {
+      push('string', endOfQuoted(pos + 2, "'"));
+      continue;
+    }
+
+    // String literals
+    if (ch === "'") {
+      push('string', endOfQuoted(pos + 1, "'"));
+      continue;
+    }
+
+    // Quoted identifiers (MySQL quotes them with backticks)
+    if (ch === '"' || ch === '`') {
+      push('quoted', endOfQuoted(pos + 1, ch));
+      continue;
+    }
+
+    // Bind variables: :name or :1 (but not := or ::)
+    if (ch === ':' && next !== undefined && (isWordStart(next) || isDigit(next))) {
+      let end = pos + 2;
+      while (end < source.length && isWordPart(source[end])) end++;
+      push('bind', end);
+      continue;
+    }
+
+    // Numbers
+    if (isDigit(ch) || (ch === '.' && next !== undefined && isDigit(next))) {
+      const match = /^(\d+(\.(?!\.)\d*)?|\.\d+)([eE][+-]?\d+)?[fFdD]?/.exec(source.substring(pos));
+      push('number', pos + match[0].length);
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (isWordStart(ch)) {
+      let end = pos + 1;
+      while (end < source.length && isWordPart(source[end])) end++;
+      push('word', end);
+      continue;
+    }
+
+    // Symbols and operators
+    const pair = source.substring(pos, pos + 2);
+    push('symbol', pos + (MULTI_CHAR_SYMBOLS.includes(pair) ? 2 : 1));
+  }
+
+  return tokens;
+};
+
+/**
+ * Check whether a token carries meaning (i.e. is not whitespace or a comment)
+ * @param {object} token - Token produced by tokenize
+ * @returns {boolean} - Whether the token is significant
+ */
+const isSignificant = (token) => token.type !== 'whitespace' && token.type !== 'comment';
+
+module.exports = {
+  tokenize,
+  isSignificant
+};
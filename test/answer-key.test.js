@@ -0,0 +1,26 @@
+// test/answer-key.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gradableReference } = require('../services/answer-key');
+
+const expectedSchema = { tables: [{ name: 'EMP', columns: [{ name: 'ID' }] }] };
+
+test('grades against verified reference solutions only', () => {
+  const verified = { solution: 'SELECT 1 FROM dual', verifiedAt: new Date() };
+  assert.strictEqual(gradableReference({ practice: verified }, 'practice'), verified);
+  assert.strictEqual(gradableReference({ practice: { solution: 'SELECT 1 FROM dual' } }, 'practice'), null);
+  assert.strictEqual(gradableReference({
+    practice: { solution: 'SELECT 1 FROM dual', verifiedAt: new Date(), verificationError: 'ORA-00942' }
+  }, 'practice'), null);
+});
+
+test('grades an expected schema without a solution by its schema checks', () => {
+  const entry = { expectedSchema };
+  assert.strictEqual(gradableReference({ challenge: entry }, 'challenge'), entry);
+});
+
+test('does not grade exercises without an answer key entry', () => {
+  assert.strictEqual(gradableReference(undefined, 'practice'), null);
+  assert.strictEqual(gradableReference({ practice: { solution: '  ' } }, 'practice'), null);
+  assert.strictEqual(gradableReference({ challenge: { expectedSchema } }, 'practice'), null);
+});
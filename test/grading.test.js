@@ -0,0 +1,117 @@
+// test/grading.test.js
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const SandboxSession = require('../models/SandboxSession');
+const { compareResultSets, gradeSubmission, gradeWithDatasets } = require('../services/grading');
+const { executeQuery } = require('../services/sql-execution');
+
+const goal = { _id: 'goal1', title: 'Filtering', keyConcepts: [], learningPath: {} };
+
+const setupScript = `
+CREATE TABLE emp (id INTEGER PRIMARY KEY, name VARCHAR(20), dept VARCHAR(10), salary INTEGER);
+INSERT INTO emp VALUES (1, 'Ann', 'IT', 5000);
+INSERT INTO emp VALUES (2, 'Bob', 'HR', 3000);
+INSERT INTO emp VALUES (3, 'Cid', 'IT', 4000);
+`;
+
+const reference = {
+  solution: "SELECT name FROM emp WHERE dept = 'IT'",
+  setupScript
+};
+
+const options = { engine: 'sqlite', userId: 'student1' };
+
+// Sandbox sessions are registered in MongoDB; keep them in memory instead
+before(() => {
+  const sessions = new Map();
+  mock.method(SandboxSession, 'findOneAndUpdate', async ({ sessionId }, update) => {
+    const session = { ...(sessions.get(sessionId) || { sessionId }), ...(update.$setOnInsert || {}), ...(update.$set || {}) };
+    sessions.set(sessionId, session);
+    return session;
+  });
+  mock.method(SandboxSession, 'findOne', async ({ sessionId }) => sessions.get(sessionId) || null);
+  mock.method(console, 'log', () => {});
+});
+
+after(() => mock.restoreAll());
+
+const resultSet = (columns, rows, truncated = false) => ({
+  columns: columns.map(name => ({ name })),
+  rows,
+  rowCount: rows.length,
+  truncated
+});
+
+test('compares rows as multisets unless the order matters', () => {
+  const expected = resultSet(['ID'], [[1], [2], [2]]);
+  assert.strictEqual(compareResultSets(expected, resultSet(['id'], [[2], [1], [2]])).match, true);
+  assert.strictEqual(compareResultSets(expected, resultSet(['ID'], [[2], [1], [2]]), { ordered: true }).match, false);
+
+  const { match, diff } = compareResultSets(expected, resultSet(['ID'], [[1], [2], [3]]));
+  assert.strictEqual(match, false);
+  assert.deepStrictEqual([diff.missingRowCount, diff.extraRowCount], [1, 1]);
+  assert.deepStrictEqual(diff.missingRows, [[2]]);
+  assert.deepStrictEqual(diff.extraRows, [[3]]);
+});
+
+test('reports missing and extra columns and applies the numeric tolerance', () => {
+  const expected = resultSet(['NAME', 'SALARY'], [['Ann', 5000]]);
+  const { diff } = compareResultSets(expected, resultSet(['NAME', 'BONUS'], [['Ann', 5000]]));
+  assert.deepStrictEqual([diff.missingColumns, diff.extraColumns], [['SALARY'], ['BONUS']]);
+
+  assert.strictEqual(compareResultSets(expected, resultSet(['NAME', 'SALARY'], [['Ann', '5000.004']]), { numericTolerance: 0.01 }).match, true);
+  assert.strictEqual(compareResultSets(expected, resultSet(['NAME', 'SALARY'], [['Ann', 5001]])).match, false);
+});
+
+test('treats NULLs as equal only when the comparison says so', () => {
+  const expected = resultSet(['X'], [[null]]);
+  assert.strictEqual(compareResultSets(expected, resultSet(['X'], [[null]])).match, true);
+  assert.strictEqual(compareResultSets(expected, resultSet(['X'], [[null]]), { nullsEqual: false }).match, false);
+});
+
+test('grades a query that returns the reference rows as correct', async () => {
+  const grade = await gradeWithDatasets(goal, reference, "SELECT name FROM emp WHERE salary >= 4000 AND dept = 'IT'", options);
+  assert.strictEqual(grade.correct, true);
+  assert.deepStrictEqual(grade.cases, [{ name: 'Sample data', visible: true, passed: true }]);
+});
+
+test('grades on the answer key\'s data, not the student\'s sandbox', async () => {
+  // The student empties the table in their own sandbox; both sides would then return nothing
+  await executeQuery(`${setupScript}\nDELETE FROM emp;`, [], 'student1', options);
+
+  const grade = await gradeWithDatasets(goal, reference, "SELECT name FROM emp WHERE dept = 'none'", options);
+  assert.strictEqual(grade.correct, false);
+  assert.strictEqual(grade.diff.missingRowCount, 2);
+});
+
+test('fails a solution that only matches the sample data on a hidden dataset', async () => {
+  const withDatasets = {
+    ...reference,
+    datasets: [
+      { name: 'More IT staff', visible: true, mutation: "INSERT INTO emp VALUES (4, 'Dee', 'IT', 1000);" },
+      { name: 'Hidden', visible: false, mutation: "INSERT INTO emp VALUES (5, 'Eve', 'IT', 2000);" }
+    ]
+  };
+
+  const hardCoded = await gradeWithDatasets(goal, withDatasets, 'SELECT name FROM emp WHERE id IN (1, 3)', options);
+  assert.strictEqual(hardCoded.correct, false);
+  assert.deepStrictEqual(hardCoded.cases.map(testCase => testCase.passed), [true, false, false]);
+  assert.strictEqual(hardCoded.cases[2].diff, undefined, 'hidden cases must not reveal their diff');
+  assert.match(hardCoded.feedback, /'More IT staff'/);
+  assert.match(hardCoded.feedback, /1 hidden test case/);
+
+  const general = await gradeWithDatasets(goal, withDatasets, "SELECT name FROM emp WHERE dept = 'IT'", options);
+  assert.strictEqual(general.correct, true);
+  assert.deepStrictEqual(general.cases.map(testCase => testCase.passed), [true, true, true]);
+});
+
+test('never grades a result cut off at the row limit as correct', async () => {
+  const sessionId = 'truncation';
+  await executeQuery(setupScript, [], sessionId, options);
+
+  const all = { solution: 'SELECT id FROM emp' };
+  const grade = await gradeSubmission('SELECT id FROM emp', all, sessionId, { ...options, maxRows: 2 });
+  assert.strictEqual(grade.correct, false);
+  assert.strictEqual(grade.diff.truncated, true);
+  assert.match(grade.feedback, /row limit/);
+});
@@ -0,0 +1,193 @@
+// test/helpers/memory-model.js
+const { mock } = require('node:test');
+const { randomUUID } = require('crypto');
+
+// An in-memory stand-in for a Mongoose model. It understands the filters,
+// updates and projections the services use, so conditional updates behave
+// as they would against MongoDB, interleavings included.
+
+const OPERATORS = ['$ne', '$not', '$elemMatch', '$in', '$lt', '$lte', '$gt', '$gte'];
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => OPERATORS.includes(key));
+
+const sameValue = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (a instanceof Date || b instanceof Date) return b !== null && b !== undefined && a.valueOf() === b.valueOf();
+  return typeof a === 'object' || typeof b === 'object' ? String(a) === String(b) : a === b;
+};
+
+const compare = (a, b) => (a instanceof Date ? a.valueOf() : a) - (b instanceof Date ? b.valueOf() : b);
+
+/**
+ * Get the values a dotted path reaches, stepping into array elements where
+ * the path names a field rather than an index
+ */
+const valuesAt = (value, segments) => {
+  if (segments.length === 0) return [value];
+  if (value === null || value === undefined) return [undefined];
+  const [segment, ...rest] = segments;
+  if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+    return value.length === 0 ? [undefined] : value.flatMap(item => valuesAt(item, segments));
+  }
+  return valuesAt(value[segment], rest);
+};
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) {
+    return values.some(value => sameValue(value, condition) ||
+      (Array.isArray(value) && value.some(item => sameValue(item, condition))));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$ne': return !matchesCondition(values, operand);
+      case '$not': return !matchesCondition(values, operand);
+      case '$in': return operand.some(item => matchesCondition(values, item));
+      case '$elemMatch': return values.some(value => Array.isArray(value) && value.some(item => matches(item, operand)));
+      case '$lt': return values.some(value => value !== undefined && compare(value, operand) < 0);
+      case '$lte': return values.some(value => value !== undefined && compare(value, operand) <= 0);
+      case '$gt': return values.some(value => value !== undefined && compare(value, operand) > 0);
+      case '$gte': return values.some(value => value !== undefined && compare(value, operand) >= 0);
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  return matchesCondition(valuesAt(doc, path.split('.')), condition);
+});
+
+// Index of the array element a filter matched, for the positional $ operator
+const positionalIndex = (doc, filter, arrayPath) => {
+  for (const [path, condition] of Object.entries(filter)) {
+    if (path === arrayPath && condition && condition.$elemMatch) {
+      return valuesAt(doc, arrayPath.split('.'))[0].findIndex(item => matches(item, condition.$elemMatch));
+    }
+    if (path.startsWith(`${arrayPath}.`)) {
+      const rest = path.slice(arrayPath.length + 1);
+      return valuesAt(doc, arrayPath.split('.'))[0].findIndex(item => matches(item, { [rest]: condition }));
+    }
+  }
+  throw new Error(`No positional match for ${arrayPath}`);
+};
+
+const resolvePath = (doc, filter, path) => {
+  const marker = path.indexOf('.$');
+  if (marker === -1) return path;
+  const arrayPath = path.slice(0, marker);
+  return `${arrayPath}.${positionalIndex(doc, filter, arrayPath)}${path.slice(marker + 2)}`;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, segment) =>
+  (value === null || value === undefined ? undefined : value[segment]), doc);
+
+const setPath = (doc, path, value) => {
+  const segments = path.split('.');
+  const parent = segments.slice(0, -1).reduce((value, segment, index) => {
+    if (value[segment] === undefined || value[segment] === null) {
+      value[segment] = /^\d+$/.test(segments[index + 1]) ? [] : {};
+    }
+    return value[segment];
+  }, doc);
+  parent[segments[segments.length - 1]] = value;
+};
+
+const applyUpdate = (doc, filter, update, inserting) => {
+  // Positional paths refer to the element the filter matched before the update
+  const changes = Object.entries(update)
+    .filter(([operator]) => operator !== '$setOnInsert' || inserting)
+    .flatMap(([operator, fields]) => Object.entries(fields)
+      .map(([path, value]) => [operator, resolvePath(doc, filter, path), value]));
+
+  changes.forEach(([operator, path, value]) => {
+    const current = getPath(doc, path);
+    switch (operator) {
+      case '$set':
+      case '$setOnInsert':
+        setPath(doc, path, structuredClone(value));
+        break;
+      case '$inc':
+        setPath(doc, path, (current || 0) + value);
+        break;
+      case '$push':
+        setPath(doc, path, [...(current || []), structuredClone(value)]);
+        break;
+      case '$min':
+        if (current === undefined || current === null || compare(value, current) < 0) setPath(doc, path, value);
+        break;
+      case '$max':
+        if (current === undefined || current === null || compare(value, current) > 0) setPath(doc, path, value);
+        break;
+      default:
+        throw new Error(`Unsupported update ${operator}`);
+    }
+  });
+};
+
+const project = (doc, projection) => {
+  const copy = structuredClone(doc);
+  Object.entries(projection || {}).forEach(([path, rule]) => {
+    if (rule && rule.$elemMatch) {
+      copy[path] = (copy[path] || []).filter(item => matches(item, rule.$elemMatch)).slice(0, 1);
+    }
+  });
+  return copy;
+};
+
+// Query results can be awaited directly or through .lean(), like Mongoose queries
+const query = (run) => ({
+  lean: () => Promise.resolve().then(run),
+  then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+});
+
+/**
+ * Replace a model's query methods with ones backed by an in-memory collection
+ * @param {object} Model - Mongoose model
+ * @param {Array<object>} documents - Documents to start with
+ * @returns {Array<object>} - The live collection
+ */
+const useMemoryModel = (Model, documents = []) => {
+  const store = documents.map(doc => ({ _id: randomUUID(), ...structuredClone(doc) }));
+  const findDoc = (filter) => store.find(doc => matches(doc, filter));
+
+  mock.method(Model, 'find', (filter = {}, projection) =>
+    query(() => store.filter(doc => matches(doc, filter)).map(doc => project(doc, projection))));
+  mock.method(Model, 'findOne', (filter = {}, projection) =>
+    query(() => { const doc = findDoc(filter); return doc ? project(doc, projection) : null; }));
+  mock.method(Model, 'findById', (id) =>
+    query(() => { const doc = findDoc({ _id: id }); return doc ? project(doc) : null; }));
+  mock.method(Model, 'countDocuments', (filter = {}) =>
+    query(() => store.filter(doc => matches(doc, filter)).length));
+  mock.method(Model, 'distinct', (path, filter = {}) =>
+    query(() => [...new Set(store.filter(doc => matches(doc, filter)).map(doc => getPath(doc, path)))]));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    let doc = findDoc(filter);
+    const inserting = !doc && options.upsert;
+    if (!doc && !inserting) return null;
+    const before = doc && structuredClone(doc);
+    if (inserting) {
+      doc = { _id: randomUUID() };
+      Object.entries(filter).forEach(([path, value]) => {
+        if (!path.startsWith('$') && !isOperatorObject(value)) setPath(doc, path, structuredClone(value));
+      });
+      store.push(doc);
+    }
+    applyUpdate(doc, filter, update, inserting);
+    return options.new ? structuredClone(doc) : before;
+  }));
+
+  mock.method(Model, 'updateOne', (filter, update) => query(() => {
+    const doc = findDoc(filter);
+    if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+    const before = JSON.stringify(doc);
+    applyUpdate(doc, filter, update, false);
+    return { matchedCount: 1, modifiedCount: JSON.stringify(doc) === before ? 0 : 1 };
+  }));
+
+  return store;
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,105 @@
+// test/mission-progress.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const MissionProgress = require('../models/MissionProgress');
+const {
+  getProgress,
+  currentObjective,
+  checkObjectiveAccess,
+  recordObjectiveAttempt,
+  revealHint,
+  describeProgress
+} = require('../services/mission-progress');
+const { useMemoryModel } = require('./helpers/memory-model');
+
+const mission = {
+  _id: 'mission1',
+  objectives: [
+    { title: 'First', hints: ['Use SELECT', 'Filter with WHERE'] },
+    { title: 'Second', hints: [] }
+  ]
+};
+
+let progressStore;
+
+beforeEach(() => {
+  progressStore = useMemoryModel(MissionProgress);
+});
+
+afterEach(() => mock.restoreAll());
+
+const states = (progress) => progress.objectives.map(objective => objective.state);
+
+test('starts a mission on the first objective, once per player', async () => {
+  const progress = await getProgress('player1', mission);
+  assert.deepStrictEqual(states(progress), ['active', 'locked']);
+  assert.strictEqual(currentObjective(progress), 0);
+
+  await getProgress('player1', mission);
+  await getProgress('player2', mission);
+  assert.strictEqual(progressStore.length, 2);
+});
+
+test('refuses objectives that are locked or do not exist', async () => {
+  const progress = await getProgress('player1', mission);
+  assert.deepStrictEqual(checkObjectiveAccess(progress, 0), { allowed: true, reason: null });
+  assert.deepStrictEqual(checkObjectiveAccess(progress, 1), {
+    allowed: false,
+    reason: 'Objective 1 is locked. Complete objective 0 first.'
+  });
+  assert.strictEqual(checkObjectiveAccess(progress, 2).reason, 'Mission has no objective 2');
+
+  // Only the active objective can be completed, even if an attempt slips past the check
+  const updated = await recordObjectiveAttempt(progress, 1, { successful: true, completed: true, score: 1 });
+  assert.deepStrictEqual(states(updated), ['active', 'locked']);
+  assert.strictEqual(updated.completedAt, undefined);
+});
+
+test('counts attempts without unlocking anything until the objective is completed', async () => {
+  const progress = await getProgress('player1', mission);
+  await recordObjectiveAttempt(progress, 0, { successful: false, completed: false, score: 0 });
+  const updated = await recordObjectiveAttempt(progress, 0, { successful: true, completed: false, score: 0.5 });
+
+  const [first] = updated.objectives;
+  assert.deepStrictEqual([first.attempts, first.failedAttempts, first.bestScore], [2, 1, 0.5]);
+  assert.ok(first.firstAttemptAt <= first.lastAttemptAt);
+  assert.deepStrictEqual(states(updated), ['active', 'locked']);
+});
+
+test('unlocks objectives in order and completes the mission with the last one', async () => {
+  let progress = await getProgress('player1', mission);
+  progress = await recordObjectiveAttempt(progress, 0, { successful: true, completed: true, score: 1 });
+  assert.deepStrictEqual(states(progress), ['completed', 'active']);
+  assert.ok(progress.objectives[1].unlockedAt);
+  assert.strictEqual(progress.completedAt, undefined);
+
+  // Replaying a completed objective neither relocks nor skips anything
+  progress = await recordObjectiveAttempt(progress, 0, { successful: true, completed: false, score: 0.2 });
+  assert.deepStrictEqual(states(progress), ['completed', 'active']);
+  assert.strictEqual(progress.objectives[0].bestScore, 1);
+
+  progress = await recordObjectiveAttempt(progress, 1, { successful: true, completed: true, score: 0.8 });
+  assert.deepStrictEqual(states(progress), ['completed', 'completed']);
+  assert.ok(progress.completedAt);
+  assert.strictEqual(currentObjective(progress), null);
+
+  const description = describeProgress(progress, mission);
+  assert.strictEqual(description.completed, true);
+  assert.deepStrictEqual(description.objectives.map(objective => objective.title), ['First', 'Second']);
+});
+
+test('reveals hints in order and stops when they run out', async () => {
+  // Each request loads the player's progress afresh
+  const reveal = async (index) => revealHint(await getProgress('player1', mission), mission, index);
+
+  const first = await reveal(0);
+  const second = await reveal(0);
+  const third = await reveal(0);
+
+  assert.deepStrictEqual([first.hint, second.hint, third.hint], ['Use SELECT', 'Filter with WHERE', null]);
+  assert.deepStrictEqual(third.revealedHints, ['Use SELECT', 'Filter with WHERE']);
+  assert.strictEqual(progressStore[0].objectives[0].hintsUsed, 2);
+
+  const none = await reveal(1);
+  assert.deepStrictEqual([none.hint, none.hintsUsed, none.hintsTotal], [null, 0, 0]);
+});
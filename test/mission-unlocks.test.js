@@ -0,0 +1,104 @@
+// test/mission-unlocks.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GameMission = require('../models/GameMission');
+const LearningGoal = require('../models/LearningGoal');
+const MissionProgress = require('../models/MissionProgress');
+const QueryAttempt = require('../models/QueryAttempt');
+const { findLabSheetMissions, missionStates, checkMissionUnlocked } = require('../services/mission-unlocks');
+const { linkMissionPrerequisites } = require('../services/mission-generator');
+const { useMemoryModel } = require('./helpers/memory-model');
+
+const goals = [
+  { _id: 'goalSelect', labSheetId: 'lab1', order: 0, title: 'Basic Queries', keyConcepts: ['SELECT'], prerequisites: [] },
+  { _id: 'goalJoin', labSheetId: 'lab1', order: 1, title: 'Joins', keyConcepts: ['JOIN'], prerequisites: [] },
+  { _id: 'goalRef', labSheetId: 'lab1', order: 2, title: 'REF Types', keyConcepts: ['DEREF'], prerequisites: ['Understanding of SELECT statements'] }
+];
+
+let missions;
+let progress;
+let attempts;
+
+beforeEach(async () => {
+  missions = useMemoryModel(GameMission, [
+    { _id: 'missionSelect', labSheetId: 'lab1', learningGoalId: 'goalSelect', title: 'First Contact' },
+    { _id: 'missionJoin', labSheetId: 'lab1', learningGoalId: 'goalJoin', title: 'Linked Records' },
+    // Generated before missions recorded their lab sheet
+    { _id: 'missionRef', learningGoalId: 'goalRef', title: 'Pointer Trail' }
+  ]);
+  useMemoryModel(LearningGoal, goals);
+  progress = useMemoryModel(MissionProgress);
+  attempts = [];
+
+  // Best evaluated score per goal, as the aggregation in missionStates computes it
+  mock.method(QueryAttempt, 'aggregate', async ([{ $match }]) => {
+    const best = new Map();
+    attempts
+      .filter(attempt => attempt.userId === $match.userId && attempt.source === $match.source &&
+        $match.goalId.$in.map(String).includes(attempt.goalId))
+      .forEach(attempt => {
+        const score = attempt.isSuccessful ? 1 : (attempt.score || 0);
+        best.set(attempt.goalId, Math.max(best.get(attempt.goalId) || 0, score));
+      });
+    return [...best].map(([goalId, bestScore]) => ({ _id: goalId, bestScore }));
+  });
+
+  await linkMissionPrerequisites(await GameMission.find({}), goals);
+});
+
+afterEach(() => mock.restoreAll());
+
+const complete = (userId, missionId) => progress.push({ userId, missionId, objectives: [], completedAt: new Date() });
+
+const stateOf = async (userId, missionId) =>
+  (await missionStates(userId, await GameMission.find({}))).get(missionId);
+
+test('links each mission to the goals its prerequisites name, or else the one before', () => {
+  assert.deepStrictEqual(missions.map(mission => [mission._id, mission.prerequisiteMissionIds]), [
+    ['missionSelect', []],
+    ['missionJoin', ['missionSelect']],
+    ['missionRef', ['missionSelect']]
+  ]);
+});
+
+test('finds missions of a lab sheet by lab sheet or learning goal', async () => {
+  const found = await findLabSheetMissions('lab1');
+  assert.deepStrictEqual(found.map(mission => mission._id), ['missionSelect', 'missionJoin', 'missionRef']);
+});
+
+test('locks missions until their prerequisites are completed', async () => {
+  assert.deepStrictEqual(await stateOf('player1', 'missionSelect'), { state: 'unlocked', unmetPrerequisites: [] });
+  assert.deepStrictEqual(await stateOf('player1', 'missionJoin'), { state: 'locked', unmetPrerequisites: ['missionSelect'] });
+
+  complete('player1', 'missionSelect');
+  assert.strictEqual((await stateOf('player1', 'missionSelect')).state, 'completed');
+  assert.strictEqual((await stateOf('player1', 'missionJoin')).state, 'unlocked');
+
+  // Another player's progress unlocks nothing
+  assert.strictEqual((await stateOf('player2', 'missionJoin')).state, 'locked');
+});
+
+test('unlocks missions whose prerequisite goal is mastered in the playground', async () => {
+  attempts.push({ userId: 'player1', source: 'evaluate', goalId: 'goalSelect', isSuccessful: false, score: 0.7 });
+  attempts.push({ userId: 'player1', source: 'execute', goalId: 'goalSelect', isSuccessful: true });
+  assert.strictEqual((await stateOf('player1', 'missionRef')).state, 'locked');
+
+  attempts.push({ userId: 'player1', source: 'evaluate', goalId: 'goalSelect', isSuccessful: false, score: 0.8 });
+  assert.strictEqual((await stateOf('player1', 'missionRef')).state, 'unlocked');
+});
+
+test('ignores prerequisites whose missions were deleted', async () => {
+  missions.splice(missions.findIndex(mission => mission._id === 'missionSelect'), 1);
+  assert.deepStrictEqual(await stateOf('player1', 'missionJoin'), { state: 'unlocked', unmetPrerequisites: [] });
+});
+
+test('names the missions still holding a locked mission back', async () => {
+  const [, join] = await GameMission.find({});
+  assert.deepStrictEqual(await checkMissionUnlocked('player1', join), {
+    unlocked: false,
+    unmetPrerequisites: [{ id: 'missionSelect', title: 'First Contact' }]
+  });
+
+  complete('player1', 'missionSelect');
+  assert.deepStrictEqual(await checkMissionUnlocked('player1', join), { unlocked: true, unmetPrerequisites: [] });
+});
@@ -0,0 +1,96 @@
+// test/progression.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const PlayerProfile = require('../models/PlayerProfile');
+const { xpForLevel, levelForXp, levelProgress, awardObjective } = require('../services/progression');
+const { useMemoryModel } = require('./helpers/memory-model');
+
+const mission = { _id: 'mission1', objectives: [{ title: 'First' }, { title: 'Second' }] };
+
+let profiles;
+
+beforeEach(() => {
+  profiles = useMemoryModel(PlayerProfile);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('follows the XP curve', () => {
+  assert.deepStrictEqual([1, 2, 3, 5].map(xpForLevel), [0, 500, 1414, 4000]);
+  assert.deepStrictEqual([0, 499, 500, 1414, 3999, 4000].map(levelForXp), [1, 1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(levelProgress(600), { level: 2, xp: 600, currentLevelXp: 500, nextLevelXp: 1414 });
+  assert.strictEqual(levelForXp(Number.MAX_SAFE_INTEGER), 50);
+  assert.strictEqual(levelProgress(Number.MAX_SAFE_INTEGER).nextLevelXp, null);
+});
+
+test('awards XP only for improving on an objective', async () => {
+  const partial = await awardObjective('player1', mission, 0, { xp: 60, score: 0.4, completed: false });
+  assert.strictEqual(partial.xpAwarded, 60);
+
+  const repeat = await awardObjective('player1', mission, 0, { xp: 60, score: 0.4, completed: false });
+  assert.strictEqual(repeat.xpAwarded, 0);
+
+  const better = await awardObjective('player1', mission, 0, { xp: 150, score: 1, completed: true });
+  assert.deepStrictEqual([better.xpAwarded, better.xp], [90, 150]);
+
+  const worse = await awardObjective('player1', mission, 0, { xp: 30, score: 0.2, completed: false });
+  assert.deepStrictEqual([worse.xpAwarded, worse.xp], [0, 150]);
+
+  assert.deepStrictEqual(profiles[0].objectiveAwards.map(award => [award.objectiveIndex, award.xp, award.score, award.completed]), [
+    [0, 150, 1, true]
+  ]);
+});
+
+test('lets only one of two concurrent attempts claim the same XP', async () => {
+  const results = await Promise.all([
+    awardObjective('player1', mission, 0, { xp: 150, score: 1, completed: true }),
+    awardObjective('player1', mission, 0, { xp: 150, score: 1, completed: true })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.xpAwarded).sort(), [0, 150]);
+  assert.strictEqual(profiles[0].xp, 150);
+  assert.strictEqual(profiles[0].objectiveAwards.length, 1);
+});
+
+test('retries when the award changed between reading and writing it', async () => {
+  await awardObjective('player1', mission, 0, { xp: 50, score: 0.3, completed: false });
+
+  // Another request raises the award after this one has read it
+  const findOne = PlayerProfile.findOne;
+  let raced = false;
+  mock.method(PlayerProfile, 'findOne', async (...args) => {
+    const result = await findOne(...args);
+    if (!raced) {
+      raced = true;
+      profiles[0].objectiveAwards[0].xp = 100;
+      profiles[0].xp = 100;
+    }
+    return result;
+  });
+
+  const result = await awardObjective('player1', mission, 0, { xp: 150, score: 1, completed: true });
+  assert.deepStrictEqual([result.xpAwarded, profiles[0].xp, profiles[0].objectiveAwards[0].xp], [50, 150, 150]);
+});
+
+test('raises the level once and never lowers it', async () => {
+  const first = await awardObjective('player1', mission, 0, { xp: 600, score: 1, completed: true });
+  assert.deepStrictEqual(first.levelUp, { from: 1, to: 2 });
+  assert.strictEqual(profiles[0].level, 2);
+
+  profiles[0].level = 5;
+  const second = await awardObjective('player1', mission, 1, { xp: 100, score: 0.5, completed: false });
+  assert.strictEqual(second.levelUp, null);
+  assert.strictEqual(profiles[0].level, 5);
+});
+
+test('records the mission once every objective is completed, keeping the best score', async () => {
+  const first = await awardObjective('player1', mission, 0, { xp: 150, score: 1, completed: true });
+  assert.deepStrictEqual(first.mission, { completed: false, newlyCompleted: false, score: null });
+
+  const second = await awardObjective('player1', mission, 1, { xp: 100, score: 0.5, completed: true });
+  assert.deepStrictEqual(second.mission, { completed: true, newlyCompleted: true, score: 0.75 });
+
+  const replay = await awardObjective('player1', mission, 1, { xp: 200, score: 1, completed: true });
+  assert.deepStrictEqual(replay.mission, { completed: true, newlyCompleted: false, score: 1 });
+  assert.deepStrictEqual(profiles[0].completedMissions.map(entry => [entry.missionId, entry.score]), [['mission1', 1]]);
+});
@@ -0,0 +1,31 @@
+// test/sandbox-registry.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SandboxSession = require('../models/SandboxSession');
+const { checkSessionAccess } = require('../services/sandbox-registry');
+
+const useSessions = (sessions) => {
+  mock.method(SandboxSession, 'findOne', async ({ sessionId }) => sessions.find(session => session.sessionId === sessionId) || null);
+};
+
+afterEach(() => mock.restoreAll());
+
+test('accepts the caller\'s own unregistered default session', async () => {
+  useSessions([]);
+  assert.strictEqual((await checkSessionAccess('alice', 'alice')).allowed, true);
+  assert.strictEqual((await checkSessionAccess('alice_m1', 'alice', 'alice_m1')).allowed, true);
+});
+
+test('refuses unregistered session IDs the server did not issue', async () => {
+  useSessions([]);
+  const access = await checkSessionAccess('bob', 'mallory');
+  assert.deepStrictEqual([access.allowed, access.status], [false, 404]);
+});
+
+test('refuses sessions registered to another user', async () => {
+  useSessions([{ sessionId: 'bob_1700000000000', userId: 'bob' }, { sessionId: 'bob' }]);
+  assert.strictEqual((await checkSessionAccess('bob_1700000000000', 'mallory')).status, 403);
+  assert.strictEqual((await checkSessionAccess('bob', 'mallory')).status, 403);
+  assert.strictEqual((await checkSessionAccess('bob_1700000000000', 'bob')).allowed, true);
+  assert.strictEqual((await checkSessionAccess('bob', 'bob')).allowed, true);
+});
@@ -0,0 +1,135 @@
+// test/scoring.test.js
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const SandboxSession = require('../models/SandboxSession');
+const { usesConstruct, resolveRubric, scoreSubmission, scoreGrade } = require('../services/scoring');
+const { DEFAULT_RUBRICS } = require('../config/scoring');
+
+// Sandbox sessions are registered in MongoDB; keep them in memory instead
+before(() => {
+  const sessions = new Map();
+  mock.method(SandboxSession, 'findOneAndUpdate', async ({ sessionId }, update) => {
+    const session = { ...(sessions.get(sessionId) || { sessionId }), ...(update.$setOnInsert || {}), ...(update.$set || {}) };
+    sessions.set(sessionId, session);
+    return session;
+  });
+  mock.method(SandboxSession, 'findOne', async ({ sessionId }) => sessions.get(sessionId) || null);
+  mock.method(console, 'log', () => {});
+});
+
+after(() => mock.restoreAll());
+
+const rowsGrade = (diff, correct = false) => ({
+  correct,
+  executionResult: { success: true },
+  diff: {
+    missingColumns: [],
+    extraColumns: [],
+    missingRowCount: 0,
+    extraRowCount: 0,
+    orderMismatch: false,
+    expectedRowCount: 3,
+    actualRowCount: 3,
+    ...diff
+  }
+});
+
+test('fills in the default rubric for the kind of exercise', () => {
+  assert.deepStrictEqual(resolveRubric(null, 'practice'), { maxPoints: 5, maxXp: 150, criteria: DEFAULT_RUBRICS.query });
+  assert.deepStrictEqual(resolveRubric({ expectedSchema: { tables: [] } }, 'challenge').criteria, DEFAULT_RUBRICS.schema);
+
+  const rubric = resolveRubric({ rubric: { maxPoints: 0, criteria: [] } }, 'challenge');
+  assert.deepStrictEqual([rubric.maxPoints, rubric.maxXp, rubric.criteria], [0, 200, DEFAULT_RUBRICS.query]);
+});
+
+test('matches keywords, phrases and dot notation as tokens', () => {
+  assert.strictEqual(usesConstruct('SELECT DEREF(e.dept) FROM emp e', 'deref'), true);
+  assert.strictEqual(usesConstruct("SELECT 'ORDER BY' FROM emp", 'ORDER BY'), false);
+  assert.strictEqual(usesConstruct('SELECT name FROM emp ORDER\n  BY name', 'ORDER BY'), true);
+  assert.strictEqual(usesConstruct('SELECT e.workdept.deptname FROM emp e', 'DOT NOTATION'), true);
+  assert.strictEqual(usesConstruct('SELECT e.name FROM emp e', 'DOT NOTATION'), false);
+});
+
+test('gives partial credit by criterion weight', () => {
+  const rubric = resolveRubric(null, 'challenge');
+  const result = scoreSubmission(rubric, { grade: rowsGrade({ missingColumns: ['SALARY'] }), query: '', cost: null });
+
+  assert.deepStrictEqual(result.breakdown.map(item => [item.criterion, item.passed, item.earned]), [
+    ['executes', true, 20],
+    ['correctColumns', false, 0],
+    ['correctRowCount', true, 20],
+    ['correctResult', false, 0]
+  ]);
+  assert.deepStrictEqual([result.score, result.points, result.maxPoints], [0.4, 4, 10]);
+});
+
+test('awards nothing to a script that fails to run', () => {
+  const grade = { correct: false, executionResult: { success: false }, diff: {} };
+  const result = scoreSubmission(resolveRubric(null, 'practice'), { grade, query: '', cost: null });
+
+  assert.deepStrictEqual([result.score, result.points], [0, 0]);
+  assert.strictEqual(result.breakdown[0].detail, 'The script failed to run');
+  assert.ok(result.breakdown.every(item => item.passed === false));
+});
+
+test('scores schema checks by the share that pass', () => {
+  const grade = {
+    correct: false,
+    executionResult: { success: true },
+    schemaChecks: [{ passed: true }, { passed: true }, { passed: false }, { passed: false }]
+  };
+  const result = scoreSubmission(resolveRubric({ expectedSchema: {} }, 'practice'), { grade, query: '', cost: null });
+
+  assert.deepStrictEqual(result.breakdown.map(item => item.earned), [20, 40]);
+  assert.strictEqual(result.score, 0.6);
+});
+
+test('checks constructs and leaves unmeasurable criteria out of the total', () => {
+  const rubric = {
+    maxPoints: 10,
+    criteria: [
+      { criterion: 'correctResult', weight: 2 },
+      { criterion: 'usesConstruct', construct: 'DEREF', weight: 1 },
+      { criterion: 'performance', maxCost: 50, weight: 1 }
+    ]
+  };
+  const grade = rowsGrade({}, true);
+
+  const unmeasured = scoreSubmission(rubric, { grade, query: 'SELECT DEREF(e.dept) FROM emp e', cost: null });
+  assert.deepStrictEqual(unmeasured.breakdown[2], {
+    criterion: 'performance',
+    weight: 0,
+    passed: null,
+    earned: 0,
+    detail: 'The plan cost could not be measured'
+  });
+  assert.strictEqual(unmeasured.score, 1);
+
+  const tooSlow = scoreSubmission(rubric, { grade, query: 'SELECT e.dept FROM emp e', cost: 120 });
+  assert.deepStrictEqual(tooSlow.breakdown.map(item => item.passed), [true, false, false]);
+  assert.strictEqual(tooSlow.score, 0.5);
+});
+
+test('compares affected rows for DML exercises', () => {
+  const rubric = { maxPoints: 5, criteria: [{ criterion: 'correctRowCount' }] };
+  const grade = { correct: false, executionResult: { success: true }, diff: { expectedAffectedRows: 2, actualAffectedRows: 3 } };
+  const result = scoreSubmission(rubric, { grade, query: '', cost: null });
+
+  assert.strictEqual(result.breakdown[0].detail, '3 row(s) changed, expected 2');
+  assert.strictEqual(result.points, 0);
+});
+
+test('scores a grade with the exercise rubric and reports its XP', async () => {
+  const reference = {
+    rubric: {
+      maxXp: 300,
+      criteria: [{ criterion: 'correctResult', weight: 1 }, { criterion: 'performance', maxCost: 10, weight: 1 }]
+    }
+  };
+  const grade = rowsGrade({}, true);
+  const result = await scoreGrade(reference, 'challenge', grade, 'SELECT 1', 'scoring1', { engine: 'sqlite', userId: 'scoring1' });
+
+  // SQLite plans carry no costs, so the performance criterion is skipped
+  assert.deepStrictEqual([result.score, result.points, result.maxXp], [1, 10, 300]);
+  assert.strictEqual(result.breakdown[1].passed, null);
+});
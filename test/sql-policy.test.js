@@ -0,0 +1,63 @@
+// test/sql-policy.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolvePolicy, checkStatement } = require('../services/sql-policy');
+
+const context = { ownSchema: 'SBX_TEST' };
+
+test('denies quoted package names on the identifier deny list', () => {
+  const block = 'DECLARE c INTEGER; BEGIN c := "DBMS_SQL".OPEN_CURSOR; ' +
+    '"DBMS_SQL".PARSE(c, \'DROP USER APP CASCADE\', 1); END;';
+  const result = checkStatement(block, resolvePolicy(), context);
+  assert.strictEqual(result.allowed, false);
+  assert.match(result.reason, /DBMS_SQL/);
+});
+
+test('denies quoted administrative views', () => {
+  const result = checkStatement('SELECT * FROM "DBA_USERS"', resolvePolicy(), context);
+  assert.strictEqual(result.allowed, false);
+  assert.match(result.reason, /DBA_USERS/);
+});
+
+test('denies backtick-quoted administrative views in any case', () => {
+  const result = checkStatement('SELECT * FROM `v$session`', resolvePolicy(), context);
+  assert.strictEqual(result.allowed, false);
+  assert.match(result.reason, /V\$SESSION/);
+});
+
+test('allows quoted identifiers that are not denied', () => {
+  const result = checkStatement('SELECT * FROM "Emp"', resolvePolicy(), context);
+  assert.strictEqual(result.allowed, true);
+});
+
+test('denies creating, altering and dropping schemas', () => {
+  for (const statement of ['DROP SCHEMA sbx_other', 'DROP SCHEMA IF EXISTS mysql', 'CREATE SCHEMA scratch', 'ALTER SCHEMA sbx_other READ ONLY = 1']) {
+    const result = checkStatement(statement, resolvePolicy({ allowKinds: ['admin'], allowCommands: ['DROP SCHEMA'] }), context);
+    assert.strictEqual(result.allowed, false, statement);
+    assert.strictEqual(result.kind, 'admin', statement);
+  }
+});
+
+test('denies switching to another database', () => {
+  const result = checkStatement('USE sbx_other', resolvePolicy(), context);
+  assert.strictEqual(result.allowed, false);
+});
+
+test('denies SHOW statements about another database', () => {
+  const mysqlContext = { ownSchema: 'sbx_mine', knownSchemas: ['MYSQL', 'SBX_OTHER', 'SBX_MINE'] };
+  for (const statement of ['SHOW TABLES FROM sbx_other', 'SHOW COLUMNS FROM user IN mysql', 'SHOW CREATE DATABASE sbx_other']) {
+    assert.strictEqual(checkStatement(statement, resolvePolicy(), mysqlContext).allowed, false, statement);
+  }
+  assert.strictEqual(checkStatement('SHOW TABLES FROM sbx_mine', resolvePolicy(), mysqlContext).allowed, true);
+  assert.strictEqual(checkStatement('SHOW COLUMNS FROM emp', resolvePolicy(), mysqlContext).allowed, true);
+});
+
+test('denies quoted references to other schemas in any case', () => {
+  const mysqlContext = { ownSchema: 'sbx_mine', knownSchemas: ['MYSQL', 'SBX_OTHER', 'SBX_MINE'] };
+  for (const statement of ['SELECT * FROM `mysql`.`user`', 'SELECT * FROM mysql.user', 'SELECT * FROM `sbx_other`.emp', 'SELECT * FROM "SBX_OTHER".emp']) {
+    const result = checkStatement(statement, resolvePolicy(), mysqlContext);
+    assert.strictEqual(result.allowed, false, statement);
+    assert.match(result.reason, /outside your sandbox/, statement);
+  }
+  assert.strictEqual(checkStatement('SELECT * FROM `sbx_mine`.`emp`', resolvePolicy(), mysqlContext).allowed, true);
+});
@@ -0,0 +1,32 @@
+// test/sql-splitter.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitStatementsWithPositions } = require('../services/sql-splitter');
+
+const texts = (script, dialect) => splitStatementsWithPositions(script, { dialect }).map(stmt => stmt.text);
+
+test('does not treat the MySQL IF() function as a block', () => {
+  const script = 'CREATE TRIGGER t BEFORE INSERT ON x FOR EACH ROW SET NEW.a = IF(NEW.b > 0, 1, 0); SELECT 1;';
+  assert.deepStrictEqual(texts(script, 'mysql'), [
+    'CREATE TRIGGER t BEFORE INSERT ON x FOR EACH ROW SET NEW.a = IF(NEW.b > 0, 1, 0);',
+    'SELECT 1'
+  ]);
+});
+
+test('keeps IF statements with a parenthesized condition open until END IF', () => {
+  const script = 'CREATE TRIGGER t BEFORE INSERT ON x FOR EACH ROW BEGIN ' +
+    'IF (NEW.b > 0) THEN SET NEW.a = IF(NEW.c, 1, 0); END IF; END; SELECT 1;';
+  assert.deepStrictEqual(texts(script, 'mysql'), [
+    'CREATE TRIGGER t BEFORE INSERT ON x FOR EACH ROW BEGIN ' +
+      'IF (NEW.b > 0) THEN SET NEW.a = IF(NEW.c, 1, 0); END IF; END;',
+    'SELECT 1'
+  ]);
+});
+
+test('ends PL/SQL blocks with IF statements at their final END', () => {
+  const script = 'BEGIN IF (1 = 1) THEN NULL; END IF; END;\nSELECT 1 FROM dual;';
+  assert.deepStrictEqual(texts(script, 'oracle'), [
+    'BEGIN IF (1 = 1) THEN NULL; END IF; END;',
+    'SELECT 1 FROM dual'
+  ]);
+});
@@ -0,0 +1,65 @@
+// test/sqlite-engine.test.js
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const SandboxSession = require('../models/SandboxSession');
+const { executeQuery, cancelExecution } = require('../services/sql-execution');
+
+const options = { engine: 'sqlite', userId: 'student1' };
+
+const runaway = 'WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n) SELECT COUNT(*) FROM n';
+
+// Sandbox sessions are registered in MongoDB; keep them in memory instead
+before(async () => {
+  const sessions = new Map();
+  mock.method(SandboxSession, 'findOneAndUpdate', async ({ sessionId }, update) => {
+    const session = { ...(sessions.get(sessionId) || { sessionId }), ...(update.$setOnInsert || {}), ...(update.$set || {}) };
+    sessions.set(sessionId, session);
+    return session;
+  });
+  mock.method(SandboxSession, 'findOne', async ({ sessionId }) => sessions.get(sessionId) || null);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  await executeQuery('CREATE TABLE emp (id INTEGER PRIMARY KEY); INSERT INTO emp VALUES (1);', [], 'student1', options);
+});
+
+after(() => mock.restoreAll());
+
+const countRows = async () => {
+  const result = await executeQuery('SELECT COUNT(*) AS n FROM emp', [], 'student1', options);
+  return result.results[0].rows[0][0];
+};
+
+test('stops a runaway statement at the time limit without blocking the event loop', async () => {
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 20);
+  const startedAt = Date.now();
+
+  const result = await executeQuery(`INSERT INTO emp VALUES (2);\n${runaway}`, [], 'student1', { ...options, callTimeoutMs: 500 });
+  clearInterval(ticker);
+
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.results[1].error, 'Execution time limit of 500 ms exceeded');
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.ok(ticks >= 10, `event loop ticked ${ticks} times`);
+
+  // The interrupted call is undone, and the sandbox keeps working
+  assert.strictEqual(await countRows(), 1);
+});
+
+test('cancels a running statement', async () => {
+  const running = executeQuery(runaway, [], 'student1', { ...options, executionId: 'exec1', callTimeoutMs: 60000 });
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.deepStrictEqual(await cancelExecution('exec1', 'student1', 'student1'), { cancelled: true });
+  const result = await running;
+  assert.deepStrictEqual([result.cancelled, result.timedOut, result.message], [true, false, 'Execution cancelled']);
+  assert.strictEqual(await countRows(), 1);
+});
+
+test('keeps changes committed before the interrupted call', async () => {
+  await executeQuery('INSERT INTO emp VALUES (3)', [], 'student1', options);
+  await executeQuery(runaway, [], 'student1', { ...options, mode: 'transaction', callTimeoutMs: 300 });
+
+  assert.strictEqual(await countRows(), 2);
+});